@@ -0,0 +1,82 @@
+const fs = require('fs');
+const path = require('path');
+const { parseAppIDs } = require('./catalog');
+
+// Up to three names, then how many more
+function listNames(names) {
+  return names.length > 3 ? `${names.slice(0, 3).join(', ')} and ${names.length - 3} more` : names.join(', ');
+}
+
+function readAppIDs(filePath) {
+  try {
+    return new Set(parseAppIDs(fs.readFileSync(filePath, 'utf8')));
+  } catch {
+    return new Set();
+  }
+}
+
+// The tasks the scheduler runs while the app is open or in the tray, named after their switch in the
+// background settings. Each resolves with a notification ({ title, body }) or null when nothing is new.
+function createBackgroundChecks({ catalog, catalogChangelog, fixInstaller, onlinefixPlugin, sources }) {
+  // Fix uploads already notified about, so each one is announced once
+  const announcedUpdates = new Set();
+
+  // Games added to the catalog since it last loaded, recorded in the catalog history like the store does
+  async function checkCatalog() {
+    const { games, offline } = await catalog.load();
+    if (offline) {
+      throw new Error('The catalog could not be downloaded');
+    }
+    const entry = catalogChangelog.record(games);
+    if (!entry || entry.added.length === 0) {
+      return null;
+    }
+    return {
+      title: entry.added.length === 1 ? 'A new game is in the store' : `${entry.added.length} new games are in the store`,
+      body: listNames(entry.added.map(game => game.name))
+    };
+  }
+
+  // Installed fixes whose archive was uploaded again
+  async function checkFixUpdates() {
+    const { updates, checked, failed } = await fixInstaller.checkUpdates();
+    if (failed > 0 && failed === checked) {
+      throw new Error('Could not reach GitHub to check the installed fixes');
+    }
+    const fresh = updates.filter(update => !announcedUpdates.has(`${update.appID} ${update.latest.updatedAt}`));
+    fresh.forEach(update => announcedUpdates.add(`${update.appID} ${update.latest.updatedAt}`));
+    if (fresh.length === 0) {
+      return null;
+    }
+    return {
+      title: fresh.length === 1 ? 'A fix was updated' : `${fresh.length} fixes were updated`,
+      body: `${listNames(fresh.map(update => update.name || `Game ${update.appID}`))} - reinstall from Installed Fixes`
+    };
+  }
+
+  // The OnlineFix plugin's appIDs.txt, when the plugin is installed
+  async function checkPlugin() {
+    const { pluginPath } = await onlinefixPlugin.findPlugin();
+    if (!pluginPath) {
+      return null;
+    }
+    const appIDsPath = path.join(pluginPath, 'appIDs.txt');
+    const before = readAppIDs(appIDsPath);
+    await onlinefixPlugin.updateAppIDs(sources);
+    const after = readAppIDs(appIDsPath);
+
+    const added = [...after].filter(appID => !before.has(appID)).length;
+    if (added === 0 && after.size === before.size) {
+      return null;
+    }
+    return { title: 'OnlineFix Plugin Updated', body: `appIDs.txt now lists ${after.size} games (${added} new)` };
+  }
+
+  return [
+    { name: 'catalog', run: checkCatalog },
+    { name: 'fixUpdates', run: checkFixUpdates },
+    { name: 'plugin', run: checkPlugin }
+  ];
+}
+
+module.exports = { createBackgroundChecks };
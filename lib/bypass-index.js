@@ -0,0 +1,90 @@
+const { parseReleaseFolder } = require('./release-assets');
+
+// Bypasses are release assets; a big one is split over several files, e.g. "812140 1 2.zip" and "812140_part1.zip",
+// or the volumes of one archive ("x.part1.rar", "x.7z.001", "x.z01" + "x.zip")
+
+// Files a bypass can be made of: archives and the volumes of split ones
+const BYPASS_FILE = /\.(zip|rar|7z|z\d{2}|\d{3})$/i;
+// The archive extension of a file name, with the volume number of a split archive
+const BYPASS_EXTENSION = /(\.part\d+\.rar|\.(zip|rar|7z)\.\d{3}|\.(zip|rar|7z|z\d{2}|\d{3}))$/i;
+
+const byFileName = (a, b) => a.filename.localeCompare(b.filename, undefined, { numeric: true });
+
+// One entry per bypass in a release's [[name, { size }]]: [{ id, appID, parts: [{ filename, size }], size }].
+// Files are grouped by the appID their names start with, and the old named files by their name
+// without a part number, which is their id; appID is null for those.
+function groupBypassAssets(assets) {
+  const groups = new Map();
+  for (const [name, asset] of assets) {
+    if (!BYPASS_FILE.test(name)) {
+      continue;
+    }
+    const baseName = name.replace(BYPASS_EXTENSION, '');
+    const appID = (baseName.match(/^(\d+)/) || [])[1] || null;
+    const id = appID || baseName.replace(/[\s_.-]*part\s*\d+$/i, '');
+    if (!groups.has(id)) {
+      groups.set(id, { id, appID, parts: [], size: 0 });
+    }
+    const group = groups.get(id);
+    group.parts.push({ filename: name, size: asset.size });
+    group.size += asset.size;
+  }
+  return [...groups.values()].map(group => ({ ...group, parts: group.parts.sort(byFileName) }));
+}
+
+// The bypasses of the bypasses mirrors that are GitHub releases, listed like the fix index. A bypass is
+// the one on the first mirror that has it, as its files are looked up in that order when downloading.
+function createBypassIndex({ sources, releaseAssets, maxAge = 30 * 60 * 1000 }) {
+  let index = null;
+  let building = null;
+
+  async function build(options) {
+    const bypasses = new Map();
+    const repositories = [];
+    for (const mirror of sources.list('bypasses')) {
+      const release = parseReleaseFolder(mirror);
+      if (!release) {
+        repositories.push({ mirror, listed: false, bypasses: 0, error: null });
+        continue;
+      }
+      try {
+        const found = groupBypassAssets(await releaseAssets.listRelease(release.owner, release.repo, release.tag, options));
+        for (const bypass of found) {
+          if (!bypasses.has(bypass.id)) {
+            bypasses.set(bypass.id, bypass);
+          }
+        }
+        repositories.push({ mirror, listed: true, bypasses: found.length, error: null });
+      } catch (error) {
+        console.error(`Error listing the bypasses of ${mirror}:`, error.message);
+        repositories.push({ mirror, listed: false, bypasses: 0, error: error.message });
+      }
+    }
+    console.log(`Indexed ${bypasses.size} bypasses from ${repositories.length} mirrors`);
+    return { bypasses: [...bypasses.values()], repositories, complete: repositories.every(repository => repository.listed), indexedAt: Date.now() };
+  }
+
+  // { bypasses: [{ id, appID, parts, size }], repositories: [{ mirror, listed, bypasses, error }], complete, indexedAt };
+  // rebuilt once older than maxAge, when the bypasses mirrors changed or with { refresh: true }
+  function get({ refresh = false } = {}) {
+    const mirrors = sources.list('bypasses');
+    const stale = !index || refresh || Date.now() - index.indexedAt > maxAge ||
+      index.repositories.map(repository => repository.mirror).join('\n') !== mirrors.join('\n');
+    if (!stale) {
+      return Promise.resolve(index);
+    }
+    if (!building) {
+      building = build({ refresh }).then((result) => {
+        index = result;
+        return result;
+      }).finally(() => {
+        building = null;
+      });
+    }
+    return building;
+  }
+
+  return { get };
+}
+
+module.exports = { createBypassIndex, groupBypassAssets };
@@ -0,0 +1,86 @@
+const fs = require('fs');
+
+// Bump when the layout of the history file changes
+const HISTORY_VERSION = 1;
+const MAX_ENTRIES = 200;
+
+// The games the catalog (appIDs.txt) had when it last loaded, and a dated history of the games
+// added to and removed from it since. Games added after the user last looked at the new games
+// (and still in the catalog) are "new since your last visit".
+// Without a history yet, baseline() may provide the previous catalog as [{ appID, name }].
+function createCatalogChangelog(filePath, { baseline = () => null } = {}) {
+  // games: appID -> name of the last catalog; entries: newest first
+  let state = load();
+
+  function load() {
+    try {
+      const saved = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+      if (saved.version === HISTORY_VERSION) {
+        return saved;
+      }
+      console.log(`Catalog history version ${saved.version} is not ${HISTORY_VERSION}, starting a new history`);
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        console.error('Error reading catalog history, starting a new history:', error.message);
+      }
+    }
+    return { version: HISTORY_VERSION, games: null, seenAt: 0, entries: [] };
+  }
+
+  function save() {
+    const tempPath = `${filePath}.tmp`;
+    fs.writeFileSync(tempPath, JSON.stringify(state), 'utf8');
+    fs.renameSync(tempPath, filePath);
+  }
+
+  // Compare the catalog that just loaded with the previous one: [{ appID, name }] in, the new
+  // history entry out (null when nothing changed, or on the first load, which only sets the baseline)
+  function record(games) {
+    const known = state.games ? null : baseline();
+    const previous = state.games || (known && Object.fromEntries(known.map(game => [game.appID, game.name])));
+    const current = Object.fromEntries(games.map(game => [game.appID, game.name]));
+    state.games = current;
+
+    let entry = null;
+    if (previous) {
+      const added = games.filter(game => !(game.appID in previous)).map(game => ({ appID: game.appID, name: game.name }));
+      const removed = Object.keys(previous).filter(appID => !(appID in current)).map(appID => ({ appID, name: previous[appID] }));
+      if (added.length > 0 || removed.length > 0) {
+        entry = { date: Date.now(), added, removed };
+        state.entries = [entry, ...state.entries].slice(0, MAX_ENTRIES);
+        console.log(`Catalog changed: ${added.length} added, ${removed.length} removed`);
+      }
+    }
+    save();
+    return entry;
+  }
+
+  // Games added since the user last looked at the new games, newest first: [{ appID, name, date }]
+  function newSinceLastVisit() {
+    const result = new Map();
+    for (const entry of state.entries) {
+      if (entry.date <= state.seenAt) {
+        break;
+      }
+      for (const game of entry.added) {
+        if (state.games && game.appID in state.games && !result.has(game.appID)) {
+          result.set(game.appID, { ...game, date: entry.date });
+        }
+      }
+    }
+    return [...result.values()];
+  }
+
+  function markSeen() {
+    state.seenAt = Date.now();
+    save();
+  }
+
+  function history() {
+    return state.entries;
+  }
+
+  return { record, newSinceLastVisit, markSeen, history };
+}
+
+module.exports = { createCatalogChangelog };
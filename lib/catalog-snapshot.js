@@ -0,0 +1,52 @@
+const fs = require('fs');
+
+const SNAPSHOT_FORMAT = 'online-fix-store-catalog';
+// Bump when the shape of the saved games changes; older snapshots are then ignored until the next successful load
+const SNAPSHOT_VERSION = 1;
+
+// The last catalog that loaded completely (every game with its Steam and co-op data), so the store
+// can start from it when the catalog can't be downloaded.
+function createCatalogSnapshot(filePath) {
+  // Read once; the file can be a few MB
+  let cached;
+
+  function load() {
+    if (cached === undefined) {
+      cached = null;
+      try {
+        const saved = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+        if (saved.format === SNAPSHOT_FORMAT && saved.version === SNAPSHOT_VERSION && Array.isArray(saved.games)) {
+          cached = saved;
+        } else {
+          console.log('Ignoring catalog snapshot of another version');
+        }
+      } catch (error) {
+        if (error.code !== 'ENOENT') {
+          console.error('Error reading catalog snapshot:', error.message);
+        }
+      }
+    }
+    return cached;
+  }
+
+  // incompleteAppIDs are games whose data couldn't be fetched this time; they keep what the previous snapshot had
+  function save(games, incompleteAppIDs = []) {
+    const previous = new Map((load() || { games: [] }).games.map(game => [game.appID, game]));
+    const incomplete = new Set(incompleteAppIDs);
+    const snapshot = {
+      format: SNAPSHOT_FORMAT,
+      version: SNAPSHOT_VERSION,
+      savedAt: Date.now(),
+      games: games.map(game => (incomplete.has(game.appID) && previous.get(game.appID)) || game)
+    };
+    const tempPath = `${filePath}.tmp`;
+    fs.writeFileSync(tempPath, JSON.stringify(snapshot), 'utf8');
+    fs.renameSync(tempPath, filePath);
+    cached = snapshot;
+    return snapshot.savedAt;
+  }
+
+  return { load, save };
+}
+
+module.exports = { createCatalogSnapshot };
@@ -0,0 +1,46 @@
+const { parseQuery } = require('./search/query');
+const { createSearchIndex, searchGames } = require('./search/engine');
+
+// The appIDs in appIDs.txt, one per line or comma-separated
+function parseAppIDs(text) {
+  return text.split(/[\n,]/).map(id => id.trim()).filter(id => id.length > 0);
+}
+
+// The store's games ([{ appID, name }]) for the command line and the background checks: the catalog source's appIDs.txt with names
+// from the Steam app index, or the games of the last catalog snapshot when appIDs.txt can't be downloaded.
+function createCatalog({ sources, steamApps, snapshot }) {
+  // { games, offline, savedAt }
+  async function load() {
+    try {
+      const appIDs = parseAppIDs(await sources.fetchText('catalog', 'appIDs.txt'));
+      if (appIDs.length === 0) {
+        throw new Error('No App IDs found');
+      }
+      let names = {};
+      try {
+        names = await steamApps.getNames(appIDs.filter(appID => /^\d+$/.test(appID)));
+      } catch (error) {
+        console.error('Error looking up Steam app names:', error.message);
+      }
+      return { games: appIDs.map(appID => ({ appID, name: names[appID] || `Game ${appID}` })), offline: false, savedAt: null };
+    } catch (error) {
+      const saved = snapshot.load();
+      if (!saved) {
+        throw error;
+      }
+      console.log(`Catalog unavailable (${error.message}), using the snapshot of ${new Date(saved.savedAt).toISOString()}`);
+      return { games: saved.games.map(game => ({ appID: game.appID, name: game.name })), offline: true, savedAt: saved.savedAt };
+    }
+  }
+
+  // Games matching the query in the store's search language, best first. The catalog only has names and
+  // appIDs, so filters on anything else (tags, ratings, favorites...) match nothing.
+  function search(games, query, { limit = 20 } = {}) {
+    const context = { ratings: {}, favorites: [], downloadedAppIDs: new Set(), newAppIDs: new Set() };
+    return searchGames(createSearchIndex(games), parseQuery(query), context).slice(0, limit);
+  }
+
+  return { load, search };
+}
+
+module.exports = { createCatalog, parseAppIDs };
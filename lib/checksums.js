@@ -0,0 +1,109 @@
+const fs = require('fs');
+const crypto = require('crypto');
+const httpClient = require('./http-client');
+
+// Checksum manifests looked for next to a release asset, in this order
+const MANIFEST_NAMES = ['checksums.json', 'SHA256SUMS'];
+
+function checksumError(code, message) {
+  const error = new Error(message);
+  error.code = code;
+  return error;
+}
+
+// SHA-256 of a file, streamed so large archives are not loaded into memory
+function hashFileStream(filePath) {
+  return new Promise((resolve, reject) => {
+    const hash = crypto.createHash('sha256');
+    fs.createReadStream(filePath)
+      .on('data', chunk => hash.update(chunk))
+      .on('end', () => resolve(hash.digest('hex')))
+      .on('error', reject);
+  });
+}
+
+// "<sha256>  <file>" lines as written by sha256sum (binary mode marks the name with "*")
+function parseSha256Sums(text) {
+  const sums = {};
+  for (const line of text.split(/\r?\n/)) {
+    const match = /^([a-fA-F0-9]{64})\s+\*?(.+)$/.exec(line.trim());
+    if (match) {
+      sums[match[2].trim()] = match[1].toLowerCase();
+    }
+  }
+  return sums;
+}
+
+// Either { "<file>": "<sha256>" } or { "<file>": { "sha256": "<sha256>" } }, optionally under "files"
+function parseChecksumsJson(text) {
+  const data = JSON.parse(text);
+  const entries = data.files || data;
+  const sums = {};
+  for (const [name, value] of Object.entries(entries)) {
+    const sha256 = typeof value === 'string' ? value : value && value.sha256;
+    if (/^[a-fA-F0-9]{64}$/.test(sha256 || '')) {
+      sums[name] = sha256.toLowerCase();
+    }
+  }
+  return sums;
+}
+
+// Split a release download URL into the release folder and the asset name
+function splitAssetUrl(assetUrl) {
+  const parsed = new URL(assetUrl);
+  const slash = parsed.pathname.lastIndexOf('/');
+  return {
+    releaseUrl: `${parsed.origin}${parsed.pathname.slice(0, slash + 1)}`,
+    assetName: decodeURIComponent(parsed.pathname.slice(slash + 1))
+  };
+}
+
+// Look up the published SHA-256 of a release asset.
+// Throws with code CHECKSUM_MISSING when the release has no manifest or the manifest doesn't list the asset.
+async function fetchExpectedChecksum(assetUrl) {
+  const { releaseUrl, assetName } = splitAssetUrl(assetUrl);
+  const searched = [];
+
+  for (const manifestName of MANIFEST_NAMES) {
+    let text;
+    try {
+      text = await httpClient.fetchText(`${releaseUrl}${manifestName}`, { retries: 2 });
+    } catch (error) {
+      if (error.statusCode === 404) {
+        continue;
+      }
+      throw error;
+    }
+
+    const sums = manifestName.endsWith('.json') ? parseChecksumsJson(text) : parseSha256Sums(text);
+    if (sums[assetName]) {
+      return { sha256: sums[assetName], manifest: manifestName };
+    }
+    searched.push(manifestName);
+  }
+
+  throw checksumError('CHECKSUM_MISSING', searched.length > 0
+    ? `${assetName} is not listed in the release's ${searched.join(' or ')}`
+    : `No checksum was published for ${assetName}`);
+}
+
+// Compare a downloaded file with the expected checksum.
+// Throws with code CHECKSUM_MISMATCH when they differ.
+async function verifyFile(filePath, expected) {
+  const actual = await hashFileStream(filePath);
+  if (actual !== expected.sha256) {
+    const error = checksumError('CHECKSUM_MISMATCH', `Checksum mismatch: expected ${expected.sha256}, got ${actual}. The download is corrupt or was tampered with.`);
+    error.expected = expected.sha256;
+    error.actual = actual;
+    throw error;
+  }
+  return { status: 'verified', sha256: actual, manifest: expected.manifest };
+}
+
+module.exports = {
+  fetchExpectedChecksum,
+  verifyFile,
+  hashFileStream,
+  parseSha256Sums,
+  parseChecksumsJson
+};
@@ -0,0 +1,231 @@
+const fs = require('fs');
+const path = require('path');
+const util = require('util');
+
+// Exit codes of the command line, for scripts to branch on
+const EXIT_CODES = {
+  OK: 0,
+  FAILED: 1,
+  USAGE: 2,
+  NOT_FOUND: 3,
+  VERIFICATION_FAILED: 4
+};
+
+const USAGE = [
+  'Usage: online-fix-store --cli <command> [options]',
+  '',
+  'Commands:',
+  '  list [--installed]                          Games in the store (or only those with a fix installed)',
+  '  search <query> [--limit <n>]                Games matching the query, searched like the store\'s search box',
+  '  install <appid> [--dir <folder>] [--allow-unverified]',
+  '                                              Download and apply a fix, into the Steam game folder unless --dir is given',
+  '  uninstall <appid>                           Remove a fix and restore the files it replaced',
+  '  update-plugin                               Update the OnlineFix plugin\'s appIDs.txt',
+  '  status [--check-updates]                    Steam, the plugin and the installed fixes',
+  '  sources [--check]                           The mirrors of each data source and how they last answered',
+  '',
+  'Options:',
+  '  --verbose                                   Log progress to stderr',
+  '',
+  'The result is written to stdout as JSON: { "success": true, ... } or { "success": false, "error": ... }.',
+  `Exit codes: ${EXIT_CODES.OK} success, ${EXIT_CODES.FAILED} failure, ${EXIT_CODES.USAGE} bad command or arguments, ` +
+    `${EXIT_CODES.NOT_FOUND} game, fix, folder, Steam or plugin not found, ${EXIT_CODES.VERIFICATION_FAILED} checksum missing or wrong.`
+].join('\n');
+
+// Steam appIDs, as the IPC handlers accept them
+const APP_ID = /^\d{1,12}$/;
+// Flags that take a value; every other --flag is a switch
+const VALUE_FLAGS = ['dir', 'limit'];
+
+function cliError(message, exitCode) {
+  const error = new Error(message);
+  error.exitCode = exitCode;
+  return error;
+}
+
+// The arguments after --cli, or null when the app was started normally
+function cliArguments(argv) {
+  const index = argv.indexOf('--cli');
+  return index === -1 ? null : argv.slice(index + 1);
+}
+
+// { command, positional, flags } of e.g. ['install', '123', '--dir', 'D:\\Games\\X']
+function parseArguments(args) {
+  const positional = [];
+  const flags = {};
+  for (let i = 0; i < args.length; i++) {
+    const match = /^--([a-z-]+)(?:=(.*))?$/.exec(args[i]);
+    if (!match) {
+      positional.push(args[i]);
+    } else if (VALUE_FLAGS.includes(match[1])) {
+      const value = match[2] !== undefined ? match[2] : args[++i];
+      if (value === undefined) {
+        throw cliError(`--${match[1]} needs a value`, EXIT_CODES.USAGE);
+      }
+      flags[match[1]] = value;
+    } else {
+      flags[match[1]] = true;
+    }
+  }
+  return { command: positional.shift() || null, positional, flags };
+}
+
+function requireAppID(appID) {
+  if (!APP_ID.test(appID || '')) {
+    throw cliError(appID ? `"${appID}" is not a Steam appID` : 'Expected a Steam appID', EXIT_CODES.USAGE);
+  }
+  return appID;
+}
+
+// Exit code of a failed command: checksum problems and things that aren't there have their own
+function exitCodeFor(error) {
+  if (error.exitCode) {
+    return error.exitCode;
+  }
+  if (error.code === 'CHECKSUM_MISSING' || error.code === 'CHECKSUM_MISMATCH') {
+    return EXIT_CODES.VERIFICATION_FAILED;
+  }
+  if (error.code === 'STEAM_NOT_FOUND' || error.code === 'PLUGIN_NOT_FOUND') {
+    return EXIT_CODES.NOT_FOUND;
+  }
+  return EXIT_CODES.FAILED;
+}
+
+// The commands, each resolving with the fields of its JSON result
+function createCommands({ catalog, fixInstaller, manifests, steamLocator, onlinefixPlugin, sources }) {
+  return {
+    async list(positional, flags) {
+      const installed = new Set(manifests.listManifests().filter(manifest => manifest.kind === 'fix').map(manifest => manifest.appID));
+      const { games, offline, savedAt } = await catalog.load();
+      const result = games
+        .map(game => ({ ...game, installed: installed.has(game.appID) }))
+        .filter(game => !flags.installed || game.installed);
+      return { games: result, total: result.length, offline, savedAt };
+    },
+
+    async search(positional, flags) {
+      const query = positional.join(' ');
+      if (!query.trim()) {
+        throw cliError('Expected a search query', EXIT_CODES.USAGE);
+      }
+      const limit = flags.limit === undefined ? 20 : Number(flags.limit);
+      if (!Number.isInteger(limit) || limit < 1) {
+        throw cliError('--limit must be a positive whole number', EXIT_CODES.USAGE);
+      }
+      const { games, offline } = await catalog.load();
+      return { query, results: catalog.search(games, query, { limit }), offline };
+    },
+
+    async install([appID], flags) {
+      requireAppID(appID);
+
+      let targetFolder;
+      if (typeof flags.dir === 'string') {
+        targetFolder = path.resolve(flags.dir);
+        if (!fs.existsSync(targetFolder) || !fs.statSync(targetFolder).isDirectory()) {
+          throw cliError(`${targetFolder} is not a folder`, EXIT_CODES.NOT_FOUND);
+        }
+      } else {
+        const game = await steamLocator.findGame(appID);
+        if (!game) {
+          throw cliError(`${appID} is not installed in any Steam library; pass --dir <game folder>`, EXIT_CODES.NOT_FOUND);
+        }
+        targetFolder = game.installDir;
+      }
+
+      const url = await fixInstaller.findFixUrl(appID);
+      if (!url) {
+        throw cliError(`No fix found for ${appID}`, EXIT_CODES.NOT_FOUND);
+      }
+
+      const { installId, verification } = await fixInstaller.prepare({
+        url,
+        targetFolder,
+        appID,
+        fileName: `${appID}.zip`,
+        allowUnverified: flags['allow-unverified'] === true
+      });
+      const manifest = await fixInstaller.confirm(installId);
+      return {
+        appID,
+        targetFolder,
+        added: manifest.files.added.length,
+        overwritten: manifest.files.overwritten.length,
+        verification: verification.status,
+        sha256: verification.sha256
+      };
+    },
+
+    async uninstall([appID]) {
+      requireAppID(appID);
+      if (!manifests.getManifest(appID)) {
+        throw cliError(`No fix is installed for ${appID}`, EXIT_CODES.NOT_FOUND);
+      }
+      return fixInstaller.uninstall(appID);
+    },
+
+    async 'update-plugin'() {
+      return { path: await onlinefixPlugin.updateAppIDs(sources) };
+    },
+
+    async status(positional, flags) {
+      const { steamRoots, pluginPath } = await onlinefixPlugin.findPlugin();
+      const result = {
+        steam: { found: steamRoots.length > 0, roots: steamRoots },
+        plugin: { found: !!pluginPath, path: pluginPath },
+        fixes: await fixInstaller.listInstalled()
+      };
+      if (flags['check-updates']) {
+        const { updates, failed } = await fixInstaller.checkUpdates();
+        result.updates = updates;
+        result.updateChecksFailed = failed;
+      }
+      return result;
+    },
+
+    async sources(positional, flags) {
+      return { sources: flags.check ? await sources.check() : sources.status() };
+    }
+  };
+}
+
+// Run one command and resolve with its exit code. The result goes to stdout as JSON; what the
+// modules log goes to stderr with --verbose and is dropped otherwise, so stdout stays parseable.
+async function runCli(args, services, { stdout = process.stdout, stderr = process.stderr } = {}) {
+  const write = (result) => stdout.write(`${JSON.stringify(result, null, 2)}\n`);
+  let command = null;
+  try {
+    const parsed = parseArguments(args);
+    command = parsed.command;
+
+    const log = parsed.flags.verbose ? (...items) => stderr.write(`${util.format(...items)}\n`) : () => {};
+    console.log = log;
+    console.info = log;
+    console.warn = log;
+    console.error = log;
+
+    if (command === 'help' || parsed.flags.help) {
+      stderr.write(`${USAGE}\n`);
+      return EXIT_CODES.OK;
+    }
+    const commands = createCommands(services);
+    if (!command) {
+      throw cliError('Expected a command', EXIT_CODES.USAGE);
+    }
+    if (!Object.prototype.hasOwnProperty.call(commands, command)) {
+      throw cliError(`Unknown command "${command}"`, EXIT_CODES.USAGE);
+    }
+
+    write({ success: true, command, ...(await commands[command](parsed.positional, parsed.flags)) });
+    return EXIT_CODES.OK;
+  } catch (error) {
+    const exitCode = exitCodeFor(error);
+    write({ success: false, command, error: error.message, code: error.code || null });
+    if (exitCode === EXIT_CODES.USAGE) {
+      stderr.write(`${USAGE}\n`);
+    }
+    return exitCode;
+  }
+}
+
+module.exports = { runCli, cliArguments, EXIT_CODES };
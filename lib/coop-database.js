@@ -0,0 +1,171 @@
+const { normalizeName, editDistance, bigrams } = require('./text-match');
+
+// A user's correction as co-op data in the database's own shape; 0 players means no co-op that way
+function applyCorrection(data, correction) {
+  const { onlinePlayers, localPlayers, campaign } = correction;
+  return {
+    ...data,
+    maxPlayers: Math.max(onlinePlayers, localPlayers) || null,
+    onlineCoop: onlinePlayers > 0,
+    onlineCoopPlayers: onlinePlayers > 0 ? `${onlinePlayers} Players` : null,
+    localCoop: localPlayers > 0,
+    localCoopPlayers: localPlayers > 0 ? `${localPlayers} Players` : null,
+    coopCampaign: campaign,
+    corrected: true
+  };
+}
+
+// The corrections (appID -> { name, onlinePlayers, localPlayers, campaign }) in the form the README
+// asks contributors to send them in
+function formatCorrectionReport(corrections, date = new Date()) {
+  const lines = [`Co-Op information corrections (Online Fix Store, ${date.toISOString().slice(0, 10)})`];
+  for (const [appID, correction] of Object.entries(corrections)) {
+    lines.push(
+      '',
+      `- Game Name: ${correction.name} (App ID ${appID})`,
+      `- Max Number of Players - Online: ${correction.onlinePlayers} - Local: ${correction.localPlayers} - Campaign Mode: ${correction.campaign ? 'Yes' : 'No'}`
+    );
+  }
+  return `${lines.join('\n')}\n`;
+}
+
+// Co-op details of the store's games from the catalog source's coopData.json ({ games: { "<name>": { maxPlayers, onlineCoop, ... } } }),
+// downloaded once and refreshed in the background once older than maxAge. Games are found by appID when
+// the database has one, otherwise by name: as written, then ignoring case, punctuation and ™/® marks,
+// then a typo or two away. corrections() returns the user's own corrections, which win over the database.
+function createCoopDatabase({ sources, maxAge = 6 * 60 * 60 * 1000, corrections = () => ({}) }) {
+  let byAppID = new Map();
+  let byName = new Map();
+  let byKey = new Map(); // normalizeName() of each name
+  let fetchedAt = 0;
+  let loading = null;
+  // appID -> { record, match } of games found by name, so each game is searched for only once
+  const nameMatches = new Map();
+
+  function setDatabase(data) {
+    byAppID = new Map();
+    byName = new Map();
+    byKey = new Map();
+    nameMatches.clear();
+
+    const games = data && typeof data.games === 'object' ? data.games : {};
+    for (const [name, entry] of Object.entries(games)) {
+      if (!entry || typeof entry !== 'object') {
+        continue;
+      }
+      const appID = entry.appID || entry.appid || entry.steamAppID || (/^\d+$/.test(name) ? name : null);
+      const record = { name: typeof entry.name === 'string' ? entry.name : name, data: entry };
+      if (appID) {
+        byAppID.set(String(appID), record);
+      }
+      byName.set(record.name, record);
+      const key = normalizeName(record.name);
+      if (key && !byKey.has(key)) {
+        byKey.set(key, record);
+      }
+    }
+  }
+
+  async function load() {
+    const data = await sources.fetchJson('catalog', 'coopData.json', { timeout: 60000 });
+    setDatabase(data);
+    fetchedAt = Date.now();
+    console.log(`Loaded co-op data of ${byName.size} games (${byAppID.size} by appID)`);
+  }
+
+  // Resolves once there is a database to answer from; a stale one answers while the new one downloads
+  function ready() {
+    if (!loading && Date.now() - fetchedAt > maxAge) {
+      loading = load().finally(() => {
+        loading = null;
+      });
+      if (fetchedAt > 0) {
+        loading.catch(error => console.error('Error refreshing co-op data, keeping the loaded copy:', error.message));
+        return Promise.resolve();
+      }
+    }
+    return fetchedAt > 0 ? Promise.resolve() : loading;
+  }
+
+  // Closest name a typo or two away. Numbers have to match exactly, so "Portal 2" is never taken for "Portal 3".
+  function findSimilar(key) {
+    const maxDistance = key.length < 6 ? 0 : key.length < 12 ? 1 : 2;
+    if (maxDistance === 0) {
+      return null;
+    }
+    const digits = key.replace(/\D/g, '');
+    const pairs = bigrams(key);
+    let best = null;
+    let bestDistance = maxDistance + 1;
+    for (const [candidate, record] of byKey) {
+      if (Math.abs(candidate.length - key.length) > maxDistance || candidate.replace(/\D/g, '') !== digits) {
+        continue;
+      }
+      let shared = 0;
+      for (const pair of pairs) {
+        if (candidate.includes(pair)) {
+          shared++;
+        }
+      }
+      if (shared < pairs.length - 3 * maxDistance) {
+        continue;
+      }
+      const distance = editDistance(key, candidate, maxDistance);
+      if (distance < bestDistance) {
+        best = record;
+        bestDistance = distance;
+      }
+    }
+    return best;
+  }
+
+  // { record, match } where match says how the game was found: 'appID', 'name', 'normalized' or 'similar'
+  function lookup(appID, name) {
+    if (byAppID.has(appID)) {
+      return { record: byAppID.get(appID), match: 'appID' };
+    }
+    if (!nameMatches.has(appID)) {
+      const key = normalizeName(name || '');
+      let found = { record: null, match: null };
+      if (name && byName.has(name)) {
+        found = { record: byName.get(name), match: 'name' };
+      } else if (key && byKey.has(key)) {
+        found = { record: byKey.get(key), match: 'normalized' };
+      } else if (key) {
+        const record = findSimilar(key);
+        found = { record, match: record && 'similar' };
+      }
+      nameMatches.set(appID, found);
+    }
+    return nameMatches.get(appID);
+  }
+
+  // appID -> co-op data (null when there is none) for [{ appID, name }]. Data found under another
+  // name carries it as matchedName; corrected data is marked corrected. Without a database (offline),
+  // only corrections are returned.
+  async function find(games) {
+    try {
+      await ready();
+    } catch (error) {
+      console.error('Error loading co-op data:', error.message);
+    }
+    const userCorrections = corrections();
+    const result = {};
+    for (const { appID, name } of games) {
+      const { record, match } = lookup(appID, name);
+      let data = record ? { ...record.data } : null;
+      if (data && (match === 'normalized' || match === 'similar')) {
+        data.matchedName = record.name;
+      }
+      if (userCorrections[appID]) {
+        data = applyCorrection(data || {}, userCorrections[appID]);
+      }
+      result[appID] = data;
+    }
+    return result;
+  }
+
+  return { ready, find };
+}
+
+module.exports = { createCoopDatabase, formatCorrectionReport };
@@ -0,0 +1,105 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const archiver = require('archiver');
+
+// Swap personal details in a string for placeholders: the home folder, the user name in any
+// Users/home path, the computer's name and credentials in URLs (e.g. a proxy's)
+function createRedactor({ homeDir = os.homedir(), hostName = os.hostname() } = {}) {
+  const escape = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+  const patterns = [];
+  if (homeDir) {
+    // Either kind of slash, as paths show up both ways
+    const segments = homeDir.split(/[\\/]+/).filter(Boolean).map(escape);
+    const leading = /^[\\/]/.test(homeDir) ? '[\\\\/]' : '';
+    patterns.push([new RegExp(`${leading}${segments.join('[\\\\/]+')}(?![\\w-])`, process.platform === 'win32' ? 'gi' : 'g'), '<home>']);
+  }
+  // A user name may have spaces when a slash follows it
+  const userName = '(?:[^\\\\/"\'\\r\\n]+?(?=[\\\\/])|[^\\\\/"\'\\s]+)';
+  patterns.push([new RegExp(`([a-z]:[\\\\/]+(?:users|documents and settings)[\\\\/]+)${userName}`, 'gi'), '$1<user>']);
+  patterns.push([new RegExp(`(/(?:home|Users)/)${userName}`, 'g'), '$1<user>']);
+  patterns.push([/(\b[a-z][a-z0-9+.-]*:\/\/)[^/@\s"']+@/gi, '$1<credentials>@']);
+  if (hostName && hostName.length >= 3) {
+    patterns.push([new RegExp(`\\b${escape(hostName)}\\b`, 'gi'), '<computer>']);
+  }
+
+  const redactString = (text) => patterns.reduce((result, [pattern, replacement]) => result.replace(pattern, replacement), text);
+
+  // Strings anywhere in a JSON-like value
+  function redact(value) {
+    if (typeof value === 'string') {
+      return redactString(value);
+    }
+    if (Array.isArray(value)) {
+      return value.map(redact);
+    }
+    if (value && typeof value === 'object') {
+      return Object.fromEntries(Object.entries(value).map(([key, item]) => [key, redact(item)]));
+    }
+    return value;
+  }
+
+  return redact;
+}
+
+// Write a zip for a problem report to destPath: the recent logs, the app and system versions, the
+// Steam installations found and the install manifests, all with personal paths redacted.
+// Resolves with the names of the files in it.
+async function createDiagnosticsBundle(destPath, { logger, manifests, steamLocator, onlinefixPlugin, sources, appInfo }) {
+  const redact = createRedactor();
+  const files = [];
+  const archive = archiver('zip', { zlib: { level: 9 } });
+  const output = fs.createWriteStream(destPath);
+  const closed = new Promise((resolve, reject) => {
+    output.on('close', resolve);
+    output.on('error', reject);
+    archive.on('error', reject);
+  });
+  archive.pipe(output);
+
+  const add = (name, content) => {
+    archive.append(typeof content === 'string' ? content : `${JSON.stringify(content, null, 2)}\n`, { name });
+    files.push(name);
+  };
+
+  add('system.json', {
+    createdAt: new Date().toISOString(),
+    app: appInfo,
+    versions: { electron: process.versions.electron, chrome: process.versions.chrome, node: process.versions.node },
+    os: { platform: process.platform, type: os.type(), release: os.release(), arch: os.arch() },
+    memory: { total: os.totalmem(), free: os.freemem() },
+    cpus: os.cpus().length,
+    locale: appInfo.locale
+  });
+
+  // Each log line is an entry; lines that don't parse are left out rather than risk leaking something
+  for (const file of logger.files()) {
+    const lines = fs.readFileSync(file, 'utf8').split('\n').filter(Boolean).map(line => {
+      try {
+        return JSON.stringify(redact(JSON.parse(line)));
+      } catch {
+        return null;
+      }
+    }).filter(Boolean);
+    add(`logs/${path.basename(file)}`, `${lines.join('\n')}\n`);
+  }
+
+  try {
+    const { steamRoots, pluginPath } = await onlinefixPlugin.findPlugin();
+    add('steam.json', redact({
+      steamRoots: steamRoots.map(root => ({ path: root, libraries: steamLocator.getLibraryFolders(root) })),
+      pluginPath
+    }));
+  } catch (error) {
+    add('steam.json', { error: redact(error.message) });
+  }
+
+  add('installs.json', redact(manifests.listManifests()));
+  add('sources.json', redact(sources.status()));
+
+  await archive.finalize();
+  await closed;
+  return files;
+}
+
+module.exports = { createDiagnosticsBundle, createRedactor };
@@ -0,0 +1,279 @@
+const fs = require('fs');
+const httpClient = require('./http-client');
+
+const MAX_ATTEMPTS = 4;
+const RETRY_DELAY = 2000;
+const PROGRESS_INTERVAL = 250;
+
+function cancelledError() {
+  const error = new Error('Download cancelled');
+  error.cancelled = true;
+  return error;
+}
+
+function readJson(filePath) {
+  try {
+    return JSON.parse(fs.readFileSync(filePath, 'utf8'));
+  } catch {
+    return null;
+  }
+}
+
+// Queue of file downloads with live progress, cancel and HTTP Range resume.
+// Partial data is kept in <destPath>.part (plus a .part.json sidecar with the
+// validators) so an interrupted transfer continues where it stopped, even after a restart.
+function createDownloadManager({ concurrency = 2, onUpdate = () => {} } = {}) {
+  const jobs = new Map();
+  const queue = [];
+  let active = 0;
+  let nextId = 1;
+
+  function snapshot(job) {
+    return {
+      id: job.id,
+      appID: job.appID,
+      label: job.label,
+      state: job.state,
+      receivedBytes: job.receivedBytes,
+      totalBytes: job.totalBytes,
+      speed: job.speed,
+      eta: job.speed > 0 && job.totalBytes ? Math.round((job.totalBytes - job.receivedBytes) / job.speed) : null,
+      resumed: job.resumed,
+      error: job.error
+    };
+  }
+
+  function emit(job, force = false) {
+    const now = Date.now();
+    if (!force && now - job.lastEmit < PROGRESS_INTERVAL) {
+      return;
+    }
+
+    // Exponential moving average keeps the speed readout from jumping around
+    const elapsed = (now - job.lastSampleTime) / 1000;
+    if (elapsed > 0 && job.state === 'downloading') {
+      const instant = (job.receivedBytes - job.lastSampleBytes) / elapsed;
+      job.speed = job.speed ? job.speed * 0.7 + instant * 0.3 : instant;
+    }
+    job.lastSampleTime = now;
+    job.lastSampleBytes = job.receivedBytes;
+    job.lastEmit = now;
+
+    onUpdate(snapshot(job));
+  }
+
+  async function transfer(job) {
+    const partPath = `${job.destPath}.part`;
+    const metaPath = `${partPath}.json`;
+    const meta = readJson(metaPath);
+    let offset = 0;
+
+    if (meta && meta.url === job.url && fs.existsSync(partPath)) {
+      offset = fs.statSync(partPath).size;
+    }
+
+    const headers = {};
+    if (offset > 0) {
+      headers.Range = `bytes=${offset}-`;
+      // Only resume if the file on the server is still the one we started with
+      if (meta.etag || meta.lastModified) {
+        headers['If-Range'] = meta.etag || meta.lastModified;
+      }
+    }
+
+    job.controller = new AbortController();
+    const response = await httpClient.request(job.url, {
+      headers,
+      signal: job.controller.signal,
+      okStatuses: [200, 206, 416]
+    });
+
+    if (job.state === 'cancelled') {
+      response.resume();
+      throw cancelledError();
+    }
+
+    if (response.statusCode === 416 && meta && meta.totalBytes === offset) {
+      // Everything was already on disk
+      response.resume();
+      job.receivedBytes = offset;
+      job.totalBytes = offset;
+      return partPath;
+    }
+
+    let append = false;
+    if (response.statusCode === 206) {
+      append = true;
+      job.resumed = true;
+      const range = /\/(\d+)$/.exec(response.headers['content-range'] || '');
+      job.totalBytes = range ? parseInt(range[1], 10) : null;
+      console.log(`Resuming ${job.label} at ${offset} bytes`);
+    } else if (response.statusCode === 200) {
+      offset = 0;
+      job.totalBytes = response.headers['content-length'] ? parseInt(response.headers['content-length'], 10) : null;
+    } else {
+      // 416 without a complete partial file: drop it and start over on the next attempt
+      response.resume();
+      fs.rmSync(partPath, { force: true });
+      throw new Error('Server rejected the resume request');
+    }
+
+    job.receivedBytes = offset;
+    fs.writeFileSync(metaPath, JSON.stringify({
+      url: job.url,
+      etag: response.headers.etag || null,
+      lastModified: response.headers['last-modified'] || null,
+      totalBytes: job.totalBytes
+    }), 'utf8');
+
+    await new Promise((resolve, reject) => {
+      const file = fs.createWriteStream(partPath, { flags: append ? 'a' : 'w' });
+
+      const body = response.pipe(httpClient.throttle());
+
+      body.on('data', (chunk) => {
+        job.receivedBytes += chunk.length;
+        emit(job);
+      });
+      response.on('aborted', () => file.destroy(new Error('Connection lost')));
+      response.on('error', (err) => file.destroy(err));
+      file.on('error', reject);
+      file.on('finish', resolve);
+      body.pipe(file);
+    });
+
+    if (job.state === 'cancelled') {
+      throw cancelledError();
+    }
+
+    if (job.totalBytes && job.receivedBytes < job.totalBytes) {
+      throw new Error(`Download incomplete (${job.receivedBytes} of ${job.totalBytes} bytes)`);
+    }
+
+    return partPath;
+  }
+
+  async function run(job) {
+    job.state = 'downloading';
+    job.lastSampleTime = Date.now();
+    emit(job, true);
+
+    for (let attempt = 1; ; attempt++) {
+      try {
+        const partPath = await transfer(job);
+        fs.renameSync(partPath, job.destPath);
+        fs.rmSync(`${partPath}.json`, { force: true });
+
+        job.state = 'completed';
+        job.speed = 0;
+        emit(job, true);
+        return { path: job.destPath, bytes: job.receivedBytes };
+      } catch (error) {
+        if (job.state === 'cancelled' || error.cancelled) {
+          throw cancelledError();
+        }
+        if (attempt >= MAX_ATTEMPTS) {
+          throw error;
+        }
+        // Whatever made it to disk is kept, the next attempt asks only for the rest
+        console.log(`Download of ${job.label} interrupted (${error.message}), retrying (${attempt}/${MAX_ATTEMPTS - 1})...`);
+        job.state = 'retrying';
+        emit(job, true);
+        await new Promise(resolve => setTimeout(resolve, RETRY_DELAY * attempt));
+        if (job.state === 'cancelled') {
+          throw cancelledError();
+        }
+        job.state = 'downloading';
+      }
+    }
+  }
+
+  function pump() {
+    while (active < concurrency && queue.length > 0) {
+      const job = queue.shift();
+      active++;
+
+      run(job)
+        .then(job.resolve, (error) => {
+          if (error.cancelled) {
+            fs.rmSync(`${job.destPath}.part`, { force: true });
+            fs.rmSync(`${job.destPath}.part.json`, { force: true });
+          } else {
+            job.state = 'failed';
+            job.error = error.message;
+            emit(job, true);
+          }
+          job.reject(error);
+        })
+        .finally(() => {
+          active--;
+          // Finished entries stay listed for a moment so the UI can show the outcome
+          setTimeout(() => jobs.delete(job.id), 10000);
+          pump();
+        });
+    }
+  }
+
+  // Add a download to the queue; resolves with { path, bytes } once the file is complete
+  function enqueue({ url, destPath, label, appID = null }) {
+    const job = {
+      id: nextId++,
+      url,
+      destPath,
+      label: label || destPath,
+      appID,
+      state: 'queued',
+      receivedBytes: 0,
+      totalBytes: null,
+      speed: 0,
+      resumed: false,
+      error: null,
+      controller: null,
+      lastEmit: 0,
+      lastSampleTime: Date.now(),
+      lastSampleBytes: 0
+    };
+
+    job.promise = new Promise((resolve, reject) => {
+      job.resolve = resolve;
+      job.reject = reject;
+    });
+
+    jobs.set(job.id, job);
+    queue.push(job);
+    emit(job, true);
+    pump();
+
+    return job.promise;
+  }
+
+  function cancel(id) {
+    const job = jobs.get(id);
+    if (!job || ['completed', 'failed', 'cancelled'].includes(job.state)) {
+      return false;
+    }
+
+    const queued = job.state === 'queued';
+    job.state = 'cancelled';
+    emit(job, true);
+
+    if (queued) {
+      queue.splice(queue.indexOf(job), 1);
+      job.reject(cancelledError());
+      setTimeout(() => jobs.delete(job.id), 10000);
+    } else if (job.controller) {
+      job.controller.abort();
+    }
+
+    console.log('Download cancelled:', job.label);
+    return true;
+  }
+
+  function list() {
+    return [...jobs.values()].map(snapshot);
+  }
+
+  return { enqueue, cancel, list };
+}
+
+module.exports = { createDownloadManager };
@@ -0,0 +1,481 @@
+const fs = require('fs');
+const path = require('path');
+const { execFile } = require('child_process');
+const { promisify } = require('util');
+const { pipeline } = require('stream/promises');
+const { Transform } = require('stream');
+const yauzl = require('yauzl');
+
+const execFileAsync = promisify(execFile);
+
+// Refuse archives that would unpack to more than this, whatever their compressed size
+const DEFAULT_LIMITS = {
+  maxFiles: 20000,
+  maxTotalBytes: 4 * 1024 * 1024 * 1024
+};
+
+const programFiles = [
+  process.env.ProgramFiles || 'C:\\Program Files',
+  process.env['ProgramFiles(x86)'] || 'C:\\Program Files (x86)'
+];
+
+function unsafeArchive(message) {
+  const error = new Error(`Unsafe archive: ${message}`);
+  error.code = 'UNSAFE_ARCHIVE';
+  return error;
+}
+
+// Work out the format from the file's magic bytes, falling back to the extension
+function detectFormat(archivePath) {
+  const header = Buffer.alloc(8);
+  const fd = fs.openSync(archivePath, 'r');
+  try {
+    fs.readSync(fd, header, 0, header.length, 0);
+  } finally {
+    fs.closeSync(fd);
+  }
+
+  if (header.subarray(0, 4).equals(Buffer.from([0x50, 0x4b, 0x03, 0x04]))) {
+    return 'zip';
+  }
+  if (header.subarray(0, 6).equals(Buffer.from([0x37, 0x7a, 0xbc, 0xaf, 0x27, 0x1c]))) {
+    return '7z';
+  }
+  if (header.subarray(0, 6).toString('latin1') === 'Rar!\x1a\x07') {
+    return 'rar';
+  }
+  return path.extname(archivePath).slice(1).toLowerCase();
+}
+
+// First match for any of the names on PATH, then in the given install locations
+function findExecutable(names, candidates = []) {
+  const extensions = process.platform === 'win32'
+    ? (process.env.PATHEXT || '.EXE;.CMD;.BAT').split(';').map(ext => ext.toLowerCase())
+    : [''];
+  const dirs = (process.env.PATH || '').split(path.delimiter).filter(Boolean);
+
+  for (const dir of dirs) {
+    for (const name of names) {
+      for (const ext of extensions) {
+        const candidate = path.join(dir, name + ext);
+        if (fs.existsSync(candidate) && fs.statSync(candidate).isFile()) {
+          return candidate;
+        }
+      }
+    }
+  }
+
+  return candidates.find(candidate => fs.existsSync(candidate)) || null;
+}
+
+// Check one archive entry name; returns the normalized relative path
+function validateEntryPath(name, destDir) {
+  if (!name || name.includes('\0')) {
+    throw unsafeArchive(`invalid entry name ${JSON.stringify(name)}`);
+  }
+  const normalized = name.replace(/\\/g, '/');
+  if (normalized.startsWith('/') || /^[a-zA-Z]:/.test(normalized)) {
+    throw unsafeArchive(`absolute path ${name}`);
+  }
+  if (normalized.split('/').includes('..')) {
+    throw unsafeArchive(`path escapes the extraction folder: ${name}`);
+  }
+  const resolved = path.resolve(destDir, normalized);
+  const relative = path.relative(path.resolve(destDir), resolved);
+  if (relative.startsWith('..') || path.isAbsolute(relative)) {
+    throw unsafeArchive(`path escapes the extraction folder: ${name}`);
+  }
+  return relative;
+}
+
+// Validate a whole listing before anything is written
+function validateEntries(entries, destDir, limits) {
+  let totalBytes = 0;
+  let files = 0;
+
+  for (const entry of entries) {
+    validateEntryPath(entry.path, destDir);
+    if (entry.type === 'symlink') {
+      throw unsafeArchive(`symbolic link ${entry.path}`);
+    }
+    if (entry.type === 'file') {
+      files++;
+      totalBytes += entry.size || 0;
+    }
+    if (files > limits.maxFiles) {
+      throw unsafeArchive(`more than ${limits.maxFiles} files`);
+    }
+    if (totalBytes > limits.maxTotalBytes) {
+      throw unsafeArchive(`unpacks to more than ${Math.round(limits.maxTotalBytes / 1024 / 1024)} MB`);
+    }
+  }
+}
+
+// Re-check what actually landed on disk; external tools don't always report sizes or links honestly
+function validateExtracted(destDir, limits) {
+  let totalBytes = 0;
+  let files = 0;
+
+  const walk = (dir) => {
+    for (const name of fs.readdirSync(dir)) {
+      const fullPath = path.join(dir, name);
+      const stats = fs.lstatSync(fullPath);
+      if (stats.isSymbolicLink()) {
+        throw unsafeArchive(`symbolic link ${path.relative(destDir, fullPath)}`);
+      }
+      if (stats.isDirectory()) {
+        walk(fullPath);
+      } else {
+        files++;
+        totalBytes += stats.size;
+      }
+    }
+  };
+  walk(destDir);
+
+  if (files > limits.maxFiles) {
+    throw unsafeArchive(`more than ${limits.maxFiles} files`);
+  }
+  if (totalBytes > limits.maxTotalBytes) {
+    throw unsafeArchive(`unpacks to more than ${Math.round(limits.maxTotalBytes / 1024 / 1024)} MB`);
+  }
+}
+
+// Run an extractor, turning a failure into its own first error line rather than the command line
+async function run(bin, args) {
+  try {
+    const { stdout } = await execFileAsync(bin, args, { maxBuffer: 64 * 1024 * 1024, windowsHide: true });
+    return stdout;
+  } catch (error) {
+    const detail = `${error.stderr || ''}\n${error.stdout || ''}`.split(/\r?\n/).map(line => line.trim()).find(Boolean);
+    throw new Error(`${path.basename(bin)} exited with code ${error.code}${detail ? `: ${detail}` : ''}`);
+  }
+}
+
+// Built-in zip support: entries are checked as they are read and the byte count is
+// enforced while writing, so a lying header can't get past the size limit
+const zipBackend = {
+  name: 'built-in zip',
+  formats: ['zip'],
+  locate: () => true,
+
+  openZip(archivePath) {
+    return new Promise((resolve, reject) => {
+      yauzl.open(archivePath, { lazyEntries: true, validateEntrySizes: true }, (err, zipfile) => {
+        if (err) {
+          reject(err);
+        } else {
+          resolve(zipfile);
+        }
+      });
+    });
+  },
+
+  async extract(archivePath, destDir, limits) {
+    let zipfile;
+    try {
+      zipfile = await this.openZip(archivePath);
+    } catch (error) {
+      throw /^(absolute path|invalid relative path|invalid characters)/.test(error.message) ? unsafeArchive(error.message) : error;
+    }
+
+    let totalBytes = 0;
+    let files = 0;
+
+    await new Promise((resolve, reject) => {
+      let failed = false;
+      const fail = (error) => {
+        if (failed) {
+          return;
+        }
+        failed = true;
+        zipfile.close();
+        const unsafe = /^(absolute path|invalid relative path|invalid characters)/.test(error.message);
+        reject(unsafe ? unsafeArchive(error.message) : error);
+      };
+
+      zipfile.on('error', fail);
+      zipfile.on('end', resolve);
+      zipfile.on('entry', async (entry) => {
+        try {
+          const rel = validateEntryPath(entry.fileName, destDir);
+          const mode = (entry.externalFileAttributes >>> 16) & 0o170000;
+          if (mode === 0o120000) {
+            throw unsafeArchive(`symbolic link ${entry.fileName}`);
+          }
+
+          const destPath = path.join(destDir, rel);
+          if (entry.fileName.endsWith('/')) {
+            fs.mkdirSync(destPath, { recursive: true });
+            zipfile.readEntry();
+            return;
+          }
+
+          if (++files > limits.maxFiles) {
+            throw unsafeArchive(`more than ${limits.maxFiles} files`);
+          }
+
+          const readStream = await new Promise((res, rej) => {
+            zipfile.openReadStream(entry, (err, stream) => (err ? rej(err) : res(stream)));
+          });
+          const counter = new Transform({
+            transform(chunk, encoding, callback) {
+              totalBytes += chunk.length;
+              if (totalBytes > limits.maxTotalBytes) {
+                callback(unsafeArchive(`unpacks to more than ${Math.round(limits.maxTotalBytes / 1024 / 1024)} MB`));
+              } else {
+                callback(null, chunk);
+              }
+            }
+          });
+
+          fs.mkdirSync(path.dirname(destPath), { recursive: true });
+          await pipeline(readStream, counter, fs.createWriteStream(destPath));
+          zipfile.readEntry();
+        } catch (error) {
+          fail(error);
+        }
+      });
+      zipfile.readEntry();
+    });
+  }
+};
+
+// 7-Zip handles zip, 7z and rar; "-slt" gives one "Key = Value" block per entry
+const sevenZipBackend = {
+  name: '7-Zip',
+  formats: ['zip', '7z', 'rar'],
+  locate: () => findExecutable(['7z', '7zz', '7za'], programFiles.map(dir => path.join(dir, '7-Zip', '7z.exe'))),
+
+  async list(bin, archivePath) {
+    const output = await run(bin, ['l', '-slt', '-ba', archivePath]);
+    return output.split(/\r?\n\r?\n/).map(block => {
+      const fields = {};
+      for (const line of block.split(/\r?\n/)) {
+        const match = /^([^=]+?) = (.*)$/.exec(line);
+        if (match) {
+          fields[match[1]] = match[2];
+        }
+      }
+      return fields;
+    }).filter(fields => fields.Path).map(fields => ({
+      path: fields.Path,
+      size: parseInt(fields.Size, 10) || 0,
+      type: fields['Symbolic Link'] || /\bl[rwx-]{9}/.test(fields.Attributes || '')
+        ? 'symlink'
+        : (fields.Folder === '+' || /^D/.test(fields.Attributes || '') ? 'directory' : 'file')
+    }));
+  },
+
+  async extract(archivePath, destDir, limits, bin) {
+    validateEntries(await this.list(bin, archivePath), destDir, limits);
+    await run(bin, ['x', archivePath, `-o${destDir}`, '-y']);
+  }
+};
+
+// UnRAR ships with WinRAR on Windows and as "unrar" on Linux/macOS
+const unrarBackend = {
+  name: 'UnRAR',
+  formats: ['rar'],
+  locate: () => findExecutable(['unrar', 'UnRAR'], programFiles.map(dir => path.join(dir, 'WinRAR', 'UnRAR.exe'))),
+
+  async list(bin, archivePath) {
+    const output = await run(bin, ['lta', '-c-', '--', archivePath]);
+    const entries = [];
+    let current = null;
+    for (const line of output.split(/\r?\n/)) {
+      const match = /^\s*(Name|Type|Size):\s*(.*)$/.exec(line);
+      if (!match) {
+        continue;
+      }
+      if (match[1] === 'Name') {
+        current = { path: match[2], size: 0, type: 'file' };
+        entries.push(current);
+      } else if (current && match[1] === 'Type') {
+        current.type = /link/i.test(match[2]) ? 'symlink' : (/directory/i.test(match[2]) ? 'directory' : 'file');
+      } else if (current && match[1] === 'Size') {
+        current.size = parseInt(match[2], 10) || 0;
+      }
+    }
+    return entries;
+  },
+
+  async extract(archivePath, destDir, limits, bin) {
+    validateEntries(await this.list(bin, archivePath), destDir, limits);
+    await run(bin, ['x', '-o+', '-y', '-c-', '--', archivePath, destDir + path.sep]);
+  }
+};
+
+// libarchive's bsdtar; Windows 10+ ships it as System32\tar.exe
+const bsdtarBackend = {
+  name: 'bsdtar',
+  formats: ['zip', '7z', 'rar'],
+  locate: () => {
+    if (process.platform === 'win32') {
+      const systemTar = path.join(process.env.SystemRoot || 'C:\\Windows', 'System32', 'tar.exe');
+      return fs.existsSync(systemTar) ? systemTar : findExecutable(['bsdtar']);
+    }
+    return findExecutable(['bsdtar']);
+  },
+
+  async list(bin, archivePath) {
+    // "-rw-r--r--  0 user group  1234 Jan  1 00:00 name" (plus " -> target" for links)
+    const output = await run(bin, ['-tvf', archivePath]);
+    return output.split(/\r?\n/).filter(Boolean).map(line => {
+      const match = /^(\S)\S*\s+\d+\s+\S+\s+\S+\s+(\d+)\s+\S+\s+\d+\s+\S+\s+(.*)$/.exec(line);
+      if (!match) {
+        throw new Error(`Unexpected bsdtar listing line: ${line}`);
+      }
+      const type = match[1] === 'l' ? 'symlink' : (match[1] === 'd' ? 'directory' : 'file');
+      return {
+        path: type === 'symlink' ? match[3].split(' -> ')[0] : match[3],
+        size: parseInt(match[2], 10),
+        type
+      };
+    });
+  },
+
+  async extract(archivePath, destDir, limits, bin) {
+    validateEntries(await this.list(bin, archivePath), destDir, limits);
+    await run(bin, ['-xf', archivePath, '-C', destDir]);
+  }
+};
+
+const backends = [zipBackend, sevenZipBackend, unrarBackend, bsdtarBackend];
+
+// Extract an archive into destDir with the first backend that can handle it.
+// Unsafe archives are rejected outright; any other failure moves on to the next
+// backend, and if none succeeds the error lists what each one reported.
+async function extractArchive(archivePath, destDir, options = {}) {
+  const limits = { ...DEFAULT_LIMITS, ...options.limits };
+  const format = detectFormat(archivePath);
+  const attempts = [];
+
+  for (const backend of backends.filter(b => b.formats.includes(format))) {
+    const bin = backend.locate();
+    if (!bin) {
+      attempts.push({ backend: backend.name, error: 'not installed' });
+      continue;
+    }
+
+    fs.rmSync(destDir, { recursive: true, force: true });
+    fs.mkdirSync(destDir, { recursive: true });
+
+    try {
+      console.log(`Extracting ${format} with ${backend.name}${bin === true ? '' : ` (${bin})`}...`);
+      await backend.extract(archivePath, destDir, limits, bin);
+      validateExtracted(destDir, limits);
+      console.log(`✓ ${backend.name} succeeded`);
+      return { backend: backend.name, format };
+    } catch (error) {
+      fs.rmSync(destDir, { recursive: true, force: true });
+      if (error.code === 'UNSAFE_ARCHIVE') {
+        console.log(`✗ ${backend.name} rejected the archive:`, error.message);
+        throw error;
+      }
+      console.log(`✗ ${backend.name} failed:`, error.message);
+      attempts.push({ backend: backend.name, error: error.message.split('\n')[0] });
+    }
+  }
+
+  const report = attempts.length > 0
+    ? attempts.map(attempt => `${attempt.backend}: ${attempt.error}`).join('; ')
+    : `no extractor supports .${format} files`;
+  const error = new Error(`Could not extract ${path.basename(archivePath)} (${report}). Install 7-Zip to handle every archive type.`);
+  error.code = 'EXTRACTION_FAILED';
+  error.attempts = attempts;
+  throw error;
+}
+
+// Volumes of one archive split over several files: raw splits (name.zip.001, name.zip.002, ...),
+// RAR volume sets (name.part1.rar, name.part2.rar, ...) and split zips (name.z01, ..., name.zip)
+const SPLIT_VOLUME = /^(.+)\.(\d{3})$/;
+const RAR_VOLUME = /^(.+)\.part(\d+)\.rar$/i;
+const ZIP_VOLUME = /^(.+)\.z(\d{2})$/i;
+
+const byName = (a, b) => path.basename(a).localeCompare(path.basename(b), undefined, { numeric: true });
+
+// The archives to extract out of a list of downloaded parts: raw splits are joined into one file in
+// workDir, RAR sets are opened from their first volume and split zips from the .zip (the extractor
+// reads the other volumes next to it); every other part is an archive of its own
+async function collectArchives(partPaths, workDir) {
+  const splits = new Map();
+  const rarSets = new Map();
+  const zipVolumes = new Set();
+  const archives = [];
+
+  for (const partPath of [...partPaths].sort(byName)) {
+    const name = path.basename(partPath);
+    let match;
+    if ((match = SPLIT_VOLUME.exec(name))) {
+      splits.set(match[1], [...(splits.get(match[1]) || []), partPath]);
+    } else if ((match = RAR_VOLUME.exec(name))) {
+      const key = path.join(path.dirname(partPath), match[1]);
+      const first = rarSets.get(key);
+      if (!first || parseInt(match[2], 10) < first.number) {
+        rarSets.set(key, { number: parseInt(match[2], 10), path: partPath });
+      }
+    } else if ((match = ZIP_VOLUME.exec(name))) {
+      zipVolumes.add(path.join(path.dirname(partPath), match[1]));
+    } else {
+      archives.push(partPath);
+    }
+  }
+
+  for (const [name, volumes] of splits) {
+    const joinedPath = path.join(workDir, name);
+    console.log(`Joining ${volumes.length} volumes into ${name}...`);
+    for (let i = 0; i < volumes.length; i++) {
+      await pipeline(fs.createReadStream(volumes[i]), fs.createWriteStream(joinedPath, { flags: i === 0 ? 'w' : 'a' }));
+    }
+    archives.push(joinedPath);
+  }
+  archives.push(...[...rarSets.values()].map(set => set.path));
+
+  for (const key of zipVolumes) {
+    if (!archives.includes(`${key}.zip`)) {
+      throw new Error(`${path.basename(key)}.zip, the last volume of a split zip, is missing`);
+    }
+  }
+  return archives.sort(byName);
+}
+
+// Extract every downloaded part of a release into destDir. Volumes of one archive are put back
+// together first; separate archives are extracted one at a time and merged, later ones winning.
+async function extractParts(partPaths, destDir, options = {}) {
+  if (partPaths.length === 1) {
+    return [await extractArchive(partPaths[0], destDir, options)];
+  }
+
+  const limits = { ...DEFAULT_LIMITS, ...options.limits };
+  const workDir = `${destDir}.parts`;
+  fs.rmSync(workDir, { recursive: true, force: true });
+  fs.mkdirSync(workDir, { recursive: true });
+
+  try {
+    const archives = await collectArchives(partPaths, workDir);
+    if (archives.length === 1) {
+      return [await extractArchive(archives[0], destDir, options)];
+    }
+
+    fs.rmSync(destDir, { recursive: true, force: true });
+    fs.mkdirSync(destDir, { recursive: true });
+    const results = [];
+    for (let i = 0; i < archives.length; i++) {
+      const partDir = path.join(workDir, `extracted-${i}`);
+      results.push(await extractArchive(archives[i], partDir, options));
+      fs.cpSync(partDir, destDir, { recursive: true, force: true });
+      fs.rmSync(partDir, { recursive: true, force: true });
+    }
+    // Each archive stayed within the limits, but together they may not
+    validateExtracted(destDir, limits);
+    return results;
+  } catch (error) {
+    fs.rmSync(destDir, { recursive: true, force: true });
+    throw error;
+  } finally {
+    fs.rmSync(workDir, { recursive: true, force: true });
+  }
+}
+
+module.exports = { extractArchive, extractParts, detectFormat, validateEntryPath };
@@ -0,0 +1,70 @@
+const { sourceUrl } = require('./sources');
+const { parseReleaseFolder } = require('./release-assets');
+
+// Fix archives are named after the game's appID
+const FIX_ASSET = /^(\d+)\.zip$/i;
+
+// Which games have a fix, indexed from the release asset lists of every fixes mirror that is a GitHub
+// release, so the store can tell before a download whether a fix exists and how big it is. A game's
+// fix is the one on the first mirror that has it, as when downloading. Other mirrors can't be listed;
+// the index is incomplete with them, or when a release couldn't be listed.
+function createFixIndex({ sources, releaseAssets, maxAge = 30 * 60 * 1000 }) {
+  let index = null;
+  let building = null;
+
+  async function build(options) {
+    const fixes = {};
+    const repositories = [];
+    for (const mirror of sources.list('fixes')) {
+      const release = parseReleaseFolder(mirror);
+      if (!release) {
+        repositories.push({ mirror, listed: false, fixes: 0, error: null });
+        continue;
+      }
+      try {
+        const assets = await releaseAssets.listRelease(release.owner, release.repo, release.tag, options);
+        let count = 0;
+        for (const [name, asset] of assets) {
+          const match = FIX_ASSET.exec(name);
+          if (!match) {
+            continue;
+          }
+          count++;
+          if (!fixes[match[1]]) {
+            fixes[match[1]] = { url: sourceUrl(mirror, encodeURIComponent(name)), size: asset.size, updatedAt: asset.updatedAt };
+          }
+        }
+        repositories.push({ mirror, listed: true, fixes: count, error: null });
+      } catch (error) {
+        console.error(`Error listing the fixes of ${mirror}:`, error.message);
+        repositories.push({ mirror, listed: false, fixes: 0, error: error.message });
+      }
+    }
+    console.log(`Indexed the fixes of ${Object.keys(fixes).length} games from ${repositories.length} mirrors`);
+    return { fixes, repositories, complete: repositories.every(repository => repository.listed), indexedAt: Date.now() };
+  }
+
+  // { fixes: { <appID>: { url, size, updatedAt } }, repositories: [{ mirror, listed, fixes, error }], complete, indexedAt };
+  // rebuilt once older than maxAge, when the fixes mirrors changed or with { refresh: true }
+  function get({ refresh = false } = {}) {
+    const mirrors = sources.list('fixes');
+    const stale = !index || refresh || Date.now() - index.indexedAt > maxAge ||
+      index.repositories.map(repository => repository.mirror).join('\n') !== mirrors.join('\n');
+    if (!stale) {
+      return Promise.resolve(index);
+    }
+    if (!building) {
+      building = build({ refresh }).then((result) => {
+        index = result;
+        return result;
+      }).finally(() => {
+        building = null;
+      });
+    }
+    return building;
+  }
+
+  return { get };
+}
+
+module.exports = { createFixIndex };
@@ -0,0 +1,384 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const checksums = require('./checksums');
+const { extractParts } = require('./extractors');
+const steamLocator = require('./steam-locator');
+const { samePath } = require('./install-manifest');
+const { isNewerUpload } = require('./release-assets');
+
+// Remove a folder and everything in it
+function deleteFolderRecursive(folderPath) {
+  if (fs.existsSync(folderPath)) {
+    fs.readdirSync(folderPath).forEach((file) => {
+      const curPath = path.join(folderPath, file);
+      if (fs.lstatSync(curPath).isDirectory()) {
+        deleteFolderRecursive(curPath);
+      } else {
+        fs.unlinkSync(curPath);
+      }
+    });
+    fs.rmdirSync(folderPath);
+  }
+}
+
+// Full paths of the files and folders in dir; none when it doesn't exist
+function listEntries(dir) {
+  try {
+    return fs.readdirSync(dir).map(name => path.join(dir, name));
+  } catch {
+    return [];
+  }
+}
+
+// When a file, or anything in a folder, last changed; a download in progress keeps writing to its .part file
+function lastModified(entryPath) {
+  const stats = fs.lstatSync(entryPath);
+  if (!stats.isDirectory()) {
+    return stats.mtimeMs;
+  }
+  return Math.max(stats.mtimeMs, ...listEntries(entryPath).map(lastModified));
+}
+
+// Fetch the published checksum of a release asset. Without one the download is refused
+// unless the user chose to install it anyway (options.allowUnverified).
+async function lookupChecksum(url, options = {}) {
+  try {
+    const expected = await checksums.fetchExpectedChecksum(url);
+    console.log(`Expected SHA-256 from ${expected.manifest}:`, expected.sha256);
+    return expected;
+  } catch (error) {
+    if (error.code === 'CHECKSUM_MISSING' && options.allowUnverified) {
+      console.log('No published checksum, continuing unverified as requested:', error.message);
+      return null;
+    }
+    throw error;
+  }
+}
+
+// Check a finished download against its expected checksum, deleting it on mismatch
+async function verifyDownload(filePath, expectedChecksum) {
+  if (!expectedChecksum) {
+    return { status: 'unverified', sha256: await checksums.hashFileStream(filePath) };
+  }
+  try {
+    const verification = await checksums.verifyFile(filePath, expectedChecksum);
+    console.log('✓ Checksum verified');
+    return verification;
+  } catch (error) {
+    console.log('✗ Checksum verification failed:', error.message);
+    fs.rmSync(filePath, { force: true });
+    throw error;
+  }
+}
+
+// One verification for a release that came in several files: verified only when every part is
+function combineVerifications(fileNames, verifications) {
+  if (verifications.length === 1) {
+    return verifications[0];
+  }
+  return {
+    status: verifications.every(part => part.status === 'verified') ? 'verified' : 'unverified',
+    sha256: null,
+    parts: verifications.map((part, i) => ({ fileName: fileNames[i], status: part.status, sha256: part.sha256 }))
+  };
+}
+
+// Flags that let the caller tell checksum problems apart from other failures
+function checksumFailure(error) {
+  if (error.code === 'CHECKSUM_MISSING') {
+    return { checksumMissing: true };
+  }
+  if (error.code === 'CHECKSUM_MISMATCH') {
+    return { checksumMismatch: true };
+  }
+  return {};
+}
+
+// The folder of an extracted fix archive to copy: the one named after the appID when there is one
+function findFixFolder(extractedPath, appID) {
+  const appIDFolder = path.join(extractedPath, appID);
+  if (fs.existsSync(appIDFolder) && fs.statSync(appIDFolder).isDirectory()) {
+    console.log('Found appID folder:', appIDFolder);
+    return appIDFolder;
+  }
+
+  // Look for any folder that might be the appID folder
+  const possibleFolder = fs.readdirSync(extractedPath).find(item => {
+    const itemPath = path.join(extractedPath, item);
+    return fs.statSync(itemPath).isDirectory() && item.includes(appID);
+  });
+  if (possibleFolder) {
+    console.log('Found possible appID folder:', possibleFolder);
+    return path.join(extractedPath, possibleFolder);
+  }
+  console.log('No appID folder found, using root of extraction');
+  return extractedPath;
+}
+
+// Downloading, checking and applying fixes, shared by the app's IPC handlers and the command line.
+// An install happens in two steps: prepare() downloads, verifies and extracts the fix and works out
+// what it will change; confirm() copies it into the game folder (cancel() drops it instead).
+// Prepared installs not confirmed within pendingTtl are dropped with their extracted files.
+function createFixInstaller({ downloadsDir, downloadManager, manifests, releaseAssets, sources, fixIndex, pendingTtl = 30 * 60 * 1000 }) {
+  // Fixes that are downloaded and extracted but wait to be confirmed
+  const pendingInstalls = new Map();
+  let lastInstallStamp = 0;
+
+  // <appID>-<timestamp>, unique even for installs of the same game prepared within the same millisecond
+  function newInstallId(appID) {
+    lastInstallStamp = Math.max(Date.now(), lastInstallStamp + 1);
+    return `${appID}-${lastInstallStamp}`;
+  }
+
+  // Download URL of a game's fix (<appID>.zip) on the first fixes mirror that has it; null when none does.
+  // The mirrors missing from the fix index are asked directly.
+  async function findFixUrl(appID) {
+    const { fixes, complete } = await fixIndex.get();
+    if (fixes[appID]) {
+      return fixes[appID].url;
+    }
+    return complete ? null : sources.locate('fixes', `${encodeURIComponent(appID)}.zip`);
+  }
+
+  // Download URLs of the files of a bypass, each on the first bypasses mirror that has it
+  async function findBypassParts(fileNames) {
+    const parts = [];
+    for (const fileName of fileNames) {
+      const url = await sources.locate('bypasses', encodeURIComponent(fileName));
+      if (!url) {
+        throw new Error(`${fileName} was not found on any bypass mirror`);
+      }
+      parts.push({ url, fileName });
+    }
+    return parts;
+  }
+
+  // Which upload of a release asset is about to be downloaded; null when the GitHub API can't tell
+  // (rate limit, offline, a mirror other than GitHub), which only means the install can't be checked for updates as precisely
+  async function lookupReleaseAsset(url) {
+    try {
+      return await releaseAssets.getAsset(url);
+    } catch (error) {
+      console.log('Could not look up the release asset:', error.message);
+      return null;
+    }
+  }
+
+  // Download and extract a fix; resolves with { installId, plan, verification } for confirm().
+  // A release split over several files is passed as parts: [{ url, fileName }], each downloaded and
+  // checked on its own; kind tells a fix from a bypass, which keep separate install records.
+  async function prepare({ url, targetFolder, appID, fileName, parts = [{ url, fileName }], kind = 'fix', allowUnverified = false }) {
+    // Everything of this install is kept apart from any other, even one of the same game running at the same time
+    const installId = newInstallId(appID);
+    const tempDir = path.join(os.tmpdir(), `online-fix-${installId}`);
+    const downloadDir = path.join(downloadsDir, installId);
+    const partPaths = [];
+
+    try {
+      console.log(`Starting download and extract process for the ${kind} of ${appID}...`);
+      console.log('Parts:', parts.map(part => part.url).join(', '));
+      console.log('Target folder:', targetFolder);
+
+      if (!fs.existsSync(tempDir)) {
+        fs.mkdirSync(tempDir, { recursive: true });
+      }
+      fs.mkdirSync(downloadDir, { recursive: true });
+
+      const verifications = [];
+      const assets = [];
+      for (const part of parts) {
+        // Look up the published checksum before spending time on the download
+        const expectedChecksum = await lookupChecksum(part.url, { allowUnverified });
+        assets.push(await lookupReleaseAsset(part.url));
+
+        const partPath = path.join(downloadDir, path.basename(part.fileName));
+        console.log('Download path:', partPath);
+        partPaths.push(partPath);
+
+        // Download the file
+        await downloadManager.enqueue({ url: part.url, destPath: partPath, label: part.fileName, appID });
+        console.log('Download complete');
+
+        // Refuse to extract anything that doesn't match the published checksum
+        verifications.push(await verifyDownload(partPath, expectedChecksum));
+      }
+
+      // Extract into a staging folder; every entry is checked before it can reach the game folder
+      console.log('Extracting archive...');
+      const extractTempPath = path.join(tempDir, 'extracted');
+      await extractParts(partPaths, extractTempPath);
+      console.log('Extraction complete to:', extractTempPath);
+
+      const verification = combineVerifications(parts.map(part => part.fileName), verifications);
+
+      // Work out what the copy will change
+      const sourceFolder = findFixFolder(extractTempPath, appID);
+      const plan = manifests.planInstall(appID, sourceFolder, targetFolder, kind);
+      const expiry = setTimeout(() => cancel(installId), pendingTtl);
+      // A preview nobody answers doesn't keep the command line running
+      expiry.unref();
+      pendingInstalls.set(installId, { tempDir, sourceFolder, plan, parts, verification, assets, expiry });
+      console.log(`Install ${installId} ready: ${plan.added.length} files to add, ${plan.overwritten.length} to overwrite`);
+
+      return { installId, plan, verification };
+    } catch (error) {
+      deleteFolderRecursive(tempDir);
+      throw error;
+    } finally {
+      fs.rmSync(downloadDir, { recursive: true, force: true });
+    }
+  }
+
+  // Copy a prepared fix into the game folder, backing up the files it replaces; resolves with the install manifest
+  async function confirm(installId) {
+    const pending = pendingInstalls.get(installId);
+    if (!pending) {
+      const error = new Error('This install is no longer pending. Please download the fix again.');
+      error.code = 'INSTALL_NOT_PENDING';
+      throw error;
+    }
+
+    pendingInstalls.delete(installId);
+    clearTimeout(pending.expiry);
+
+    try {
+      // Remember the game's Steam build, so the library can tell when an update may have broken the fix
+      const steamGame = await steamLocator.findGame(pending.plan.appID);
+      const steam = steamGame && samePath(steamGame.installDir, pending.plan.targetFolder)
+        ? { buildId: steamGame.buildId, name: steamGame.name }
+        : null;
+
+      console.log('Copying files from', pending.sourceFolder, 'to', pending.plan.targetFolder);
+      const manifest = manifests.applyInstall(pending.plan, pending.sourceFolder, {
+        source: {
+          url: pending.parts[0].url,
+          fileName: pending.parts[0].fileName,
+          sha256: pending.verification.sha256,
+          verification: pending.verification.status,
+          asset: pending.assets[0],
+          // Every file of a release that came in several parts
+          ...(pending.parts.length > 1 && {
+            parts: pending.parts.map((part, i) => ({ ...part, sha256: pending.verification.parts[i].sha256, asset: pending.assets[i] }))
+          })
+        },
+        steam
+      });
+      console.log('Files copied successfully');
+      return manifest;
+    } finally {
+      console.log('Cleaning up temp files...');
+      deleteFolderRecursive(pending.tempDir);
+      console.log('Cleanup complete');
+    }
+  }
+
+  // Drop a prepared fix without touching the game folder
+  function cancel(installId) {
+    const pending = pendingInstalls.get(installId);
+    if (pending) {
+      pendingInstalls.delete(installId);
+      clearTimeout(pending.expiry);
+      deleteFolderRecursive(pending.tempDir);
+      console.log('Install cancelled:', installId);
+    }
+  }
+
+  // Delete the downloads and extracted files an earlier run left behind (a crash, or quitting with an install
+  // waiting to be confirmed). Only what is older than pendingTtl goes, so a command-line install running
+  // next to the app keeps its files.
+  function cleanupLeftovers() {
+    const cutoff = Date.now() - pendingTtl;
+    const leftovers = [
+      ...listEntries(downloadsDir),
+      ...listEntries(os.tmpdir()).filter(entry => path.basename(entry).startsWith('online-fix-'))
+    ];
+    for (const entry of leftovers) {
+      try {
+        if (lastModified(entry) < cutoff) {
+          fs.rmSync(entry, { recursive: true, force: true });
+          console.log('Removed leftover install files:', entry);
+        }
+      } catch (error) {
+        console.error(`Error removing leftover install files ${entry}:`, error.message);
+      }
+    }
+  }
+
+  // Restore the original files and delete everything a fix (or a bypass) added
+  function uninstall(appID, kind = 'fix') {
+    return manifests.rollback(appID, kind);
+  }
+
+  // Every applied fix, comparing the Steam build recorded at install time with the current one
+  async function listInstalled() {
+    const steamRoots = await steamLocator.findSteamRoots();
+    const fixes = [];
+
+    for (const manifest of manifests.listManifests()) {
+      const steamGame = await steamLocator.findGame(manifest.appID, steamRoots);
+      const installedBuildId = manifest.steam ? manifest.steam.buildId : null;
+      const currentBuildId = steamGame && samePath(steamGame.installDir, manifest.targetFolder) ? steamGame.buildId : null;
+
+      let status = 'ok';
+      if (!fs.existsSync(manifest.targetFolder)) {
+        status = 'missing';
+      } else if (!installedBuildId || !currentBuildId) {
+        status = 'unknown';
+      } else if (installedBuildId !== currentBuildId) {
+        status = 'stale';
+      }
+
+      fixes.push({
+        appID: manifest.appID,
+        kind: manifest.kind,
+        name: manifest.steam ? manifest.steam.name : null,
+        targetFolder: manifest.targetFolder,
+        installedAt: manifest.installedAt,
+        source: manifest.source || null,
+        fileCount: manifest.files.added.length + manifest.files.overwritten.length,
+        installedBuildId,
+        currentBuildId,
+        status
+      });
+    }
+    return fixes;
+  }
+
+  // Installed fixes whose archive was uploaded again on GitHub since it was installed:
+  // { updates: [{ appID, name, installed, latest }], checked, failed }
+  async function checkUpdates() {
+    const updates = [];
+    let checked = 0;
+    let failed = 0;
+
+    for (const manifest of manifests.listManifests()) {
+      // Only GitHub releases tell when an archive was uploaded again, not other mirrors; bypasses aren't tracked
+      if (manifest.kind !== 'fix' || !manifest.source || !manifest.source.url || new URL(manifest.source.url).hostname !== 'github.com') {
+        continue;
+      }
+      checked++;
+      try {
+        const latest = await releaseAssets.getAsset(manifest.source.url);
+        if (isNewerUpload(manifest.source.asset, latest, manifest.installedAt)) {
+          updates.push({
+            appID: manifest.appID,
+            name: manifest.steam ? manifest.steam.name : null,
+            installed: manifest.source.asset || null,
+            latest
+          });
+        }
+      } catch (error) {
+        console.error(`Error checking the fix of ${manifest.appID} for updates:`, error.message);
+        failed++;
+      }
+    }
+
+    console.log(`Fix update check: ${checked} checked, ${updates.length} updated, ${failed} failed`);
+    return { updates, checked, failed };
+  }
+
+  return { findFixUrl, findBypassParts, prepare, confirm, cancel, cleanupLeftovers, uninstall, listInstalled, checkUpdates };
+}
+
+module.exports = { createFixInstaller, lookupChecksum, verifyDownload, combineVerifications, checksumFailure };
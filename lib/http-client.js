@@ -0,0 +1,259 @@
+const http = require('http');
+const https = require('https');
+const { Transform } = require('stream');
+const iconv = require('iconv-lite');
+const { HttpProxyAgent } = require('http-proxy-agent');
+const { HttpsProxyAgent } = require('https-proxy-agent');
+const { SocksProxyAgent } = require('socks-proxy-agent');
+
+const USER_AGENT = 'OnlineFixStore';
+const DEFAULT_TIMEOUT = 30000;
+const MAX_REDIRECTS = 10;
+const REDIRECT_STATUSES = [301, 302, 303, 307, 308];
+const PROXY_PROTOCOLS = ['http:', 'https:', 'socks:', 'socks4:', 'socks4a:', 'socks5:', 'socks5h:'];
+
+let networkConfig = { proxy: '', bandwidthLimit: 0 };
+let agents = {};
+
+// Token bucket shared by every transfer, so the bandwidth limit applies to all of them together
+const limiter = {
+  rate: 0, // bytes per second, 0 for unlimited
+  tokens: 0,
+  last: Date.now(),
+
+  setRate(rate) {
+    this.rate = rate;
+    this.tokens = rate;
+    this.last = Date.now();
+  },
+
+  // Returns how long (ms) to hold back a chunk of this size
+  reserve(bytes) {
+    if (!this.rate) {
+      return 0;
+    }
+    const now = Date.now();
+    this.tokens = Math.min(this.rate, this.tokens + ((now - this.last) / 1000) * this.rate);
+    this.last = now;
+    this.tokens -= bytes;
+    return this.tokens >= 0 ? 0 : Math.ceil((-this.tokens / this.rate) * 1000);
+  }
+};
+
+function validateProxy(proxy) {
+  if (!proxy) {
+    return null;
+  }
+  let parsed;
+  try {
+    parsed = new URL(proxy);
+  } catch {
+    return 'Proxy must be a URL such as http://127.0.0.1:8080 or socks5://127.0.0.1:1080';
+  }
+  if (!PROXY_PROTOCOLS.includes(parsed.protocol)) {
+    return `Unsupported proxy type "${parsed.protocol.replace(':', '')}"`;
+  }
+  return null;
+}
+
+// Apply the user's network settings to every request made from now on
+function configure({ proxy = '', bandwidthLimit = 0 } = {}) {
+  const error = validateProxy(proxy.trim());
+  if (error) {
+    throw new Error(error);
+  }
+  networkConfig = { proxy: proxy.trim(), bandwidthLimit: Math.max(0, Number(bandwidthLimit) || 0) };
+  agents = {};
+  limiter.setRate(networkConfig.bandwidthLimit * 1024);
+  console.log('Network settings applied:', networkConfig.proxy || 'direct connection', networkConfig.bandwidthLimit ? `${networkConfig.bandwidthLimit} KB/s` : 'no bandwidth limit');
+}
+
+function agentFor(url) {
+  if (!networkConfig.proxy) {
+    return undefined;
+  }
+  const protocol = new URL(url).protocol;
+  if (!agents[protocol]) {
+    if (networkConfig.proxy.startsWith('socks')) {
+      agents[protocol] = new SocksProxyAgent(networkConfig.proxy);
+    } else if (protocol === 'https:') {
+      agents[protocol] = new HttpsProxyAgent(networkConfig.proxy);
+    } else {
+      agents[protocol] = new HttpProxyAgent(networkConfig.proxy);
+    }
+  }
+  return agents[protocol];
+}
+
+// Stream that holds chunks back to respect the bandwidth limit
+function throttle() {
+  return new Transform({
+    transform(chunk, encoding, callback) {
+      const wait = limiter.reserve(chunk.length);
+      if (wait > 0) {
+        setTimeout(() => callback(null, chunk), wait);
+      } else {
+        callback(null, chunk);
+      }
+    }
+  });
+}
+
+function httpError(statusCode, url) {
+  const error = new Error(`Request failed with status ${statusCode}: ${url}`);
+  error.statusCode = statusCode;
+  return error;
+}
+
+function redirectError(statusCode, message) {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+}
+
+// Network failures, timeouts, 5xx and 429 are worth another try; other 4xx are not
+function isRetryable(error) {
+  if (error.name === 'AbortError') {
+    return false;
+  }
+  if (error.statusCode) {
+    return error.statusCode >= 500 || error.statusCode === 429;
+  }
+  return true;
+}
+
+async function withRetries(attempt, { retries = 0, retryDelay = 1000, signal } = {}) {
+  for (let i = 0; ; i++) {
+    try {
+      return await attempt();
+    } catch (error) {
+      if (i >= retries || !isRetryable(error) || (signal && signal.aborted)) {
+        throw error;
+      }
+      const delay = retryDelay * Math.pow(2, i);
+      console.log(`Request failed (${error.message}), retrying in ${delay}ms (${i + 1}/${retries})...`);
+      await new Promise(resolve => setTimeout(resolve, delay));
+    }
+  }
+}
+
+// One request, following any number of redirect hops; resolves with the final response
+function send(url, options, redirects = 0) {
+  const {
+    method = 'GET',
+    headers = {},
+    timeout = DEFAULT_TIMEOUT,
+    maxRedirects = MAX_REDIRECTS,
+    okStatuses = [200],
+    signal
+  } = options;
+
+  return new Promise((resolve, reject) => {
+    const client = url.startsWith('http:') ? http : https;
+    const req = client.request(url, {
+      method,
+      headers: { 'User-Agent': USER_AGENT, ...headers },
+      agent: agentFor(url),
+      signal
+    }, (res) => {
+      if (REDIRECT_STATUSES.includes(res.statusCode) && res.headers.location) {
+        res.resume();
+        if (redirects >= maxRedirects) {
+          reject(new Error(`Too many redirects: ${url}`));
+          return;
+        }
+        // A bad Location header or a step down from https to http fails the request (without retries)
+        let redirectUrl;
+        try {
+          redirectUrl = new URL(res.headers.location, url).toString();
+        } catch {
+          reject(redirectError(res.statusCode, `Invalid redirect from ${url}: ${res.headers.location}`));
+          return;
+        }
+        const protocol = new URL(redirectUrl).protocol;
+        if ((protocol !== 'https:' && protocol !== 'http:') || (url.startsWith('https:') && protocol !== 'https:')) {
+          reject(redirectError(res.statusCode, `Refused redirect from ${url} to ${redirectUrl}`));
+          return;
+        }
+        console.log('Following redirect to:', redirectUrl);
+        resolve(send(redirectUrl, options, redirects + 1));
+        return;
+      }
+
+      if (!okStatuses.includes(res.statusCode)) {
+        res.resume();
+        reject(httpError(res.statusCode, url));
+        return;
+      }
+
+      res.url = url;
+      resolve(res);
+    });
+
+    // Applies to connecting and to a stalled body alike
+    req.setTimeout(timeout, () => req.destroy(new Error(`Request timed out after ${timeout / 1000}s: ${url}`)));
+    req.on('error', reject);
+    req.end();
+  });
+}
+
+// Resolves with the response stream once a final, accepted status has arrived
+function request(url, options = {}) {
+  return withRetries(() => send(url, options), options);
+}
+
+function readBody(res) {
+  return new Promise((resolve, reject) => {
+    const chunks = [];
+    const body = res.pipe(throttle());
+    body.on('data', chunk => chunks.push(chunk));
+    body.on('end', () => resolve(Buffer.concat(chunks)));
+    res.on('aborted', () => reject(new Error(`Connection lost: ${res.url}`)));
+    res.on('error', reject);
+  });
+}
+
+async function fetchBuffer(url, options = {}) {
+  return withRetries(async () => {
+    const res = await send(url, options);
+    const buffer = await readBody(res);
+    return { buffer, headers: res.headers, statusCode: res.statusCode, url: res.url };
+  }, options);
+}
+
+// Decode a body using the charset from Content-Type, falling back to the given encoding
+function decodeBody(buffer, contentType = '', fallbackEncoding = 'utf8') {
+  let encoding = fallbackEncoding;
+
+  const charsetMatch = contentType.match(/charset=([^;]+)/i);
+  if (charsetMatch) {
+    encoding = charsetMatch[1].trim().replace(/"/g, '').toLowerCase();
+  }
+
+  try {
+    return iconv.decode(buffer, encoding);
+  } catch (e) {
+    console.log('Failed to decode with', encoding, ', falling back to UTF-8');
+    return buffer.toString('utf8');
+  }
+}
+
+async function fetchText(url, options = {}) {
+  const { buffer, headers } = await fetchBuffer(url, options);
+  return decodeBody(buffer, headers['content-type'], options.fallbackEncoding);
+}
+
+async function fetchJson(url, options = {}) {
+  return JSON.parse(await fetchText(url, options));
+}
+
+module.exports = {
+  configure,
+  validateProxy,
+  request,
+  throttle,
+  fetchBuffer,
+  fetchText,
+  fetchJson,
+  decodeBody
+};
@@ -0,0 +1,193 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const httpClient = require('./http-client');
+
+const SCHEME = 'cached-image';
+const MAX_IMAGE_BYTES = 10 * 1024 * 1024;
+const PREFETCH_CONCURRENCY = 4;
+
+// Content type from the first bytes, so cached files need no metadata next to them
+function sniffContentType(buffer) {
+  if (buffer[0] === 0xff && buffer[1] === 0xd8) {
+    return 'image/jpeg';
+  }
+  if (buffer.slice(0, 4).toString('hex') === '89504e47') {
+    return 'image/png';
+  }
+  if (buffer.slice(0, 3).toString('ascii') === 'GIF') {
+    return 'image/gif';
+  }
+  if (buffer.slice(0, 4).toString('ascii') === 'RIFF' && buffer.slice(8, 12).toString('ascii') === 'WEBP') {
+    return 'image/webp';
+  }
+  return null;
+}
+
+// Game images (store headers, backgrounds, screenshots) kept on disk so they still show offline.
+// The renderer loads them through cached-image://image/<encoded https URL>: cached files are
+// served from disk, anything else is downloaded once from one of the allowed hosts and kept.
+// The least recently shown images are deleted once the folder grows past maxBytes.
+function createImageCache({ dir, isAllowedUrl, maxBytes = 500 * 1024 * 1024 }) {
+  let files = null; // file name -> { size, usedAt }, read from the folder on first use
+  let totalBytes = 0;
+  const downloads = new Map();
+  const prefetchQueue = [];
+  let activePrefetches = 0;
+
+  function scan() {
+    if (files) {
+      return;
+    }
+    files = new Map();
+    totalBytes = 0;
+    if (!fs.existsSync(dir)) {
+      return;
+    }
+    for (const name of fs.readdirSync(dir)) {
+      const filePath = path.join(dir, name);
+      if (name.endsWith('.tmp')) {
+        fs.rmSync(filePath, { force: true });
+        continue;
+      }
+      const stat = fs.statSync(filePath);
+      files.set(name, { size: stat.size, usedAt: stat.mtimeMs });
+      totalBytes += stat.size;
+    }
+  }
+
+  function fileName(url) {
+    return crypto.createHash('sha1').update(url).digest('hex');
+  }
+
+  function evict() {
+    if (totalBytes <= maxBytes) {
+      return;
+    }
+    const oldestFirst = [...files.entries()].sort((a, b) => a[1].usedAt - b[1].usedAt);
+    for (const [name, file] of oldestFirst) {
+      if (totalBytes <= maxBytes * 0.9) {
+        break;
+      }
+      fs.rmSync(path.join(dir, name), { force: true });
+      files.delete(name);
+      totalBytes -= file.size;
+    }
+  }
+
+  function readCached(url) {
+    scan();
+    const name = fileName(url);
+    const file = files.get(name);
+    if (!file) {
+      return null;
+    }
+    try {
+      const buffer = fs.readFileSync(path.join(dir, name));
+      // Remember the use across restarts too; the folder is read by modification time
+      file.usedAt = Date.now();
+      fs.utimes(path.join(dir, name), new Date(), new Date(), () => {});
+      return buffer;
+    } catch {
+      files.delete(name);
+      totalBytes -= file.size;
+      return null;
+    }
+  }
+
+  // Download an image into the cache; concurrent requests for the same URL share one download
+  function download(url) {
+    if (!downloads.has(url)) {
+      downloads.set(url, (async () => {
+        const { buffer } = await httpClient.fetchBuffer(url, { retries: 1, timeout: 20000 });
+        if (buffer.length > MAX_IMAGE_BYTES || !sniffContentType(buffer)) {
+          throw new Error(`Not an image or too large: ${url}`);
+        }
+        scan();
+        const name = fileName(url);
+        fs.mkdirSync(dir, { recursive: true });
+        const tempPath = path.join(dir, `${name}.tmp`);
+        fs.writeFileSync(tempPath, buffer);
+        fs.renameSync(tempPath, path.join(dir, name));
+        const previous = files.get(name);
+        totalBytes += buffer.length - (previous ? previous.size : 0);
+        files.set(name, { size: buffer.length, usedAt: Date.now() });
+        evict();
+        return buffer;
+      })().finally(() => downloads.delete(url)));
+    }
+    return downloads.get(url);
+  }
+
+  // protocol.handle() handler for cached-image:// requests
+  async function handleRequest(request) {
+    let url;
+    try {
+      url = decodeURIComponent(new URL(request.url).pathname.slice(1));
+    } catch {
+      return new Response('Bad image URL', { status: 400 });
+    }
+    if (!isAllowedUrl(url)) {
+      console.warn('Image host not allowed:', url);
+      return new Response('Image host not allowed', { status: 403 });
+    }
+
+    let buffer = readCached(url);
+    if (!buffer) {
+      try {
+        buffer = await download(url);
+      } catch (error) {
+        // Offline, or the image is gone: the page shows its usual broken-image fallback
+        return new Response(error.message, { status: 502 });
+      }
+    }
+    return new Response(buffer, {
+      headers: { 'Content-Type': sniffContentType(buffer), 'Cache-Control': 'max-age=86400' }
+    });
+  }
+
+  function runPrefetches() {
+    while (activePrefetches < PREFETCH_CONCURRENCY && prefetchQueue.length > 0) {
+      const url = prefetchQueue.shift();
+      activePrefetches++;
+      download(url)
+        .catch(() => {})
+        .finally(() => {
+          activePrefetches--;
+          runPrefetches();
+        });
+    }
+  }
+
+  // Download in the background whichever of these images aren't cached yet; returns how many that is
+  function prefetch(urls) {
+    scan();
+    const queued = new Set(prefetchQueue);
+    let added = 0;
+    for (const url of urls) {
+      if (url && isAllowedUrl(url) && !files.has(fileName(url)) && !queued.has(url) && !downloads.has(url)) {
+        prefetchQueue.push(url);
+        queued.add(url);
+        added++;
+      }
+    }
+    runPrefetches();
+    return added;
+  }
+
+  function stats() {
+    scan();
+    return { images: files.size, bytes: totalBytes, maxBytes, pending: prefetchQueue.length + activePrefetches };
+  }
+
+  function clear() {
+    prefetchQueue.length = 0;
+    fs.rmSync(dir, { recursive: true, force: true });
+    files = null;
+    scan();
+  }
+
+  return { handleRequest, prefetch, stats, clear };
+}
+
+module.exports = { createImageCache, SCHEME };
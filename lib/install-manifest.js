@@ -0,0 +1,339 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+
+const MANIFEST_VERSION = 1;
+
+// What an install put into the game folder; each kind of install of a game has its own manifest and backups
+const INSTALL_KINDS = ['fix', 'bypass'];
+
+// SHA-256 of a file on disk
+function hashFile(filePath) {
+  return crypto.createHash('sha256').update(fs.readFileSync(filePath)).digest('hex');
+}
+
+// List every file below root as paths relative to root (directories listed separately)
+function walk(root, rel = '', result = { files: [], directories: [] }) {
+  const entries = fs.readdirSync(path.join(root, rel), { withFileTypes: true });
+
+  for (const entry of entries) {
+    const entryRel = path.join(rel, entry.name);
+    if (entry.isDirectory()) {
+      result.directories.push(entryRel);
+      walk(root, entryRel, result);
+    } else if (entry.isFile()) {
+      result.files.push(entryRel);
+    }
+  }
+
+  return result;
+}
+
+// Make sure a relative path can't climb out of the folder it is joined to
+function assertInside(root, rel) {
+  const resolved = path.resolve(root, rel);
+  const relative = path.relative(path.resolve(root), resolved);
+  if (relative.startsWith('..') || path.isAbsolute(relative)) {
+    throw new Error(`Refusing to touch a path outside ${root}: ${rel}`);
+  }
+  return resolved;
+}
+
+function samePath(a, b) {
+  const normalize = (p) => path.resolve(p).replace(/[\\/]+$/, '');
+  return process.platform === 'win32'
+    ? normalize(a).toLowerCase() === normalize(b).toLowerCase()
+    : normalize(a) === normalize(b);
+}
+
+// Remove directories an install created, deepest first, but only once they are empty
+function removeEmptyDirectories(root, directories) {
+  for (const rel of [...directories].sort((a, b) => b.length - a.length)) {
+    const dirPath = assertInside(root, rel);
+    if (fs.existsSync(dirPath) && fs.readdirSync(dirPath).length === 0) {
+      fs.rmdirSync(dirPath);
+    }
+  }
+}
+
+// Install manifests live in <installsDir>/<appID>/manifest.json, the original
+// files replaced by a fix are kept in <installsDir>/<appID>/backup/. Other kinds
+// of installs use <installsDir>/<appID>.<kind>/ the same way.
+function createManifestStore(installsDir) {
+  const installKey = (appID, kind = 'fix') => (kind === 'fix' ? String(appID) : `${appID}.${kind}`);
+  const installDir = (key) => path.join(installsDir, key);
+  const manifestPath = (key) => path.join(installDir(key), 'manifest.json');
+  const backupDir = (key) => path.join(installDir(key), 'backup');
+  // The game's files as they were before an install that is still being applied
+  const undoDir = (key) => path.join(installDir(key), 'undo');
+
+  // Manifests written before there were other kinds of installs are fixes
+  function readManifest(key) {
+    try {
+      if (!fs.existsSync(manifestPath(key))) {
+        return null;
+      }
+      return { kind: 'fix', ...JSON.parse(fs.readFileSync(manifestPath(key), 'utf8')) };
+    } catch (error) {
+      console.error(`Error reading install manifest ${key}:`, error);
+      return null;
+    }
+  }
+
+  function getManifest(appID, kind = 'fix') {
+    return readManifest(installKey(appID, kind));
+  }
+
+  function listManifests() {
+    if (!fs.existsSync(installsDir)) {
+      return [];
+    }
+    return fs.readdirSync(installsDir)
+      .map(key => readManifest(key))
+      .filter(Boolean)
+      .sort((a, b) => b.installedAt - a.installedAt);
+  }
+
+  function saveManifest(manifest) {
+    const key = installKey(manifest.appID, manifest.kind);
+    fs.mkdirSync(installDir(key), { recursive: true });
+    // Written next to it first, so a failed write leaves the previous manifest as it was
+    fs.writeFileSync(`${manifestPath(key)}.tmp`, JSON.stringify(manifest, null, 2), 'utf8');
+    fs.renameSync(`${manifestPath(key)}.tmp`, manifestPath(key));
+  }
+
+  // Work out what copying sourceFolder over targetFolder will do, without touching anything.
+  // When the same fix was already installed into the same folder, files it added stay
+  // "added" and files it overwrote keep their original backup.
+  function planInstall(appID, sourceFolder, targetFolder, kind = 'fix') {
+    const previous = getManifest(appID, kind);
+    const sameTarget = previous && samePath(previous.targetFolder, targetFolder);
+    const previouslyAdded = new Set(sameTarget ? previous.files.added.map(f => f.path) : []);
+    const previouslyOverwritten = new Set(sameTarget ? previous.files.overwritten.map(f => f.path) : []);
+
+    const { files, directories } = walk(sourceFolder);
+    const plan = {
+      appID: String(appID),
+      kind,
+      targetFolder,
+      added: [],
+      overwritten: [],
+      addedDirectories: [],
+      replacesInstallIn: previous && !sameTarget ? previous.targetFolder : null
+    };
+
+    for (const rel of files) {
+      const destPath = assertInside(targetFolder, rel);
+      if (previouslyAdded.has(rel) || !fs.existsSync(destPath)) {
+        plan.added.push(rel);
+      } else {
+        plan.overwritten.push(rel);
+      }
+    }
+
+    for (const rel of directories) {
+      const destPath = assertInside(targetFolder, rel);
+      if (!fs.existsSync(destPath)) {
+        plan.addedDirectories.push(rel);
+      }
+    }
+
+    if (sameTarget) {
+      // Directories created by the previous install still belong to the fix
+      for (const rel of previous.addedDirectories || []) {
+        if (!plan.addedDirectories.includes(rel)) {
+          plan.addedDirectories.push(rel);
+        }
+      }
+      // Keep tracking files from the previous install that this build no longer ships
+      plan.added.push(...[...previouslyAdded].filter(rel => !files.includes(rel)));
+      plan.overwritten.push(...[...previouslyOverwritten].filter(rel => !files.includes(rel)));
+    }
+
+    plan.overwritten = plan.overwritten.filter(rel => !plan.added.includes(rel));
+    return plan;
+  }
+
+  // Copy the fix into the game folder, backing up every file it replaces, then record the manifest
+  function applyInstall(plan, sourceFolder, details = {}) {
+    if (plan.replacesInstallIn) {
+      console.log('Fix was previously installed in', plan.replacesInstallIn, '- rolling that back first');
+      rollback(plan.appID, plan.kind);
+    }
+
+    const key = installKey(plan.appID, plan.kind);
+    const previous = getManifest(plan.appID, plan.kind);
+    const previousOverwritten = new Map((previous ? previous.files.overwritten : []).map(f => [f.path, f]));
+    const backupRoot = backupDir(key);
+    const undoRoot = undoDir(key);
+    const manifest = {
+      version: MANIFEST_VERSION,
+      appID: plan.appID,
+      kind: plan.kind,
+      targetFolder: plan.targetFolder,
+      installedAt: Date.now(),
+      ...details,
+      files: { added: [], overwritten: [] },
+      addedDirectories: plan.addedDirectories
+    };
+
+    // What this install changed so far, so one that fails halfway (disk full, a file locked by the running
+    // game) puts the game folder back as it was - including the files of an earlier install of the same
+    // fix, whose manifest stays in place - rather than leave the folder and the manifests disagreeing
+    const changes = { files: [], directories: [], backups: [] };
+
+    // Keep a copy of the file at rel, if there is one, before it is written
+    const saveForUndo = (rel) => {
+      const destPath = assertInside(plan.targetFolder, rel);
+      const saved = fs.existsSync(destPath);
+      if (saved) {
+        const undoPath = assertInside(undoRoot, rel);
+        fs.mkdirSync(path.dirname(undoPath), { recursive: true });
+        fs.copyFileSync(destPath, undoPath);
+      }
+      changes.files.push({ rel, saved });
+    };
+
+    fs.rmSync(undoRoot, { recursive: true, force: true });
+    try {
+      // Parents first, so only the directories that really are new get recorded
+      for (const rel of [...plan.addedDirectories].sort((a, b) => a.length - b.length)) {
+        const dirPath = assertInside(plan.targetFolder, rel);
+        if (!fs.existsSync(dirPath)) {
+          fs.mkdirSync(dirPath, { recursive: true });
+          changes.directories.push(rel);
+        }
+      }
+
+      for (const rel of plan.overwritten) {
+        const srcPath = path.join(sourceFolder, rel);
+        const destPath = assertInside(plan.targetFolder, rel);
+        const backupPath = assertInside(backupRoot, rel);
+        const earlier = previousOverwritten.get(rel);
+
+        // Only the very first install backs up the original; reinstalls keep that copy
+        if (!earlier || !fs.existsSync(backupPath)) {
+          fs.mkdirSync(path.dirname(backupPath), { recursive: true });
+          fs.copyFileSync(destPath, backupPath);
+          changes.backups.push(rel);
+        }
+
+        if (fs.existsSync(srcPath)) {
+          saveForUndo(rel);
+          fs.copyFileSync(srcPath, destPath);
+        }
+
+        manifest.files.overwritten.push({
+          path: rel,
+          sha256: fs.existsSync(destPath) ? hashFile(destPath) : null,
+          originalSha256: earlier ? earlier.originalSha256 : hashFile(backupPath)
+        });
+      }
+
+      for (const rel of plan.added) {
+        const srcPath = path.join(sourceFolder, rel);
+        const destPath = assertInside(plan.targetFolder, rel);
+
+        if (fs.existsSync(srcPath)) {
+          fs.mkdirSync(path.dirname(destPath), { recursive: true });
+          saveForUndo(rel);
+          fs.copyFileSync(srcPath, destPath);
+        }
+
+        manifest.files.added.push({
+          path: rel,
+          sha256: fs.existsSync(destPath) ? hashFile(destPath) : null
+        });
+      }
+
+      saveManifest(manifest);
+    } catch (error) {
+      console.error(`Install of ${plan.appID} failed, undoing the files already copied:`, error.message);
+      undoInstall(plan, backupRoot, undoRoot, changes);
+      throw error;
+    }
+    fs.rmSync(undoRoot, { recursive: true, force: true });
+    console.log(`Install manifest written for ${plan.appID}: ${manifest.files.added.length} added, ${manifest.files.overwritten.length} overwritten`);
+    return manifest;
+  }
+
+  // Put the files a failed applyInstall wrote back as they were before it, delete the ones that weren't
+  // there and the directories it created; best effort, as the error that stopped the install is the one
+  // to report. The saved copies are kept if any of them couldn't be put back.
+  function undoInstall(plan, backupRoot, undoRoot, changes) {
+    let restored = true;
+    for (const { rel, saved } of [...changes.files].reverse()) {
+      const destPath = assertInside(plan.targetFolder, rel);
+      try {
+        if (saved) {
+          fs.copyFileSync(assertInside(undoRoot, rel), destPath);
+        } else {
+          fs.rmSync(destPath, { force: true });
+        }
+      } catch (error) {
+        restored = false;
+        console.error(`Could not restore ${rel}:`, error.message);
+      }
+    }
+    // Backups only this install made; those of an earlier install still belong to its manifest
+    for (const rel of changes.backups) {
+      fs.rmSync(assertInside(backupRoot, rel), { force: true });
+    }
+    removeEmptyDirectories(plan.targetFolder, changes.directories);
+    if (restored) {
+      fs.rmSync(undoRoot, { recursive: true, force: true });
+    } else {
+      console.error('The files that could not be put back are kept in', undoRoot);
+    }
+  }
+
+  // Put the original files back, delete everything the fix added and forget the install
+  function rollback(appID, kind = 'fix') {
+    const key = installKey(appID, kind);
+    const manifest = readManifest(key);
+    if (!manifest) {
+      throw new Error(`No install manifest found for ${key}`);
+    }
+
+    const backupRoot = backupDir(key);
+    const result = { appID: String(appID), targetFolder: manifest.targetFolder, restored: 0, removed: 0, missing: [] };
+
+    // The game was uninstalled or moved: there is nothing left to restore, just forget the install
+    if (!fs.existsSync(manifest.targetFolder)) {
+      result.missing = manifest.files.overwritten.map(file => file.path);
+      fs.rmSync(installDir(key), { recursive: true, force: true });
+      console.log(`Game folder for ${key} is gone, dropped its install manifest`);
+      return result;
+    }
+
+    for (const file of manifest.files.overwritten) {
+      const backupPath = assertInside(backupRoot, file.path);
+      const destPath = assertInside(manifest.targetFolder, file.path);
+      if (fs.existsSync(backupPath)) {
+        fs.mkdirSync(path.dirname(destPath), { recursive: true });
+        fs.copyFileSync(backupPath, destPath);
+        result.restored++;
+      } else {
+        result.missing.push(file.path);
+      }
+    }
+
+    for (const file of manifest.files.added) {
+      const destPath = assertInside(manifest.targetFolder, file.path);
+      if (fs.existsSync(destPath)) {
+        fs.unlinkSync(destPath);
+        result.removed++;
+      }
+    }
+
+    removeEmptyDirectories(manifest.targetFolder, manifest.addedDirectories || []);
+
+    fs.rmSync(installDir(key), { recursive: true, force: true });
+    console.log(`Rolled back ${kind} for ${appID}: ${result.restored} restored, ${result.removed} removed`);
+    return result;
+  }
+
+  return { getManifest, listManifests, planInstall, applyInstall, rollback };
+}
+
+module.exports = { createManifestStore, hashFile, samePath, INSTALL_KINDS };
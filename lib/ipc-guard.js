@@ -0,0 +1,207 @@
+const { ipcMain } = require('electron');
+
+// Hosts fixes and bypasses may be downloaded from; GitHub redirects to its CDN on its own
+const DOWNLOAD_HOSTS = ['github.com'];
+
+// Hosts game images are loaded and cached from (the page's img-src allows the same ones)
+const IMAGE_HOSTS = ['.steamstatic.com', '.steampowered.com', '.akamaihd.net', 'online-fix-store.vercel.app'];
+
+// A leading "." in hosts also allows subdomains
+function hostAllowed(hostname, hosts) {
+  return hosts.some(host => host.startsWith('.')
+    ? hostname.endsWith(host) || hostname === host.slice(1)
+    : hostname === host);
+}
+
+// Argument validators: each returns an error message, or null when the value is fine
+const validators = {
+  any: () => () => null,
+
+  string: ({ maxLength = 2048, pattern = null } = {}) => (value) => {
+    if (typeof value !== 'string') {
+      return `expected a string, got ${typeof value}`;
+    }
+    if (value.length > maxLength) {
+      return `string longer than ${maxLength} characters`;
+    }
+    if (pattern && !pattern.test(value)) {
+      return `"${value}" doesn't match ${pattern}`;
+    }
+    return null;
+  },
+
+  boolean: () => (value) => (typeof value === 'boolean' ? null : `expected a boolean, got ${typeof value}`),
+
+  integer: ({ min = 0, max = Number.MAX_SAFE_INTEGER } = {}) => (value) => {
+    if (!Number.isInteger(value)) {
+      return `expected an integer, got ${JSON.stringify(value)}`;
+    }
+    return value < min || value > max ? `${value} is outside ${min}-${max}` : null;
+  },
+
+  oneOf: (values) => (value) => (values.includes(value) ? null : `expected one of ${values.join(', ')}`),
+
+  appID: () => validators.string({ maxLength: 12, pattern: /^\d+$/ }),
+
+  // A bare file name: no folders, no reserved characters, optionally limited to some extensions
+  fileName: ({ extensions = null } = {}) => (value) => {
+    const error = validators.string({ maxLength: 255 })(value);
+    if (error) {
+      return error;
+    }
+    if (!value || value.startsWith('.') || /[<>:"/\\|?*\x00-\x1f]/.test(value)) {
+      return `"${value}" is not a plain file name`;
+    }
+    if (extensions && !extensions.some(ext => value.toLowerCase().endsWith(ext))) {
+      return `"${value}" must end with ${extensions.join(', ')}`;
+    }
+    return null;
+  },
+
+  url: ({ protocols = ['https:'], hosts = null, pathPattern = null } = {}) => (value) => {
+    const error = validators.string({ maxLength: 4096 })(value);
+    if (error) {
+      return error;
+    }
+    let parsed;
+    try {
+      parsed = new URL(value);
+    } catch {
+      return `"${value}" is not a valid URL`;
+    }
+    if (!protocols.includes(parsed.protocol)) {
+      return `protocol ${parsed.protocol} is not allowed`;
+    }
+    if (parsed.username || parsed.password) {
+      return 'URLs with credentials are not allowed';
+    }
+    if (hosts && !hostAllowed(parsed.hostname, hosts)) {
+      return `host ${parsed.hostname} is not on the allowlist`;
+    }
+    if (pathPattern && !pathPattern.test(parsed.pathname)) {
+      return `path ${parsed.pathname} is not allowed`;
+    }
+    return null;
+  },
+
+  // Plain object with only the listed keys; keys missing from the value are left to the handler's defaults
+  object: (shape) => (value) => {
+    if (!value || typeof value !== 'object' || Array.isArray(value)) {
+      return `expected an object, got ${Array.isArray(value) ? 'array' : typeof value}`;
+    }
+    for (const key of Object.keys(value)) {
+      if (!shape[key]) {
+        return `unexpected property "${key}"`;
+      }
+      if (value[key] !== undefined) {
+        const error = shape[key](value[key]);
+        if (error) {
+          return `${key}: ${error}`;
+        }
+      }
+    }
+    return null;
+  },
+
+  array: ({ maxLength = 1000, items = validators.any() } = {}) => (value) => {
+    if (!Array.isArray(value)) {
+      return `expected an array, got ${typeof value}`;
+    }
+    if (value.length > maxLength) {
+      return `array longer than ${maxLength} items`;
+    }
+    for (let i = 0; i < value.length; i++) {
+      const error = items(value[i]);
+      if (error) {
+        return `[${i}]: ${error}`;
+      }
+    }
+    return null;
+  },
+
+  // Plain object used as a map, e.g. appID -> rating
+  map: ({ keys = validators.string({ maxLength: 256 }), values = validators.any(), maxSize = 10000 } = {}) => (value) => {
+    if (!value || typeof value !== 'object' || Array.isArray(value)) {
+      return `expected an object, got ${Array.isArray(value) ? 'array' : typeof value}`;
+    }
+    const entries = Object.entries(value);
+    if (entries.length > maxSize) {
+      return `more than ${maxSize} entries`;
+    }
+    for (const [key, item] of entries) {
+      const error = keys(key) || values(item);
+      if (error) {
+        return `${key}: ${error}`;
+      }
+    }
+    return null;
+  },
+
+  optional: (validator) => (value) => (value === undefined || value === null ? null : validator(value))
+};
+
+// Short, log-safe description of the arguments of a rejected call
+function summarize(args) {
+  return args.map(arg => {
+    const text = typeof arg === 'string' ? arg : JSON.stringify(arg);
+    return text && text.length > 200 ? `${text.slice(0, 200)}…` : text;
+  });
+}
+
+// Registers IPC handlers that only run for calls from the app's own page with arguments
+// matching their schema (one validator per positional argument). Anything else is logged
+// as a structured "ipc-rejected" entry and refused.
+function createIpcGuard({ isTrustedSender }) {
+  function check(channel, schema, event, args) {
+    const frame = event.senderFrame;
+    let reason = null;
+
+    if (!frame || !isTrustedSender(frame)) {
+      reason = 'untrusted sender';
+    } else if (args.length > schema.length) {
+      reason = `expected at most ${schema.length} arguments, got ${args.length}`;
+    } else {
+      for (let i = 0; i < schema.length && !reason; i++) {
+        const error = schema[i](args[i]);
+        if (error) {
+          reason = `argument ${i + 1}: ${error}`;
+        }
+      }
+    }
+
+    if (reason) {
+      console.warn(JSON.stringify({
+        level: 'warn',
+        event: 'ipc-rejected',
+        time: new Date().toISOString(),
+        channel,
+        reason,
+        origin: frame ? frame.url : null,
+        args: summarize(args)
+      }));
+    }
+    return reason;
+  }
+
+  function handle(channel, schema, handler) {
+    ipcMain.handle(channel, (event, ...args) => {
+      const reason = check(channel, schema, event, args);
+      if (reason) {
+        throw new Error(`Rejected ${channel} call: ${reason}`);
+      }
+      return handler(event, ...args);
+    });
+  }
+
+  function on(channel, schema, listener) {
+    ipcMain.on(channel, (event, ...args) => {
+      if (!check(channel, schema, event, args)) {
+        listener(event, ...args);
+      }
+    });
+  }
+
+  return { handle, on };
+}
+
+module.exports = { createIpcGuard, validators, DOWNLOAD_HOSTS, IMAGE_HOSTS };
@@ -0,0 +1,125 @@
+const fs = require('fs');
+const path = require('path');
+
+// The language every other one falls back to for the strings it lacks
+const FALLBACK_LOCALE = 'en';
+// "fr", "pt-BR", "zh-Hant"...
+const LOCALE_CODE = /^[a-z]{2,3}(-[A-Za-z0-9]{2,8})*$/;
+// Plural forms a string may have, as named by Intl.PluralRules
+const PLURAL_FORMS = ['zero', 'one', 'two', 'few', 'many', 'other'];
+
+// A string is either text or its plural forms, e.g. { "one": "{count} game", "other": "{count} games" }
+function isTranslation(value) {
+  if (typeof value === 'string') {
+    return true;
+  }
+  return !!value && typeof value === 'object' && !Array.isArray(value) &&
+    typeof value.other === 'string' &&
+    Object.entries(value).every(([form, text]) => PLURAL_FORMS.includes(form) && typeof text === 'string');
+}
+
+// Language packs: <code>.json files ({ "language": "Français", "flag": "🇫🇷", "strings": { key: text } })
+// shipped in builtInDir, plus any the user drops into userDir. A user pack for a shipped language
+// only needs the strings it changes. Packs are read on every call, so new ones show up without a restart.
+function createLocaleStore({ builtInDir, userDir }) {
+  // null when the file can't be used; strings that aren't text or plural forms are left out
+  function readPack(filePath) {
+    try {
+      const pack = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+      if (!pack || typeof pack.strings !== 'object' || Array.isArray(pack.strings)) {
+        throw new Error('no "strings" object');
+      }
+      const strings = {};
+      for (const [key, value] of Object.entries(pack.strings)) {
+        if (isTranslation(value)) {
+          strings[key] = value;
+        } else {
+          console.warn(`Ignoring string "${key}" of ${filePath}: not text or plural forms`);
+        }
+      }
+      return {
+        language: typeof pack.language === 'string' ? pack.language : null,
+        flag: typeof pack.flag === 'string' ? pack.flag : '',
+        strings
+      };
+    } catch (error) {
+      console.error(`Error reading language pack ${filePath}:`, error.message);
+      return null;
+    }
+  }
+
+  // code -> pack of every usable pack in a folder
+  function readFolder(dir) {
+    const packs = new Map();
+    if (!fs.existsSync(dir)) {
+      return packs;
+    }
+    for (const name of fs.readdirSync(dir)) {
+      const code = path.basename(name, '.json');
+      if (name.endsWith('.json') && LOCALE_CODE.test(code)) {
+        const pack = readPack(path.join(dir, name));
+        if (pack) {
+          packs.set(code, pack);
+        }
+      }
+    }
+    return packs;
+  }
+
+  function readAll() {
+    return { builtIn: readFolder(builtInDir), user: readFolder(userDir) };
+  }
+
+  function merge(code, { builtIn, user }) {
+    const shipped = builtIn.get(code);
+    const added = user.get(code);
+    if (!shipped && !added) {
+      return null;
+    }
+    return {
+      code,
+      language: (added && added.language) || (shipped && shipped.language) || code,
+      flag: (added && added.flag) || (shipped && shipped.flag) || '',
+      strings: { ...(shipped && shipped.strings), ...(added && added.strings) }
+    };
+  }
+
+  // [{ code, language, flag, builtIn, user }], English first
+  function list(packs = readAll()) {
+    const codes = [...new Set([...packs.builtIn.keys(), ...packs.user.keys()])];
+    return codes
+      .map(code => {
+        const { language, flag } = merge(code, packs);
+        return { code, language, flag, builtIn: packs.builtIn.has(code), user: packs.user.has(code) };
+      })
+      .sort((a, b) => (b.code === FALLBACK_LOCALE) - (a.code === FALLBACK_LOCALE) || a.language.localeCompare(b.language));
+  }
+
+  // { code, language, flag, strings } of a language, or null when there is no pack for it
+  function load(code) {
+    return merge(code, readAll());
+  }
+
+  // Per language, the English keys it has no string for and the keys English doesn't have (typos, leftovers)
+  function report() {
+    const packs = readAll();
+    const fallback = merge(FALLBACK_LOCALE, packs);
+    const keys = Object.keys(fallback ? fallback.strings : {});
+    return list(packs)
+      .filter(({ code }) => code !== FALLBACK_LOCALE)
+      .map(({ code, language }) => {
+        const { strings } = merge(code, packs);
+        return {
+          code,
+          language,
+          total: keys.length,
+          missing: keys.filter(key => !(key in strings)),
+          unknown: Object.keys(strings).filter(key => !keys.includes(key))
+        };
+      });
+  }
+
+  return { list, load, report, userDir };
+}
+
+module.exports = { createLocaleStore, FALLBACK_LOCALE, LOCALE_CODE };
@@ -0,0 +1,140 @@
+const fs = require('fs');
+const path = require('path');
+const util = require('util');
+
+const LEVELS = ['debug', 'info', 'warn', 'error'];
+// Which process wrote an entry
+const LOG_PROCESSES = ['main', 'renderer'];
+const MAX_FILE_SIZE = 1024 * 1024;
+const MAX_FILES = 5;
+const MAX_MESSAGE_LENGTH = 10000;
+
+// Level of a console.log line from its prefix, as the app marks failures and warnings with ❌/✗ and ⚠
+function levelOfLine(message, level) {
+  if (level !== 'info') {
+    return level;
+  }
+  if (/^\s*(❌|✗)/.test(message)) {
+    return 'error';
+  }
+  return /^\s*⚠/.test(message) ? 'warn' : level;
+}
+
+// Leveled log of both processes as JSON lines: { time, level, process, message } in <dir>/app.log,
+// which moves to app.1.log ... app.<maxFiles - 1>.log once it grows past maxFileSize
+function createLogger({ dir, maxFileSize = MAX_FILE_SIZE, maxFiles = MAX_FILES, level = 'info' }) {
+  const filePath = (index) => path.join(dir, index === 0 ? 'app.log' : `app.${index}.log`);
+  let minLevel = LEVELS.indexOf(level);
+  let size = null;
+
+  function rotate() {
+    fs.rmSync(filePath(maxFiles - 1), { force: true });
+    for (let i = maxFiles - 2; i >= 0; i--) {
+      if (fs.existsSync(filePath(i))) {
+        fs.renameSync(filePath(i), filePath(i + 1));
+      }
+    }
+    size = 0;
+  }
+
+  function write(entry) {
+    if (LEVELS.indexOf(entry.level) < minLevel) {
+      return;
+    }
+    const line = `${JSON.stringify(entry)}\n`;
+    const bytes = Buffer.byteLength(line);
+    try {
+      if (size === null) {
+        fs.mkdirSync(dir, { recursive: true });
+        size = fs.existsSync(filePath(0)) ? fs.statSync(filePath(0)).size : 0;
+      }
+      if (size > 0 && size + bytes > maxFileSize) {
+        rotate();
+      }
+      fs.appendFileSync(filePath(0), line, 'utf8');
+      size += bytes;
+    } catch {
+      // A log that can't be written must not break what was being logged
+    }
+  }
+
+  function log(entryLevel, message, { process: source = 'main', time = new Date().toISOString() } = {}) {
+    write({ time, level: entryLevel, process: source, message: String(message).slice(0, MAX_MESSAGE_LENGTH) });
+  }
+
+  // Send console output to the log too; it still goes to the terminal as before
+  function captureConsole(target = console) {
+    const methods = { debug: 'debug', log: 'info', info: 'info', warn: 'warn', error: 'error' };
+    for (const [method, methodLevel] of Object.entries(methods)) {
+      const original = target[method].bind(target);
+      target[method] = (...items) => {
+        original(...items);
+        const message = util.format(...items);
+        log(levelOfLine(message, methodLevel), message);
+      };
+    }
+  }
+
+  // The log files, newest first
+  function files() {
+    const result = [];
+    for (let i = 0; i < maxFiles; i++) {
+      if (fs.existsSync(filePath(i))) {
+        result.push(filePath(i));
+      }
+    }
+    return result;
+  }
+
+  // The newest entries first, at least `level` and containing `search` (in any case)
+  function read({ limit = 500, level: atLeast = 'debug', search = '', process: source = null } = {}) {
+    const min = LEVELS.indexOf(atLeast);
+    const query = search.toLowerCase();
+    const entries = [];
+
+    for (const file of files()) {
+      let lines;
+      try {
+        lines = fs.readFileSync(file, 'utf8').split('\n');
+      } catch {
+        continue;
+      }
+      for (let i = lines.length - 1; i >= 0 && entries.length < limit; i--) {
+        let entry;
+        try {
+          entry = JSON.parse(lines[i]);
+        } catch {
+          continue;
+        }
+        if (LEVELS.indexOf(entry.level) >= min &&
+          (!source || entry.process === source) &&
+          (!query || entry.message.toLowerCase().includes(query))) {
+          entries.push(entry);
+        }
+      }
+      if (entries.length >= limit) {
+        break;
+      }
+    }
+    return entries;
+  }
+
+  function setLevel(value) {
+    minLevel = Math.max(0, LEVELS.indexOf(value));
+  }
+
+  return {
+    dir,
+    log,
+    debug: (message) => log('debug', message),
+    info: (message) => log('info', message),
+    warn: (message) => log('warn', message),
+    error: (message) => log('error', message),
+    captureConsole,
+    files,
+    read,
+    setLevel
+  };
+}
+
+module.exports = { createLogger, LEVELS, LOG_PROCESSES };
@@ -0,0 +1,263 @@
+const fs = require('fs');
+const path = require('path');
+
+// Layout of index.json and the entry files; bump it when either changes shape
+const LAYOUT_VERSION = 1;
+
+const KEY_PATTERN = /^[\w.-]{1,128}$/;
+const MAX_ENTRY_BYTES = 2 * 1024 * 1024;
+const INDEX_SAVE_DELAY = 2000;
+
+function writeFileAtomic(filePath, text) {
+  const tempPath = `${filePath}.tmp`;
+  fs.writeFileSync(tempPath, text, 'utf8');
+  fs.renameSync(tempPath, filePath);
+}
+
+// Disk cache for game metadata (Steam store data and the like), one JSON file per entry.
+// Every kind of entry has its own TTL and data version; entries past their TTL are still
+// served, flagged as stale, so callers can show them while they fetch a fresh copy.
+// Entries of an older version go through the kind's migrations instead of being dropped,
+// and the least recently used entries are evicted once the cache grows past maxBytes.
+function createMetadataCache({ dir, kinds, maxBytes = 200 * 1024 * 1024 }) {
+  const indexPath = path.join(dir, 'index.json');
+  let index = loadIndex(); // "kind/key" -> { size, storedAt, expiresAt, accessedAt }
+  let saveTimer = null;
+
+  function entryPath(kind, key) {
+    return path.join(dir, kind, `${key}.json`);
+  }
+
+  function checkKey(kind, key) {
+    if (!kinds[kind]) {
+      throw new Error(`Unknown cache kind "${kind}"`);
+    }
+    if (!KEY_PATTERN.test(key)) {
+      throw new Error(`Invalid cache key "${key}"`);
+    }
+  }
+
+  // Rebuild the index from the entry files, e.g. after a crash before it was saved
+  function scanEntries() {
+    const entries = {};
+    for (const kind of Object.keys(kinds)) {
+      const kindDir = path.join(dir, kind);
+      if (!fs.existsSync(kindDir)) {
+        continue;
+      }
+      for (const file of fs.readdirSync(kindDir)) {
+        if (!file.endsWith('.json')) {
+          continue;
+        }
+        const filePath = path.join(kindDir, file);
+        try {
+          const entry = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+          const size = fs.statSync(filePath).size;
+          entries[`${kind}/${file.slice(0, -5)}`] = { size, storedAt: entry.storedAt, expiresAt: entry.expiresAt, accessedAt: entry.storedAt };
+        } catch {
+          fs.rmSync(filePath, { force: true });
+        }
+      }
+    }
+    return entries;
+  }
+
+  function loadIndex() {
+    try {
+      const saved = JSON.parse(fs.readFileSync(indexPath, 'utf8'));
+      if (saved.version === LAYOUT_VERSION && saved.entries) {
+        // Kinds that are no longer cached are left out
+        return Object.fromEntries(Object.entries(saved.entries).filter(([id]) => kinds[id.split('/')[0]]));
+      }
+      console.log(`Metadata cache layout ${saved.version} is not ${LAYOUT_VERSION}, rebuilding its index`);
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        console.error('Error reading metadata cache index, rebuilding it:', error.message);
+      }
+    }
+    return scanEntries();
+  }
+
+  function flush() {
+    clearTimeout(saveTimer);
+    saveTimer = null;
+    try {
+      fs.mkdirSync(dir, { recursive: true });
+      writeFileAtomic(indexPath, JSON.stringify({ version: LAYOUT_VERSION, entries: index }));
+    } catch (error) {
+      console.error('Error saving metadata cache index:', error);
+    }
+  }
+
+  // Access times change on every read, so the index is written at most every couple of seconds
+  function scheduleSave() {
+    if (!saveTimer) {
+      saveTimer = setTimeout(flush, INDEX_SAVE_DELAY);
+    }
+  }
+
+  function removeEntry(id) {
+    const [kind, key] = id.split('/');
+    fs.rmSync(entryPath(kind, key), { force: true });
+    delete index[id];
+  }
+
+  // Drop the least recently used entries until the cache fits in maxBytes again
+  function evict() {
+    let total = Object.values(index).reduce((sum, meta) => sum + meta.size, 0);
+    if (total <= maxBytes) {
+      return;
+    }
+    const oldestFirst = Object.entries(index).sort((a, b) => a[1].accessedAt - b[1].accessedAt);
+    let evicted = 0;
+    for (const [id, meta] of oldestFirst) {
+      if (total <= maxBytes) {
+        break;
+      }
+      removeEntry(id);
+      total -= meta.size;
+      evicted++;
+    }
+    console.log(`Metadata cache over ${maxBytes} bytes, evicted ${evicted} entries`);
+  }
+
+  // Bring an entry written by an older version up to date; null when that isn't possible
+  function migrateEntry(kind, entry) {
+    const { version, migrations = {} } = kinds[kind];
+    if (!Number.isInteger(entry.version) || entry.version > version) {
+      return null;
+    }
+    let result = entry;
+    for (let next = entry.version + 1; next <= version; next++) {
+      if (!migrations[next]) {
+        return null;
+      }
+      result = { ...migrations[next](result), version: next };
+    }
+    return result;
+  }
+
+  function writeEntry(kind, key, entry) {
+    const text = JSON.stringify(entry);
+    if (text.length > MAX_ENTRY_BYTES) {
+      throw new Error(`Cache entry ${kind}/${key} is larger than ${MAX_ENTRY_BYTES} bytes`);
+    }
+    fs.mkdirSync(path.join(dir, kind), { recursive: true });
+    writeFileAtomic(entryPath(kind, key), text);
+
+    const id = `${kind}/${key}`;
+    index[id] = {
+      size: Buffer.byteLength(text),
+      storedAt: entry.storedAt,
+      expiresAt: entry.expiresAt,
+      accessedAt: (index[id] && index[id].accessedAt) || Date.now()
+    };
+  }
+
+  // Returns { data, storedAt, stale } or null when nothing usable is cached
+  function get(kind, key) {
+    checkKey(kind, key);
+    const id = `${kind}/${key}`;
+    const meta = index[id];
+    if (!meta) {
+      return null;
+    }
+
+    let entry;
+    try {
+      entry = JSON.parse(fs.readFileSync(entryPath(kind, key), 'utf8'));
+    } catch {
+      removeEntry(id);
+      scheduleSave();
+      return null;
+    }
+
+    if (entry.version !== kinds[kind].version) {
+      const migrated = migrateEntry(kind, entry);
+      if (!migrated) {
+        removeEntry(id);
+        scheduleSave();
+        return null;
+      }
+      entry = migrated;
+      writeEntry(kind, key, entry);
+    }
+
+    index[id].accessedAt = Date.now();
+    scheduleSave();
+    return { data: entry.data, storedAt: entry.storedAt, stale: Date.now() >= index[id].expiresAt };
+  }
+
+  function set(kind, key, data, { ttl = kinds[kind] && kinds[kind].ttl } = {}) {
+    checkKey(kind, key);
+    const storedAt = Date.now();
+    writeEntry(kind, key, { version: kinds[kind].version, storedAt, expiresAt: storedAt + ttl, data });
+    index[`${kind}/${key}`].accessedAt = storedAt;
+    evict();
+    scheduleSave();
+  }
+
+  // Entries cached by something else (older app versions); each one is migrated like any other entry
+  function importEntries(kind, entries) {
+    let imported = 0;
+    for (const { key, version, storedAt, data } of entries) {
+      try {
+        checkKey(kind, key);
+        const entry = migrateEntry(kind, { version, storedAt, expiresAt: storedAt + kinds[kind].ttl, data });
+        if (entry) {
+          writeEntry(kind, key, entry);
+          imported++;
+        }
+      } catch (error) {
+        console.error(`Error importing cache entry ${kind}/${key}:`, error.message);
+      }
+    }
+    evict();
+    scheduleSave();
+    return imported;
+  }
+
+  function keys(kind) {
+    const prefix = `${kind}/`;
+    return Object.keys(index).filter(id => id.startsWith(prefix)).map(id => id.slice(prefix.length));
+  }
+
+  // Mark everything as stale, so it is still shown but refreshed the next time it is used
+  function invalidate() {
+    for (const meta of Object.values(index)) {
+      meta.expiresAt = 0;
+    }
+    flush();
+  }
+
+  function clear() {
+    for (const kind of Object.keys(kinds)) {
+      fs.rmSync(path.join(dir, kind), { recursive: true, force: true });
+    }
+    index = {};
+    flush();
+  }
+
+  function stats() {
+    const now = Date.now();
+    const result = { entries: 0, bytes: 0, stale: 0, maxBytes, kinds: {} };
+    for (const kind of Object.keys(kinds)) {
+      result.kinds[kind] = { entries: 0, bytes: 0, stale: 0 };
+    }
+    for (const [id, meta] of Object.entries(index)) {
+      const kindStats = result.kinds[id.split('/')[0]];
+      for (const target of [result, kindStats]) {
+        target.entries++;
+        target.bytes += meta.size;
+        if (now >= meta.expiresAt) {
+          target.stale++;
+        }
+      }
+    }
+    return result;
+  }
+
+  return { get, set, importEntries, keys, invalidate, clear, stats, flush };
+}
+
+module.exports = { createMetadataCache };
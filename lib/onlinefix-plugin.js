@@ -0,0 +1,46 @@
+const fs = require('fs');
+const path = require('path');
+const steamLocator = require('./steam-locator');
+
+function pluginError(message, code) {
+  const error = new Error(message);
+  error.code = code;
+  return error;
+}
+
+// The Steam installations and the first one with the OnlineFix plugin: { steamRoots, pluginPath }
+// (pluginPath is null without the plugin)
+async function findPlugin() {
+  const steamRoots = await steamLocator.findSteamRoots();
+  const steamPath = steamRoots.find(root => fs.existsSync(path.join(root, 'plugins', 'onlinefix')));
+  return { steamRoots, pluginPath: steamPath ? path.join(steamPath, 'plugins', 'onlinefix') : null };
+}
+
+// Replace the plugin's appIDs.txt with the latest one from the plugin source; resolves with its path.
+// Throws STEAM_NOT_FOUND or PLUGIN_NOT_FOUND when there is nothing to update.
+async function updateAppIDs(sources) {
+  console.log('Starting OnlineFix plugin appIDs.txt update...');
+
+  const { steamRoots, pluginPath } = await findPlugin();
+  if (steamRoots.length === 0) {
+    throw pluginError('Steam installation not found. Please ensure Steam is installed.', 'STEAM_NOT_FOUND');
+  }
+  console.log('Found Steam at:', steamRoots.join(', '));
+  if (!pluginPath) {
+    throw pluginError('OnlineFix plugin not found. Please install the plugin first.', 'PLUGIN_NOT_FOUND');
+  }
+
+  const appIDsPath = path.join(pluginPath, 'appIDs.txt');
+  console.log('Plugin path:', pluginPath);
+  console.log('appIDs.txt path:', appIDsPath);
+
+  // Download the latest appIDs.txt
+  const fileContent = await sources.fetchText('plugin', 'appIDs.txt');
+
+  // Write the new file (replacing existing)
+  fs.writeFileSync(appIDsPath, fileContent, 'utf8');
+  console.log('Successfully updated appIDs.txt');
+  return appIDsPath;
+}
+
+module.exports = { findPlugin, updateAppIDs };
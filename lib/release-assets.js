@@ -0,0 +1,154 @@
+const fs = require('fs');
+const path = require('path');
+const httpClient = require('./http-client');
+
+const GITHUB_API = 'https://api.github.com';
+const GITHUB_HEADERS = { Accept: 'application/vnd.github+json', 'X-GitHub-Api-Version': '2022-11-28' };
+const PAGE_SIZE = 100;
+
+// owner, repo, release tag and asset name of a https://github.com/<owner>/<repo>/releases/download/<tag>/<name> URL
+function parseAssetUrl(url) {
+  const match = /^\/([^/]+)\/([^/]+)\/releases\/download\/([^/]+)\/([^/]+)$/.exec(new URL(url).pathname);
+  if (!match) {
+    throw new Error(`Not a GitHub release asset URL: ${url}`);
+  }
+  const [, owner, repo, tag, name] = match.map(decodeURIComponent);
+  return { owner, repo, tag, name };
+}
+
+// owner, repo and release tag of a https://github.com/<owner>/<repo>/releases/download/<tag> folder; null for any other URL
+function parseReleaseFolder(url) {
+  let parsed;
+  try {
+    parsed = new URL(url);
+  } catch {
+    return null;
+  }
+  const match = /^\/([^/]+)\/([^/]+)\/releases\/download\/([^/]+)\/?$/.exec(parsed.pathname);
+  if (parsed.hostname !== 'github.com' || !match) {
+    return null;
+  }
+  const [, owner, repo, tag] = match.map(decodeURIComponent);
+  return { owner, repo, tag };
+}
+
+// What identifies one upload of an asset: a re-uploaded archive of the same name gets a new id and updated_at
+function assetIdentity(asset) {
+  return { id: asset.id, size: asset.size, updatedAt: asset.updated_at };
+}
+
+// Whether the asset on GitHub is another upload than the one that was installed. Installs recorded
+// before asset identities were kept only have their install time to go by.
+function isNewerUpload(installed, latest, installedAt) {
+  if (!latest) {
+    return false;
+  }
+  if (installed) {
+    return installed.id !== latest.id || installed.size !== latest.size || installed.updatedAt !== latest.updatedAt;
+  }
+  return Date.parse(latest.updatedAt) > installedAt;
+}
+
+// Asset lists of the GitHub releases fixes are downloaded from, read through the releases API
+// (one page of 100 assets per request) and kept for maxAge so a batch of lookups costs one listing.
+// Each API response is kept in cachePath with its ETag, so listing a release that hasn't changed only
+// costs conditional requests, which GitHub answers with 304 Not Modified outside the rate limit.
+function createReleaseAssets({ maxAge = 10 * 60 * 1000, cachePath = null } = {}) {
+  const releases = new Map(); // "owner/repo/tag" -> { fetchedAt, assets: Map(name -> identity) }
+  const listings = new Map(); // listings in progress, shared by concurrent lookups
+  const responses = loadResponses(); // API URL -> { etag, data }
+  const usedResponses = new Set(); // what was requested since the app started; only these are saved
+
+  function loadResponses() {
+    try {
+      if (cachePath && fs.existsSync(cachePath)) {
+        return new Map(Object.entries(JSON.parse(fs.readFileSync(cachePath, 'utf8')).responses || {}));
+      }
+    } catch (error) {
+      console.error('Error reading the release asset cache:', error.message);
+    }
+    return new Map();
+  }
+
+  function saveResponses() {
+    if (!cachePath) {
+      return;
+    }
+    try {
+      const kept = Object.fromEntries([...responses].filter(([url]) => usedResponses.has(url)));
+      fs.mkdirSync(path.dirname(cachePath), { recursive: true });
+      const tempPath = `${cachePath}.tmp`;
+      fs.writeFileSync(tempPath, JSON.stringify({ responses: kept }), 'utf8');
+      fs.renameSync(tempPath, cachePath);
+    } catch (error) {
+      console.error('Error saving the release asset cache:', error.message);
+    }
+  }
+
+  // GET an API URL, sending the ETag of the last response; pick() keeps the part of the JSON worth caching
+  async function fetchApi(url, pick) {
+    usedResponses.add(url);
+    const cached = responses.get(url);
+    const headers = cached ? { ...GITHUB_HEADERS, 'If-None-Match': cached.etag } : GITHUB_HEADERS;
+    const res = await httpClient.fetchBuffer(url, { headers, okStatuses: [200, 304], retries: 2 });
+    if (res.statusCode === 304) {
+      return cached.data;
+    }
+    const data = pick(JSON.parse(res.buffer.toString('utf8')));
+    if (res.headers.etag) {
+      responses.set(url, { etag: res.headers.etag, data });
+    } else {
+      responses.delete(url);
+    }
+    return data;
+  }
+
+  async function fetchAssets(owner, repo, tag) {
+    const repoUrl = `${GITHUB_API}/repos/${encodeURIComponent(owner)}/${encodeURIComponent(repo)}`;
+    const release = await fetchApi(`${repoUrl}/releases/tags/${encodeURIComponent(tag)}`, ({ id }) => ({ id }));
+    const assets = new Map();
+    for (let page = 1; ; page++) {
+      const batch = await fetchApi(
+        `${repoUrl}/releases/${release.id}/assets?per_page=${PAGE_SIZE}&page=${page}`,
+        list => list.map(asset => ({ name: asset.name, ...assetIdentity(asset) }))
+      );
+      for (const { name, ...identity } of batch) {
+        assets.set(name, identity);
+      }
+      if (batch.length < PAGE_SIZE) {
+        break;
+      }
+    }
+    saveResponses();
+    console.log(`Listed ${assets.size} assets of ${owner}/${repo} release ${tag}`);
+    return assets;
+  }
+
+  async function listRelease(owner, repo, tag, { refresh = false } = {}) {
+    const key = `${owner}/${repo}/${tag}`;
+    const known = releases.get(key);
+    if (known && !refresh && Date.now() - known.fetchedAt < maxAge) {
+      return known.assets;
+    }
+    if (!listings.has(key)) {
+      listings.set(key, fetchAssets(owner, repo, tag)
+        .then(assets => {
+          releases.set(key, { fetchedAt: Date.now(), assets });
+          return assets;
+        })
+        .finally(() => listings.delete(key)));
+    }
+    return listings.get(key);
+  }
+
+  // Identity of the asset a release download URL points to; null when the release no longer has it
+  async function getAsset(url, options) {
+    const { owner, repo, tag, name } = parseAssetUrl(url);
+    const assets = await listRelease(owner, repo, tag, options);
+    return assets.get(name) || null;
+  }
+
+  return { listRelease, getAsset };
+}
+
+module.exports = { createReleaseAssets, isNewerUpload, parseReleaseFolder };
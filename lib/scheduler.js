@@ -0,0 +1,83 @@
+// Minutes the background checks may be spaced by; 0 turns them off
+const CHECK_INTERVALS = [0, 30, 60, 180, 360, 720, 1440];
+// The first checks wait a little after startup, so they don't compete with the window loading
+const STARTUP_DELAY = 5 * 60 * 1000;
+
+// Runs the enabled tasks one after the other every checkInterval minutes. getSettings() returns
+// { checkInterval, <task name>: enabled }; a task's run() resolves with { title, body } to notify
+// about, or null when there is nothing new. How each task last went is kept for status().
+function createScheduler({ tasks, getSettings, onResult }) {
+  const results = {};
+  let timer = null;
+  let nextRunAt = null;
+  let running = null;
+  let runStartedAt = null;
+
+  async function runTasks(names) {
+    for (const task of tasks.filter(item => names.includes(item.name))) {
+      const startedAt = Date.now();
+      try {
+        const result = await task.run();
+        results[task.name] = { ok: true, at: startedAt, error: null, message: result ? result.body : null };
+        if (result) {
+          onResult(task.name, result);
+        }
+      } catch (error) {
+        console.error(`Background check "${task.name}" failed:`, error.message);
+        results[task.name] = { ok: false, at: startedAt, error: error.message, message: null };
+      }
+    }
+  }
+
+  // Run the given tasks now, or every enabled one; a run already going on is joined rather than repeated.
+  // Resolves with status() and when the run started, so results of that run can be told from older ones.
+  async function runNow(names = null) {
+    if (!running) {
+      const settings = getSettings();
+      const selected = names || tasks.filter(task => settings[task.name]).map(task => task.name);
+      console.log(`Running background checks: ${selected.join(', ') || 'none enabled'}`);
+      runStartedAt = Date.now();
+      running = runTasks(selected).finally(() => {
+        running = null;
+      });
+    }
+    const startedAt = runStartedAt;
+    await running;
+    return { ...status(), startedAt };
+  }
+
+  // Start over with the current interval, e.g. after the settings changed
+  function schedule(delay = null) {
+    clearTimeout(timer);
+    timer = null;
+    nextRunAt = null;
+    const { checkInterval } = getSettings();
+    if (!checkInterval) {
+      return;
+    }
+    const wait = delay === null ? checkInterval * 60 * 1000 : delay;
+    nextRunAt = Date.now() + wait;
+    timer = setTimeout(() => {
+      runNow().finally(() => schedule());
+    }, wait);
+  }
+
+  function start() {
+    schedule(Math.min(STARTUP_DELAY, getSettings().checkInterval * 60 * 1000));
+  }
+
+  function stop() {
+    clearTimeout(timer);
+    timer = null;
+    nextRunAt = null;
+  }
+
+  // { running, nextRunAt, results: { <task name>: { ok, at, error, message } } }
+  function status() {
+    return { running: !!running, nextRunAt, results: { ...results } };
+  }
+
+  return { start, schedule, stop, runNow, status };
+}
+
+module.exports = { createScheduler, CHECK_INTERVALS };
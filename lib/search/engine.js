@@ -0,0 +1,181 @@
+const { normalizeName, editDistance } = require('../text-match');
+
+// Ranked, typo-tolerant matching of parsed queries (see query.js) against the game list and the bypass list
+
+const words = (text) => normalizeName(text).split(' ').filter(Boolean);
+
+// How much a match in each field counts towards a game's score
+const FIELD_WEIGHTS = { name: 10, developers: 4, tags: 3, genres: 3, coop: 2 };
+
+// 0..1 for how well a typed word matches a word of the game: exact, start of the word, or (fuzzy) a typo or two away
+function matchWord(term, word, fuzzy) {
+  if (word === term) {
+    return 1;
+  }
+  if (word.startsWith(term)) {
+    return 0.8;
+  }
+
+  const maxDistance = !fuzzy || term.length < 4 ? 0 : term.length < 8 ? 1 : 2;
+  if (maxDistance === 0) {
+    return 0;
+  }
+  const distance = editDistance(term, word, maxDistance);
+  if (distance <= maxDistance) {
+    return 0.7 - 0.2 * distance;
+  }
+  // Still being typed: "witchr" of "witcher 3"
+  if (word.length > term.length && editDistance(term, word.slice(0, term.length), maxDistance) <= maxDistance) {
+    return 0.4;
+  }
+  return 0;
+}
+
+function coopWords(game) {
+  const coop = game.coopData || {};
+  const result = [];
+  if (coop.onlineCoop) result.push('online', 'coop');
+  if (coop.localCoop) result.push('local', 'coop');
+  if (coop.comboCoop) result.push('combo');
+  if (coop.lanPlay) result.push('lan');
+  if (coop.coopCampaign) result.push('campaign');
+  if (game.hasSplitScreen) result.push('split', 'screen', 'splitscreen');
+  return [...new Set(result)];
+}
+
+// Normalized text of every game, built once per game list so typing only scores
+function createSearchIndex(games) {
+  return games.map(game => ({
+    game,
+    name: normalizeName(game.name),
+    fields: {
+      name: words(game.name),
+      developers: (game.developers || []).flatMap(words),
+      tags: (game.tags || []).flatMap(tag => words(tag.name)),
+      genres: (game.genres || []).flatMap(genre => words(genre.description)),
+      coop: coopWords(game)
+    }
+  }));
+}
+
+// Best score of a term over the game's fields; 0 when it matches none
+function scoreTerm(entry, term, fuzzy = true) {
+  if (term.phrase) {
+    const phrase = normalizeName(term.text);
+    if (!phrase) {
+      return 0;
+    }
+    return entry.name.includes(phrase) ? FIELD_WEIGHTS.name : 0;
+  }
+  const appID = entry.game.appID || '';
+  if (/^\d+$/.test(term.text) && appID.startsWith(term.text)) {
+    return appID === term.text ? 2 * FIELD_WEIGHTS.name : FIELD_WEIGHTS.name;
+  }
+  let best = 0;
+  for (const termWord of words(term.text)) {
+    let wordBest = 0;
+    for (const [field, fieldWords] of Object.entries(entry.fields)) {
+      for (const word of fieldWords) {
+        wordBest = Math.max(wordBest, FIELD_WEIGHTS[field] * matchWord(termWord, word, fuzzy));
+      }
+    }
+    // "half-life" is two words; all of them have to match
+    if (wordBest === 0) {
+      return 0;
+    }
+    best += wordBest;
+  }
+  return best;
+}
+
+function hasName(list, key, value) {
+  const wanted = normalizeName(value);
+  return (list || []).some(item => normalizeName(item[key]) === wanted);
+}
+
+const inRange = (number, filter) => number !== null && number >= filter.min && number <= filter.max;
+
+// context: { ratings, favorites, downloadedAppIDs, newAppIDs } from the store's state
+function matchesFilter(game, filter, context) {
+  const coop = game.coopData || {};
+  switch (filter.field) {
+    case 'tag':
+      return hasName(game.tags, 'name', filter.value);
+    case 'genre':
+      return hasName(game.genres, 'description', filter.value);
+    case 'dev':
+      return (game.developers || []).some(dev => normalizeName(dev).includes(normalizeName(filter.value)));
+    case 'players':
+      return inRange(coop.maxPlayers ? parseInt(coop.maxPlayers) : null, filter);
+    case 'rating':
+      return inRange(context.ratings[game.appID] || 0, filter);
+    case 'metacritic':
+      return inRange(game.metacritic?.score ?? null, filter);
+    case 'appid':
+      return inRange(parseInt(game.appID), filter);
+    case 'splitscreen':
+      return (game.hasSplitScreen === true) === filter.enabled;
+    case 'online':
+      return (coop.onlineCoop === true) === filter.enabled;
+    case 'local':
+      return (coop.localCoop === true || game.hasSplitScreen === true) === filter.enabled;
+    case 'campaign':
+      return (coop.coopCampaign === true) === filter.enabled;
+    case 'is':
+      if (filter.value === 'favorite') return context.favorites.includes(game.appID);
+      if (filter.value === 'downloaded') return context.downloadedAppIDs.has(game.appID);
+      return context.newAppIDs.has(game.appID);
+    default:
+      return true;
+  }
+}
+
+// Games matching every term and filter of the query; best matches first when there are words to rank by,
+// otherwise in their original order
+function searchGames(index, query, context) {
+  // Words made only of punctuation ("&" in "dungeons & dragons") have nothing to match
+  const terms = query.terms.filter(term => normalizeName(term.text));
+  const positive = terms.filter(term => !term.negate);
+  const negative = terms.filter(term => term.negate);
+  const wholeQuery = normalizeName(positive.map(term => term.text).join(' '));
+
+  const results = [];
+  for (const entry of index) {
+    if (!query.filters.every(filter => matchesFilter(entry.game, filter, context) !== filter.negate)) {
+      continue;
+    }
+    // Excluded words are taken literally, so -dark doesn't also drop "Dart"
+    if (negative.some(term => scoreTerm(entry, term, false) > 0)) {
+      continue;
+    }
+
+    let score = 0;
+    let matchesAll = true;
+    for (const term of positive) {
+      const termScore = scoreTerm(entry, term);
+      if (termScore === 0) {
+        matchesAll = false;
+        break;
+      }
+      score += termScore;
+    }
+    if (!matchesAll) {
+      continue;
+    }
+
+    // Names that read like what was typed beat names that merely contain the words
+    if (wholeQuery) {
+      if (entry.name === wholeQuery) score += 30;
+      else if (entry.name.startsWith(wholeQuery)) score += 20;
+      else if (entry.name.includes(wholeQuery)) score += 10;
+    }
+    results.push({ game: entry.game, score });
+  }
+
+  if (positive.length > 0) {
+    results.sort((a, b) => b.score - a.score || a.game.name.localeCompare(b.game.name));
+  }
+  return results.map(result => result.game);
+}
+
+module.exports = { createSearchIndex, searchGames };
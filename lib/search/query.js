@@ -0,0 +1,173 @@
+// The store's search language, used by the store's search box and the command line's search. Plain words
+// are matched against names, developers, tags, genres and co-op data; field:value terms filter, e.g.
+//   "dark souls" tag:survival genre:rpg players:>=4 splitscreen:yes rating:>=4 -tag:horror
+// The advanced filters panel edits the same string, so a search can be saved and typed back in.
+
+// Canonical field name for each name a filter can be written with
+const FIELD_ALIASES = {
+  tag: 'tag', tags: 'tag',
+  genre: 'genre', genres: 'genre',
+  dev: 'dev', developer: 'dev',
+  players: 'players', player: 'players',
+  splitscreen: 'splitscreen', split: 'splitscreen',
+  online: 'online',
+  local: 'local',
+  campaign: 'campaign',
+  rating: 'rating',
+  metacritic: 'metacritic', score: 'metacritic',
+  appid: 'appid',
+  is: 'is'
+};
+
+const TEXT_FIELDS = ['tag', 'genre', 'dev'];
+const NUMBER_FIELDS = ['players', 'rating', 'metacritic', 'appid'];
+const BOOLEAN_FIELDS = ['splitscreen', 'online', 'local', 'campaign'];
+const IS_VALUES = ['favorite', 'downloaded', 'new'];
+
+const BOOLEAN_VALUES = { yes: true, true: true, '1': true, no: false, false: false, '0': false };
+
+// -field:"quoted value", -field:value, -"quoted phrase" or -word
+const TOKEN = /(-?)(?:([a-z]+):)?(?:"([^"]*)"?|(\S+))/gi;
+
+// ">=4", "<2", "=3", "4" or "2..4"; null when the value is not a number comparison
+function parseComparison(value) {
+  const range = /^(\d+)\.\.(\d+)$/.exec(value);
+  if (range) {
+    return { min: parseInt(range[1]), max: parseInt(range[2]) };
+  }
+  const match = /^(>=|<=|>|<|=)?(\d+)$/.exec(value);
+  if (!match) {
+    return null;
+  }
+  const number = parseInt(match[2]);
+  switch (match[1]) {
+    case '>=': return { min: number, max: Infinity };
+    case '>': return { min: number + 1, max: Infinity };
+    case '<=': return { min: -Infinity, max: number };
+    case '<': return { min: -Infinity, max: number - 1 };
+    default: return { min: number, max: number };
+  }
+}
+
+// field:value as a filter, or null when it is not one (unknown field or a value the field can't take)
+function parseFilter(name, value, negate) {
+  const field = FIELD_ALIASES[name.toLowerCase()];
+  if (!field || value === '') {
+    return null;
+  }
+
+  if (TEXT_FIELDS.includes(field)) {
+    return { field, value, negate };
+  }
+  if (NUMBER_FIELDS.includes(field)) {
+    const comparison = parseComparison(value);
+    return comparison && { field, value, negate, ...comparison };
+  }
+  if (BOOLEAN_FIELDS.includes(field)) {
+    const enabled = BOOLEAN_VALUES[value.toLowerCase()];
+    return enabled === undefined ? null : { field, value: enabled ? 'yes' : 'no', negate, enabled };
+  }
+  const is = value.toLowerCase();
+  return IS_VALUES.includes(is) ? { field, value: is, negate } : null;
+}
+
+// { terms: [{ text, phrase, negate }], filters: [{ field, value, negate, ... }] }
+function parseQuery(text) {
+  const terms = [];
+  const filters = [];
+  for (const match of String(text || '').matchAll(TOKEN)) {
+    const [raw, minus, name, quoted, plain] = match;
+    const negate = minus === '-';
+    const value = quoted !== undefined ? quoted : plain;
+
+    if (name) {
+      const filter = parseFilter(name, value, negate);
+      if (filter) {
+        filters.push(filter);
+        continue;
+      }
+    }
+
+    // Anything that isn't a filter is searched for as written, "field:" included
+    const termText = name ? raw.slice(minus.length) : value;
+    if (termText.trim()) {
+      terms.push({ text: termText, phrase: !name && quoted !== undefined, negate });
+    }
+  }
+  return { terms, filters };
+}
+
+function quote(value) {
+  return /[\s"]/.test(value) || value === '' ? `"${value.replace(/"/g, '')}"` : value;
+}
+
+function formatFilter({ field, value, negate }) {
+  return `${negate ? '-' : ''}${field}:${quote(value)}`;
+}
+
+function formatTerm({ text, phrase, negate }) {
+  return `${negate ? '-' : ''}${phrase ? quote(text) : text}`;
+}
+
+function formatQuery({ terms, filters }) {
+  return [...terms.map(formatTerm), ...filters.map(formatFilter)].join(' ');
+}
+
+// Values of the (non-negated) filters on a field, e.g. every tag:... of the query
+function getFilterValues(query, field) {
+  return query.filters.filter(f => f.field === field && !f.negate).map(f => f.value);
+}
+
+// The query with its (non-negated) filters on field replaced by one filter per value
+function setFilterValues(text, field, values) {
+  const query = parseQuery(text);
+  const others = query.filters.filter(f => f.field !== field || f.negate);
+  const added = values
+    .map(value => parseFilter(field, String(value), false))
+    .filter(Boolean);
+  return formatQuery({ terms: query.terms, filters: [...others, ...added] });
+}
+
+// The advanced filters panel's view of a query
+function toAdvancedFilters(query) {
+  const find = (field) => query.filters.find(f => f.field === field && !f.negate);
+  const rating = find('rating');
+  const players = find('players');
+  const isOn = (field) => find(field)?.enabled === true;
+  return {
+    minRating: rating ? Math.max(0, rating.min) : 0,
+    maxRating: rating ? Math.min(5, rating.max) : 5,
+    playerCount: players ? (players.max === Infinity ? `>=${players.min}` : players.value) : '',
+    hasCoopCampaign: isOn('campaign'),
+    onlineOnly: isOn('online'),
+    localOnly: isOn('local')
+  };
+}
+
+// The query with the panel's filters written into it
+function applyAdvancedFilters(text, filters) {
+  let result = text;
+  const { minRating, maxRating } = filters;
+  const rating = minRating > 0 && minRating === maxRating ? `${minRating}`
+    : minRating > 0 && maxRating < 5 ? `${minRating}..${maxRating}`
+    : minRating > 0 ? `>=${minRating}`
+    : maxRating < 5 ? `<=${maxRating}`
+    : null;
+  result = setFilterValues(result, 'rating', rating ? [rating] : []);
+  result = setFilterValues(result, 'players', filters.playerCount ? [filters.playerCount] : []);
+  result = setFilterValues(result, 'campaign', filters.hasCoopCampaign ? ['yes'] : []);
+  result = setFilterValues(result, 'online', filters.onlineOnly ? ['yes'] : []);
+  result = setFilterValues(result, 'local', filters.localOnly ? ['yes'] : []);
+  return result;
+}
+
+module.exports = {
+  IS_VALUES,
+  parseQuery,
+  formatFilter,
+  formatQuery,
+  getFilterValues,
+  setFilterValues,
+  toAdvancedFilters,
+  applyAdvancedFilters
+};
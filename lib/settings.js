@@ -0,0 +1,273 @@
+const fs = require('fs');
+const path = require('path');
+const { normalizeSources, DEFAULT_SOURCES } = require('./sources');
+
+// Bump when the layout of settings.json changes, and add a migration below
+const SCHEMA_VERSION = 3;
+
+// Each migration upgrades the data saved by the version before it.
+// Files without a version were written before versioning and hold only the network section.
+const MIGRATIONS = [
+  {
+    version: 2,
+    // Favorites, ratings, download history and UI preferences move here from the renderer's localStorage
+    migrate: (data) => ({ ...data, legacyImported: false })
+  },
+  {
+    version: 3,
+    // The game counts behind the "new games" notices give way to the catalog history in catalog-history.json
+    migrate: ({ catalog, ...data }) => data
+  }
+];
+
+const isPlainObject = (value) => !!value && typeof value === 'object' && !Array.isArray(value);
+
+// A fixed set of named values; unknown keys and values of the wrong type fall back to the defaults
+function settingsSection(defaults) {
+  return {
+    defaults,
+    merge: true,
+    normalize: (value) => {
+      const result = { ...defaults };
+      if (isPlainObject(value)) {
+        for (const key of Object.keys(defaults)) {
+          if (typeof value[key] === typeof defaults[key]) {
+            result[key] = value[key];
+          }
+        }
+      }
+      return result;
+    }
+  };
+}
+
+// A list that is always saved as a whole
+function listSection(isItem, maxItems, toItem = item => item) {
+  return {
+    defaults: [],
+    merge: false,
+    normalize: (value) => (Array.isArray(value) ? value.filter(isItem).slice(0, maxItems).map(toItem) : [])
+  };
+}
+
+// An appID -> value map that is always saved as a whole
+function mapSection(isValue) {
+  return {
+    defaults: {},
+    merge: false,
+    normalize: (value) => {
+      const result = {};
+      if (isPlainObject(value)) {
+        for (const [key, item] of Object.entries(value)) {
+          if (/^\d+$/.test(key) && isValue(item)) {
+            result[key] = item;
+          }
+        }
+      }
+      return result;
+    }
+  };
+}
+
+const isAppID = (value) => /^\d+$/.test(String(value));
+const isPlayerCount = (value) => Number.isInteger(value) && value >= 0 && value <= 64;
+
+const SECTIONS = {
+  network: settingsSection({
+    proxy: '', // e.g. http://127.0.0.1:8080 or socks5://127.0.0.1:1080, empty for a direct connection
+    bandwidthLimit: 0 // KB/s shared by all transfers, 0 for unlimited
+  }),
+  // Ordered mirrors of each data source, see lib/sources.js
+  sources: {
+    defaults: DEFAULT_SOURCES,
+    merge: true,
+    normalize: normalizeSources
+  },
+  // Tray mode and the checks the app runs on its own, see lib/scheduler.js
+  background: settingsSection({
+    trayMode: false, // keep running in the system tray when the window is closed
+    checkInterval: 360, // minutes between background checks, 0 for none
+    catalog: true, // look for games added to the catalog
+    fixUpdates: true, // look for newer archives of the installed fixes
+    plugin: false // refresh the OnlineFix plugin's appIDs.txt
+  }),
+  preferences: settingsSection({
+    theme: 'dark',
+    language: 'en',
+    windowMode: 'window',
+    showWallpaper: true,
+    backgroundMusic: false,
+    developerMode: false // extra tools for developers and translators, e.g. the missing translations report
+  }),
+  favorites: listSection(isAppID, 10000, String),
+  downloadHistory: listSection(entry => isPlainObject(entry) && isAppID(entry.appID), 50, entry => ({
+    appID: String(entry.appID),
+    name: String(entry.name || ''),
+    // What was installed: the game's fix or its bypass
+    kind: entry.kind === 'bypass' ? 'bypass' : 'fix',
+    timestamp: Number.isInteger(entry.timestamp) ? entry.timestamp : 0
+  })),
+  ratings: mapSection(rating => Number.isInteger(rating) && rating >= 1 && rating <= 5),
+  // Store search queries, e.g. "tag:survival players:>=4"
+  savedSearches: listSection(query => typeof query === 'string' && query.trim() !== '', 50),
+  // The user's own co-op details of games the co-op database gets wrong; 0 players for no co-op that way
+  coopCorrections: mapSection(correction => isPlainObject(correction) &&
+    typeof correction.name === 'string' &&
+    isPlayerCount(correction.onlinePlayers) &&
+    isPlayerCount(correction.localPlayers) &&
+    typeof correction.campaign === 'boolean')
+};
+
+// Sections the main process uses itself; they aren't part of the profile the renderer works with
+const MAIN_PROCESS_SECTIONS = ['network', 'sources', 'background'];
+
+const PROFILE_FORMAT = 'online-fix-store-profile';
+
+function profileError(message) {
+  const error = new Error(message);
+  error.code = 'INVALID_PROFILE';
+  return error;
+}
+
+// Run the migrations a file of the given version still needs
+function migrate(data, fromVersion) {
+  let result = { ...data };
+  for (const { version, migrate: step } of MIGRATIONS) {
+    if (version > fromVersion) {
+      result = step(result);
+    }
+  }
+  return result;
+}
+
+// Keep only the known sections, each in its expected shape
+function normalize(data) {
+  const result = {};
+  for (const [name, section] of Object.entries(SECTIONS)) {
+    result[name] = section.normalize(data[name]);
+  }
+  return result;
+}
+
+// Versioned settings and user data (favorites, ratings, history...) kept as JSON in the userData folder
+function createSettingsStore(filePath) {
+  let legacyImported = false;
+  let data = load();
+
+  // Keep a copy of a file we can't use as is, so nothing is lost when it gets rewritten
+  function backup(suffix) {
+    try {
+      fs.copyFileSync(filePath, `${filePath}.${suffix}`);
+    } catch (error) {
+      console.error('Error backing up settings:', error);
+    }
+  }
+
+  function load() {
+    if (!fs.existsSync(filePath)) {
+      // legacyImported stays false so the renderer still offers its localStorage keys once
+      return normalize({});
+    }
+
+    let saved;
+    try {
+      saved = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+    } catch (error) {
+      console.error('Error reading settings, using defaults:', error);
+      backup(`corrupt-${Date.now()}`);
+      return normalize({});
+    }
+
+    const version = Number.isInteger(saved.version) ? saved.version : 1;
+    if (version > SCHEMA_VERSION) {
+      console.warn(`settings.json was written by a newer version (schema ${version}), keeping a copy before using it`);
+      backup(`v${version}.bak`);
+    } else if (version < SCHEMA_VERSION) {
+      console.log(`Migrating settings from schema ${version} to ${SCHEMA_VERSION}`);
+      saved = migrate(saved, version);
+    }
+
+    legacyImported = saved.legacyImported !== false;
+    return normalize(saved);
+  }
+
+  function save() {
+    fs.mkdirSync(path.dirname(filePath), { recursive: true });
+    // Write next to the file and swap it in, so a crash never leaves half a profile behind
+    const tempPath = `${filePath}.tmp`;
+    fs.writeFileSync(tempPath, JSON.stringify({ version: SCHEMA_VERSION, legacyImported, ...data }, null, 2), 'utf8');
+    fs.renameSync(tempPath, filePath);
+  }
+
+  function get(name) {
+    return JSON.parse(JSON.stringify(data[name]));
+  }
+
+  // Settings sections are merged with the given values, lists and maps are replaced
+  function apply(name, value) {
+    const section = SECTIONS[name];
+    if (!section) {
+      throw new Error(`Unknown settings section "${name}"`);
+    }
+    data[name] = section.normalize(section.merge ? { ...data[name], ...value } : value);
+  }
+
+  function update(name, value) {
+    apply(name, value);
+    save();
+    return get(name);
+  }
+
+  // Everything but the network, source and background settings, which stay with the main process
+  function getProfile() {
+    const profile = {};
+    for (const name of Object.keys(SECTIONS)) {
+      if (!MAIN_PROCESS_SECTIONS.includes(name)) {
+        profile[name] = get(name);
+      }
+    }
+    return { ...profile, legacyImported };
+  }
+
+  // One-time import of the values the renderer used to keep in localStorage
+  function importLegacy(values) {
+    if (legacyImported) {
+      return false;
+    }
+    for (const [name, value] of Object.entries(values)) {
+      if (!MAIN_PROCESS_SECTIONS.includes(name)) {
+        apply(name, value);
+      }
+    }
+    legacyImported = true;
+    save();
+    return true;
+  }
+
+  function exportProfile() {
+    return {
+      format: PROFILE_FORMAT,
+      version: SCHEMA_VERSION,
+      exportedAt: new Date().toISOString(),
+      data: JSON.parse(JSON.stringify(data))
+    };
+  }
+
+  // Replace everything with an exported profile, upgrading it first if it comes from an older version
+  function importProfile(profile) {
+    if (!isPlainObject(profile) || profile.format !== PROFILE_FORMAT || !isPlainObject(profile.data)) {
+      throw profileError('This file is not an Online Fix Store profile');
+    }
+    const version = Number.isInteger(profile.version) ? profile.version : 1;
+    if (version > SCHEMA_VERSION) {
+      throw profileError('This profile was exported by a newer version of the app, update the app to import it');
+    }
+    data = normalize(migrate(profile.data, version));
+    legacyImported = true;
+    save();
+  }
+
+  return { get, update, getProfile, importLegacy, exportProfile, importProfile };
+}
+
+module.exports = { createSettingsStore, SCHEMA_VERSION };
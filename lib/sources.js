@@ -0,0 +1,194 @@
+const httpClient = require('./http-client');
+
+// Where the store's data comes from. Each type of resource has an ordered list of mirrors that serve
+// the same file layout, so another host or a local HTTP server can stand in for the usual ones.
+const DEFAULT_SOURCES = {
+  // appIDs.txt, coopData.json and the Steam and co-op lookups (api/steam, api/coop)
+  catalog: ['https://online-fix-store.vercel.app'],
+  // Steam's list of every app; the address of the list itself rather than of a folder
+  steamAppList: ['https://api.steampowered.com/ISteamApps/GetAppList/v2/'],
+  // <appID>.zip fix archives; a game's fix is taken from the first mirror that has it
+  fixes: [
+    'https://github.com/ShayneVi/OnlineFix1/releases/download/fixes',
+    'https://github.com/ShayneVi/OnlineFix2/releases/download/fixes'
+  ],
+  bypasses: ['https://github.com/ShayneVi/Bypasses/releases/download/v1.0'],
+  // appIDs.txt of the OnlineFix plugin
+  plugin: ['https://raw.githubusercontent.com/ShayneVi/OnlineFix-Plugin/main']
+};
+const SOURCE_TYPES = Object.keys(DEFAULT_SOURCES);
+const MAX_MIRRORS = 10;
+const MIRROR_PROTOCOLS = ['http:', 'https:'];
+
+// File the health check asks for; mirrors of the other types only need to answer at all
+const PROBE_FILES = { catalog: 'appIDs.txt', plugin: 'appIDs.txt' };
+// A mirror that just failed is tried after the others for this long
+const FAILURE_PENALTY = 5 * 60 * 1000;
+
+function isMirror(value) {
+  if (typeof value !== 'string') {
+    return false;
+  }
+  try {
+    const parsed = new URL(value.trim());
+    return MIRROR_PROTOCOLS.includes(parsed.protocol) && !parsed.username && !parsed.password;
+  } catch {
+    return false;
+  }
+}
+
+// Every type with its list of valid, distinct mirrors; a type left without any gets its defaults back
+function normalizeSources(value) {
+  const result = {};
+  for (const type of SOURCE_TYPES) {
+    const list = value && Array.isArray(value[type]) ? value[type].filter(isMirror).map(mirror => mirror.trim()) : [];
+    const unique = [...new Set(list)].slice(0, MAX_MIRRORS);
+    result[type] = unique.length > 0 ? unique : [...DEFAULT_SOURCES[type]];
+  }
+  return result;
+}
+
+// URL of a file on a mirror; the mirror itself for an empty file name
+function sourceUrl(mirror, file = '') {
+  return file ? `${mirror.replace(/\/+$/, '')}/${file}` : mirror;
+}
+
+function sourceError(message, code) {
+  const error = new Error(message);
+  error.code = code;
+  return error;
+}
+
+// Downloads from the configured mirrors (getSources() returns the lists, see normalizeSources), trying
+// them in order and moving on to the next one when a mirror fails. How each mirror last did is kept
+// for the settings page: { ok, error, checkedAt, latency }.
+function createSources({ getSources }) {
+  const health = new Map();
+  const healthKey = (type, mirror) => `${type} ${mirror}`;
+
+  function record(type, mirror, startedAt, error = null) {
+    health.set(healthKey(type, mirror), {
+      ok: !error,
+      error: error ? error.message : null,
+      checkedAt: Date.now(),
+      latency: error ? null : Date.now() - startedAt
+    });
+  }
+
+  // The mirrors of a type in the configured order
+  function configured(type) {
+    const list = getSources()[type];
+    if (!list) {
+      throw sourceError(`Unknown source type "${type}"`, 'UNKNOWN_SOURCE');
+    }
+    return list;
+  }
+
+  // The mirrors of a type in the order to try them: those that failed a moment ago go last
+  function mirrors(type) {
+    const failing = (mirror) => {
+      const entry = health.get(healthKey(type, mirror));
+      return !!entry && !entry.ok && Date.now() - entry.checkedAt < FAILURE_PENALTY;
+    };
+    const list = configured(type);
+    return [...list.filter(mirror => !failing(mirror)), ...list.filter(failing)];
+  }
+
+  // Resolve with the first mirror's answer to attempt(url). A 404 moves on too, as the next mirror
+  // may have the file, but it doesn't count against the mirror; a failure is reported over a 404.
+  async function tryMirrors(type, file, attempt) {
+    let failure = null;
+    let missing = null;
+    for (const mirror of mirrors(type)) {
+      const url = sourceUrl(mirror, file);
+      const startedAt = Date.now();
+      try {
+        const result = await attempt(url);
+        record(type, mirror, startedAt);
+        return result;
+      } catch (error) {
+        if (error.statusCode === 404) {
+          record(type, mirror, startedAt);
+          missing = missing || error;
+        } else {
+          record(type, mirror, startedAt, error);
+          failure = error;
+          console.log(`Source ${url} failed (${error.message}), trying the next mirror`);
+        }
+      }
+    }
+    throw failure || missing;
+  }
+
+  function fetchText(type, file, options = {}) {
+    return tryMirrors(type, file, url => httpClient.fetchText(url, { retries: 1, ...options }));
+  }
+
+  async function fetchJson(type, file, options = {}) {
+    return JSON.parse(await fetchText(type, file, options));
+  }
+
+  // URL of a file on the first mirror that has it; null when none does
+  async function locate(type, file) {
+    try {
+      return await tryMirrors(type, file, async (url) => {
+        const res = await httpClient.request(url, { method: 'HEAD', retries: 1 });
+        res.resume();
+        return url;
+      });
+    } catch (error) {
+      if (error.statusCode === 404) {
+        return null;
+      }
+      throw error;
+    }
+  }
+
+  // Whether a URL points into one of the mirrors of the given types
+  function owns(url, types) {
+    return typeof url === 'string' && types.some(type => configured(type).some(mirror => {
+      const base = sourceUrl(mirror);
+      return url === base || url.startsWith(`${base.replace(/\/+$/, '')}/`);
+    }));
+  }
+
+  // { <type>: [{ url, ok, error, checkedAt, latency }] } in the configured order; ok is null until
+  // the mirror has been used or checked
+  function status() {
+    const result = {};
+    for (const type of SOURCE_TYPES) {
+      result[type] = configured(type).map(url => ({
+        url,
+        ...(health.get(healthKey(type, url)) || { ok: null, error: null, checkedAt: null, latency: null })
+      }));
+    }
+    return result;
+  }
+
+  // Ask every mirror whether it's up and resolve with status()
+  async function check() {
+    const probes = [];
+    for (const type of SOURCE_TYPES) {
+      for (const mirror of configured(type)) {
+        probes.push((async () => {
+          const startedAt = Date.now();
+          try {
+            const res = await httpClient.request(sourceUrl(mirror, PROBE_FILES[type]), { method: 'HEAD', timeout: 10000 });
+            res.resume();
+            record(type, mirror, startedAt);
+          } catch (error) {
+            // Without a file to look for any answer but a server error will do, e.g. GitHub's 404 for a release folder
+            const answered = !PROBE_FILES[type] && error.statusCode && error.statusCode < 500;
+            record(type, mirror, startedAt, answered ? null : error);
+          }
+        })());
+      }
+    }
+    await Promise.all(probes);
+    return status();
+  }
+
+  return { list: configured, mirrors, fetchText, fetchJson, locate, owns, status, check };
+}
+
+module.exports = { createSources, normalizeSources, sourceUrl, DEFAULT_SOURCES, SOURCE_TYPES, MAX_MIRRORS, MIRROR_PROTOCOLS };
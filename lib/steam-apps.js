@@ -0,0 +1,172 @@
+const fs = require('fs');
+const path = require('path');
+const { normalizeName, searchOptions, matchRank } = require('./text-match');
+
+const INDEX_FORMAT = 'steam-app-index 1';
+
+// appID -> name index of every Steam app, kept as a compact tab-separated file in cacheDir
+// and refreshed from Steam's GetAppList (the steamAppList source) once it is older than maxAge.
+function createSteamAppIndex({ cacheDir, sources, maxAge = 7 * 24 * 60 * 60 * 1000 }) {
+  const indexPath = path.join(cacheDir, 'steam_apps.tsv');
+  // What older versions cached: the raw GetAppList response
+  const legacyPath = path.join(cacheDir, 'steam_applist.json');
+
+  let ids = new Uint32Array(0); // sorted, for binary search
+  let names = [];
+  let keys = []; // normalizeName() of each name
+  let fetchedAt = 0;
+  let loading = null;
+  let refreshing = null;
+
+  function setApps(apps, time) {
+    const sorted = apps
+      .filter(app => Number.isInteger(app.appid) && app.appid > 0 && app.name)
+      .sort((a, b) => a.appid - b.appid);
+    ids = Uint32Array.from(sorted, app => app.appid);
+    names = sorted.map(app => String(app.name).replace(/[\t\r\n]+/g, ' ').trim());
+    keys = names.map(normalizeName);
+    fetchedAt = time;
+  }
+
+  function readIndex() {
+    const lines = fs.readFileSync(indexPath, 'utf8').split('\n');
+    const [format, time] = lines[0].split('\t');
+    if (format !== INDEX_FORMAT) {
+      throw new Error(`Unknown app index format "${format}"`);
+    }
+    const apps = [];
+    for (let i = 1; i < lines.length; i++) {
+      const tab = lines[i].indexOf('\t');
+      if (tab > 0) {
+        apps.push({ appid: parseInt(lines[i].slice(0, tab), 10), name: lines[i].slice(tab + 1) });
+      }
+    }
+    setApps(apps, parseInt(time, 10) || 0);
+  }
+
+  function writeIndex() {
+    const lines = [`${INDEX_FORMAT}\t${fetchedAt}`];
+    for (let i = 0; i < ids.length; i++) {
+      lines.push(`${ids[i]}\t${names[i]}`);
+    }
+    fs.mkdirSync(cacheDir, { recursive: true });
+    const tempPath = `${indexPath}.tmp`;
+    fs.writeFileSync(tempPath, lines.join('\n'), 'utf8');
+    fs.renameSync(tempPath, indexPath);
+  }
+
+  // Download the app list again; concurrent callers share one download
+  function refresh() {
+    if (!refreshing) {
+      refreshing = (async () => {
+        console.log('Fetching Steam app list from API...');
+        const data = await sources.fetchJson('steamAppList', '', { timeout: 60000 });
+        setApps(data.applist.apps, Date.now());
+        writeIndex();
+        console.log(`Indexed ${ids.length} Steam apps`);
+      })().finally(() => {
+        refreshing = null;
+      });
+    }
+    return refreshing;
+  }
+
+  async function load() {
+    if (fs.existsSync(indexPath)) {
+      try {
+        readIndex();
+        console.log(`Loaded ${ids.length} Steam apps from the index`);
+      } catch (error) {
+        console.error('Error reading Steam app index, fetching it again:', error.message);
+      }
+    } else if (fs.existsSync(legacyPath)) {
+      try {
+        const data = JSON.parse(fs.readFileSync(legacyPath, 'utf8'));
+        setApps(data.applist.apps, fs.statSync(legacyPath).mtime.getTime());
+        writeIndex();
+        fs.rmSync(legacyPath, { force: true });
+        console.log(`Converted the cached Steam app list to an index of ${ids.length} apps`);
+      } catch (error) {
+        console.error('Error converting the cached Steam app list:', error.message);
+      }
+    }
+
+    if (ids.length === 0) {
+      await refresh();
+    } else if (Date.now() - fetchedAt > maxAge) {
+      // Answer from the old index while the new one downloads
+      refresh().catch(error => console.error('Error refreshing Steam app list, keeping the old one:', error.message));
+    }
+  }
+
+  // Resolves once there is an index to answer from; rejects when none could be loaded or downloaded
+  function ready() {
+    if (!loading) {
+      loading = load().catch(error => {
+        loading = null;
+        throw error;
+      });
+    }
+    return loading;
+  }
+
+  function findName(appID) {
+    let low = 0;
+    let high = ids.length - 1;
+    while (low <= high) {
+      const mid = (low + high) >> 1;
+      if (ids[mid] === appID) {
+        return names[mid];
+      }
+      if (ids[mid] < appID) {
+        low = mid + 1;
+      } else {
+        high = mid - 1;
+      }
+    }
+    return null;
+  }
+
+  // appID -> name for the given appIDs; unknown appIDs are left out
+  async function getNames(appIDs) {
+    await ready();
+    const result = {};
+    for (const appID of appIDs) {
+      const name = findName(parseInt(appID, 10));
+      if (name) {
+        result[appID] = name;
+      }
+    }
+    return result;
+  }
+
+  // Apps whose name matches the query: exact names first, then names or words starting with it,
+  // then names containing it, then (with fuzzy) names starting with something a typo or two away
+  async function search(query, { limit = 20, fuzzy = true } = {}) {
+    await ready();
+    const needle = normalizeName(query);
+    if (!needle) {
+      return [];
+    }
+    const options = searchOptions(needle, fuzzy);
+
+    const matches = [];
+    for (let i = 0; i < keys.length; i++) {
+      const rank = matchRank(needle, keys[i], options);
+      if (rank !== null) {
+        matches.push({ rank, i });
+      }
+    }
+
+    matches.sort((a, b) => a.rank - b.rank || keys[a.i].length - keys[b.i].length);
+    return matches.slice(0, limit).map(({ i }) => ({ appID: String(ids[i]), name: names[i] }));
+  }
+
+  function status() {
+    return { apps: ids.length, fetchedAt, stale: Date.now() - fetchedAt > maxAge, refreshing: !!refreshing };
+  }
+
+  return { ready, refresh, getNames, search, status };
+}
+
+module.exports = { createSteamAppIndex };
@@ -0,0 +1,170 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { execFile } = require('child_process');
+const { promisify } = require('util');
+
+const execFileAsync = promisify(execFile);
+
+// Parse Valve's KeyValues text format (libraryfolders.vdf, appmanifest_*.acf).
+// Keys are lowercased since Steam treats them case-insensitively.
+function parseVdf(text) {
+  const tokens = [];
+  const pattern = /"((?:[^"\\]|\\.)*)"|([{}])|\/\/[^\n]*|\[[^\]]*\]|([^\s{}"]+)/g;
+  let match;
+  while ((match = pattern.exec(text)) !== null) {
+    if (match[1] !== undefined) {
+      tokens.push({ value: match[1].replace(/\\(.)/g, (m, c) => ({ n: '\n', t: '\t' }[c] || c)) });
+    } else if (match[2]) {
+      tokens.push({ brace: match[2] });
+    } else if (match[3]) {
+      tokens.push({ value: match[3] });
+    }
+  }
+
+  let i = 0;
+  const parseObject = () => {
+    const result = {};
+    while (i < tokens.length) {
+      const token = tokens[i++];
+      if (token.brace === '}') {
+        return result;
+      }
+      if (token.value === undefined) {
+        continue;
+      }
+      const key = token.value.toLowerCase();
+      const next = tokens[i++];
+      if (!next) {
+        break;
+      }
+      result[key] = next.brace === '{' ? parseObject() : next.value;
+    }
+    return result;
+  };
+
+  return parseObject();
+}
+
+function readVdf(filePath) {
+  try {
+    return parseVdf(fs.readFileSync(filePath, 'utf8'));
+  } catch (error) {
+    return null;
+  }
+}
+
+async function queryRegistry(key, value) {
+  try {
+    const { stdout } = await execFileAsync('reg', ['query', key, '/v', value], { windowsHide: true });
+    const match = new RegExp(`${value}\\s+REG_\\w+\\s+(.+)`, 'i').exec(stdout);
+    return match ? match[1].trim() : null;
+  } catch {
+    return null;
+  }
+}
+
+// Every place Steam may be installed on this platform, most likely first
+async function candidateRoots() {
+  const home = os.homedir();
+
+  if (process.platform === 'win32') {
+    const fromRegistry = await Promise.all([
+      queryRegistry('HKCU\\Software\\Valve\\Steam', 'SteamPath'),
+      queryRegistry('HKLM\\SOFTWARE\\WOW6432Node\\Valve\\Steam', 'InstallPath'),
+      queryRegistry('HKLM\\SOFTWARE\\Valve\\Steam', 'InstallPath')
+    ]);
+    return [
+      ...fromRegistry.filter(Boolean).map(p => path.normalize(p)),
+      path.join(process.env['ProgramFiles(x86)'] || 'C:\\Program Files (x86)', 'Steam'),
+      path.join(process.env.ProgramFiles || 'C:\\Program Files', 'Steam')
+    ];
+  }
+
+  if (process.platform === 'darwin') {
+    return [path.join(home, 'Library', 'Application Support', 'Steam')];
+  }
+
+  return [
+    path.join(home, '.steam', 'steam'),
+    path.join(home, '.steam', 'root'),
+    path.join(home, '.local', 'share', 'Steam'),
+    path.join(home, '.var', 'app', 'com.valvesoftware.Steam', '.local', 'share', 'Steam'),
+    path.join(home, '.var', 'app', 'com.valvesoftware.Steam', '.steam', 'steam')
+  ];
+}
+
+// Steam installations found on this machine (symlinked duplicates such as ~/.steam/steam are merged)
+async function findSteamRoots() {
+  const roots = [];
+  const seen = new Set();
+
+  for (const candidate of await candidateRoots()) {
+    try {
+      if (!fs.existsSync(path.join(candidate, 'steamapps'))) {
+        continue;
+      }
+      const real = fs.realpathSync(candidate);
+      const key = process.platform === 'win32' ? real.toLowerCase() : real;
+      if (!seen.has(key)) {
+        seen.add(key);
+        roots.push(real);
+      }
+    } catch {
+      // Broken link or unreadable folder, skip it
+    }
+  }
+
+  return roots;
+}
+
+// Every library folder of a Steam installation, the installation itself included
+function getLibraryFolders(steamRoot) {
+  const folders = [steamRoot];
+  const data = readVdf(path.join(steamRoot, 'steamapps', 'libraryfolders.vdf'));
+  const entries = data && data.libraryfolders;
+
+  for (const [key, entry] of Object.entries(entries || {})) {
+    if (!/^\d+$/.test(key)) {
+      continue;
+    }
+    // Newer files hold an object per library, older ones just the path
+    const folder = typeof entry === 'string' ? entry : entry.path;
+    if (folder && fs.existsSync(path.join(folder, 'steamapps'))) {
+      folders.push(path.normalize(folder));
+    }
+  }
+
+  return [...new Set(folders)];
+}
+
+// Look a game up in every Steam library; resolves with null when it isn't installed.
+// Pass steamRoots from findSteamRoots() when looking up several games in a row.
+async function findGame(appID, steamRoots = null) {
+  if (!/^\d+$/.test(String(appID))) {
+    return null;
+  }
+  for (const root of steamRoots || await findSteamRoots()) {
+    for (const library of getLibraryFolders(root)) {
+      const manifest = readVdf(path.join(library, 'steamapps', `appmanifest_${appID}.acf`));
+      const appState = manifest && manifest.appstate;
+      if (!appState || !appState.installdir) {
+        continue;
+      }
+
+      const installDir = path.join(library, 'steamapps', 'common', appState.installdir);
+      if (fs.existsSync(installDir)) {
+        return {
+          appID: String(appID),
+          name: appState.name || null,
+          installDir,
+          buildId: appState.buildid || null,
+          library
+        };
+      }
+    }
+  }
+  return null;
+}
+
+module.exports = { parseVdf, findSteamRoots, getLibraryFolders, findGame };
@@ -0,0 +1,100 @@
+// Name matching shared by the Steam app index, the store's search and the co-op database
+
+// Lowercase, without accents or punctuation, so "Assassin's Créed" is found as "assassins creed"
+function normalizeName(name) {
+  return String(name || '')
+    .normalize('NFKD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .toLowerCase()
+    .replace(/['’]/g, '')
+    .replace(/[^\p{L}\p{N}]+/gu, ' ')
+    .trim();
+}
+
+// Smallest edit distance (a swap of two letters counting as one edit) between needle and
+// any prefix of text starting at start (all of it with wholeText); gives up as soon as it is
+// bound to exceed maxDistance
+function prefixDistance(needle, text, start, maxDistance, wholeText = false) {
+  const width = Math.min(text.length - start, needle.length + maxDistance);
+  let beforePrevious = null;
+  let previous = Array.from({ length: width + 1 }, (_, j) => j);
+  for (let i = 1; i <= needle.length; i++) {
+    const current = [i];
+    let rowMin = i;
+    for (let j = 1; j <= width; j++) {
+      const cost = needle[i - 1] === text[start + j - 1] ? 0 : 1;
+      current[j] = Math.min(previous[j] + 1, current[j - 1] + 1, previous[j - 1] + cost);
+      if (beforePrevious && j > 1 && needle[i - 1] === text[start + j - 2] && needle[i - 2] === text[start + j - 1]) {
+        current[j] = Math.min(current[j], beforePrevious[j - 2] + 1);
+      }
+      rowMin = Math.min(rowMin, current[j]);
+    }
+    if (rowMin > maxDistance) {
+      return maxDistance + 1;
+    }
+    beforePrevious = previous;
+    previous = current;
+  }
+  return wholeText ? previous[width] : Math.min(...previous);
+}
+
+// Edit distance between two whole strings, or maxDistance + 1 once it is bound to exceed it
+function editDistance(a, b, maxDistance) {
+  if (Math.abs(a.length - b.length) > maxDistance) {
+    return maxDistance + 1;
+  }
+  return prefixDistance(a, b, 0, maxDistance, true);
+}
+
+// Letter pairs of a string; a single edit changes at most three of them
+function bigrams(text) {
+  const result = [];
+  for (let i = 0; i < text.length - 1; i++) {
+    result.push(text.slice(i, i + 2));
+  }
+  return result;
+}
+
+// How fuzzy a search for needle (a normalizeName() query) may be: typos allowed and the query's
+// letter pairs, to pass to matchRank()
+function searchOptions(needle, fuzzy = true) {
+  return { maxDistance: !fuzzy || needle.length < 4 ? 0 : needle.length < 8 ? 1 : 2, pairs: bigrams(needle) };
+}
+
+// How well a normalized name matches the query, lower being better: 0 for the exact name, 1 when
+// the name starts with it, 2 when a word does, 3 when it contains it, 3 + typos when a word starts
+// with something maxDistance typos away; null when it doesn't match
+function matchRank(needle, key, { maxDistance, pairs }) {
+  if (key === needle) {
+    return 0;
+  }
+  if (key.startsWith(needle)) {
+    return 1;
+  }
+  if (key.includes(` ${needle}`)) {
+    return 2;
+  }
+  if (key.includes(needle)) {
+    return 3;
+  }
+  if (maxDistance === 0) {
+    return null;
+  }
+  // Cheap filter first: a name within maxDistance edits still contains most of the letter pairs
+  let shared = 0;
+  for (const pair of pairs) {
+    if (key.includes(pair)) {
+      shared++;
+    }
+  }
+  if (shared < pairs.length - 3 * maxDistance) {
+    return null;
+  }
+  let distance = prefixDistance(needle, key, 0, maxDistance);
+  for (let start = key.indexOf(' ') + 1; start > 0 && distance > 0; start = key.indexOf(' ', start) + 1) {
+    distance = Math.min(distance, prefixDistance(needle, key, start, maxDistance));
+  }
+  return distance > maxDistance ? null : 3 + distance;
+}
+
+module.exports = { normalizeName, prefixDistance, editDistance, bigrams, searchOptions, matchRank };
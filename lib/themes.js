@@ -0,0 +1,167 @@
+const fs = require('fs');
+const path = require('path');
+
+// The theme used when the chosen one is gone
+const DEFAULT_THEME = 'dark';
+// The CSS colors a theme sets, all as #rrggbb
+const COLOR_KEYS = [
+  'bgPrimary', 'bgSecondary', 'bgTertiary', 'bgCard',
+  'textPrimary', 'textSecondary', 'textTertiary',
+  'accentPrimary', 'accentSecondary', 'border'
+];
+const FONTS = ['system', 'sans', 'serif', 'mono', 'rounded'];
+const CARD_STYLES = ['shadow', 'flat', 'outline', 'glass'];
+const HEX_COLOR = /^#[0-9a-fA-F]{6}$/;
+// Wallpapers are kept inside the theme as data URLs, so an exported theme is a single file
+const WALLPAPER = /^data:image\/(png|jpeg|webp|gif);base64,[A-Za-z0-9+/]+=*$/;
+const MAX_WALLPAPER_LENGTH = 8 * 1024 * 1024;
+const THEME_ID = /^[a-z0-9-]{1,64}$/;
+
+function themeError(message) {
+  const error = new Error(message);
+  error.code = 'INVALID_THEME';
+  return error;
+}
+
+// A theme as stored: { name, icon, light, font, cardStyle, wallpaper, colors }. Throws INVALID_THEME
+// when a required part is missing; optional parts that are missing get their defaults.
+function normalizeTheme(data) {
+  if (!data || typeof data !== 'object' || Array.isArray(data)) {
+    throw themeError('This file is not an Online Fix Store theme');
+  }
+  const name = typeof data.name === 'string' ? data.name.trim().slice(0, 64) : '';
+  if (!name) {
+    throw themeError('The theme has no name');
+  }
+  const colors = {};
+  for (const key of COLOR_KEYS) {
+    const color = data.colors && data.colors[key];
+    if (typeof color !== 'string' || !HEX_COLOR.test(color)) {
+      throw themeError(`The theme's ${key} color is not a #rrggbb color`);
+    }
+    colors[key] = color.toLowerCase();
+  }
+  const wallpaper = data.wallpaper === undefined ? null : data.wallpaper;
+  if (wallpaper !== null && (typeof wallpaper !== 'string' || wallpaper.length > MAX_WALLPAPER_LENGTH || !WALLPAPER.test(wallpaper))) {
+    throw themeError('The theme\'s wallpaper is not a PNG, JPEG, WebP or GIF image of at most 6 MB');
+  }
+  return {
+    name,
+    icon: typeof data.icon === 'string' && data.icon.trim() ? data.icon.trim().slice(0, 16) : '🎨',
+    light: data.light === true,
+    font: FONTS.includes(data.font) ? data.font : 'system',
+    cardStyle: CARD_STYLES.includes(data.cardStyle) ? data.cardStyle : 'shadow',
+    wallpaper,
+    colors
+  };
+}
+
+// Every theme, the shipped ones (<id>.json in builtInDir) and the user's own (<id>.json in userDir),
+// as entries of one registry: [{ id, builtIn, ...theme }]. Shipped themes can't be changed or
+// deleted; editing one saves a copy. Themes are read on every call, like language packs.
+function createThemeStore({ builtInDir, userDir }) {
+  function readFolder(dir) {
+    const themes = new Map();
+    if (!fs.existsSync(dir)) {
+      return themes;
+    }
+    for (const name of fs.readdirSync(dir)) {
+      const id = path.basename(name, '.json');
+      if (!name.endsWith('.json') || !THEME_ID.test(id)) {
+        continue;
+      }
+      try {
+        themes.set(id, normalizeTheme(JSON.parse(fs.readFileSync(path.join(dir, name), 'utf8'))));
+      } catch (error) {
+        console.error(`Error reading theme ${path.join(dir, name)}:`, error.message);
+      }
+    }
+    return themes;
+  }
+
+  // The default theme first, then the other shipped ones, then the user's, by name
+  function list() {
+    const byName = (a, b) => a.name.localeCompare(b.name);
+    const builtIn = [...readFolder(builtInDir)].map(([id, theme]) => ({ id, builtIn: true, ...theme }));
+    const user = [...readFolder(userDir)]
+      .filter(([id]) => !builtIn.some(theme => theme.id === id))
+      .map(([id, theme]) => ({ id, builtIn: false, ...theme }));
+    builtIn.sort((a, b) => (b.id === DEFAULT_THEME) - (a.id === DEFAULT_THEME) || byName(a, b));
+    return [...builtIn, ...user.sort(byName)];
+  }
+
+  function get(id) {
+    return list().find(theme => theme.id === id) || null;
+  }
+
+  // An unused id made from the theme's name: "My Theme" -> "my-theme", "my-theme-2"...
+  function newId(name) {
+    const base = name.toLowerCase().normalize('NFKD').replace(/[^a-z0-9]+/g, '-').replace(/^-+|-+$/g, '').slice(0, 48) || 'theme';
+    const taken = new Set(list().map(theme => theme.id));
+    let id = base;
+    for (let n = 2; taken.has(id); n++) {
+      id = `${base}-${n}`;
+    }
+    return id;
+  }
+
+  // Save one of the user's themes, or a new one when id is null; returns the saved entry
+  function save(id, data) {
+    const theme = normalizeTheme(data);
+    if (id !== null) {
+      const existing = get(id);
+      if (!existing || existing.builtIn) {
+        throw themeError(`There is no theme "${id}" of your own to save`);
+      }
+    }
+    const themeId = id === null ? newId(theme.name) : id;
+    fs.mkdirSync(userDir, { recursive: true });
+    const filePath = path.join(userDir, `${themeId}.json`);
+    fs.writeFileSync(`${filePath}.tmp`, `${JSON.stringify(theme, null, 2)}\n`, 'utf8');
+    fs.renameSync(`${filePath}.tmp`, filePath);
+    console.log(`Saved theme ${themeId}`);
+    return { id: themeId, builtIn: false, ...theme };
+  }
+
+  function remove(id) {
+    const existing = get(id);
+    if (!existing || existing.builtIn) {
+      throw themeError(`There is no theme "${id}" of your own to delete`);
+    }
+    fs.rmSync(path.join(userDir, `${id}.json`), { force: true });
+    console.log(`Deleted theme ${id}`);
+  }
+
+  // Import a theme file as a new theme of the user's
+  function importFile(filePath) {
+    let data;
+    try {
+      data = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+    } catch {
+      throw themeError('This file is not an Online Fix Store theme');
+    }
+    return save(null, data);
+  }
+
+  function exportFile(id, filePath) {
+    const theme = get(id);
+    if (!theme) {
+      throw themeError(`There is no theme "${id}"`);
+    }
+    const { id: themeId, builtIn, ...data } = theme;
+    fs.writeFileSync(filePath, `${JSON.stringify(data, null, 2)}\n`, 'utf8');
+  }
+
+  return { list, save, remove, importFile, exportFile };
+}
+
+module.exports = {
+  createThemeStore,
+  COLOR_KEYS,
+  FONTS,
+  CARD_STYLES,
+  HEX_COLOR,
+  WALLPAPER,
+  MAX_WALLPAPER_LENGTH,
+  THEME_ID
+};
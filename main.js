@@ -1,183 +1,899 @@
-const { app, BrowserWindow, ipcMain, Notification, shell } = require('electron');
+const { app, BrowserWindow, Notification, Tray, Menu, nativeImage, shell, protocol } = require('electron');
 const path = require('path');
 const fs = require('fs');
-const https = require('https');
+const os = require('os');
+const { pathToFileURL } = require('url');
+const httpClient = require('./lib/http-client');
+const { createSettingsStore } = require('./lib/settings');
+const { createMetadataCache } = require('./lib/metadata-cache');
+const { createManifestStore, samePath, INSTALL_KINDS } = require('./lib/install-manifest');
+const { createDownloadManager } = require('./lib/download-manager');
+const steamLocator = require('./lib/steam-locator');
+const { createSteamAppIndex } = require('./lib/steam-apps');
+const { createImageCache, SCHEME: IMAGE_SCHEME } = require('./lib/image-cache');
+const { createCatalogSnapshot } = require('./lib/catalog-snapshot');
+const { createCatalogChangelog } = require('./lib/catalog-changelog');
+const { createReleaseAssets } = require('./lib/release-assets');
+const { createFixIndex } = require('./lib/fix-index');
+const { createBypassIndex } = require('./lib/bypass-index');
+const { createFixInstaller, lookupChecksum, verifyDownload, combineVerifications, checksumFailure } = require('./lib/fix-installer');
+const onlinefixPlugin = require('./lib/onlinefix-plugin');
+const { createCatalog } = require('./lib/catalog');
+const { runCli, cliArguments } = require('./lib/cli');
+const { createCoopDatabase, formatCorrectionReport } = require('./lib/coop-database');
+const { createSources, normalizeSources, DEFAULT_SOURCES, SOURCE_TYPES, MAX_MIRRORS, MIRROR_PROTOCOLS } = require('./lib/sources');
+const { createLocaleStore, FALLBACK_LOCALE, LOCALE_CODE } = require('./lib/locales');
+const themeLib = require('./lib/themes');
+const { createIpcGuard, validators: v, DOWNLOAD_HOSTS, IMAGE_HOSTS } = require('./lib/ipc-guard');
+const { createLogger, LEVELS: LOG_LEVELS, LOG_PROCESSES } = require('./lib/logger');
+const { createDiagnosticsBundle } = require('./lib/diagnostics');
+const { createScheduler, CHECK_INTERVALS } = require('./lib/scheduler');
+const { createBackgroundChecks } = require('./lib/background-checks');
+
+// `<app> --cli <command>` runs one command-line command (see lib/cli.js) instead of opening the window
+const CLI_ARGS = cliArguments(process.argv);
+
+// Leveled log of both processes in <userData>/logs, shown in the settings and put into diagnostics bundles;
+// the command line keeps its own output (see lib/cli.js)
+const logger = createLogger({ dir: path.join(app.getPath('userData'), 'logs') });
+if (!CLI_ARGS) {
+  logger.captureConsole();
+  process.on('unhandledRejection', (reason) => console.error('Unhandled promise rejection:', reason));
+}
 
-// Steam App List Cache Configuration
-const STEAM_APPLIST_URL = 'https://api.steampowered.com/ISteamApps/GetAppList/v2/';
 const CACHE_DIR = path.join(app.getPath('userData'), 'cache');
-const APPLIST_CACHE_FILE = path.join(CACHE_DIR, 'steam_applist.json');
-const CACHE_DURATION = 7 * 24 * 60 * 60 * 1000; // 7 days in milliseconds
 
-// Ensure cache directory exists
-function ensureCacheDir() {
-  if (!fs.existsSync(CACHE_DIR)) {
-    fs.mkdirSync(CACHE_DIR, { recursive: true });
+// Steam data of every game in the catalog; shown right away, refreshed by the renderer once stale
+const GAME_DATA_TTL = 7 * 24 * 60 * 60 * 1000;
+// Entries of an older version lack fields added since (Steam recommendations in v2, developers in game v3):
+// keep showing them, but refresh them first thing
+const markStale = (entry) => ({ ...entry, expiresAt: 0 });
+const metadataCache = createMetadataCache({
+  dir: path.join(CACHE_DIR, 'metadata'),
+  maxBytes: 200 * 1024 * 1024,
+  kinds: {
+    game: { version: 3, ttl: GAME_DATA_TTL, migrations: { 2: markStale, 3: markStale } }, // store card data (name, developers, images, tags, scores)
+    steam: { version: 2, ttl: GAME_DATA_TTL, migrations: { 2: markStale } } // full store page of games that were opened
   }
-}
+});
 
-// Check if cache is valid (less than 7 days old)
-function isCacheValid() {
-  try {
-    if (!fs.existsSync(APPLIST_CACHE_FILE)) {
-      return false;
-    }
-    const stats = fs.statSync(APPLIST_CACHE_FILE);
-    const age = Date.now() - stats.mtime.getTime();
-    return age < CACHE_DURATION;
-  } catch (error) {
-    console.error('Error checking cache validity:', error);
-    return false;
+// Game images, served to the page from disk through cached-image:// so they show offline too
+const imageUrl = v.url({ hosts: IMAGE_HOSTS });
+const imageCache = createImageCache({
+  dir: path.join(CACHE_DIR, 'images'),
+  isAllowedUrl: (url) => !imageUrl(url),
+  maxBytes: 500 * 1024 * 1024
+});
+protocol.registerSchemesAsPrivileged([
+  { scheme: IMAGE_SCHEME, privileges: { standard: true, secure: true, supportFetchAPI: true } }
+]);
+
+// The last catalog that loaded completely, which the store starts from when it is offline
+const catalogSnapshot = createCatalogSnapshot(path.join(app.getPath('userData'), 'catalog.json'));
+
+// Dated history of the games added to and removed from the catalog; the snapshot is the
+// previous catalog the first time, so the first history entry isn't lost
+const catalogChangelog = createCatalogChangelog(path.join(app.getPath('userData'), 'catalog-history.json'), {
+  baseline: () => {
+    const snapshot = catalogSnapshot.load();
+    return snapshot && snapshot.games;
   }
+});
+
+// Settings and the user profile (favorites, ratings, preferences...); network settings apply to every HTTP request
+const settings = createSettingsStore(path.join(app.getPath('userData'), 'settings.json'));
+try {
+  httpClient.configure(settings.get('network'));
+} catch (error) {
+  console.error('Invalid network settings, using a direct connection:', error.message);
 }
 
-// Fetch Steam app list from API
-function fetchSteamAppList() {
-  return new Promise((resolve, reject) => {
-    console.log('Fetching Steam app list from API...');
-    https.get(STEAM_APPLIST_URL, (res) => {
-      const chunks = [];
+// Debug entries are only logged in developer mode
+const applyLogLevel = () => logger.setLevel(settings.get('preferences').developerMode ? 'debug' : 'info');
+applyLogLevel();
 
-      res.on('data', (chunk) => {
-        chunks.push(chunk);
-      });
+// The mirrors each kind of data is downloaded from, as set in the settings
+const sources = createSources({ getSources: () => settings.get('sources') });
 
-      res.on('end', () => {
-        try {
-          const buffer = Buffer.concat(chunks);
-          const data = JSON.parse(buffer.toString('utf8'));
-          console.log(`Successfully fetched ${data.applist.apps.length} apps from Steam`);
-          resolve(data);
-        } catch (error) {
-          reject(error);
-        }
-      });
-    }).on('error', (err) => {
-      reject(err);
-    });
-  });
-}
+// Names of every Steam app, downloaded once a week and queried by appID or name
+const steamApps = createSteamAppIndex({ cacheDir: CACHE_DIR, sources, maxAge: 7 * 24 * 60 * 60 * 1000 });
 
-// Get Steam app list (from cache or fetch fresh)
-async function getSteamAppList() {
-  try {
-    ensureCacheDir();
+// Co-op details of every game, downloaded once and overridden by the user's own corrections
+const coopDatabase = createCoopDatabase({
+  sources,
+  corrections: () => settings.get('coopCorrections')
+});
 
-    // Check if cache is valid
-    if (isCacheValid()) {
-      console.log('Loading Steam app list from cache...');
-      const cachedData = fs.readFileSync(APPLIST_CACHE_FILE, 'utf8');
-      const data = JSON.parse(cachedData);
-      console.log(`Loaded ${data.applist.apps.length} apps from cache`);
-      return data;
-    }
+// Language packs shipped with the app, and the user's own dropped into <userData>/locales
+const locales = createLocaleStore({
+  builtInDir: path.join(__dirname, 'locales'),
+  userDir: path.join(app.getPath('userData'), 'locales')
+});
 
-    // Cache is invalid or doesn't exist, fetch fresh data
-    console.log('Cache invalid or missing, fetching fresh Steam app list...');
-    const data = await fetchSteamAppList();
+// Shipped themes and the ones made in the theme editor or imported, kept in <userData>/themes
+const themes = themeLib.createThemeStore({
+  builtInDir: path.join(__dirname, 'themes'),
+  userDir: path.join(app.getPath('userData'), 'themes')
+});
 
-    // Save to cache
-    fs.writeFileSync(APPLIST_CACHE_FILE, JSON.stringify(data), 'utf8');
-    console.log('Steam app list cached successfully');
+// Install manifests and backups of the files each fix replaced
+const installManifests = createManifestStore(path.join(app.getPath('userData'), 'installs'));
 
-    return data;
-  } catch (error) {
-    console.error('Error getting Steam app list:', error);
+// Assets of the fix releases on GitHub, to tell when a fix archive was uploaded again after it was installed
+const releaseAssets = createReleaseAssets({ cachePath: path.join(CACHE_DIR, 'release-assets.json') });
 
-    // If fetch failed but we have old cache, use it anyway
-    if (fs.existsSync(APPLIST_CACHE_FILE)) {
-      console.log('Using expired cache as fallback...');
-      const cachedData = fs.readFileSync(APPLIST_CACHE_FILE, 'utf8');
-      return JSON.parse(cachedData);
-    }
+// Which games have a fix on the fixes mirrors, with its size and upload date
+const fixIndex = createFixIndex({ sources, releaseAssets });
+// The bypasses on the bypasses mirrors, for the Bypasses tab
+const bypassIndex = createBypassIndex({ sources, releaseAssets });
+
+// All fix and bypass downloads go through one queue that streams its progress to the renderer
+const downloadManager = createDownloadManager({
+  concurrency: 2,
+  onUpdate: (update) => {
+    BrowserWindow.getAllWindows().forEach(win => win.webContents.send('download-progress', update));
+  }
+});
+
+// Fix archives are downloaded into a folder of their own under <userData>/downloads, one per install, so two
+// installs of the same game never write to the same file; an interrupted transfer resumes while the install retries it
+const fixInstaller = createFixInstaller({
+  downloadsDir: path.join(app.getPath('userData'), 'downloads'),
+  downloadManager,
+  manifests: installManifests,
+  releaseAssets,
+  sources,
+  fixIndex
+});
 
-    throw error;
+// The store's games for the command line and the background checks
+const catalog = createCatalog({ sources, steamApps, snapshot: catalogSnapshot });
+
+// Checks run every few hours as set in the settings, also while the app sits in the tray; what they find is
+// shown as a native notification and passed on to the window so it can refresh
+const scheduler = createScheduler({
+  tasks: createBackgroundChecks({ catalog, catalogChangelog, fixInstaller, onlinefixPlugin, sources }),
+  getSettings: () => settings.get('background'),
+  onResult: (task, result) => {
+    notify(result);
+    BrowserWindow.getAllWindows().forEach(win => win.webContents.send('background-check', { task, ...result }));
   }
+});
+
+// Only the app's own page may call into the main process
+const APP_PAGE_URL = pathToFileURL(path.join(__dirname, 'index.html')).href;
+
+function isAppPage(url) {
+  const normalize = (u) => {
+    const decoded = decodeURIComponent(u.split('#')[0]);
+    return process.platform === 'win32' ? decoded.toLowerCase() : decoded;
+  };
+  return normalize(url) === normalize(APP_PAGE_URL);
+}
+
+const ipc = createIpcGuard({
+  isTrustedSender: (frame) => frame.parent === null && isAppPage(frame.url)
+});
+
+// Folders the user picked or that were found as Steam game folders; fixes are only extracted into these
+const approvedFolders = new Set();
+
+function approveFolder(folder) {
+  approvedFolders.add(path.resolve(folder));
+}
+
+// Argument schemas shared by several IPC handlers
+const releaseAssetUrl = v.url({ hosts: DOWNLOAD_HOSTS, pathPattern: /^\/[^/]+\/[^/]+\/releases\/download\// });
+// Fix archives come from the configured fixes mirrors (each confirmed by the user in set-sources), or from
+// a GitHub release an earlier install recorded
+const fixUrl = (url) => (sources.owns(url, ['fixes']) ? null : releaseAssetUrl(url));
+const downloadOptions = v.optional(v.object({ allowUnverified: v.boolean() }));
+// Bypass archives and the volumes of split ones: .zip, .rar, .7z, .part2.rar, .z01, .7z.001, ...
+const bypassFileName = (value) => v.fileName()(value) || (/\.(zip|rar|7z|z\d{2}|\d{3})$/i.test(value) ? null : `"${value}" is not a bypass archive`);
+const bypassFileNames = (value) => v.array({ maxLength: 50, items: bypassFileName })(value) || (value.length === 0 ? 'expected at least one file' : null);
+const installKind = v.optional(v.oneOf(INSTALL_KINDS));
+const pendingInstallId = v.string({ maxLength: 64, pattern: /^\d+-\d+$/ });
+const approvedFolder = (folder) => {
+  const error = v.string({ maxLength: 1024 })(folder);
+  if (error) {
+    return error;
+  }
+  const approved = [...approvedFolders].some(known => samePath(known, folder)) ||
+    installManifests.listManifests().some(manifest => samePath(manifest.targetFolder, folder));
+  return approved ? null : `${folder} was not chosen by the user`;
+};
+
+// One app at a time: starting it again brings back the window of the running one, e.g. from the tray
+const IS_SECOND_INSTANCE = !CLI_ARGS && !app.requestSingleInstanceLock();
+if (IS_SECOND_INSTANCE) {
+  app.quit();
 }
 
+let mainWindow = null;
+let tray = null;
+// Set once the app is really quitting, so closing the window no longer just hides it in the tray
+let quitting = false;
+
 function createWindow() {
-  const mainWindow = new BrowserWindow({
+  mainWindow = new BrowserWindow({
     width: 1200,
     height: 800,
     webPreferences: {
       preload: path.join(__dirname, 'preload.js'),
       contextIsolation: true,
-      nodeIntegration: false
+      nodeIntegration: false,
+      sandbox: true
     },
     icon: path.join(__dirname, 'icon.png')
   });
 
+  // Keep the window on the app page; links meant for a new window open in the browser
+  mainWindow.webContents.setWindowOpenHandler(({ url }) => {
+    if (/^https?:/.test(url)) {
+      shell.openExternal(url);
+    }
+    return { action: 'deny' };
+  });
+  mainWindow.webContents.on('will-navigate', (event, url) => {
+    if (!isAppPage(url)) {
+      console.warn(JSON.stringify({ level: 'warn', event: 'navigation-blocked', time: new Date().toISOString(), url }));
+      event.preventDefault();
+    }
+  });
+
+  // In tray mode closing the window hides it; the app keeps running in the tray
+  mainWindow.on('close', (event) => {
+    if (!quitting && tray) {
+      event.preventDefault();
+      mainWindow.hide();
+    }
+  });
+  mainWindow.on('closed', () => {
+    mainWindow = null;
+  });
+
   mainWindow.loadFile('index.html');
 }
 
+function showWindow() {
+  if (!mainWindow) {
+    createWindow();
+    return;
+  }
+  if (mainWindow.isMinimized()) {
+    mainWindow.restore();
+  }
+  mainWindow.show();
+  mainWindow.focus();
+}
+
+// A native notification that brings the store back when clicked
+function notify({ title, body }) {
+  if (!Notification.isSupported()) {
+    return;
+  }
+  const notification = new Notification({ title, body, icon: path.join(__dirname, 'icon.png') });
+  notification.on('click', showWindow);
+  notification.show();
+}
+
+// Run the enabled background checks from the tray, saying so when they find nothing new
+async function checkNowFromTray() {
+  // A scheduled run already going on is joined, so its start tells which results are new
+  const { results, startedAt } = await scheduler.runNow();
+  const fresh = Object.values(results).filter(result => result.at >= startedAt);
+  const failed = fresh.filter(result => !result.ok);
+  if (failed.length > 0) {
+    notify({ title: 'Background Checks Failed', body: failed.map(result => result.error).join('\n') });
+  } else if (!fresh.some(result => result.message)) {
+    notify({ title: 'Online Fix Store', body: 'Nothing new since the last check' });
+  }
+}
+
+async function updatePluginFromTray() {
+  try {
+    await onlinefixPlugin.updateAppIDs(sources);
+    notify({ title: 'OnlineFix Plugin Updated', body: 'appIDs.txt has been updated successfully!' });
+  } catch (error) {
+    console.error('Error updating OnlineFix appIDs.txt:', error);
+    notify({ title: 'OnlineFix Plugin Not Updated', body: error.message });
+  }
+}
+
+// The tray icon and its menu while tray mode is on
+function updateTray() {
+  if (!settings.get('background').trayMode) {
+    if (tray) {
+      tray.destroy();
+      tray = null;
+    }
+    return;
+  }
+  if (!tray) {
+    tray = new Tray(nativeImage.createFromPath(path.join(__dirname, 'icon.png')).resize({ width: 16, height: 16 }));
+    tray.setToolTip('Online Fix Store');
+    tray.on('click', showWindow);
+    tray.setContextMenu(Menu.buildFromTemplate([
+      { label: 'Open Store', click: showWindow },
+      { label: 'Check Now', click: checkNowFromTray },
+      { label: 'Update Plugin', click: updatePluginFromTray },
+      { type: 'separator' },
+      { label: 'Quit', click: () => app.quit() }
+    ]));
+  }
+}
+
+app.on('second-instance', () => {
+  showWindow();
+});
+
+app.on('before-quit', () => {
+  quitting = true;
+});
+
 app.whenReady().then(() => {
+  if (IS_SECOND_INSTANCE) {
+    return;
+  }
+  if (CLI_ARGS) {
+    const services = {
+      catalog,
+      fixInstaller,
+      manifests: installManifests,
+      steamLocator,
+      onlinefixPlugin,
+      sources
+    };
+    // Exit once the JSON result has been flushed to stdout
+    runCli(CLI_ARGS, services).then(exitCode => process.stdout.write('', () => app.exit(exitCode)));
+    return;
+  }
+
+  console.log(`Online Fix Store ${app.getVersion()} starting (Electron ${process.versions.electron}, ${process.platform} ${os.release()})`);
+  protocol.handle(IMAGE_SCHEME, imageCache.handleRequest);
   createWindow();
+  updateTray();
+  scheduler.start();
+  fixInstaller.cleanupLeftovers();
 
-  app.on('activate', function () {
-    if (BrowserWindow.getAllWindows().length === 0) createWindow();
-  });
+  // Load (or download) the Steam app index while the window starts up
+  steamApps.ready().catch(error => console.error('Error loading Steam app list:', error.message));
+
+  app.on('activate', showWindow);
 });
 
+// In tray mode the app keeps running without a window
 app.on('window-all-closed', function () {
-  if (process.platform !== 'darwin') app.quit();
+  if (process.platform !== 'darwin' && !settings.get('background').trayMode) app.quit();
+});
+
+app.on('will-quit', () => {
+  scheduler.stop();
+  metadataCache.flush();
 });
 
 // Handle fetch requests from renderer
-ipcMain.handle('fetch-remote-file', async (event, url) => {
-  try {
-    const https = require('https');
-    const iconv = require('iconv-lite');
-
-    return new Promise((resolve, reject) => {
-      https.get(url, (res) => {
-        const chunks = [];
-
-        res.on('data', (chunk) => {
-          chunks.push(chunk);
-        });
-
-        res.on('end', () => {
-          // Concatenate all chunks into a single Buffer
-          const buffer = Buffer.concat(chunks);
-
-          // Try to detect encoding from Content-Type header
-          const contentType = res.headers['content-type'] || '';
-          let encoding = 'utf8';
-
-          // Check if charset is specified in Content-Type
-          const charsetMatch = contentType.match(/charset=([^;]+)/i);
-          if (charsetMatch) {
-            encoding = charsetMatch[1].trim().toLowerCase();
-          }
-
-          // online-fix.me typically uses windows-1251 for Russian content
-          if (url.includes('online-fix.me') && encoding === 'utf8') {
-            encoding = 'windows-1251';
-          }
-
-          // Decode with proper encoding
-          let data;
-          try {
-            data = iconv.decode(buffer, encoding);
-          } catch (e) {
-            // Fallback to UTF-8 if decoding fails
-            console.log('Failed to decode with', encoding, ', falling back to UTF-8');
-            data = buffer.toString('utf8');
-          }
-
-          resolve(data);
-        });
-      }).on('error', (err) => {
-        reject(err);
+// Handle the online-fix.me lookups of a game's "Playing Through" and "How to Run": its search results, then
+// one of its game pages. Only ever online-fix.me, which typically uses windows-1251 for its Russian content.
+const ONLINE_FIX_URL = 'https://online-fix.me';
+const onlineFixPage = v.string({ maxLength: 512, pattern: /^\/games\/(?!.*\.\.)[\w\-./%]+$/ });
+
+ipc.handle('search-online-fix', [v.string({ maxLength: 256 })], async (event, gameName) => {
+  const url = `${ONLINE_FIX_URL}/index.php?do=search&subaction=search&story=${encodeURIComponent(gameName)}`;
+  return httpClient.fetchText(url, { retries: 2, fallbackEncoding: 'windows-1251' });
+});
+
+ipc.handle('fetch-online-fix-page', [onlineFixPage], async (event, pagePath) => {
+  return httpClient.fetchText(`${ONLINE_FIX_URL}${pagePath}`, { retries: 2, fallbackEncoding: 'windows-1251' });
+});
+
+// Handle network settings
+ipc.handle('get-network-settings', [], async () => {
+  return settings.get('network');
+});
+
+ipc.handle('set-network-settings', [v.object({ proxy: v.string({ maxLength: 512 }), bandwidthLimit: v.integer({ max: 10 * 1024 * 1024 }) })], async (event, network) => {
+  try {
+    const values = { proxy: String(network.proxy || '').trim(), bandwidthLimit: Math.max(0, parseInt(network.bandwidthLimit, 10) || 0) };
+    httpClient.configure(values);
+    return { success: true, network: settings.update('network', values) };
+  } catch (error) {
+    return { success: false, error: error.message };
+  }
+});
+
+// Handle the data sources: the mirrors of each kind of data, how they last answered and files fetched from them
+const mirrorList = v.array({ maxLength: MAX_MIRRORS, items: v.url({ protocols: MIRROR_PROTOCOLS }) });
+const sourceFile = v.string({ maxLength: 1024, pattern: /^(?!.*\.\.)[\w\-.~%?=&][\w\-.~%/?=&]*$/ });
+
+ipc.handle('get-sources', [], async () => {
+  return { sources: settings.get('sources'), defaults: DEFAULT_SOURCES, health: sources.status() };
+});
+
+ipc.handle('set-sources', [v.object(Object.fromEntries(SOURCE_TYPES.map(type => [type, mirrorList])))], async (event, values) => {
+  const { dialog } = require('electron');
+
+  try {
+    // Fixes are downloaded from and installed out of any fixes mirror, so the page can't add a mirror
+    // on its own: every one that isn't set up yet or a default has to be confirmed here
+    const current = settings.get('sources');
+    const added = Object.entries(normalizeSources(values))
+      .flatMap(([type, mirrors]) => mirrors.filter(mirror => !current[type].includes(mirror) && !DEFAULT_SOURCES[type].includes(mirror)));
+    if (added.length > 0) {
+      const { response } = await dialog.showMessageBox(BrowserWindow.fromWebContents(event.sender), {
+        type: 'warning',
+        title: 'New Data Sources',
+        message: 'Use these new mirrors?',
+        detail: `${[...new Set(added)].join('\n')}\n\nThe store will download game data and fix archives from them and install those fixes into your game folders. Only add mirrors you trust.`,
+        buttons: ['Use Mirrors', 'Cancel'],
+        defaultId: 1,
+        cancelId: 1
       });
+      if (response !== 0) {
+        return { success: false, cancelled: true };
+      }
+    }
+    return { success: true, sources: settings.update('sources', values), health: sources.status() };
+  } catch (error) {
+    console.error('Error saving sources:', error);
+    return { success: false, error: error.message };
+  }
+});
+
+ipc.handle('check-sources', [], async () => {
+  return { success: true, health: await sources.check() };
+});
+
+ipc.handle('fetch-source-file', [v.oneOf(SOURCE_TYPES), sourceFile, v.optional(v.object({ timeout: v.integer({ min: 1000, max: 60000 }) }))], async (event, type, file, options = {}) => {
+  return sources.fetchText(type, file, options);
+});
+
+// Handle tray mode and the background checks: their settings, how each check last went and running them now
+ipc.handle('get-background-settings', [], async () => {
+  return { settings: settings.get('background'), status: scheduler.status(), intervals: CHECK_INTERVALS };
+});
+
+ipc.handle('set-background-settings', [v.object({
+  trayMode: v.boolean(),
+  checkInterval: v.oneOf(CHECK_INTERVALS),
+  catalog: v.boolean(),
+  fixUpdates: v.boolean(),
+  plugin: v.boolean()
+})], async (event, values) => {
+  try {
+    const background = settings.update('background', values);
+    updateTray();
+    scheduler.schedule();
+    return { success: true, settings: background, status: scheduler.status() };
+  } catch (error) {
+    console.error('Error saving background settings:', error);
+    return { success: false, error: error.message };
+  }
+});
+
+ipc.handle('run-background-checks', [], async () => {
+  return { success: true, status: await scheduler.runNow() };
+});
+
+// The games with a fix on the fixes mirrors, for the store's badges
+ipc.handle('get-fix-index', [v.optional(v.object({ refresh: v.boolean() }))], async (event, options = {}) => {
+  try {
+    return { success: true, ...(await fixIndex.get({ refresh: !!options.refresh })) };
+  } catch (error) {
+    console.error('Error indexing fixes:', error);
+    return { success: false, error: error.message };
+  }
+});
+
+ipc.handle('get-bypass-index', [v.optional(v.object({ refresh: v.boolean() }))], async (event, options = {}) => {
+  try {
+    return { success: true, ...(await bypassIndex.get({ refresh: !!options.refresh })) };
+  } catch (error) {
+    console.error('Error indexing bypasses:', error);
+    return { success: false, error: error.message };
+  }
+});
+
+// Download URL of a game's fix on the first fixes mirror that has it
+ipc.handle('find-fix-url', [v.appID()], async (event, appID) => {
+  try {
+    return { success: true, url: await fixInstaller.findFixUrl(appID) };
+  } catch (error) {
+    console.error('Error looking for a fix:', error);
+    return { success: false, error: error.message };
+  }
+});
+
+// Handle the user profile (favorites, ratings, history, preferences) kept in settings.json
+const profileValues = v.object({
+  preferences: v.object({
+    theme: v.string({ maxLength: 64 }),
+    language: v.string({ maxLength: 16 }),
+    windowMode: v.oneOf(['fullscreen', 'borderless', 'window']),
+    showWallpaper: v.boolean(),
+    backgroundMusic: v.boolean(),
+    developerMode: v.boolean()
+  }),
+  favorites: v.array({ maxLength: 10000, items: v.appID() }),
+  downloadHistory: v.array({ maxLength: 50, items: v.object({ appID: v.appID(), name: v.string({ maxLength: 512 }), kind: v.oneOf(INSTALL_KINDS), timestamp: v.integer() }) }),
+  ratings: v.map({ keys: v.appID(), values: v.integer({ min: 1, max: 5 }) }),
+  savedSearches: v.array({ maxLength: 50, items: v.string({ maxLength: 500 }) }),
+  coopCorrections: v.map({
+    keys: v.appID(),
+    values: v.object({
+      name: v.string({ maxLength: 512 }),
+      onlinePlayers: v.integer({ max: 64 }),
+      localPlayers: v.integer({ max: 64 }),
+      campaign: v.boolean()
+    })
+  })
+});
+
+ipc.handle('get-profile', [], async () => {
+  return settings.getProfile();
+});
+
+ipc.handle('update-profile', [profileValues], async (event, values) => {
+  try {
+    for (const [name, value] of Object.entries(values)) {
+      settings.update(name, value);
+    }
+    applyLogLevel();
+    return { success: true };
+  } catch (error) {
+    console.error('Error saving profile:', error);
+    return { success: false, error: error.message };
+  }
+});
+
+// One-time import of what older versions kept in the renderer's localStorage. Old values may not
+// match today's shapes, so only the section names are checked here and the store drops what doesn't fit.
+const legacyProfileValues = v.object(Object.fromEntries(
+  ['preferences', 'favorites', 'downloadHistory', 'ratings'].map(name => [name, v.any()])
+));
+
+ipc.handle('import-legacy-profile', [legacyProfileValues], async (event, values) => {
+  try {
+    const imported = settings.importLegacy(values);
+    if (imported) {
+      console.log('Imported profile from localStorage:', Object.keys(values).join(', '));
+    }
+    return { success: true, imported, profile: settings.getProfile() };
+  } catch (error) {
+    console.error('Error importing localStorage profile:', error);
+    return { success: false, error: error.message };
+  }
+});
+
+ipc.handle('export-profile', [], async () => {
+  const { dialog } = require('electron');
+
+  try {
+    const result = await dialog.showSaveDialog({
+      title: 'Export Profile',
+      defaultPath: `online-fix-store-profile-${new Date().toISOString().slice(0, 10)}.json`,
+      filters: [{ name: 'Profile', extensions: ['json'] }]
     });
+
+    if (result.canceled) {
+      return { success: false, cancelled: true };
+    }
+
+    fs.writeFileSync(result.filePath, JSON.stringify(settings.exportProfile(), null, 2), 'utf8');
+    console.log('Profile exported to:', result.filePath);
+    return { success: true, filePath: result.filePath };
   } catch (error) {
-    throw error;
+    console.error('Error exporting profile:', error);
+    return { success: false, error: error.message };
+  }
+});
+
+ipc.handle('import-profile', [], async () => {
+  const { dialog } = require('electron');
+
+  try {
+    const result = await dialog.showOpenDialog({
+      title: 'Import Profile',
+      properties: ['openFile'],
+      filters: [{ name: 'Profile', extensions: ['json'] }]
+    });
+
+    if (result.canceled) {
+      return { success: false, cancelled: true };
+    }
+
+    let profile;
+    try {
+      profile = JSON.parse(fs.readFileSync(result.filePaths[0], 'utf8'));
+    } catch (error) {
+      return { success: false, error: 'This file is not an Online Fix Store profile' };
+    }
+
+    settings.importProfile(profile);
+    try {
+      httpClient.configure(settings.get('network'));
+    } catch (error) {
+      console.error('Invalid network settings in imported profile, using a direct connection:', error.message);
+    }
+    updateTray();
+    scheduler.schedule();
+    console.log('Profile imported from:', result.filePaths[0]);
+    return { success: true };
+  } catch (error) {
+    console.error('Error importing profile:', error);
+    return { success: false, error: error.message };
+  }
+});
+
+// Language packs: the list to choose from, one language with English to fall back on, and what each lacks
+ipc.handle('get-locales', [], async () => {
+  return { locales: locales.list() };
+});
+
+ipc.handle('get-locale', [v.string({ maxLength: 35, pattern: LOCALE_CODE })], async (event, code) => {
+  return { locale: locales.load(code), fallback: locales.load(FALLBACK_LOCALE) };
+});
+
+ipc.handle('get-locale-report', [], async () => {
+  return { report: locales.report() };
+});
+
+// Open the folder extra language packs go in, creating it first
+ipc.handle('open-locales-folder', [], async () => {
+  fs.mkdirSync(locales.userDir, { recursive: true });
+  const error = await shell.openPath(locales.userDir);
+  return error ? { success: false, error } : { success: true };
+});
+
+// Themes: the registry, and saving, deleting, importing and exporting the user's own
+const themeId = v.string({ maxLength: 64, pattern: themeLib.THEME_ID });
+const themeData = v.object({
+  name: v.string({ maxLength: 64 }),
+  icon: v.string({ maxLength: 16 }),
+  light: v.boolean(),
+  font: v.oneOf(themeLib.FONTS),
+  cardStyle: v.oneOf(themeLib.CARD_STYLES),
+  wallpaper: v.optional(v.string({ maxLength: themeLib.MAX_WALLPAPER_LENGTH, pattern: themeLib.WALLPAPER })),
+  colors: v.map({
+    keys: v.oneOf(themeLib.COLOR_KEYS),
+    values: v.string({ maxLength: 7, pattern: themeLib.HEX_COLOR }),
+    maxSize: themeLib.COLOR_KEYS.length
+  })
+});
+
+ipc.handle('get-themes', [], async () => {
+  return { themes: themes.list() };
+});
+
+// Save a theme of the user's; a null id saves a new one
+ipc.handle('save-theme', [v.optional(themeId), themeData], async (event, id, theme) => {
+  try {
+    return { success: true, theme: themes.save(id || null, theme) };
+  } catch (error) {
+    console.error('Error saving theme:', error.message);
+    return { success: false, error: error.message };
+  }
+});
+
+ipc.handle('delete-theme', [themeId], async (event, id) => {
+  try {
+    themes.remove(id);
+    return { success: true };
+  } catch (error) {
+    console.error('Error deleting theme:', error.message);
+    return { success: false, error: error.message };
+  }
+});
+
+ipc.handle('import-theme', [], async () => {
+  const { dialog } = require('electron');
+
+  try {
+    const result = await dialog.showOpenDialog({
+      title: 'Import Theme',
+      properties: ['openFile'],
+      filters: [{ name: 'Theme', extensions: ['json'] }]
+    });
+
+    if (result.canceled) {
+      return { success: false, cancelled: true };
+    }
+
+    const theme = themes.importFile(result.filePaths[0]);
+    console.log('Theme imported from:', result.filePaths[0]);
+    return { success: true, theme };
+  } catch (error) {
+    console.error('Error importing theme:', error.message);
+    return { success: false, error: error.message };
+  }
+});
+
+ipc.handle('export-theme', [themeId], async (event, id) => {
+  const { dialog } = require('electron');
+
+  try {
+    const result = await dialog.showSaveDialog({
+      title: 'Export Theme',
+      defaultPath: `${id}.json`,
+      filters: [{ name: 'Theme', extensions: ['json'] }]
+    });
+
+    if (result.canceled) {
+      return { success: false, cancelled: true };
+    }
+
+    themes.exportFile(id, result.filePath);
+    console.log('Theme exported to:', result.filePath);
+    return { success: true, filePath: result.filePath };
+  } catch (error) {
+    console.error('Error exporting theme:', error.message);
+    return { success: false, error: error.message };
+  }
+});
+
+// Co-op details of [{ appID, name }], corrections included: appID -> data or null
+ipc.handle('get-coop-data', [v.array({
+  maxLength: 20000,
+  items: v.object({ appID: v.appID(), name: v.string({ maxLength: 512 }) })
+})], async (event, games) => {
+  try {
+    return { success: true, coop: await coopDatabase.find(games) };
+  } catch (error) {
+    console.error('Error looking up co-op data:', error);
+    return { success: false, error: error.message, coop: {} };
+  }
+});
+
+// Save the user's co-op corrections as a report to send in
+ipc.handle('export-coop-corrections', [], async () => {
+  const { dialog } = require('electron');
+
+  try {
+    const corrections = settings.get('coopCorrections');
+    if (Object.keys(corrections).length === 0) {
+      return { success: false, error: 'There are no co-op corrections to export' };
+    }
+
+    const result = await dialog.showSaveDialog({
+      title: 'Export Co-Op Corrections',
+      defaultPath: `coop-corrections-${new Date().toISOString().slice(0, 10)}.txt`,
+      filters: [{ name: 'Text', extensions: ['txt'] }]
+    });
+
+    if (result.canceled) {
+      return { success: false, cancelled: true };
+    }
+
+    fs.writeFileSync(result.filePath, formatCorrectionReport(corrections), 'utf8');
+    console.log('Co-op corrections exported to:', result.filePath);
+    return { success: true, filePath: result.filePath };
+  } catch (error) {
+    console.error('Error exporting co-op corrections:', error);
+    return { success: false, error: error.message };
+  }
+});
+
+// Handle the game metadata cache
+const cacheKind = v.oneOf(['game', 'steam']);
+const cacheData = v.map({ maxSize: 100 });
+
+ipc.handle('metadata-cache-get', [cacheKind, v.appID()], async (event, kind, appID) => {
+  return metadataCache.get(kind, appID);
+});
+
+ipc.handle('metadata-cache-set', [cacheKind, v.appID(), cacheData], async (event, kind, appID, data) => {
+  try {
+    metadataCache.set(kind, appID, data);
+    return { success: true };
+  } catch (error) {
+    console.error('Error writing metadata cache:', error);
+    return { success: false, error: error.message };
+  }
+});
+
+ipc.handle('metadata-cache-keys', [cacheKind], async (event, kind) => {
+  return metadataCache.keys(kind);
+});
+
+ipc.handle('metadata-cache-stats', [], async () => {
+  return { ...metadataCache.stats(), images: imageCache.stats() };
+});
+
+// Clear drops everything; rebuild keeps the entries on screen but refreshes each one the next time it is shown
+ipc.handle('metadata-cache-clear', [v.oneOf(['clear', 'rebuild'])], async (event, mode) => {
+  try {
+    if (mode === 'clear') {
+      metadataCache.clear();
+      imageCache.clear();
+    } else {
+      metadataCache.invalidate();
+    }
+    return { success: true, stats: { ...metadataCache.stats(), images: imageCache.stats() } };
+  } catch (error) {
+    console.error('Error clearing metadata cache:', error);
+    return { success: false, error: error.message };
+  }
+});
+
+// Entries older versions cached in the renderer's localStorage, handed over once
+ipc.handle('import-legacy-cache', [cacheKind, v.array({
+  maxLength: 20000,
+  items: v.object({ key: v.appID(), version: v.integer({ max: 1000 }), storedAt: v.integer(), data: cacheData })
+})], async (event, kind, entries) => {
+  try {
+    const imported = metadataCache.importEntries(kind, entries);
+    console.log(`Imported ${imported} ${kind} cache entries from localStorage`);
+    return { success: true, imported };
+  } catch (error) {
+    console.error('Error importing localStorage cache:', error);
+    return { success: false, error: error.message };
+  }
+});
+
+// The catalog snapshot the store starts from when it can't download the catalog
+const snapshotGame = v.object({
+  appID: v.string({ maxLength: 64 }),
+  name: v.string({ maxLength: 512 }),
+  headerImage: v.string({ maxLength: 2048 }),
+  backgroundImage: v.string({ maxLength: 2048 }),
+  developers: v.array({ maxLength: 50, items: v.string({ maxLength: 256 }) }),
+  tags: v.array({ maxLength: 100 }),
+  genres: v.array({ maxLength: 100 }),
+  hasSplitScreen: v.boolean(),
+  coopData: v.any(),
+  metacritic: v.any(),
+  recommendations: v.any()
+});
+
+ipc.handle('get-catalog-snapshot', [], async () => {
+  return catalogSnapshot.load();
+});
+
+ipc.handle('save-catalog-snapshot', [
+  v.array({ maxLength: 20000, items: snapshotGame }),
+  v.array({ maxLength: 20000, items: v.string({ maxLength: 64 }) })
+], async (event, games, incompleteAppIDs) => {
+  try {
+    const savedAt = catalogSnapshot.save(games, incompleteAppIDs);
+    // Store headers are what the list shows, so have all of them on disk before the next time it is offline
+    const queued = imageCache.prefetch(games.map(game => game.headerImage));
+    console.log(`Saved catalog snapshot of ${games.length} games, caching ${queued} header images`);
+    return { success: true, savedAt };
+  } catch (error) {
+    console.error('Error saving catalog snapshot:', error);
+    return { success: false, error: error.message };
+  }
+});
+
+// Compare the catalog that just loaded with the last one and return what changed
+ipc.handle('record-catalog', [v.array({
+  maxLength: 20000,
+  items: v.object({ appID: v.string({ maxLength: 64 }), name: v.string({ maxLength: 512 }) })
+})], async (event, games) => {
+  try {
+    const entry = catalogChangelog.record(games);
+    return { success: true, entry, newGames: catalogChangelog.newSinceLastVisit(), history: catalogChangelog.history() };
+  } catch (error) {
+    console.error('Error recording catalog changes:', error);
+    return { success: false, error: error.message };
+  }
+});
+
+ipc.handle('get-catalog-changes', [], async () => {
+  return { newGames: catalogChangelog.newSinceLastVisit(), history: catalogChangelog.history() };
+});
+
+ipc.handle('mark-new-games-seen', [], async () => {
+  try {
+    catalogChangelog.markSeen();
+    return { success: true };
+  } catch (error) {
+    return { success: false, error: error.message };
   }
 });
 
 // Handle desktop notifications
-ipcMain.handle('show-notification', async (event, { title, body }) => {
+ipc.handle('show-notification', [v.object({ title: v.string({ maxLength: 200 }), body: v.string({ maxLength: 2000 }) })], async (event, { title, body }) => {
   if (Notification.isSupported()) {
     const notification = new Notification({
       title: title,
@@ -191,7 +907,7 @@ ipcMain.handle('show-notification', async (event, { title, body }) => {
 });
 
 // Handle opening external URLs
-ipcMain.handle('open-external', async (event, url) => {
+ipc.handle('open-external', [v.url({ protocols: ['https:', 'http:', 'mailto:'] })], async (event, url) => {
   try {
     await shell.openExternal(url);
     return true;
@@ -202,7 +918,7 @@ ipcMain.handle('open-external', async (event, url) => {
 });
 
 // Handle window mode changes
-ipcMain.on('set-window-mode', (event, mode) => {
+ipc.on('set-window-mode', [v.oneOf(['fullscreen', 'borderless', 'window'])], (event, mode) => {
   const win = BrowserWindow.getFocusedWindow();
   if (!win) return;
 
@@ -222,7 +938,7 @@ ipcMain.on('set-window-mode', (event, mode) => {
 });
 
 // Handle fullscreen toggle
-ipcMain.on('set-fullscreen', (event, isFullscreen) => {
+ipc.on('set-fullscreen', [v.boolean()], (event, isFullscreen) => {
   const win = BrowserWindow.getFocusedWindow();
   if (win) {
     console.log('Setting fullscreen to:', isFullscreen);
@@ -231,14 +947,14 @@ ipcMain.on('set-fullscreen', (event, isFullscreen) => {
 });
 
 // Handle app restart
-ipcMain.on('restart-app', () => {
+ipc.on('restart-app', [], () => {
   console.log('Restarting app...');
   app.relaunch();
   app.exit(0);
 });
 
 // Handle folder selection
-ipcMain.handle('select-folder', async (event) => {
+ipc.handle('select-folder', [], async (event) => {
   const { dialog } = require('electron');
   const result = await dialog.showOpenDialog({
     properties: ['openDirectory'],
@@ -249,227 +965,166 @@ ipcMain.handle('select-folder', async (event) => {
     return null;
   }
 
+  approveFolder(result.filePaths[0]);
   return result.filePaths[0];
 });
 
+// Find where Steam installed a game, so the user doesn't have to browse for it
+ipc.handle('find-game-folder', [v.appID()], async (event, appID) => {
+  try {
+    const game = await steamLocator.findGame(appID);
+    if (game) {
+      console.log(`Found ${appID} installed at:`, game.installDir);
+      approveFolder(game.installDir);
+    }
+    return { success: true, found: !!game, ...game };
+  } catch (error) {
+    console.error('Error locating game folder:', error);
+    return { success: false, found: false, error: error.message };
+  }
+});
+
 // Handle download and extract fix
-ipcMain.handle('download-extract-fix', async (event, url, targetFolder, appID, fileName) => {
-  const fs = require('fs');
-  const https = require('https');
-  const extract = require('extract-zip');
-  const { execFile } = require('child_process');
-  const { promisify } = require('util');
-  const execFileAsync = promisify(execFile);
-  const os = require('os');
-
-  try {
-    console.log('Starting download and extract process...');
-    console.log('URL:', url);
-    console.log('Target folder:', targetFolder);
-    console.log('AppID:', appID);
-
-    // Create temp directory for download
-    const tempDir = path.join(os.tmpdir(), `online-fix-${Date.now()}`);
-    if (!fs.existsSync(tempDir)) {
-      fs.mkdirSync(tempDir, { recursive: true });
+ipc.handle('download-extract-fix', [fixUrl, approvedFolder, v.appID(), v.fileName({ extensions: ['.zip'] }), downloadOptions], async (event, url, targetFolder, appID, fileName, options = {}) => {
+  try {
+    // The copy waits for the user to confirm what it will change
+    const { installId, plan, verification } = await fixInstaller.prepare({ url, targetFolder, appID, fileName, allowUnverified: !!options.allowUnverified });
+    return { success: true, pending: true, installId, plan, verification };
+  } catch (error) {
+    if (error.cancelled) {
+      return { success: false, cancelled: true, error: error.message };
     }
+    console.error('Error in download-extract-fix:', error);
+    return { success: false, error: error.message, ...checksumFailure(error) };
+  }
+});
 
-    const tempZipPath = path.join(tempDir, fileName);
-    console.log('Temp zip path:', tempZipPath);
-
-    // Download the file
-    await new Promise((resolve, reject) => {
-      const file = fs.createWriteStream(tempZipPath);
-
-      https.get(url, (response) => {
-        // Follow redirects (GitHub releases return 302)
-        if (response.statusCode === 302 || response.statusCode === 301) {
-          const redirectUrl = response.headers.location;
-          console.log('Following redirect to:', redirectUrl);
-          https.get(redirectUrl, (redirectResponse) => {
-            redirectResponse.pipe(file);
-            file.on('finish', () => {
-              file.close();
-              console.log('Download complete');
-              resolve();
-            });
-          }).on('error', (err) => {
-            fs.unlink(tempZipPath, () => {});
-            reject(err);
-          });
-          return;
-        }
-
-        if (response.statusCode !== 200) {
-          reject(new Error(`Failed to download: ${response.statusCode}`));
-          return;
-        }
-
-        response.pipe(file);
-
-        file.on('finish', () => {
-          file.close();
-          console.log('Download complete');
-          resolve();
-        });
-      }).on('error', (err) => {
-        fs.unlink(tempZipPath, () => {});
-        reject(err);
-      });
-    });
+// Copy a previewed fix into the game folder, backing up the files it replaces
+ipc.handle('confirm-fix-install', [pendingInstallId], async (event, installId) => {
+  try {
+    const manifest = await fixInstaller.confirm(installId);
+    return { success: true, message: 'Fix extracted successfully!', manifest };
+  } catch (error) {
+    console.error('Error in confirm-fix-install:', error);
+    return { success: false, error: error.message };
+  }
+});
 
-    // Extract the zip - try multiple methods
-    console.log('Extracting zip...');
-    const extractTempPath = path.join(tempDir, 'extracted');
-    if (!fs.existsSync(extractTempPath)) {
-      fs.mkdirSync(extractTempPath, { recursive: true });
-    }
+// Drop a previewed fix without touching the game folder
+ipc.handle('cancel-fix-install', [pendingInstallId], async (event, installId) => {
+  fixInstaller.cancel(installId);
+  return { success: true };
+});
 
-    let extractionSuccess = false;
-    let lastError = null;
+// Handle install manifest lookups
+ipc.handle('get-install-manifest', [v.appID(), installKind], async (event, appID, kind = 'fix') => {
+  return installManifests.getManifest(appID, kind);
+});
 
-    // Method 1: Try extract-zip (Node.js library)
-    try {
-      console.log('Trying extract-zip...');
-      await extract(tempZipPath, { dir: extractTempPath });
-      console.log('✓ extract-zip succeeded');
-      extractionSuccess = true;
-    } catch (error) {
-      console.log('✗ extract-zip failed:', error.message);
-      lastError = error;
-    }
+// List every applied fix, comparing the Steam build recorded at install time with the current one
+ipc.handle('get-installed-fixes', [], async () => {
+  try {
+    return { success: true, fixes: await fixInstaller.listInstalled() };
+  } catch (error) {
+    console.error('Error listing installed fixes:', error);
+    return { success: false, error: error.message, fixes: [] };
+  }
+});
 
-    // Method 2: Try 7-Zip if extract-zip failed
-    if (!extractionSuccess) {
-      const sevenZipPaths = [
-        'C:\\Program Files\\7-Zip\\7z.exe',
-        'C:\\Program Files (x86)\\7-Zip\\7z.exe',
-        path.join(process.env.ProgramFiles || 'C:\\Program Files', '7-Zip', '7z.exe'),
-        path.join(process.env['ProgramFiles(x86)'] || 'C:\\Program Files (x86)', '7-Zip', '7z.exe')
-      ];
-
-      for (const sevenZipPath of sevenZipPaths) {
-        if (fs.existsSync(sevenZipPath)) {
-          try {
-            console.log('Trying 7-Zip at:', sevenZipPath);
-            await execFileAsync(sevenZipPath, ['x', tempZipPath, `-o${extractTempPath}`, '-y']);
-            console.log('✓ 7-Zip succeeded');
-            extractionSuccess = true;
-            break;
-          } catch (error) {
-            console.log('✗ 7-Zip failed:', error.message);
-            lastError = error;
-          }
-        }
-      }
-    }
+// Installed fixes whose archive was uploaded again on GitHub since it was installed
+ipc.handle('check-fix-updates', [], async () => {
+  const { updates, checked, failed } = await fixInstaller.checkUpdates();
 
-    // Method 3: Try WinRAR if both previous methods failed
-    if (!extractionSuccess) {
-      const winrarPaths = [
-        'C:\\Program Files\\WinRAR\\WinRAR.exe',
-        'C:\\Program Files (x86)\\WinRAR\\WinRAR.exe',
-        path.join(process.env.ProgramFiles || 'C:\\Program Files', 'WinRAR', 'WinRAR.exe'),
-        path.join(process.env['ProgramFiles(x86)'] || 'C:\\Program Files (x86)', 'WinRAR', 'WinRAR.exe')
-      ];
-
-      for (const winrarPath of winrarPaths) {
-        if (fs.existsSync(winrarPath)) {
-          try {
-            console.log('Trying WinRAR at:', winrarPath);
-            await execFileAsync(winrarPath, ['x', '-y', tempZipPath, extractTempPath]);
-            console.log('✓ WinRAR succeeded');
-            extractionSuccess = true;
-            break;
-          } catch (error) {
-            console.log('✗ WinRAR failed:', error.message);
-            lastError = error;
-          }
-        }
-      }
-    }
+  // Keep showing what the last check found when GitHub couldn't be reached at all
+  if (failed > 0 && failed === checked) {
+    return { success: false, error: 'Could not reach GitHub to check the installed fixes', updates };
+  }
+  return { success: true, updates, failed, checkedAt: Date.now() };
+});
 
-    if (!extractionSuccess) {
-      throw new Error(`All extraction methods failed. Last error: ${lastError?.message || 'Unknown error'}. Please install 7-Zip or WinRAR.`);
-    }
+// Open the folder a fix (or a bypass) was installed into
+ipc.handle('open-install-folder', [v.appID(), installKind], async (event, appID, kind = 'fix') => {
+  const manifest = installManifests.getManifest(appID, kind);
+  if (!manifest) {
+    return { success: false, error: `No install manifest found for ${appID}` };
+  }
+  const error = await shell.openPath(manifest.targetFolder);
+  return error ? { success: false, error } : { success: true };
+});
 
-    console.log('Extraction complete to:', extractTempPath);
+// Restore the original files and delete everything a fix (or a bypass) added
+ipc.handle('uninstall-fix', [v.appID(), installKind], async (event, appID, kind = 'fix') => {
+  try {
+    const result = fixInstaller.uninstall(appID, kind);
+    return { success: true, message: `${kind === 'bypass' ? 'Bypass' : 'Fix'} removed and original files restored!`, ...result };
+  } catch (error) {
+    console.error('Error in uninstall-fix:', error);
+    return { success: false, error: error.message };
+  }
+});
 
-    // Find the appID folder
-    const appIDFolder = path.join(extractTempPath, appID);
-    let sourceFolder = extractTempPath;
+// Handle the log: the renderer's entries are written next to the main process's, and read back for the log viewer
+const logEntry = v.object({ time: v.string({ maxLength: 40 }), level: v.oneOf(LOG_LEVELS), message: v.string({ maxLength: 10000 }) });
 
-    if (fs.existsSync(appIDFolder) && fs.statSync(appIDFolder).isDirectory()) {
-      console.log('Found appID folder:', appIDFolder);
-      sourceFolder = appIDFolder;
-    } else {
-      // Look for any folder that might be the appID folder
-      const contents = fs.readdirSync(extractTempPath);
-      const possibleFolder = contents.find(item => {
-        const itemPath = path.join(extractTempPath, item);
-        return fs.statSync(itemPath).isDirectory() && item.includes(appID);
-      });
+ipc.handle('write-logs', [v.array({ maxLength: 500, items: logEntry })], async (event, entries) => {
+  for (const entry of entries) {
+    logger.log(entry.level, entry.message, { process: 'renderer', time: entry.time });
+  }
+  return { success: true };
+});
 
-      if (possibleFolder) {
-        console.log('Found possible appID folder:', possibleFolder);
-        sourceFolder = path.join(extractTempPath, possibleFolder);
-      } else {
-        console.log('No appID folder found, using root of extraction');
-      }
-    }
+ipc.handle('get-logs', [v.optional(v.object({
+  limit: v.integer({ min: 1, max: 5000 }),
+  level: v.oneOf(LOG_LEVELS),
+  search: v.string({ maxLength: 200 }),
+  process: v.oneOf(LOG_PROCESSES)
+}))], async (event, options = {}) => {
+  try {
+    return { success: true, entries: logger.read(options), dir: logger.dir };
+  } catch (error) {
+    return { success: false, error: error.message, entries: [] };
+  }
+});
 
-    // Copy all contents from sourceFolder to targetFolder
-    console.log('Copying files from', sourceFolder, 'to', targetFolder);
-    const copyRecursive = (src, dest) => {
-      const entries = fs.readdirSync(src, { withFileTypes: true });
-
-      for (const entry of entries) {
-        const srcPath = path.join(src, entry.name);
-        const destPath = path.join(dest, entry.name);
-
-        if (entry.isDirectory()) {
-          if (!fs.existsSync(destPath)) {
-            fs.mkdirSync(destPath, { recursive: true });
-          }
-          copyRecursive(srcPath, destPath);
-        } else {
-          // Copy file, replacing if exists
-          fs.copyFileSync(srcPath, destPath);
-        }
-      }
-    };
+ipc.handle('open-logs-folder', [], async () => {
+  const error = await shell.openPath(logger.dir);
+  return error ? { success: false, error } : { success: true };
+});
 
-    copyRecursive(sourceFolder, targetFolder);
-    console.log('Files copied successfully');
-
-    // Clean up temp files
-    console.log('Cleaning up temp files...');
-    const deleteFolderRecursive = (folderPath) => {
-      if (fs.existsSync(folderPath)) {
-        fs.readdirSync(folderPath).forEach((file) => {
-          const curPath = path.join(folderPath, file);
-          if (fs.lstatSync(curPath).isDirectory()) {
-            deleteFolderRecursive(curPath);
-          } else {
-            fs.unlinkSync(curPath);
-          }
-        });
-        fs.rmdirSync(folderPath);
-      }
-    };
+// Zip the recent logs, versions, Steam paths and install manifests, with personal paths redacted, to attach to a report
+ipc.handle('create-diagnostics-bundle', [], async () => {
+  const { dialog } = require('electron');
+
+  try {
+    const result = await dialog.showSaveDialog({
+      title: 'Save Diagnostics Bundle',
+      defaultPath: `online-fix-store-diagnostics-${new Date().toISOString().slice(0, 10)}.zip`,
+      filters: [{ name: 'ZIP Files', extensions: ['zip'] }]
+    });
 
-    deleteFolderRecursive(tempDir);
-    console.log('Cleanup complete');
+    if (result.canceled) {
+      return { success: false, cancelled: true };
+    }
 
-    return { success: true, message: 'Fix extracted successfully!' };
+    const files = await createDiagnosticsBundle(result.filePath, {
+      logger,
+      manifests: installManifests,
+      steamLocator,
+      onlinefixPlugin,
+      sources,
+      appInfo: { name: app.getName(), version: app.getVersion(), locale: app.getLocale(), language: settings.get('preferences').language }
+    });
+    console.log('Diagnostics bundle saved to:', result.filePath);
+    shell.showItemInFolder(result.filePath);
+    return { success: true, filePath: result.filePath, files };
   } catch (error) {
-    console.error('Error in download-extract-fix:', error);
+    console.error('Error creating diagnostics bundle:', error);
     return { success: false, error: error.message };
   }
 });
 
 // Handle reading local README.md file
-ipcMain.handle('read-readme', async () => {
+ipc.handle('read-readme', [], async () => {
   const fs = require('fs');
   try {
     const readmePath = path.join(__dirname, 'README.md');
@@ -486,185 +1141,131 @@ Your one-stop destination for game fixes and updates.
   }
 });
 
-// Handle Steam app list requests
-ipcMain.handle('get-steam-applist', async () => {
+// Handle Steam app name lookups
+ipc.handle('get-steam-app-names', [v.array({ maxLength: 20000, items: v.appID() })], async (event, appIDs) => {
   try {
-    const data = await getSteamAppList();
-    // Convert to a more efficient lookup format
-    const appMap = {};
-    data.applist.apps.forEach(app => {
-      appMap[app.appid] = app.name;
-    });
-    return {
-      success: true,
-      apps: appMap,
-      totalApps: data.applist.apps.length,
-      cached: isCacheValid()
-    };
+    return { success: true, names: await steamApps.getNames(appIDs) };
   } catch (error) {
-    console.error('Error in get-steam-applist handler:', error);
-    return {
-      success: false,
-      error: error.message,
-      apps: {}
-    };
+    console.error('Error looking up Steam app names:', error);
+    return { success: false, error: error.message, names: {} };
   }
 });
 
-// Handle bypass downloads
-ipcMain.handle('download-bypass', async (event, url, fileName) => {
-  const fs = require('fs');
-  const https = require('https');
+ipc.handle('search-steam-apps', [v.string({ maxLength: 200 }), v.optional(v.object({ limit: v.integer({ min: 1, max: 100 }), fuzzy: v.boolean() }))], async (event, query, options = {}) => {
+  try {
+    return { success: true, results: await steamApps.search(query, options) };
+  } catch (error) {
+    console.error('Error searching Steam apps:', error);
+    return { success: false, error: error.message, results: [] };
+  }
+});
+
+// Handle bypass downloads: a single file is saved where the user says, the parts of a split bypass
+// go together into a folder they pick
+ipc.handle('download-bypass', [bypassFileNames, downloadOptions], async (event, fileNames, options = {}) => {
   const { dialog } = require('electron');
 
   try {
-    console.log('Downloading bypass from:', url);
+    const parts = await fixInstaller.findBypassParts(fileNames);
+    const expectedChecksums = [];
+    for (const part of parts) {
+      console.log('Downloading bypass from:', part.url);
+      expectedChecksums.push(await lookupChecksum(part.url, options));
+    }
 
     // Ask user where to save
-    const result = await dialog.showSaveDialog({
-      title: 'Save Bypass',
-      defaultPath: fileName,
-      filters: [{ name: 'ZIP Files', extensions: ['zip'] }]
-    });
-
-    if (result.canceled) {
-      return { success: false, message: 'Download cancelled' };
+    let savePaths;
+    if (parts.length === 1) {
+      const extension = path.extname(fileNames[0]).slice(1).toLowerCase();
+      const result = await dialog.showSaveDialog({
+        title: 'Save Bypass',
+        defaultPath: fileNames[0],
+        filters: [{ name: `${extension.toUpperCase()} Files`, extensions: [extension] }]
+      });
+      if (result.canceled) {
+        return { success: false, message: 'Download cancelled' };
+      }
+      savePaths = [result.filePath];
+    } else {
+      const result = await dialog.showOpenDialog({
+        title: `Save the ${parts.length} Bypass Files`,
+        properties: ['openDirectory', 'createDirectory']
+      });
+      if (result.canceled || result.filePaths.length === 0) {
+        return { success: false, message: 'Download cancelled' };
+      }
+      savePaths = parts.map(part => path.join(result.filePaths[0], part.fileName));
     }
+    console.log('Saving to:', savePaths.join(', '));
 
-    const savePath = result.filePath;
-    console.log('Saving to:', savePath);
-
-    // Download the file
-    await new Promise((resolve, reject) => {
-      const file = fs.createWriteStream(savePath);
-
-      https.get(url, (response) => {
-        // Follow redirects
-        if (response.statusCode === 302 || response.statusCode === 301) {
-          const redirectUrl = response.headers.location;
-          console.log('Following redirect to:', redirectUrl);
-          https.get(redirectUrl, (redirectResponse) => {
-            redirectResponse.pipe(file);
-            file.on('finish', () => {
-              file.close();
-              console.log('Download complete');
-              resolve();
-            });
-          }).on('error', (err) => {
-            fs.unlink(savePath, () => {});
-            reject(err);
-          });
-          return;
-        }
-
-        if (response.statusCode !== 200) {
-          reject(new Error(`Failed to download: ${response.statusCode}`));
-          return;
-        }
-
-        response.pipe(file);
-        file.on('finish', () => {
-          file.close();
-          console.log('Download complete');
-          resolve();
-        });
-      }).on('error', (err) => {
-        fs.unlink(savePath, () => {});
-        reject(err);
-      });
-    });
+    // Download the files
+    const verifications = [];
+    for (let i = 0; i < parts.length; i++) {
+      await downloadManager.enqueue({ url: parts[i].url, destPath: savePaths[i], label: parts[i].fileName });
+      verifications.push(await verifyDownload(savePaths[i], expectedChecksums[i]));
+    }
+    console.log('Download complete');
 
     // Show notification
     if (Notification.isSupported()) {
       const notification = new Notification({
         title: 'Download Complete',
-        body: `${fileName} has been downloaded successfully!`,
+        body: `${parts.length === 1 ? fileNames[0] : `${parts.length} bypass files`} downloaded successfully!`,
         icon: path.join(__dirname, 'icon.png')
       });
       notification.show();
     }
 
-    return { success: true, message: 'Bypass downloaded successfully!', path: savePath };
+    return {
+      success: true,
+      message: 'Bypass downloaded successfully!',
+      path: parts.length === 1 ? savePaths[0] : path.dirname(savePaths[0]),
+      verification: combineVerifications(fileNames, verifications)
+    };
   } catch (error) {
+    if (error.cancelled) {
+      return { success: false, cancelled: true, message: 'Download cancelled' };
+    }
     console.error('Error downloading bypass:', error);
-    return { success: false, error: error.message };
+    return { success: false, error: error.message, ...checksumFailure(error) };
   }
 });
 
-// Handle OnlineFix plugin appIDs.txt update
-ipcMain.handle('update-onlinefix-appids', async () => {
-  const fs = require('fs');
-  const https = require('https');
-  const os = require('os');
-
-  try {
-    console.log('Starting OnlineFix plugin appIDs.txt update...');
-
-    // Common Steam installation paths
-    const possiblePaths = [
-      'C:\\Program Files (x86)\\Steam',
-      'C:\\Program Files\\Steam',
-      path.join(process.env.ProgramFiles || 'C:\\Program Files', 'Steam'),
-      path.join(process.env['ProgramFiles(x86)'] || 'C:\\Program Files (x86)', 'Steam')
-    ];
-
-    // Find Steam installation
-    let steamPath = null;
-    for (const p of possiblePaths) {
-      if (fs.existsSync(p) && fs.existsSync(path.join(p, 'steam.exe'))) {
-        steamPath = p;
-        console.log('Found Steam at:', steamPath);
-        break;
-      }
-    }
-
-    if (!steamPath) {
-      return { success: false, error: 'Steam installation not found. Please ensure Steam is installed.' };
+// Download every file of a bypass, join or extract them and preview the install into the game folder;
+// confirm-fix-install applies it like a fix, with its own install record to roll back
+ipc.handle('prepare-bypass-install', [v.appID(), bypassFileNames, approvedFolder, downloadOptions], async (event, appID, fileNames, targetFolder, options = {}) => {
+  try {
+    const parts = await fixInstaller.findBypassParts(fileNames);
+    const { installId, plan, verification } = await fixInstaller.prepare({
+      parts,
+      targetFolder,
+      appID,
+      kind: 'bypass',
+      allowUnverified: !!options.allowUnverified
+    });
+    return { success: true, pending: true, installId, plan, verification };
+  } catch (error) {
+    if (error.cancelled) {
+      return { success: false, cancelled: true, error: error.message };
     }
+    console.error('Error in prepare-bypass-install:', error);
+    return { success: false, error: error.message, ...checksumFailure(error) };
+  }
+});
 
-    // Check if OnlineFix plugin exists
-    const pluginPath = path.join(steamPath, 'plugins', 'onlinefix');
-    const appIDsPath = path.join(pluginPath, 'appIDs.txt');
-
-    if (!fs.existsSync(pluginPath)) {
-      return { success: false, error: 'OnlineFix plugin not found. Please install the plugin first.' };
-    }
+// Handle download queue requests
+ipc.handle('cancel-download', [v.integer({ min: 1 })], async (event, id) => {
+  return downloadManager.cancel(id);
+});
 
-    console.log('Plugin path:', pluginPath);
-    console.log('appIDs.txt path:', appIDsPath);
-
-    // Download the latest appIDs.txt from GitHub
-    const url = 'https://raw.githubusercontent.com/ShayneVi/OnlineFix-Plugin/main/appIDs.txt';
-    console.log('Downloading from:', url);
-
-    const fileContent = await new Promise((resolve, reject) => {
-      https.get(url, (response) => {
-        // Follow redirects
-        if (response.statusCode === 302 || response.statusCode === 301) {
-          const redirectUrl = response.headers.location;
-          console.log('Following redirect to:', redirectUrl);
-          https.get(redirectUrl, (redirectResponse) => {
-            const chunks = [];
-            redirectResponse.on('data', (chunk) => chunks.push(chunk));
-            redirectResponse.on('end', () => resolve(Buffer.concat(chunks).toString('utf8')));
-          }).on('error', reject);
-          return;
-        }
-
-        if (response.statusCode !== 200) {
-          reject(new Error(`Failed to download: ${response.statusCode}`));
-          return;
-        }
-
-        const chunks = [];
-        response.on('data', (chunk) => chunks.push(chunk));
-        response.on('end', () => resolve(Buffer.concat(chunks).toString('utf8')));
-      }).on('error', reject);
-    });
+ipc.handle('get-downloads', [], async () => {
+  return downloadManager.list();
+});
 
-    // Write the new file (replacing existing)
-    fs.writeFileSync(appIDsPath, fileContent, 'utf8');
-    console.log('Successfully updated appIDs.txt');
+// Handle OnlineFix plugin appIDs.txt update
+ipc.handle('update-onlinefix-appids', [], async () => {
+  try {
+    const appIDsPath = await onlinefixPlugin.updateAppIDs(sources);
 
     // Show notification
     if (Notification.isSupported()) {
@@ -1,16 +1,82 @@
 const { contextBridge, ipcRenderer } = require('electron');
 
 contextBridge.exposeInMainWorld('electronAPI', {
-  fetchRemoteFile: (url) => ipcRenderer.invoke('fetch-remote-file', url),
+  searchOnlineFix: (gameName) => ipcRenderer.invoke('search-online-fix', gameName),
+  fetchOnlineFixPage: (pagePath) => ipcRenderer.invoke('fetch-online-fix-page', pagePath),
+  getNetworkSettings: () => ipcRenderer.invoke('get-network-settings'),
+  setNetworkSettings: (network) => ipcRenderer.invoke('set-network-settings', network),
+  getSources: () => ipcRenderer.invoke('get-sources'),
+  setSources: (sources) => ipcRenderer.invoke('set-sources', sources),
+  checkSources: () => ipcRenderer.invoke('check-sources'),
+  fetchSourceFile: (type, file, options) => ipcRenderer.invoke('fetch-source-file', type, file, options),
+  getBackgroundSettings: () => ipcRenderer.invoke('get-background-settings'),
+  setBackgroundSettings: (values) => ipcRenderer.invoke('set-background-settings', values),
+  runBackgroundChecks: () => ipcRenderer.invoke('run-background-checks'),
+  onBackgroundCheck: (callback) => {
+    const listener = (event, result) => callback(result);
+    ipcRenderer.on('background-check', listener);
+    return () => ipcRenderer.removeListener('background-check', listener);
+  },
+  findFixUrl: (appID) => ipcRenderer.invoke('find-fix-url', appID),
+  getFixIndex: (options) => ipcRenderer.invoke('get-fix-index', options),
+  getBypassIndex: (options) => ipcRenderer.invoke('get-bypass-index', options),
+  getProfile: () => ipcRenderer.invoke('get-profile'),
+  updateProfile: (values) => ipcRenderer.invoke('update-profile', values),
+  importLegacyProfile: (values) => ipcRenderer.invoke('import-legacy-profile', values),
+  exportProfile: () => ipcRenderer.invoke('export-profile'),
+  importProfile: () => ipcRenderer.invoke('import-profile'),
+  getCachedMetadata: (kind, appID) => ipcRenderer.invoke('metadata-cache-get', kind, appID),
+  setCachedMetadata: (kind, appID, data) => ipcRenderer.invoke('metadata-cache-set', kind, appID, data),
+  getCachedMetadataKeys: (kind) => ipcRenderer.invoke('metadata-cache-keys', kind),
+  getCacheStats: () => ipcRenderer.invoke('metadata-cache-stats'),
+  clearCache: (mode) => ipcRenderer.invoke('metadata-cache-clear', mode),
+  importLegacyCache: (kind, entries) => ipcRenderer.invoke('import-legacy-cache', kind, entries),
+  getCatalogSnapshot: () => ipcRenderer.invoke('get-catalog-snapshot'),
+  saveCatalogSnapshot: (games, incompleteAppIDs) => ipcRenderer.invoke('save-catalog-snapshot', games, incompleteAppIDs),
+  recordCatalog: (games) => ipcRenderer.invoke('record-catalog', games),
+  getCatalogChanges: () => ipcRenderer.invoke('get-catalog-changes'),
+  markNewGamesSeen: () => ipcRenderer.invoke('mark-new-games-seen'),
   openExternal: (url) => ipcRenderer.invoke('open-external', url),
   showNotification: (options) => ipcRenderer.invoke('show-notification', options),
   setWindowMode: (mode) => ipcRenderer.send('set-window-mode', mode),
   setFullscreen: (isFullscreen) => ipcRenderer.send('set-fullscreen', isFullscreen),
   restartApp: () => ipcRenderer.send('restart-app'),
   selectFolder: () => ipcRenderer.invoke('select-folder'),
-  downloadAndExtractFix: (url, targetFolder, appID, fileName) => ipcRenderer.invoke('download-extract-fix', url, targetFolder, appID, fileName),
-  downloadBypass: (url, fileName) => ipcRenderer.invoke('download-bypass', url, fileName),
+  findGameFolder: (appID) => ipcRenderer.invoke('find-game-folder', appID),
+  downloadAndExtractFix: (url, targetFolder, appID, fileName, options) => ipcRenderer.invoke('download-extract-fix', url, targetFolder, appID, fileName, options),
+  confirmFixInstall: (installId) => ipcRenderer.invoke('confirm-fix-install', installId),
+  cancelFixInstall: (installId) => ipcRenderer.invoke('cancel-fix-install', installId),
+  getInstallManifest: (appID, kind) => ipcRenderer.invoke('get-install-manifest', appID, kind),
+  uninstallFix: (appID, kind) => ipcRenderer.invoke('uninstall-fix', appID, kind),
+  getInstalledFixes: () => ipcRenderer.invoke('get-installed-fixes'),
+  getCoopData: (games) => ipcRenderer.invoke('get-coop-data', games),
+  getLocales: () => ipcRenderer.invoke('get-locales'),
+  getLocale: (code) => ipcRenderer.invoke('get-locale', code),
+  getLocaleReport: () => ipcRenderer.invoke('get-locale-report'),
+  openLocalesFolder: () => ipcRenderer.invoke('open-locales-folder'),
+  getThemes: () => ipcRenderer.invoke('get-themes'),
+  saveTheme: (id, theme) => ipcRenderer.invoke('save-theme', id, theme),
+  deleteTheme: (id) => ipcRenderer.invoke('delete-theme', id),
+  importTheme: () => ipcRenderer.invoke('import-theme'),
+  exportTheme: (id) => ipcRenderer.invoke('export-theme', id),
+  exportCoopCorrections: () => ipcRenderer.invoke('export-coop-corrections'),
+  checkFixUpdates: () => ipcRenderer.invoke('check-fix-updates'),
+  openInstallFolder: (appID, kind) => ipcRenderer.invoke('open-install-folder', appID, kind),
+  downloadBypass: (fileNames, options) => ipcRenderer.invoke('download-bypass', fileNames, options),
+  prepareBypassInstall: (appID, fileNames, targetFolder, options) => ipcRenderer.invoke('prepare-bypass-install', appID, fileNames, targetFolder, options),
+  cancelDownload: (id) => ipcRenderer.invoke('cancel-download', id),
+  writeLogs: (entries) => ipcRenderer.invoke('write-logs', entries),
+  getLogs: (options) => ipcRenderer.invoke('get-logs', options),
+  openLogsFolder: () => ipcRenderer.invoke('open-logs-folder'),
+  createDiagnosticsBundle: () => ipcRenderer.invoke('create-diagnostics-bundle'),
+  getDownloads: () => ipcRenderer.invoke('get-downloads'),
+  onDownloadProgress: (callback) => {
+    const listener = (event, update) => callback(update);
+    ipcRenderer.on('download-progress', listener);
+    return () => ipcRenderer.removeListener('download-progress', listener);
+  },
   readReadme: () => ipcRenderer.invoke('read-readme'),
-  getSteamAppList: () => ipcRenderer.invoke('get-steam-applist'),
+  getSteamAppNames: (appIDs) => ipcRenderer.invoke('get-steam-app-names', appIDs),
+  searchSteamApps: (query, options) => ipcRenderer.invoke('search-steam-apps', query, options),
   updateOnlineFixAppIDs: () => ipcRenderer.invoke('update-onlinefix-appids')
 });
\ No newline at end of file
@@ -0,0 +1,35 @@
+// Bundle the renderer (React + app code) and compile its Tailwind CSS into bundle/,
+// so the app window loads everything locally with no runtime compilation
+const path = require('path');
+const { execFileSync } = require('child_process');
+const esbuild = require('esbuild');
+
+const root = path.join(__dirname, '..');
+const outDir = path.join(root, 'bundle');
+
+async function build() {
+  await esbuild.build({
+    entryPoints: [path.join(root, 'src', 'renderer', 'index.jsx')],
+    outfile: path.join(outDir, 'renderer.js'),
+    bundle: true,
+    minify: true,
+    sourcemap: true,
+    target: 'chrome120',
+    jsx: 'automatic',
+    define: { 'process.env.NODE_ENV': '"production"' },
+    logLevel: 'info'
+  });
+
+  execFileSync(process.execPath, [
+    require.resolve('tailwindcss/lib/cli.js'),
+    '-c', path.join(root, 'tailwind.config.js'),
+    '-i', path.join(root, 'src', 'renderer', 'styles.css'),
+    '-o', path.join(outDir, 'renderer.css'),
+    '--minify'
+  ], { cwd: root, stdio: 'inherit' });
+}
+
+build().catch((error) => {
+  console.error(error);
+  process.exit(1);
+});
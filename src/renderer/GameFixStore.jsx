@@ -0,0 +1,4822 @@
+import React, { useState, useEffect } from 'react';
+import { ChevronLeft, ChevronRight, Download, Loader, Home, Store, Mail, X, Play, Heart, Star, Sun, Moon, History, BarChart, Book, Bell, List, Palette, Settings } from './icons';
+import { loadLanguage, getLanguages, getLanguageReport, createTranslator } from './i18n';
+import { DEFAULT_THEME, THEME_COLORS, THEME_FONTS, CARD_STYLES, loadThemes, applyTheme, saveTheme, deleteTheme, importTheme, exportTheme, toThemeData, readWallpaper } from './themes';
+import { SOURCE_TYPES, fetchSourceText, fetchSourceJson, findFixUrl, getFixIndex, getSources, setSources, checkSources } from './sources';
+import { usefulApps } from './data/useful-apps';
+import { GAMES_PER_PAGE, OFFLINE_RETRY_INTERVAL, FIX_UPDATE_CHECK_INTERVAL, FIX_INDEX_REFRESH_INTERVAL } from './config';
+import { getCachedGameData, setCachedGameData, getCachedSteamData, setCachedSteamData, isGameCached, refreshInBackground, getCacheStats, clearCache } from './cache';
+import { formatBytes, formatDuration, stripHtml } from './utils/format';
+import { getSteamRatingDescription } from './utils/steam-rating';
+import { translateRussianText } from './onlinefix/translate-russian';
+import { saveProfile } from './profile';
+import { getSteamAppNames } from './steam-apps';
+import { parseQuery, getFilterValues, setFilterValues, toAdvancedFilters, applyAdvancedFilters } from '../../lib/search/query';
+import { createSearchIndex, searchGames } from '../../lib/search/engine';
+import { normalizeName } from '../../lib/text-match';
+import { loadCatalogSnapshot, saveCatalogSnapshot, recordCatalogChanges, loadCatalogChanges, markNewGamesSeen } from './catalog';
+import { cachedImageUrl } from './images';
+import { getCoopData, toCoopCorrection } from './coop';
+import { LOG_LEVELS, getLogs, openLogsFolder, createDiagnosticsBundle } from './log';
+import { getBypasses, bypassFileNames } from './bypasses';
+
+export const GameFixStore = ({ profile, language: initialLanguage, themes: initialThemes }) => {
+    const [games, setGames] = useState([]);
+    const [currentPage, setCurrentPage] = useState(1);
+    const [selectedGame, setSelectedGame] = useState(null);
+    const [steamData, setSteamData] = useState(null);
+    const [loading, setLoading] = useState(true);
+    const [steamLoading, setSteamLoading] = useState(false);
+    const [onlineFixData, setOnlineFixData] = useState(null); // Playing Through + How to Run
+    const [showHowToRunModal, setShowHowToRunModal] = useState(false);
+    const [searchQuery, setSearchQuery] = useState('');
+    const parsedQuery = React.useMemo(() => parseQuery(searchQuery), [searchQuery]);
+    const [currentView, setCurrentView] = useState('home');
+    const [homeContent, setHomeContent] = useState('');
+    const [selectedTag, setSelectedTag] = useState(null);
+    const [allTags, setAllTags] = useState([]);
+    const [allGenres, setAllGenres] = useState([]);
+    const [selectedGenre, setSelectedGenre] = useState(null);
+
+    // The tag and genre pickers and the advanced filters panel edit the search query's filters,
+    // so whatever they select shows up in the search box
+    const filterValuesSetter = (field) => (update) => setSearchQuery(prev => setFilterValues(prev, field,
+        typeof update === 'function' ? update(getFilterValues(parseQuery(prev), field)) : update
+    ));
+    const selectedTags = getFilterValues(parsedQuery, 'tag'); // Multi-select tags
+    const setSelectedTags = filterValuesSetter('tag');
+    const selectedGenres = getFilterValues(parsedQuery, 'genre'); // Multi-select genres
+    const setSelectedGenres = filterValuesSetter('genre');
+
+    const [lightboxImage, setLightboxImage] = useState(null);
+    const [videoPlaying, setVideoPlaying] = useState(false);
+    const [leftSidebarOpen, setLeftSidebarOpen] = useState(true);
+    const [rightSidebarOpen, setRightSidebarOpen] = useState(true);
+    
+    // New features
+    const [favorites, setFavorites] = useState(profile.favorites);
+    // The user's own co-op details of games (appID -> { name, onlinePlayers, localPlayers, campaign }) and the open correction form
+    const [coopCorrections, setCoopCorrections] = useState(profile.coopCorrections || {});
+    const [coopCorrectionForm, setCoopCorrectionForm] = useState(null);
+    const [downloadHistory, setDownloadHistory] = useState(profile.downloadHistory);
+    const [ratings, setRatings] = useState(profile.ratings);
+    const [savedSearches, setSavedSearches] = useState(profile.savedSearches);
+
+    // Game Bypasses data - dynamically fetched from GitHub releases
+    const [bypassGames, setBypassGames] = useState([]);
+    const [bypassGamesLoading, setBypassGamesLoading] = useState(true);
+    const [selectedBypassGame, setSelectedBypassGame] = useState(null);
+
+    // Useful Apps & Plugins
+    const [selectedPlugin, setSelectedPlugin] = useState(null);
+
+    // Fix install previews ("what will change"), shown one at a time in the order the downloads finished,
+    // and the manifest of the selected game's installed fix
+    const [installPreviews, setInstallPreviews] = useState([]);
+    const installPreview = installPreviews[0] || null;
+    const [installManifest, setInstallManifest] = useState(null);
+    const [installedFixes, setInstalledFixes] = useState([]);
+    // Installed fixes whose archive was uploaded again since: appID -> { name, installed, latest }
+    const [fixUpdates, setFixUpdates] = useState({});
+    const [reinstallingFixes, setReinstallingFixes] = useState(false);
+    const [fixIndex, setFixIndex] = useState({ fixes: {}, complete: false }); // which games have a fix, for the store's badges
+    const notifiedFixUpdatesRef = React.useRef(new Set());
+
+    // The bypasses on the bypasses mirrors, listed by the main process
+    const loadBypassGames = async () => {
+        try {
+            setBypassGamesLoading(true);
+
+            const bypasses = await getBypasses();
+            // Look up the names of the appIDs the assets start with
+            const steamAppMap = await getSteamAppNames(bypasses.map(bypass => bypass.appID).filter(Boolean));
+
+            const games = bypasses
+                .map(({ id, appID, parts, size }) => {
+                    // Get game name from Steam app list
+                    let gameName = null;
+                    if (appID && steamAppMap[appID]) {
+                        gameName = steamAppMap[appID];
+                    } else if (appID) {
+                        gameName = `Game ${appID}`;
+                    } else {
+                        // Not an appID, use filename as name (old format)
+                        gameName = id.replace(/\./g, ' ')
+                            .replace(/\bII\b/g, 'II')
+                            .replace(/\bIII\b/g, 'III')
+                            .replace(/\bIV\b/g, 'IV')
+                            .replace(/\bV\b/g, 'V')
+                            .replace(/\bVI\b/g, 'VI')
+                            .replace(/Assassin s Creed/g, "Assassin's Creed")
+                            .replace(/Tom Clancy s/g, "Tom Clancy's")
+                            .replace(/Watch Dogs/g, "Watch Dogs")
+                            .replace(/Far Cry/g, "Far Cry")
+                            .replace(/Rainbow Six/g, "Rainbow Six")
+                            .replace(/Ghost Recon/g, "Ghost Recon")
+                            .replace(/The Division/g, "The Division")
+                            .replace(/The Crew/g, "The Crew")
+                            .replace(/Star Wars/g, "Star Wars")
+                            .replace(/Plague Tale/g, "Plague Tale")
+                            .replace(/Bypass$/gi, '')
+                            .replace(/\s+/g, ' ')
+                            .trim();
+                    }
+
+                    return {
+                        id,
+                        appID,
+                        name: gameName,
+                        parts,
+                        size
+                    };
+                })
+                .sort((a, b) => a.name.localeCompare(b.name));
+
+            setBypassGames(games);
+            console.log(`✅ Loaded ${games.length} bypass games`);
+        } catch (error) {
+            console.error('❌ Error loading bypass games:', error);
+            // Fallback to empty array
+            setBypassGames([]);
+        } finally {
+            setBypassGamesLoading(false);
+        }
+    };
+
+    useEffect(() => {
+        loadBypassGames();
+    }, []);
+
+    // Themes: the registry, the chosen one, and the one open in the theme editor, which is previewed live
+    const [themes, setThemes] = useState(initialThemes);
+    const [currentTheme, setCurrentTheme] = useState(profile.preferences.theme);
+    const [themeDraft, setThemeDraft] = useState(null); // { id, theme }; id is null for a new theme
+    const selectedTheme = themes.find(theme => theme.id === currentTheme) || themes.find(theme => theme.id === DEFAULT_THEME) || themes[0];
+    const activeTheme = themeDraft ? themeDraft.theme : selectedTheme;
+
+    const [showThemeSelector, setShowThemeSelector] = useState(false);
+
+    // Wallpaper Background Toggle
+    const [showWallpaper, setShowWallpaper] = useState(profile.preferences.showWallpaper);
+
+    useEffect(() => {
+        saveProfile({ preferences: { showWallpaper } });
+    }, [showWallpaper]);
+
+    // Background Music Toggle
+    const [backgroundMusicEnabled, setBackgroundMusicEnabled] = useState(profile.preferences.backgroundMusic); // Default OFF
+
+    useEffect(() => {
+        saveProfile({ preferences: { backgroundMusic: backgroundMusicEnabled } });
+    }, [backgroundMusicEnabled]);
+
+    // Audio element ref for background music
+    const audioRef = React.useRef(null);
+
+    useEffect(() => {
+        if (!loading && games.length > 0 && backgroundMusicEnabled) {
+            // Start music after loading is complete
+            if (!audioRef.current) {
+                audioRef.current = new Audio('online fix store menu song.mp3');
+                audioRef.current.loop = true;
+                audioRef.current.volume = 0.3; // Set to 30% volume
+            }
+            audioRef.current.play().catch(err => {
+                console.log('Audio autoplay prevented:', err);
+            });
+        } else if (audioRef.current && !backgroundMusicEnabled) {
+            audioRef.current.pause();
+        }
+
+        return () => {
+            if (audioRef.current) {
+                audioRef.current.pause();
+            }
+        };
+    }, [loading, games.length, backgroundMusicEnabled]);
+
+    // Window Mode Settings
+    const [windowMode, setWindowMode] = useState(profile.preferences.windowMode);
+
+    useEffect(() => {
+        saveProfile({ preferences: { windowMode } });
+        // Try to apply window mode immediately if electronAPI is available
+        if (window.electronAPI) {
+            if (window.electronAPI.setWindowMode) {
+                window.electronAPI.setWindowMode(windowMode);
+            }
+            // Also try alternate method names
+            if (window.electronAPI.setFullscreen && windowMode === 'fullscreen') {
+                window.electronAPI.setFullscreen(true);
+            } else if (window.electronAPI.setFullscreen && windowMode !== 'fullscreen') {
+                window.electronAPI.setFullscreen(false);
+            }
+        }
+    }, [windowMode]);
+
+    // Network Settings (proxy & bandwidth limit, stored by the main process)
+    const [networkSettings, setNetworkSettings] = useState({ proxy: '', bandwidthLimit: 0 });
+
+    useEffect(() => {
+        if (window.electronAPI && window.electronAPI.getNetworkSettings) {
+            window.electronAPI.getNetworkSettings().then(setNetworkSettings);
+        }
+    }, []);
+
+    const saveNetworkSettings = async () => {
+        const result = await window.electronAPI.setNetworkSettings(networkSettings);
+        if (result.success) {
+            setNetworkSettings(result.network);
+            addNotification(t('settingsSaved'), 'success');
+        } else {
+            alert(result.error);
+        }
+    };
+
+    // Tray mode and the background checks, run by the main process even while the window is hidden
+    const [backgroundSettings, setBackgroundSettings] = useState(null);
+    const [backgroundStatus, setBackgroundStatus] = useState(null);
+    const [checkIntervals, setCheckIntervals] = useState([]);
+    const [runningBackgroundChecks, setRunningBackgroundChecks] = useState(false);
+
+    const loadBackgroundSettings = async () => {
+        if (!window.electronAPI || !window.electronAPI.getBackgroundSettings) return;
+        const { settings, status, intervals } = await window.electronAPI.getBackgroundSettings();
+        setBackgroundSettings(settings);
+        setBackgroundStatus(status);
+        setCheckIntervals(intervals);
+    };
+
+    useEffect(() => {
+        if (currentView === 'settings') {
+            loadBackgroundSettings().catch(error => console.error('Error loading background settings:', error));
+        }
+    }, [currentView]);
+
+    // Settings apply as soon as they change, like the window mode
+    const updateBackgroundSettings = async (values) => {
+        const result = await window.electronAPI.setBackgroundSettings({ ...backgroundSettings, ...values });
+        if (result.success) {
+            setBackgroundSettings(result.settings);
+            setBackgroundStatus(result.status);
+        } else {
+            alert(result.error);
+        }
+    };
+
+    const runBackgroundChecks = async () => {
+        setRunningBackgroundChecks(true);
+        try {
+            const result = await window.electronAPI.runBackgroundChecks();
+            setBackgroundStatus(result.status);
+        } finally {
+            setRunningBackgroundChecks(false);
+        }
+    };
+
+    // Data sources: the mirrors of each type in the order they are tried, and how each last answered
+    const [sourceLists, setSourceLists] = useState(null);
+    const [sourceDefaults, setSourceDefaults] = useState(null);
+    const [sourceHealth, setSourceHealth] = useState({});
+    const [checkingSources, setCheckingSources] = useState(false);
+
+    useEffect(() => {
+        if (currentView === 'settings' && window.electronAPI && window.electronAPI.getSources) {
+            getSources().then(({ sources, defaults, health }) => {
+                setSourceLists(sources);
+                setSourceDefaults(defaults);
+                setSourceHealth(health);
+            }).catch(error => console.error('Error loading sources:', error));
+        }
+    }, [currentView]);
+
+    const updateMirrors = (type, mirrors) => setSourceLists({ ...sourceLists, [type]: mirrors });
+
+    const moveMirror = (type, index, offset) => {
+        const mirrors = [...sourceLists[type]];
+        [mirrors[index], mirrors[index + offset]] = [mirrors[index + offset], mirrors[index]];
+        updateMirrors(type, mirrors);
+    };
+
+    const saveSources = async (lists = sourceLists) => {
+        const values = Object.fromEntries(SOURCE_TYPES.map(type => [type, lists[type].map(url => url.trim()).filter(Boolean)]));
+        const invalid = Object.values(values).flat().find(url => !/^https?:\/\/[^/@\s]+/i.test(url));
+        if (invalid) {
+            alert(t('invalidSourceUrl', { url: invalid }));
+            return;
+        }
+        try {
+            const result = await setSources(values);
+            if (result.success) {
+                setSourceLists(result.sources);
+                setSourceHealth(result.health);
+                loadFixIndex();
+                loadBypassGames();
+                addNotification(t('settingsSaved'), 'success');
+            } else if (!result.cancelled) {
+                alert(result.error);
+            }
+        } catch (error) {
+            alert(error.message);
+        }
+    };
+
+    const resetSources = () => {
+        if (confirm(t('resetSourcesConfirm'))) {
+            saveSources(sourceDefaults);
+        }
+    };
+
+    const runSourceCheck = async () => {
+        setCheckingSources(true);
+        try {
+            setSourceHealth((await checkSources()).health);
+        } catch (error) {
+            console.error('Error checking sources:', error);
+        } finally {
+            setCheckingSources(false);
+        }
+    };
+
+    // Game data cache statistics, loaded when Settings is opened
+    const [cacheStats, setCacheStats] = useState(null);
+
+    useEffect(() => {
+        if (currentView === 'settings' && window.electronAPI && window.electronAPI.getCacheStats) {
+            getCacheStats().then(setCacheStats).catch(() => setCacheStats(null));
+        }
+    }, [currentView]);
+
+    const resetCache = async (mode) => {
+        if (mode === 'clear' && !confirm(t('clearCacheConfirm'))) return;
+
+        const result = await clearCache(mode);
+        if (result.success) {
+            setCacheStats(result.stats);
+            addNotification(t(mode === 'clear' ? 'cacheCleared' : 'cacheRebuilt'), 'success');
+        } else {
+            alert(result.error);
+        }
+    };
+
+    // Log viewer: the newest entries of both processes at the chosen level, filtered by text as you type
+    const [logEntries, setLogEntries] = useState([]);
+    const [logLevel, setLogLevel] = useState('info');
+    const [logFilter, setLogFilter] = useState('');
+    const [creatingDiagnostics, setCreatingDiagnostics] = useState(false);
+
+    const loadLogs = () => {
+        getLogs({ limit: 1000, level: logLevel }).then(setLogEntries).catch(error => console.error('Error loading logs:', error));
+    };
+
+    useEffect(() => {
+        if (currentView === 'settings' && window.electronAPI && window.electronAPI.getLogs) {
+            loadLogs();
+        }
+    }, [currentView, logLevel]);
+
+    const visibleLogEntries = React.useMemo(() => {
+        const filter = logFilter.trim().toLowerCase();
+        return filter ? logEntries.filter(entry => entry.message.toLowerCase().includes(filter)) : logEntries;
+    }, [logEntries, logFilter]);
+
+    const saveDiagnosticsBundle = async () => {
+        setCreatingDiagnostics(true);
+        try {
+            const result = await createDiagnosticsBundle();
+            if (result.success) {
+                addNotification(`${t('diagnosticsSaved')}: ${result.filePath}`, 'success');
+            } else if (!result.cancelled) {
+                alert(result.error);
+            }
+        } finally {
+            setCreatingDiagnostics(false);
+        }
+    };
+
+    // Theme editor: shipped themes are edited as a copy, the user's own in place
+    const editTheme = (theme) => {
+        setThemeDraft(theme.builtIn
+            ? { id: null, theme: { ...toThemeData(theme), name: t('themeCopyName', { name: theme.name }) } }
+            : { id: theme.id, theme: toThemeData(theme) });
+    };
+
+    const updateThemeDraft = (changes) => {
+        setThemeDraft(draft => ({ ...draft, theme: { ...draft.theme, ...changes } }));
+    };
+
+    const chooseThemeWallpaper = async (e) => {
+        const file = e.target.files[0];
+        e.target.value = '';
+        if (!file) return;
+        try {
+            updateThemeDraft({ wallpaper: await readWallpaper(file) });
+        } catch (error) {
+            alert(error.message);
+        }
+    };
+
+    const saveThemeDraft = async () => {
+        const result = await saveTheme(themeDraft.id, themeDraft.theme);
+        if (!result.success) {
+            alert(result.error);
+            return;
+        }
+        setThemes(await loadThemes());
+        setCurrentTheme(result.theme.id);
+        setThemeDraft(null);
+        addNotification(t('themeSaved'), 'success');
+    };
+
+    const removeTheme = async (theme) => {
+        if (!confirm(t('deleteThemeConfirm', { name: theme.name }))) return;
+
+        const result = await deleteTheme(theme.id);
+        if (!result.success) {
+            alert(result.error);
+            return;
+        }
+        setThemes(await loadThemes());
+        if (currentTheme === theme.id) {
+            setCurrentTheme(DEFAULT_THEME);
+        }
+    };
+
+    const importThemeFile = async () => {
+        const result = await importTheme();
+        if (result.success) {
+            setThemes(await loadThemes());
+            setCurrentTheme(result.theme.id);
+            addNotification(t('themeImported'), 'success');
+        } else if (!result.cancelled) {
+            alert(result.error);
+        }
+    };
+
+    const exportThemeFile = async (theme) => {
+        const result = await exportTheme(theme.id);
+        if (result.success) {
+            addNotification(t('themeExported'), 'success');
+        } else if (!result.cancelled) {
+            alert(result.error);
+        }
+    };
+
+    // Profile export/import (favorites, ratings, history and settings in one file)
+    const exportProfile = async () => {
+        const result = await window.electronAPI.exportProfile();
+        if (result.success) {
+            addNotification(t('profileExported'), 'success');
+        } else if (!result.cancelled) {
+            alert(result.error);
+        }
+    };
+
+    const importProfile = async () => {
+        if (!confirm(t('importProfileConfirm'))) return;
+
+        const result = await window.electronAPI.importProfile();
+        if (result.success) {
+            // Every piece of state starts from the profile, so reload to pick up the imported one
+            window.location.reload();
+        } else if (!result.cancelled) {
+            alert(result.error);
+        }
+    };
+
+    // Language System
+    const [language, setLanguage] = useState(initialLanguage.code);
+    const [languagePack, setLanguagePack] = useState(initialLanguage);
+    const [availableLanguages, setAvailableLanguages] = useState([]);
+    const [languageReport, setLanguageReport] = useState(null);
+
+    // Developer mode: missing translations are logged and listed in the settings
+    const [developerMode, setDeveloperMode] = useState(profile.preferences.developerMode);
+
+    const t = React.useMemo(() => createTranslator(
+        languagePack,
+        developerMode ? (key) => console.warn(`Missing ${languagePack.code} translation: ${key}`) : null
+    ), [languagePack, developerMode]);
+
+    useEffect(() => {
+        saveProfile({ preferences: { language } });
+        if (language !== languagePack.code) {
+            loadLanguage(language).then(setLanguagePack);
+        }
+    }, [language]);
+
+    useEffect(() => {
+        saveProfile({ preferences: { developerMode } });
+    }, [developerMode]);
+
+    const refreshLanguages = () => {
+        getLanguages().then(setAvailableLanguages);
+        if (developerMode) {
+            getLanguageReport().then(setLanguageReport);
+        }
+    };
+
+    useEffect(() => {
+        if (currentView === 'settings') {
+            refreshLanguages();
+        }
+    }, [currentView, developerMode]);
+
+    // Update Notifications System
+    const [notifications, setNotifications] = useState([]);
+
+    // Legacy darkMode for backward compatibility
+    const darkMode = !(activeTheme && activeTheme.light);
+    const [showStats, setShowStats] = useState(false);
+    // Games added to the catalog since the last visit ([{ appID, name, date }]) and the dated history of changes
+    const [newGames, setNewGames] = useState([]);
+    const [catalogHistory, setCatalogHistory] = useState([]);
+    const [changelogFilter, setChangelogFilter] = useState('');
+    const [changelogKind, setChangelogKind] = useState('all');
+    const [coopData, setCoopData] = useState(null);
+    const [coopLoading, setCoopLoading] = useState(false);
+    const [showAdvancedSearch, setShowAdvancedSearch] = useState(false);
+    const advancedFilters = toAdvancedFilters(parsedQuery);
+    const setAdvancedFilters = (filters) => setSearchQuery(prev => applyAdvancedFilters(prev, filters));
+    const [sortBy, setSortBy] = useState('default');
+    const [viewMode, setViewMode] = useState('grid');
+    const [initialLoading, setInitialLoading] = useState(true);
+    const [loadingProgress, setLoadingProgress] = useState(0);
+    const [loadingMessage, setLoadingMessage] = useState('Initializing...');
+    const [allGamesData, setAllGamesData] = useState({});
+    // When the catalog snapshot on screen was saved, while the catalog can't be downloaded; null when online
+    const [offlineSince, setOfflineSince] = useState(null);
+    const syncingRef = React.useRef(false);
+
+    const steamCache = {};
+
+    // Notification system functions
+    const addNotification = (message, type = 'info', gameAppID = null) => {
+        const notification = {
+            id: Date.now() + Math.random(),
+            message,
+            type, // 'info', 'success', 'update'
+            gameAppID,
+            timestamp: Date.now()
+        };
+
+        setNotifications(prev => [notification, ...prev].slice(0, 10)); // Keep last 10 notifications
+
+        // Desktop notification via Electron
+        if (window.electronAPI && window.electronAPI.showNotification) {
+            window.electronAPI.showNotification({
+                title: type === 'update' ? 'Update Available' : 'Online Fix Store',
+                body: message
+            });
+        }
+
+        // Auto-dismiss after 10 seconds
+        setTimeout(() => {
+            setNotifications(prev => prev.filter(n => n.id !== notification.id));
+        }, 10000);
+    };
+
+    const dismissNotification = (id) => {
+        setNotifications(prev => prev.filter(n => n.id !== id));
+    };
+
+    // Live state of queued and running downloads, pushed from the main process
+    const [activeDownloads, setActiveDownloads] = useState({});
+
+    useEffect(() => {
+        if (!window.electronAPI || !window.electronAPI.onDownloadProgress) return;
+
+        // Downloads still going on when the page was reloaded; finished ones are left out of the panel
+        window.electronAPI.getDownloads().then(downloads => {
+            const running = downloads.filter(download => !['completed', 'failed', 'cancelled'].includes(download.state));
+            setActiveDownloads(prev => ({ ...Object.fromEntries(running.map(download => [download.id, download])), ...prev }));
+        }).catch(error => console.error('Error loading downloads:', error));
+
+        return window.electronAPI.onDownloadProgress((update) => {
+            setActiveDownloads(prev => ({ ...prev, [update.id]: update }));
+
+            // Finished downloads drop out of the panel after a few seconds
+            if (['completed', 'failed', 'cancelled'].includes(update.state)) {
+                setTimeout(() => {
+                    setActiveDownloads(prev => {
+                        const next = { ...prev };
+                        delete next[update.id];
+                        return next;
+                    });
+                }, 5000);
+            }
+        });
+    }, []);
+
+    const downloadStateLabel = (download) => {
+        switch (download.state) {
+            case 'queued': return t('downloadQueued');
+            case 'retrying': return t('downloadRetrying');
+            case 'completed': return t('downloadComplete');
+            case 'failed': return `${t('downloadFailed')}: ${download.error}`;
+            case 'cancelled': return t('downloadCancelled');
+            default:
+                return [
+                    download.totalBytes ? `${formatBytes(download.receivedBytes)} / ${formatBytes(download.totalBytes)}` : formatBytes(download.receivedBytes),
+                    download.speed ? `${formatBytes(download.speed)}/s` : null,
+                    download.eta !== null ? `${formatDuration(download.eta)} ${t('timeLeft')}` : null,
+                    download.resumed ? t('resumedDownload') : null
+                ].filter(Boolean).join(' · ');
+        }
+    };
+
+    // Compare the catalog with the last one and announce the games that were added, by name
+    const checkForUpdates = async (currentGames) => {
+        const changes = await recordCatalogChanges(currentGames);
+        if (!changes) return;
+
+        setNewGames(changes.newGames);
+        setCatalogHistory(changes.history);
+
+        const added = changes.entry ? changes.entry.added : [];
+        if (added.length > 0) {
+            const names = added.slice(0, 3).map(game => game.name).join(', ');
+            const more = added.length > 3 ? ` ${t('andMoreGames', { count: added.length - 3 })}` : '';
+            addNotification(`${t('newGamesAdded')}: ${names}${more}`, 'update', added.length === 1 ? added[0].appID : null);
+        }
+    };
+
+    const showNewGames = () => {
+        setCurrentView('store');
+        setSelectedGame(null);
+        setSelectedTag('NEW_GAMES_FILTER');
+        setSelectedGenre(null);
+        setSelectedTags([]);
+        setSelectedGenres([]);
+        markNewGamesSeen();
+    };
+
+    // The history is there even before (or without) a catalog download
+    useEffect(() => {
+        loadCatalogChanges().then(changes => {
+            if (!changes) return;
+            setNewGames(changes.newGames);
+            setCatalogHistory(changes.history);
+        });
+    }, []);
+
+    // Save to the profile
+    useEffect(() => {
+        saveProfile({ favorites });
+    }, [favorites]);
+
+    useEffect(() => {
+        saveProfile({ downloadHistory });
+    }, [downloadHistory]);
+
+    useEffect(() => {
+        saveProfile({ ratings });
+    }, [ratings]);
+
+    useEffect(() => {
+        saveProfile({ savedSearches });
+    }, [savedSearches]);
+
+    useEffect(() => {
+        saveProfile({ preferences: { theme: currentTheme } });
+    }, [currentTheme]);
+
+    useEffect(() => {
+        if (activeTheme) applyTheme(activeTheme);
+    }, [activeTheme]);
+
+    // Keyboard shortcuts
+    useEffect(() => {
+        const handleKeyPress = (e) => {
+            if (e.target.tagName === 'INPUT' || e.target.tagName === 'TEXTAREA') return;
+
+            switch(e.key) {
+                case 'Escape':
+                    if (selectedGame) {
+                        setSelectedGame(null);
+                        setCurrentView('store');
+                    }
+                    if (lightboxImage) setLightboxImage(null);
+                    break;
+                case 'ArrowLeft':
+                    if (currentView === 'store' && !selectedGame && currentPage > 1) {
+                        setCurrentPage(p => p - 1);
+                    }
+                    break;
+                case 'ArrowRight':
+                    if (currentView === 'store' && !selectedGame) {
+                        const totalPages = Math.ceil(filteredGames.length / GAMES_PER_PAGE);
+                        if (currentPage < totalPages) {
+                            setCurrentPage(p => p + 1);
+                        }
+                    }
+                    break;
+            }
+        };
+
+        window.addEventListener('keydown', handleKeyPress);
+        return () => window.removeEventListener('keydown', handleKeyPress);
+    }, [currentView, selectedGame, currentPage, lightboxImage]);
+
+    const fetchCatalogFile = async (filename) => {
+        try {
+            return await fetchSourceText('catalog', filename);
+        } catch (error) {
+            console.error(`Error fetching ${filename}:`, error);
+            throw error;
+        }
+    };
+
+    // Download the list of appIDs as the store's game list; games already on screen keep their data
+    const fetchGameList = async (knownGames = []) => {
+        const text = await fetchCatalogFile('appIDs.txt');
+        const appIDsFromFile = text.split(/[\n,]/).map(id => id.trim()).filter(id => id.length > 0);
+
+        if (appIDsFromFile.length === 0) throw new Error('No App IDs found');
+
+        // Names from the Steam app index, so the list shows them before the Steam data loads
+        const appNames = await getSteamAppNames(appIDsFromFile.filter(appID => /^\d+$/.test(appID)));
+        const known = new Map(knownGames.map(game => [game.appID, game]));
+
+        return appIDsFromFile.map(appID => known.get(appID) || {
+            id: appID,
+            appID: appID,
+            filename: appID + '.zip',
+            // Download URL will be determined at download time by checking both repos
+            downloadUrl: null,
+            name: appNames[appID] || `Game ${appID}`,
+            headerImage: '',
+            loading: true,
+            tags: [],
+            genres: [],
+            coopData: null
+        });
+    };
+
+    // Show the last catalog that loaded completely; false when there is none
+    const showCatalogSnapshot = async () => {
+        const snapshot = await loadCatalogSnapshot();
+        if (!snapshot) return false;
+
+        console.log(`Offline, showing the catalog snapshot of ${new Date(snapshot.savedAt).toLocaleString()}`);
+        snapshot.games.forEach(registerTagsAndGenres);
+        setGames(snapshot.games);
+        setOfflineSince(snapshot.savedAt);
+        return true;
+    };
+
+    // Load the live catalog in place of the snapshot once it can be downloaded again
+    const syncCatalog = async () => {
+        if (syncingRef.current) return;
+        syncingRef.current = true;
+        try {
+            const gameList = await fetchGameList(games);
+            console.log('Back online, syncing the catalog');
+            setOfflineSince(null);
+            setGames(gameList);
+            checkForUpdates(gameList);
+            await fetchAllGameData(gameList);
+        } catch (error) {
+            console.log('Catalog still unavailable:', error.message);
+        } finally {
+            syncingRef.current = false;
+        }
+    };
+
+    useEffect(() => {
+        if (!offlineSince) return;
+
+        // Retry as soon as the system reports a connection, and every so often in case it doesn't
+        window.addEventListener('online', syncCatalog);
+        const timer = setInterval(syncCatalog, OFFLINE_RETRY_INTERVAL);
+        return () => {
+            window.removeEventListener('online', syncCatalog);
+            clearInterval(timer);
+        };
+    }, [offlineSince, games]);
+
+    useEffect(() => {
+        const loadGames = async () => {
+            try {
+                setLoadingMessage('Loading game list...');
+
+                const gameList = await fetchGameList();
+
+                setGames(gameList);
+                setLoading(false);
+
+                // Check for new games
+                checkForUpdates(gameList);
+
+                // Now fetch all Steam and Co-Op data
+                await fetchAllGameData(gameList);
+
+            } catch (error) {
+                console.error('Error loading App IDs:', error);
+                if (!(await showCatalogSnapshot())) {
+                    setGames([]);
+                }
+                setLoading(false);
+                setInitialLoading(false);
+            }
+        };
+
+        loadGames();
+
+        // Load README.md content for home page
+        window.electronAPI.readReadme()
+            .then(text => setHomeContent(text))
+            .catch(() => setHomeContent('# Welcome to OnlineFix Store\n\nYour one-stop destination for game fixes and updates.\n\n**All credits go to [online-fix.me](https://online-fix.me) and their team!**'));
+    }, []);
+
+    const fetchAllGameData = async (gameList) => {
+        const total = gameList.length;
+        let completed = 0;
+        const gameDataMap = {};
+        // Games whose Steam data couldn't be fetched; the snapshot keeps their previous data
+        const incompleteAppIDs = [];
+
+        setLoadingMessage(`Fetching data for ${total} games...`);
+
+        // Fetch in batches to avoid overwhelming the servers
+        const batchSize = 10;
+        for (let i = 0; i < gameList.length; i += batchSize) {
+            const batch = gameList.slice(i, i + batchSize);
+            
+            await Promise.all(batch.map(async (game) => {
+                try {
+                    // Fetch Steam data
+                    const steamInfo = await fetchGameData(game.appID);
+                    if (!steamInfo || steamInfo.name === `Game ${game.appID}`) {
+                        incompleteAppIDs.push(game.appID);
+                    }
+                    
+                    gameDataMap[game.appID] = { ...steamInfo };
+                    
+                    completed++;
+                    setLoadingProgress(Math.round((completed / total) * 100));
+                    setLoadingMessage(`Loading game data... ${completed}/${total}`);
+                    
+                } catch (error) {
+                    console.error(`Error fetching data for ${game.appID}:`, error);
+                    incompleteAppIDs.push(game.appID);
+                    completed++;
+                    setLoadingProgress(Math.round((completed / total) * 100));
+                }
+            }));
+            
+            // Small delay between batches
+            await new Promise(resolve => setTimeout(resolve, 100));
+        }
+        
+        // Co-op data of every game in one lookup, by appID or by the name Steam gave
+        setLoadingMessage('Loading co-op data...');
+        const coopByAppID = await getCoopData(gameList.map(game => ({ appID: game.appID, name: gameDataMap[game.appID]?.name || game.name })));
+        Object.entries(gameDataMap).forEach(([appID, data]) => {
+            data.coopData = coopByAppID[appID] || null;
+        });
+
+        // Background refreshes that finished during the load win over the stale data it got first
+        Object.entries(refreshedGameInfo.current).forEach(([appID, gameInfo]) => {
+            if (gameDataMap[appID]) Object.assign(gameDataMap[appID], gameInfo);
+        });
+
+        // Update all games with fetched data
+        // Games that were already on screen (e.g. from the snapshot) keep what couldn't be fetched again
+        const withGameData = (game) => {
+            const data = gameDataMap[game.appID];
+            return {
+                ...game,
+                name: data?.name || game.name,
+                headerImage: data?.headerImage || game.headerImage || '',
+                backgroundImage: data?.backgroundImage || game.backgroundImage || '',
+                developers: data?.developers || game.developers || [],
+                tags: data?.tags || game.tags || [],
+                genres: data?.genres || game.genres || [],
+                hasSplitScreen: data?.hasSplitScreen || game.hasSplitScreen || false,
+                coopData: data?.coopData || game.coopData || null,
+                metacritic: data?.metacritic || game.metacritic || null,
+                recommendations: data?.recommendations || game.recommendations || null
+            };
+        };
+        setGames(prevGames => prevGames.map(withGameData));
+
+        // Keep this catalog for the next time the app starts offline
+        saveCatalogSnapshot(gameList.map(withGameData), incompleteAppIDs);
+        
+        setAllGamesData(gameDataMap);
+        setLoadingMessage('All data loaded!');
+        
+        // Close loading screen after a short delay
+        setTimeout(() => {
+            setInitialLoading(false);
+        }, 500);
+    };
+
+    // Add a game's tags and genres to the filter lists
+    const registerTagsAndGenres = (gameInfo) => {
+        if (gameInfo.tags && gameInfo.tags.length > 0) {
+            setAllTags(prev => {
+                const newTags = [...prev];
+                gameInfo.tags.forEach(tag => {
+                    if (!newTags.find(t => t.name === tag.name)) {
+                        newTags.push(tag);
+                    }
+                });
+                return newTags.sort((a, b) => a.name.localeCompare(b.name));
+            });
+        }
+
+        if (gameInfo.genres && gameInfo.genres.length > 0) {
+            setAllGenres(prev => {
+                const newGenres = [...prev];
+                gameInfo.genres.forEach(genre => {
+                    if (!newGenres.find(g => g.description === genre.description)) {
+                        newGenres.push(genre);
+                    }
+                });
+                return newGenres.sort((a, b) => a.description.localeCompare(b.description));
+            });
+        }
+    };
+
+    // Fetch a game's store card data from Steam and cache it; null when Steam has no data for it
+    const fetchGameInfo = async (appID) => {
+        const data = await fetchSourceJson('catalog', `api/steam?appid=${appID}`, { timeout: 5000 });
+
+        if (data[appID] && data[appID].success) {
+            const gameData = data[appID].data;
+
+            // Check for split-screen/local co-op in Steam categories
+            const hasSplitScreen = gameData.categories?.some(cat => 
+                cat.description?.toLowerCase().includes('local co-op') ||
+                cat.description?.toLowerCase().includes('shared/split screen') ||
+                cat.description?.toLowerCase().includes('split screen')
+            ) || false;
+
+            const gameInfo = {
+                name: gameData.name || `Game ${appID}`,
+                headerImage: gameData.header_image || '',
+                backgroundImage: gameData.background || gameData.background_raw || '',
+                developers: gameData.developers || [],
+                tags: gameData.user_tags || [],
+                genres: gameData.genres || [],
+                hasSplitScreen: hasSplitScreen,
+                metacritic: gameData.metacritic || null,
+                recommendations: gameData.recommendations || null
+            };
+
+            // Metacritic fallback now handled by Vercel API - no need for client-side fetch
+
+            // Cache the game data locally
+            setCachedGameData(appID, gameInfo);
+            return gameInfo;
+        }
+
+        return null;
+    };
+
+    // Fresh data from background refreshes, applied over whatever the initial load fetched
+    const refreshedGameInfo = React.useRef({});
+
+    const refreshGameData = (appID) => {
+        refreshInBackground(`game:${appID}`, async () => {
+            const gameInfo = await fetchGameInfo(appID);
+            if (!gameInfo) return;
+
+            refreshedGameInfo.current[appID] = gameInfo;
+            registerTagsAndGenres(gameInfo);
+            setGames(prevGames =>
+                prevGames.map(g => g.appID === appID ? { ...g, ...gameInfo } : g)
+            );
+            setAllGamesData(prev => prev[appID] ? { ...prev, [appID]: { ...prev[appID], ...gameInfo } } : prev);
+        });
+    };
+
+    const fetchGameData = async (appID) => {
+        if (steamCache[appID]) return steamCache[appID];
+
+        // Cached data shows right away; once past its TTL it is refreshed in the background
+        const cached = await getCachedGameData(appID);
+        if (cached) {
+            steamCache[appID] = cached.data;
+            registerTagsAndGenres(cached.data);
+            if (cached.stale) {
+                refreshGameData(appID);
+            }
+            return cached.data;
+        }
+
+        try {
+            const gameInfo = await fetchGameInfo(appID);
+            if (gameInfo) {
+                steamCache[appID] = gameInfo;
+                registerTagsAndGenres(gameInfo);
+                return gameInfo;
+            }
+        } catch (error) {
+            const fallbackInfo = {
+                name: `Game ${appID}`,
+                headerImage: '',
+                backgroundImage: '',
+                developers: [],
+                tags: [],
+                genres: [],
+                hasSplitScreen: false,
+                metacritic: null,
+                recommendations: null
+            };
+            steamCache[appID] = fallbackInfo;
+            return fallbackInfo;
+        }
+        
+        return null;
+    };
+
+    useEffect(() => {
+        const fetchAllGames = async () => {
+            const gamesToFetch = games.filter(game => game.name.startsWith('Game ') && !steamCache[game.appID]);
+            if (gamesToFetch.length === 0) return;
+            
+            const visibleGames = currentGames.filter(game => game.name.startsWith('Game ') && !steamCache[game.appID]);
+            
+            if (visibleGames.length > 0) {
+                const visibleResults = await Promise.allSettled(visibleGames.map(game => fetchGameData(game.appID)));
+                
+                visibleResults.forEach((result, idx) => {
+                    if (result.status === 'fulfilled' && result.value) {
+                        const game = visibleGames[idx];
+                        setGames(prevGames =>
+                            prevGames.map(g =>
+                                g.appID === game.appID
+                                    ? { ...g, name: result.value.name, headerImage: result.value.headerImage, backgroundImage: result.value.backgroundImage, developers: result.value.developers, tags: result.value.tags, genres: result.value.genres, hasSplitScreen: result.value.hasSplitScreen, metacritic: result.value.metacritic, recommendations: result.value.recommendations }
+                                    : g
+                            )
+                        );
+                    }
+                });
+            }
+            
+            const remainingGames = gamesToFetch.filter(game => !visibleGames.some(vg => vg.appID === game.appID));
+            if (remainingGames.length === 0) return;
+            
+            const batchSize = 15;
+            for (let i = 0; i < remainingGames.length; i += batchSize) {
+                const batch = remainingGames.slice(i, i + batchSize);
+                const results = await Promise.allSettled(batch.map(game => fetchGameData(game.appID)));
+                
+                results.forEach((result, idx) => {
+                    if (result.status === 'fulfilled' && result.value) {
+                        const game = batch[idx];
+                        setGames(prevGames =>
+                            prevGames.map(g =>
+                                g.appID === game.appID
+                                    ? { ...g, name: result.value.name, headerImage: result.value.headerImage, backgroundImage: result.value.backgroundImage, developers: result.value.developers, tags: result.value.tags, genres: result.value.genres, hasSplitScreen: result.value.hasSplitScreen, metacritic: result.value.metacritic, recommendations: result.value.recommendations }
+                                    : g
+                            )
+                        );
+                    }
+                });
+                
+                if (i + batchSize < remainingGames.length) {
+                    await new Promise(resolve => setTimeout(resolve, 100));
+                }
+            }
+        };
+
+        if (!loading && games.length > 0 && currentView === 'store') {
+            fetchAllGames();
+        }
+    }, [games.length, currentView, loading, currentPage]);
+
+    // Fetch the full Steam store data of a game and cache it
+    const fetchSteamDetails = async (appID) => {
+        const data = await fetchSourceJson('catalog', `api/steam?appid=${appID}`, { timeout: 10000 });
+
+        if (!data[appID] || !data[appID].success) {
+            throw new Error('Game not found');
+        }
+
+        const gameData = data[appID].data;
+        console.log('=== Steam API Response for', appID, '===');
+        console.log('Full game data:', gameData);
+        console.log('Metacritic data:', gameData.metacritic);
+        console.log('Recommendations data:', gameData.recommendations);
+        console.log('Review score:', gameData.review_score);
+        console.log('Review score desc:', gameData.review_score_desc);
+        console.log('Recommendations structure:', {
+            total: gameData.recommendations?.total,
+            positive: gameData.recommendations?.positive || gameData.recommendations?.up
+        });
+
+        const steamDataObj = {
+            name: gameData.name || `Game ${appID}`,
+            header_image: gameData.header_image || '',
+            background: gameData.background || gameData.background_raw || '',
+            background_raw: gameData.background_raw || '',
+            short_description: gameData.short_description || '',
+            detailed_description: gameData.detailed_description || '',
+            about_the_game: gameData.about_the_game || '',
+            screenshots: gameData.screenshots || [],
+            movies: gameData.movies || [],
+            genres: gameData.genres || [],
+            categories: gameData.categories || [],
+            user_tags: gameData.user_tags || [],
+            developers: gameData.developers || [],
+            publishers: gameData.publishers || [],
+            release_date: gameData.release_date || {},
+            platforms: gameData.platforms || {},
+            metacritic: gameData.metacritic || null,
+            review_score: gameData.review_score || null,
+            review_score_desc: gameData.review_score_desc || null,
+            recommendations: gameData.recommendations ? {
+                total: gameData.recommendations.total,
+                positive: gameData.recommendations.positive || gameData.recommendations.up || 0
+            } : null
+        };
+        console.log('Processed steamDataObj:', steamDataObj);
+
+        // Cache the detailed Steam data (Metacritic fallback now handled by Vercel API)
+        setCachedSteamData(appID, steamDataObj);
+        return steamDataObj;
+    };
+
+    // appID of the game page being shown, so a late background refresh doesn't replace another game's data
+    const steamRequestRef = React.useRef(null);
+
+    const fetchSteamData = async (appID) => {
+        steamRequestRef.current = appID;
+        try {
+            setSteamLoading(true);
+            setSteamData(null);
+            setCoopData(null);
+
+            // Cached data shows right away - but only if it has the full data structure
+            const cached = await getCachedSteamData(appID);
+            const cachedSteam = cached && cached.data;
+            if (cachedSteam && cachedSteam.recommendations !== undefined && cachedSteam.metacritic !== undefined) {
+                console.log('Using cached Steam data for', appID);
+                setSteamData(cachedSteam);
+                setSteamLoading(false);
+
+                // Still fetch Co-Op data and Online-Fix data if we have the game name
+                if (cachedSteam.name) {
+                    fetchCoopData(appID, cachedSteam.name);
+                    fetchOnlineFixData(cachedSteam.name);
+                }
+
+                // Past its TTL: refresh it in the background and swap it in if the page is still open
+                if (cached.stale) {
+                    refreshInBackground(`steam:${appID}`, async () => {
+                        const freshSteam = await fetchSteamDetails(appID);
+                        if (steamRequestRef.current === appID) {
+                            setSteamData(freshSteam);
+                        }
+                    });
+                }
+                return;
+            } else if (cachedSteam) {
+                console.log('Cache exists but missing data, refetching for', appID);
+            }
+
+            const steamDataObj = await fetchSteamDetails(appID);
+            setSteamData(steamDataObj);
+
+            setGames(prevGames =>
+                prevGames.map(game =>
+                    game.appID === appID ? { ...game, name: steamDataObj.name } : game
+                )
+            );
+
+            // Fetch Co-Op data and Online-Fix data after getting game name
+            console.log('Triggering co-op fetch for:', steamDataObj.name);
+            fetchCoopData(appID, steamDataObj.name);
+            fetchOnlineFixData(steamDataObj.name);
+        } catch (error) {
+            console.error('Error fetching Steam data:', error);
+            setSteamData({
+                name: `Game ${appID}`,
+                header_image: '',
+                short_description: 'Description not available',
+                detailed_description: '',
+                about_the_game: '',
+                screenshots: [],
+                movies: [],
+                genres: [],
+                categories: [],
+                user_tags: [],
+                metacritic: null,
+                recommendations: null
+            });
+        } finally {
+            setSteamLoading(false);
+        }
+    };
+
+    const fetchCoopData = async (appID, gameName) => {
+        if (!gameName) {
+            console.log('No game name provided for Co-Op fetch');
+            return;
+        }
+
+        setCoopLoading(true);
+        setCoopData(null);
+
+        try {
+            console.log('=== Fetching Co-Op data for:', gameName, '===');
+
+            // The co-op database first, with the user's corrections
+            const known = (await getCoopData([{ appID, name: gameName }]))[appID];
+            if (known) {
+                console.log('✓ Found Co-Op data in the co-op database', known.matchedName ? `as "${known.matchedName}"` : '');
+                setCoopData(known);
+                setCoopLoading(false);
+                return;
+            }
+
+            // Try API
+            console.log('Trying Co-Op API...');
+            const apiFile = `api/coop?name=${encodeURIComponent(gameName)}`;
+            console.log('Co-Op API request:', apiFile);
+
+            let data = null;
+            try {
+                data = await fetchSourceJson('catalog', apiFile, { timeout: 10000 });
+            } catch (error) {
+                console.log('✗ Co-Op API failed:', error.message);
+            }
+
+            if (data !== null) {
+                console.log('Co-Op API Response:', data);
+                console.log('Co-Op data has properties:', Object.keys(data || {}).join(', '));
+
+                // Check if data is valid and has co-op properties
+                if (data && typeof data === 'object' && Object.keys(data).length > 0) {
+                    // Check if this is mock/placeholder data from the API
+                    // Mock data pattern: maxPlayers=4, onlineCoop=true, localCoop=false, onlineCoopPlayers="4 Players"
+                    const isMockData = (
+                        data.maxPlayers === 4 &&
+                        data.onlineCoop === true &&
+                        data.localCoop === false &&
+                        data.onlineCoopPlayers === "4 Players" &&
+                        data.comboCoop === false &&
+                        data.lanPlay === false &&
+                        data.coopCampaign === true &&
+                        data.localCoopPlayers === null &&
+                        data.popularity === null
+                    );
+
+                    if (isMockData) {
+                        console.log('✗ Co-Op API returned mock/placeholder data - treating as no data');
+                        setCoopData(null);
+                    } else {
+                        console.log('✓ Co-Op data received from API!');
+                        setCoopData(data);
+                    }
+                } else {
+                    console.log('✗ Co-Op API returned empty or invalid data');
+                    setCoopData(null);
+                }
+            } else {
+                setCoopData(null);
+            }
+        } catch (error) {
+            console.error('✗ Co-op fetch error:', error.message);
+            setCoopData(null);
+        } finally {
+            setCoopLoading(false);
+        }
+    };
+
+    // Keep the user's correction of a game's co-op details (null drops it) and show the result right away
+    const saveCoopCorrection = async (game, correction) => {
+        const next = { ...coopCorrections };
+        if (correction) {
+            next[game.appID] = { name: game.name, ...correction };
+        } else {
+            delete next[game.appID];
+        }
+        setCoopCorrections(next);
+        setCoopCorrectionForm(null);
+        await saveProfile({ coopCorrections: next });
+
+        const data = (await getCoopData([{ appID: game.appID, name: game.name }]))[game.appID] || null;
+        setGames(prevGames => prevGames.map(g => g.appID === game.appID ? { ...g, coopData: data } : g));
+        if (data) {
+            setCoopData(data);
+        } else {
+            fetchCoopData(game.appID, game.name);
+        }
+    };
+
+    const exportCoopCorrections = async () => {
+        const result = await window.electronAPI.exportCoopCorrections();
+        if (result.success) {
+            addNotification(t('coopCorrectionsExported'), 'success');
+        } else if (!result.cancelled) {
+            alert(result.error);
+        }
+    };
+
+    // Fetch Online-Fix.me data (Playing Through + How to Run)
+    const fetchOnlineFixData = async (gameName) => {
+        if (!gameName) {
+            console.log('❌ No game name provided for online-fix fetch');
+            return;
+        }
+
+        try {
+            console.log('🔍 Fetching online-fix.me data for:', gameName);
+
+            // Search for the game on online-fix.me
+            let html = '';
+            if (window.electronAPI && window.electronAPI.searchOnlineFix) {
+                console.log('📡 Using Electron API to fetch...');
+                html = await window.electronAPI.searchOnlineFix(gameName);
+            } else {
+                console.log('❌ Electron API not available. Online-fix.me fetching only works in Electron app due to CORS restrictions.');
+                setOnlineFixData(null);
+                return null;
+            }
+
+            console.log('📄 HTML received, length:', html.length);
+
+            if (!html || html.length < 100) {
+                console.log('❌ HTML too short or empty');
+                setOnlineFixData(null);
+                return null;
+            }
+
+            // Parse HTML to find the game page link
+            const parser = new DOMParser();
+            const doc = parser.parseFromString(html, 'text/html');
+
+            // Try multiple selectors to find game links
+            const selectors = [
+                '.story__title a',
+                '.story-title a',
+                '.short-story-title a',
+                '.news-title a',
+                '.short-title a',
+                'h2 a',
+                'h3 a',
+                'article a',
+                '.item-title a'
+            ];
+
+            let gameLink = null;
+            for (const selector of selectors) {
+                gameLink = doc.querySelector(selector);
+                if (gameLink) {
+                    console.log('✅ Found link with selector:', selector);
+                    break;
+                }
+            }
+
+            if (!gameLink) {
+                console.log('❌ No game page link found with standard selectors');
+
+                // Try to find any link with "games" in href
+                const allLinks = doc.querySelectorAll('a[href*="games"]');
+                console.log('Found', allLinks.length, 'links with "games" in href');
+
+                if (allLinks.length > 0) {
+                    // Filter links that look like game pages (contain numbers)
+                    const gameLinks = Array.from(allLinks).filter(link => {
+                        const href = link.getAttribute('href') || '';
+                        return /games\/[^\/]+\/\d+/.test(href);
+                    });
+
+                    if (gameLinks.length > 0) {
+                        gameLink = gameLinks[0];
+                        console.log('✅ Using filtered game link:', gameLink.getAttribute('href'));
+                    } else if (allLinks.length > 0) {
+                        gameLink = allLinks[0];
+                        console.log('⚠️ Using first games link:', gameLink.getAttribute('href'));
+                    }
+                }
+
+                if (!gameLink) {
+                    console.log('❌ No suitable game links found');
+                    setOnlineFixData(null);
+                    return null;
+                }
+            }
+
+            // The main process only fetches online-fix.me's own game pages
+            const gamePageUrl = new URL(gameLink.getAttribute('href'), 'https://online-fix.me');
+            if (gamePageUrl.hostname !== 'online-fix.me' || !gamePageUrl.pathname.startsWith('/games/')) {
+                console.log('❌ Not an online-fix.me game page:', gamePageUrl.href);
+                setOnlineFixData(null);
+                return null;
+            }
+
+            console.log('🎮 Game page URL:', gamePageUrl.href);
+
+            // Fetch the actual game page
+            let gameHtml = '';
+            if (window.electronAPI && window.electronAPI.fetchOnlineFixPage) {
+                gameHtml = await window.electronAPI.fetchOnlineFixPage(gamePageUrl.pathname);
+            } else {
+                console.log('❌ Cannot fetch game page without Electron API');
+                setOnlineFixData(null);
+                return null;
+            }
+
+            console.log('📄 Game page HTML received, length:', gameHtml.length);
+
+            const gameDoc = parser.parseFromString(gameHtml, 'text/html');
+
+            // Extract "Playing Through" (Игра через)
+            let playingThrough = '';
+            const allText = gameDoc.body.textContent;
+
+            // Try multiple patterns - looking for "Игра через:" or "Играем через:"
+            // Match until we hit Russian text or end markers
+            const playingPatterns = [
+                /Игра через[:\s]+([^\n]+?)(?=\.|Страница|Скачать|Как запуск|$)/i,
+                /Играем через[:\s]+([^\n]+?)(?=\.|Страница|Скачать|Как запуск|$)/i,
+                /Playing through[:\s]+([^\n]+?)(?=\.|Page|Download|How to|$)/i
+            ];
+
+            for (const pattern of playingPatterns) {
+                const match = allText.match(pattern);
+                if (match) {
+                    playingThrough = match[1].trim();
+                    console.log('📝 Raw extracted text:', playingThrough);
+
+                    // Clean up - only keep platform names (Steam, Epic Games, Microsoft, etc.)
+                    // Stop at any non-platform text
+                    // FIXED: Improved to capture ALL platforms including combinations
+                    // First, remove any leading/trailing whitespace and normalize spaces
+                    playingThrough = playingThrough.trim().replace(/\s+/g, ' ');
+                    console.log('📝 After whitespace normalization:', playingThrough);
+
+                    // Remove "аккаунт" (account) text that sometimes appears between platforms
+                    // Handle patterns like "Steam + аккаунт Epic Game Store"
+                    playingThrough = playingThrough.replace(/\s*\+\s*аккаунт\s+/gi, ' + ');
+                    playingThrough = playingThrough.replace(/аккаунт\s+/gi, '');
+                    console.log('📝 After removing аккаунт:', playingThrough);
+
+                    // Extract platform names - match one or more platforms with + separators
+                    // IMPORTANT: Added "Epic Game Store" (singular) variant as online-fix.me uses both
+                    // This regex captures: "Steam" or "Steam + Epic Games Store" or "Steam Remote Play + Microsoft Store"
+                    const platformMatch = playingThrough.match(/^((?:Steam Remote Play|Steam|Epic Games Store|Epic Game Store|Epic Games|Epic|Microsoft Store|Microsoft|Xbox|PlayStation|GOG|Origin|Uplay|Battle\.net)(?:\s*\+\s*(?:Steam Remote Play|Steam|Epic Games Store|Epic Game Store|Epic Games|Epic|Microsoft Store|Microsoft|Xbox|PlayStation|GOG|Origin|Uplay|Battle\.net))*)/i);
+
+                    if (platformMatch) {
+                        playingThrough = platformMatch[1].trim();
+
+                        // Final cleanup: normalize spaces around + signs
+                        playingThrough = playingThrough.replace(/\s*\+\s*/g, ' + ');
+
+                        // Normalize "Epic Game Store" to "Epic Games Store" for consistency
+                        playingThrough = playingThrough.replace(/Epic Game Store/gi, 'Epic Games Store');
+                    } else {
+                        console.log('⚠️ Platform match failed for:', playingThrough);
+                    }
+
+                    console.log('✅ Found "Playing Through":', playingThrough);
+                    break;
+                }
+            }
+
+            // Fallback: Try to find in HTML structure directly
+            if (!playingThrough) {
+                console.log('⚠️ Text-based extraction failed, trying HTML structure...');
+
+                // Look for elements that might contain platform info
+                const possibleSelectors = [
+                    '.game-info',
+                    '.game-details',
+                    '.full-text',
+                    '.story-content',
+                    '.entry-content',
+                    '[class*="info"]',
+                    '[class*="detail"]'
+                ];
+
+                for (const selector of possibleSelectors) {
+                    const elements = gameDoc.querySelectorAll(selector);
+                    for (const elem of elements) {
+                        const text = elem.textContent;
+                        const match = text.match(/(?:Игра через|Играем через)[:\s]+([^\n\.]+)/i);
+                        if (match) {
+                            let extracted = match[1].trim();
+                            // Apply same cleanup
+                            extracted = extracted.replace(/\s+/g, ' ').replace(/\s*\+\s*аккаунт\s+/gi, ' + ').replace(/аккаунт\s+/gi, '');
+                            const platformMatch = extracted.match(/^((?:Steam Remote Play|Steam|Epic Games Store|Epic Game Store|Epic Games|Epic|Microsoft Store|Microsoft|Xbox|PlayStation|GOG|Origin|Uplay|Battle\.net)(?:\s*\+\s*(?:Steam Remote Play|Steam|Epic Games Store|Epic Game Store|Epic Games|Epic|Microsoft Store|Microsoft|Xbox|PlayStation|GOG|Origin|Uplay|Battle\.net))*)/i);
+                            if (platformMatch) {
+                                playingThrough = platformMatch[1].trim().replace(/\s*\+\s*/g, ' + ').replace(/Epic Game Store/gi, 'Epic Games Store');
+                                console.log('✅ Found via HTML structure:', playingThrough);
+                                break;
+                            }
+                        }
+                    }
+                    if (playingThrough) break;
+                }
+            }
+
+            if (!playingThrough) {
+                console.log('❌ "Playing Through" not found in page');
+                console.log('Sample text from page:', allText.substring(0, 500));
+            }
+
+            // Extract "How to Run" instructions (Как запустить / Как запускать / How to run)
+            const instructions = [];
+
+            // Try to find the section with multiple approaches
+            const howToPatterns = [
+                /Как запускать[:\s]*/i,
+                /Как запустить[:\s]*/i,
+                /How to run[:\s]*/i,
+                /Запуск игры[:\s]*/i
+            ];
+
+            let howToStartIndex = -1;
+
+            // First try to find in plain text
+            for (const pattern of howToPatterns) {
+                const match = allText.match(pattern);
+                if (match) {
+                    console.log('✅ Found "How to Run" header in text:', match[0]);
+
+                    // Get text after the header - but limit it to avoid grabbing comments/code sections
+                    const afterHeader = allText.substring(allText.indexOf(match[0]) + match[0].length);
+
+                    // Find the end of the instructions section
+                    // Look for common section headers that indicate end of instructions
+                    // NOTE: "В игре:", "Подключение:", "Создание сервера:" are PART of instructions, not enders
+                    const sectionEnders = [
+                        'Информация о сетевых режимах',
+                        'Примечания:',
+                        'Файлы для игры',
+                        'Скачать',
+                        'Комментарии',
+                        'Похожие игры',
+                        'Обновления',
+                        'Версия игры'
+                    ];
+
+                    // Find the earliest section ender
+                    let endIndex = afterHeader.length;
+                    for (const ender of sectionEnders) {
+                        const idx = afterHeader.indexOf(ender);
+                        if (idx !== -1 && idx < endIndex) {
+                            endIndex = idx;
+                        }
+                    }
+
+                    // Only extract from the "How to Run" section
+                    let instructionText = afterHeader.substring(0, endIndex);
+                    console.log('Instruction text length:', instructionText.length);
+
+                    // Clean up the text - remove extra whitespace but preserve structure
+                    instructionText = instructionText.replace(/\s+/g, ' ').trim();
+
+                    // IMPORTANT: Normalize numbered items - add newline before numbers to ensure proper splitting
+                    // This fixes "1. Text2. Text" becoming two separate items
+                    instructionText = instructionText.replace(/(\d+[\.)]\s)/g, '\n$1');
+
+                    // Now split by newlines to get individual items
+                    const lines = instructionText.split('\n').filter(l => l.trim().length > 0);
+
+                    console.log(`Found ${lines.length} lines in instructions`);
+
+                    // Track which sections we've seen to avoid duplicates
+                    const seenSections = new Set();
+
+                    lines.forEach((line, idx) => {
+                        line = line.trim();
+                        if (line.length > 5) {
+                            // Check if it's a section header (В игре:, Подключение:, Создание сервера:)
+                            const sectionMatch = line.match(/^(В игре|Подключение|Создание сервера)[:]/i);
+
+                            if (sectionMatch) {
+                                const sectionName = sectionMatch[1];
+
+                                // Only add if we haven't seen this section yet
+                                if (!seenSections.has(sectionName)) {
+                                    seenSections.add(sectionName);
+                                    instructions.push(line);
+                                    console.log(`  ${instructions.length}. [Section] ${line.substring(0, 60)}...`);
+                                }
+                            } else if (/^\d+[\.)]\s/.test(line)) {
+                                // It's a numbered instruction
+                                let cleaned = line.replace(/^\d+[\.)]\s+/, '').trim();
+
+                                // Only keep reasonable length instructions
+                                if (cleaned.length > 10 && cleaned.length < 1000 && !cleaned.includes('function') && !cleaned.includes('DLEalert') && !cleaned.includes('{')) {
+                                    instructions.push(cleaned);
+                                    console.log(`  ${instructions.length}. ${cleaned.substring(0, 60)}...`);
+                                }
+                            }
+                        }
+                    });
+
+                    if (instructions.length === 0) {
+                        // Fallback: Split by lines
+                        console.log('Falling back to line-by-line parsing');
+                        const lines = afterHeader.split('\n');
+                        let foundInstructions = false;
+
+                        for (let i = 0; i < lines.length && i < 50; i++) {
+                            const line = lines[i].trim();
+
+                            // Match lines that start with "1.", "2.", etc. or "1)", "2)", etc.
+                            if (/^\d+[\.)]\s+.+/.test(line)) {
+                                // Remove the number prefix and clean up
+                                let cleanedLine = line.replace(/^\d+[\.)]\s+/, '').trim();
+
+                                // Remove everything after certain stop patterns
+                                cleanedLine = cleanedLine.split(/В игре:|Подключение:|Создание сервера:|Информация о|Примечания:|Файлы для/i)[0].trim();
+
+                                if (cleanedLine.length > 3 && cleanedLine.length < 500) {
+                                    instructions.push(cleanedLine);
+                                    console.log(`  ${instructions.length}. ${cleanedLine.substring(0, 60)}...`);
+                                    foundInstructions = true;
+                                }
+                            }
+                            // Stop at these section headers
+                            else if (foundInstructions && /^(В игре|Подключение|Создание сервера|Информация о|Примечания|Файлы для)/i.test(line)) {
+                                console.log('  Stopping at section:', line.substring(0, 30));
+                                break;
+                            }
+                        }
+                    }
+
+                    if (instructions.length > 0) {
+                        console.log(`✅ Found ${instructions.length} instructions via text parsing`);
+                        break;
+                    }
+                }
+            }
+
+            // Fallback: Try HTML parsing
+            if (instructions.length === 0) {
+                console.log('Trying HTML-based extraction...');
+
+                for (const pattern of howToPatterns) {
+                    const match = gameHtml.match(pattern);
+                    if (match) {
+                        howToStartIndex = match.index;
+                        console.log('✅ Found "How to Run" in HTML at index:', howToStartIndex);
+
+                        const fragment = gameHtml.slice(howToStartIndex, howToStartIndex + 10000);
+                        const fragmentDoc = parser.parseFromString('<div>' + fragment + '</div>', 'text/html');
+
+                        // Try to find ordered/unordered lists
+                        const lists = fragmentDoc.querySelectorAll('ol, ul');
+                        console.log('Found', lists.length, 'lists in fragment');
+
+                        if (lists.length > 0) {
+                            const firstList = lists[0];
+                            const listItems = firstList.querySelectorAll('li');
+                            console.log('Found', listItems.length, 'list items');
+
+                            listItems.forEach((li, idx) => {
+                                const text = li.textContent.trim();
+                                if (text && text.length > 5) {
+                                    instructions.push(text);
+                                    console.log(`  ${idx + 1}. ${text.substring(0, 50)}...`);
+                                }
+                            });
+                        }
+
+                        if (instructions.length > 0) {
+                            break;
+                        }
+                    }
+                }
+            }
+
+            if (instructions.length === 0) {
+                console.log('❌ "How to Run" instructions not found');
+            } else {
+                console.log(`✅ Extracted ${instructions.length} instructions`);
+            }
+
+            // Extract "Files for the game" (Файлы для игры)
+            const filesForGame = [];
+            const filesPatterns = [
+                /Файлы для игры[:\s]*/i,
+                /Files for the game[:\s]*/i
+            ];
+
+            console.log('🔍 Looking for "Files for the game" section...');
+
+            for (const pattern of filesPatterns) {
+                const match = allText.match(pattern);
+                if (match) {
+                    console.log('✅ Found "Files for the game" header in text:', match[0]);
+
+                    // Get text after the header
+                    const afterHeader = allText.substring(allText.indexOf(match[0]) + match[0].length);
+
+                    // Find the end of the files section - stop at common section headers
+                    const sectionEnders = [
+                        'Как запускать',
+                        'Как запустить',
+                        'How to run',
+                        'Информация о сетевых режимах',
+                        'Примечания:',
+                        'Скачать',
+                        'Комментарии',
+                        'Похожие игры',
+                        'Обновления'
+                    ];
+
+                    // Find the earliest section ender
+                    let endIndex = afterHeader.length;
+                    for (const ender of sectionEnders) {
+                        const idx = afterHeader.indexOf(ender);
+                        if (idx !== -1 && idx < endIndex) {
+                            endIndex = idx;
+                        }
+                    }
+
+                    // Only extract from the "Files for the game" section
+                    let filesText = afterHeader.substring(0, endIndex);
+                    console.log('Files text length:', filesText.length);
+
+                    // Clean up and normalize
+                    filesText = filesText.replace(/\s+/g, ' ').trim();
+                    filesText = filesText.replace(/(\d+[\.)]\s)/g, '\n$1');
+
+                    // Split by newlines
+                    const lines = filesText.split('\n').filter(l => l.trim().length > 0);
+                    console.log(`Found ${lines.length} lines in files section`);
+
+                    lines.forEach((line) => {
+                        line = line.trim();
+                        if (line.length > 5 && /^\d+[\.)]\s+.+/.test(line)) {
+                            // Remove the number prefix and clean up
+                            let cleanedLine = line.replace(/^\d+[\.)]\s+/, '').trim();
+
+                            // Only keep reasonable length items
+                            if (cleanedLine.length > 10 && cleanedLine.length < 1000 && !cleanedLine.includes('function') && !cleanedLine.includes('DLEalert')) {
+                                filesForGame.push(cleanedLine);
+                                console.log(`  ${filesForGame.length}. ${cleanedLine.substring(0, 60)}...`);
+                            }
+                        }
+                    });
+
+                    if (filesForGame.length > 0) {
+                        console.log(`✅ Extracted ${filesForGame.length} file instructions`);
+                        break;
+                    }
+                }
+            }
+
+            if (filesForGame.length === 0) {
+                console.log('❌ "Files for the game" section not found');
+            }
+
+            const result = {
+                playingThrough: playingThrough || null,
+                instructions: instructions.length > 0 ? instructions : null,
+                filesForGame: filesForGame.length > 0 ? filesForGame : null,
+                gamePageUrl: gamePageUrl.href
+            };
+
+            console.log('📊 Final result:', {
+                hasPlayingThrough: !!result.playingThrough,
+                instructionsCount: result.instructions?.length || 0,
+                filesForGameCount: result.filesForGame?.length || 0,
+                url: result.gamePageUrl
+            });
+
+            setOnlineFixData(result);
+            return result;
+
+        } catch (error) {
+            console.error('❌ Error fetching online-fix data:', error);
+            console.error('Error details:', error.message, error.stack);
+            setOnlineFixData(null);
+            return null;
+        }
+    };
+
+    const loadInstallManifest = async (appID) => {
+        setInstallManifest(null);
+        if (window.electronAPI && window.electronAPI.getInstallManifest) {
+            const manifest = await window.electronAPI.getInstallManifest(appID);
+            setInstallManifest(manifest);
+        }
+    };
+
+    const loadInstalledFixes = async () => {
+        if (window.electronAPI && window.electronAPI.getInstalledFixes) {
+            const result = await window.electronAPI.getInstalledFixes();
+            setInstalledFixes(result.fixes);
+        }
+    };
+
+    useEffect(() => {
+        loadInstalledFixes();
+    }, []);
+
+    // Ask GitHub which installed fixes were uploaded again, announcing each new upload once
+    const checkFixUpdates = async () => {
+        if (!window.electronAPI || !window.electronAPI.checkFixUpdates) return;
+        const result = await window.electronAPI.checkFixUpdates();
+        if (!result.success) {
+            console.log('Fix update check failed:', result.error);
+            return;
+        }
+
+        setFixUpdates(Object.fromEntries(result.updates.map(update => [update.appID, update])));
+
+        const unseen = result.updates.filter(update => !notifiedFixUpdatesRef.current.has(`${update.appID}:${update.latest.id}`));
+        unseen.forEach(update => notifiedFixUpdatesRef.current.add(`${update.appID}:${update.latest.id}`));
+        if (unseen.length > 0) {
+            const names = unseen.map(update => update.name || `Game ${update.appID}`).join(', ');
+            addNotification(`${t('fixUpdatesAvailable')}: ${names}`, 'update', unseen.length === 1 ? unseen[0].appID : null);
+        }
+    };
+
+    useEffect(() => {
+        checkFixUpdates();
+        const timer = setInterval(checkFixUpdates, FIX_UPDATE_CHECK_INTERVAL);
+        return () => clearInterval(timer);
+    }, []);
+
+    // Show what the background checks found without waiting for the next reload
+    useEffect(() => {
+        if (!window.electronAPI || !window.electronAPI.onBackgroundCheck) return;
+
+        return window.electronAPI.onBackgroundCheck(({ task }) => {
+            if (task === 'catalog') {
+                loadCatalogChanges().then(changes => {
+                    if (!changes) return;
+                    setNewGames(changes.newGames);
+                    setCatalogHistory(changes.history);
+                });
+            } else if (task === 'fixUpdates') {
+                checkFixUpdates();
+            }
+            loadBackgroundSettings().catch(error => console.error('Error loading background settings:', error));
+        });
+    }, []);
+
+    // List the fix archives of every fixes mirror, so the store shows which games have a fix before a download
+    const loadFixIndex = async (options) => {
+        const index = await getFixIndex(options);
+        if (index) setFixIndex(index);
+    };
+
+    useEffect(() => {
+        loadFixIndex();
+        const timer = setInterval(loadFixIndex, FIX_INDEX_REFRESH_INTERVAL);
+        return () => clearInterval(timer);
+    }, []);
+
+    // "Fix available" with the archive's size, or "No fix" once every fixes mirror could be listed
+    const renderFixBadge = (appID, className) => {
+        const fix = fixIndex.fixes[appID];
+        if (fix) {
+            return (
+                <span className={`${className} bg-green-700 text-white rounded`} title={t('fixUploadedOn', { date: new Date(fix.updatedAt).toLocaleString() })}>
+                    {t('fixAvailable')} · {formatBytes(fix.size)}
+                </span>
+            );
+        }
+        return fixIndex.complete ? <span className={`${className} bg-gray-600 text-white rounded`}>{t('noFixAvailable')}</span> : null;
+    };
+
+    // Download the newer archive of every updated fix and copy it over its install, one after the other.
+    // The folders are the ones the fixes were installed into, so there is nothing to preview or choose.
+    const reinstallUpdatedFixes = async () => {
+        const updated = installedFixes.filter(fix => fix.kind === 'fix' && fixUpdates[fix.appID] && fix.source && fix.status !== 'missing');
+        setReinstallingFixes(true);
+        const failed = [];
+
+        for (const fix of updated) {
+            const name = fixUpdates[fix.appID].name || games.find(g => g.appID === fix.appID)?.name || `Game ${fix.appID}`;
+            try {
+                let result = await window.electronAPI.downloadAndExtractFix(fix.source.url, fix.targetFolder, fix.appID, fix.source.fileName);
+                // A fix the user already accepted without a published checksum may be reinstalled the same way
+                if (result.checksumMissing && fix.source.verification === 'unverified') {
+                    result = await window.electronAPI.downloadAndExtractFix(fix.source.url, fix.targetFolder, fix.appID, fix.source.fileName, { allowUnverified: true });
+                }
+                if (!result.success) {
+                    throw new Error(result.error || 'Unknown error during extraction');
+                }
+                const installed = await window.electronAPI.confirmFixInstall(result.installId);
+                if (!installed.success) {
+                    throw new Error(installed.error || 'Unknown error during installation');
+                }
+                setFixUpdates(prev => {
+                    const next = { ...prev };
+                    delete next[fix.appID];
+                    return next;
+                });
+            } catch (error) {
+                console.error(`Error reinstalling the fix of ${fix.appID}:`, error);
+                failed.push(`${name}: ${error.message}`);
+            }
+        }
+
+        setReinstallingFixes(false);
+        loadInstalledFixes();
+        if (failed.length > 0) {
+            alert(`${t('reinstallFailed')}\n\n${failed.join('\n')}`);
+        }
+        if (updated.length > failed.length) {
+            addNotification(t('fixesReinstalled', { count: updated.length - failed.length }), 'success');
+        }
+    };
+
+    // Refresh the library whenever it is opened, so stale fixes show up after a game update
+    useEffect(() => {
+        if (currentView === 'library') {
+            loadInstalledFixes();
+        }
+    }, [currentView]);
+
+    const handleGameClick = (game) => {
+        setSelectedGame(game);
+        setCurrentView('game');
+        setCoopData(null);
+        setCoopCorrectionForm(null);
+        setOnlineFixData(null);
+        fetchSteamData(game.appID);
+        loadInstallManifest(game.appID);
+        setVideoPlaying(false);
+        window.scrollTo({ top: 0, behavior: 'smooth' });
+    };
+
+    const toggleFavorite = (appID) => {
+        setFavorites(prev => 
+            prev.includes(appID) 
+                ? prev.filter(id => id !== appID)
+                : [...prev, appID]
+        );
+    };
+
+    // The folder to install into: the given one, else the folder Steam installed the game into, asking only when it can't be found
+    const chooseGameFolder = async (appID, targetFolder = null) => {
+        let selectedFolder = targetFolder;
+        if (!selectedFolder && window.electronAPI.findGameFolder) {
+            const located = await window.electronAPI.findGameFolder(appID);
+            if (located.found) {
+                selectedFolder = located.installDir;
+                addNotification(`${t('gameFolderFound')}: ${located.installDir}`, 'info');
+            } else {
+                addNotification(t('gameFolderNotFound'), 'info');
+            }
+        }
+
+        if (!selectedFolder) {
+            selectedFolder = await window.electronAPI.selectFolder();
+        }
+
+        if (!selectedFolder) {
+            console.log('User canceled folder selection');
+            return null;
+        }
+
+        console.log('Selected folder:', selectedFolder);
+        return selectedFolder;
+    };
+
+    const handleDownload = async (game, targetFolder = null) => {
+        // Create a clean filename from game name
+        const gameName = game.name && !game.name.startsWith('Game ') ? game.name : `Game_${game.appID}`;
+        const cleanFileName = gameName
+            .replace(/[^a-zA-Z0-9\s-]/g, '')
+            .replace(/\s+/g, '_')
+            .substring(0, 100); // Limit filename length
+        // Names without Latin letters or digits (e.g. Chinese or Japanese titles) clean down to nothing
+        const downloadFileName = `${cleanFileName || `Game_${game.appID}`}.zip`;
+
+        try {
+            // Look for the fix on each fixes mirror in turn
+            console.log(`Looking for the fix of ${game.appID}...`);
+            const downloadUrl = await findFixUrl(game.appID);
+
+            if (!downloadUrl) {
+                // No mirror has the file
+                alert(`No fix found. Please contact support with game name and appid.\n\nGame: ${game.name}\nAppID: ${game.appID}`);
+                return;
+            }
+
+            // Check if Electron API is available for automatic extraction
+            if (window.electronAPI && window.electronAPI.selectFolder && window.electronAPI.downloadAndExtractFix) {
+                // Show notification
+                addNotification(`Preparing to download ${game.name}...`, 'info');
+
+                const selectedFolder = await chooseGameFolder(game.appID, targetFolder);
+                if (!selectedFolder) {
+                    return;
+                }
+
+                // Download and extract
+                let result = await window.electronAPI.downloadAndExtractFix(
+                    downloadUrl,
+                    selectedFolder,
+                    game.appID,
+                    downloadFileName
+                );
+
+                // Without a published checksum, only go on if the user accepts an unverified install
+                if (result.checksumMissing && confirm(`${t('checksumMissingConfirm')}\n\n${result.error}`)) {
+                    result = await window.electronAPI.downloadAndExtractFix(
+                        downloadUrl,
+                        selectedFolder,
+                        game.appID,
+                        downloadFileName,
+                        { allowUnverified: true }
+                    );
+                }
+
+                if (result.success) {
+                    // Show what will change before anything is copied into the game folder
+                    setInstallPreviews(prev => [...prev, { game, kind: 'fix', installId: result.installId, plan: result.plan, verification: result.verification }]);
+                } else if (result.cancelled) {
+                    addNotification(`${t('downloadCancelled')}: ${game.name}`, 'info');
+                } else if (result.checksumMissing) {
+                    addNotification(`${t('checksumSkipped')}: ${game.name}`, 'info');
+                } else {
+                    throw new Error(result.error || 'Unknown error during extraction');
+                }
+            } else {
+                // Fallback to regular download (browser mode)
+                addNotification(`Downloading ${game.name}...`, 'info');
+
+                const response = await fetch(downloadUrl);
+                const blob = await response.blob();
+
+                const blobUrl = URL.createObjectURL(blob);
+                const link = document.createElement('a');
+                link.href = blobUrl;
+                link.download = downloadFileName;
+                link.style.display = 'none';
+                document.body.appendChild(link);
+                link.click();
+                document.body.removeChild(link);
+
+                setTimeout(() => URL.revokeObjectURL(blobUrl), 100);
+
+                const downloadEntry = {
+                    appID: game.appID,
+                    name: game.name,
+                    timestamp: Date.now()
+                };
+                setDownloadHistory(prev => {
+                    const filtered = prev.filter(d => d.appID !== game.appID);
+                    return [downloadEntry, ...filtered].slice(0, 50);
+                });
+
+                addNotification(`Downloaded ${game.name}`, 'success');
+            }
+        } catch (error) {
+            console.error('Download error:', error);
+            alert(`Unable to download fix for ${game.name}.\n\nError: ${error.message}\n\nPlease check your internet connection or search for fixes manually.`);
+        }
+    };
+
+    // Download every file of a bypass, put them together and preview installing the result into the game folder;
+    // from there on it goes like a fix, with its own install record to uninstall
+    const handleInstallBypass = async (bypass, targetFolder = null) => {
+        try {
+            addNotification(`Preparing to download ${bypass.name}...`, 'info');
+
+            const selectedFolder = await chooseGameFolder(bypass.appID, targetFolder);
+            if (!selectedFolder) {
+                return;
+            }
+
+            let result = await window.electronAPI.prepareBypassInstall(bypass.appID, bypassFileNames(bypass), selectedFolder);
+
+            // Without a published checksum, only go on if the user accepts an unverified install
+            if (result.checksumMissing && confirm(`${t('checksumMissingConfirm')}\n\n${result.error}`)) {
+                result = await window.electronAPI.prepareBypassInstall(bypass.appID, bypassFileNames(bypass), selectedFolder, { allowUnverified: true });
+            }
+
+            if (result.success) {
+                setInstallPreviews(prev => [...prev, { game: bypass, kind: 'bypass', installId: result.installId, plan: result.plan, verification: result.verification }]);
+            } else if (result.cancelled) {
+                addNotification(`${t('downloadCancelled')}: ${bypass.name}`, 'info');
+            } else if (result.checksumMissing) {
+                addNotification(`${t('checksumSkipped')}: ${bypass.name}`, 'info');
+            } else {
+                throw new Error(result.error || 'Unknown error during extraction');
+            }
+        } catch (error) {
+            console.error('Bypass install error:', error);
+            alert(`Unable to install bypass for ${bypass.name}.\n\nError: ${error.message}`);
+        }
+    };
+
+    const confirmInstall = async () => {
+        const { game, kind, installId, plan } = installPreview;
+        setInstallPreviews(prev => prev.filter(preview => preview.installId !== installId));
+
+        try {
+            const result = await window.electronAPI.confirmFixInstall(installId);
+
+            if (!result.success) {
+                throw new Error(result.error || 'Unknown error during installation');
+            }
+
+            // Add to download history
+            const downloadEntry = {
+                appID: game.appID,
+                name: game.name,
+                kind,
+                timestamp: Date.now()
+            };
+            setDownloadHistory(prev => {
+                const filtered = prev.filter(d => d.appID !== game.appID || (d.kind || 'fix') !== kind);
+                return [downloadEntry, ...filtered].slice(0, 50);
+            });
+
+            if (kind === 'fix') {
+                if (selectedGame && selectedGame.appID === game.appID) {
+                    setInstallManifest(result.manifest);
+                }
+                setFixUpdates(prev => {
+                    const next = { ...prev };
+                    delete next[game.appID];
+                    return next;
+                });
+            }
+            loadInstalledFixes();
+
+            addNotification(`Successfully extracted ${game.name} to ${plan.targetFolder}`, 'success');
+        } catch (error) {
+            console.error('Install error:', error);
+            alert(`Unable to install ${kind} for ${game.name}.\n\nError: ${error.message}`);
+        }
+    };
+
+    const cancelInstall = async () => {
+        const { installId } = installPreview;
+        setInstallPreviews(prev => prev.filter(preview => preview.installId !== installId));
+        await window.electronAPI.cancelFixInstall(installId);
+    };
+
+    const handleUninstallFix = async (game, kind = 'fix') => {
+        if (!window.confirm(t(kind === 'bypass' ? 'confirmUninstallBypass' : 'confirmUninstall'))) {
+            return;
+        }
+
+        try {
+            const result = await window.electronAPI.uninstallFix(game.appID, kind);
+
+            if (!result.success) {
+                throw new Error(result.error);
+            }
+
+            if (kind === 'fix') {
+                setInstallManifest(null);
+            }
+            loadInstalledFixes();
+            addNotification(`${result.message} (${game.name})`, 'success');
+            if (result.missing.length > 0) {
+                alert(`Some original files could not be restored:\n\n${result.missing.join('\n')}`);
+            }
+        } catch (error) {
+            console.error('Uninstall error:', error);
+            alert(`Unable to uninstall ${kind} for ${game.name}.\n\nError: ${error.message}`);
+        }
+    };
+
+    const removeFromDownloads = (appID) => {
+        setDownloadHistory(prev => prev.filter(d => d.appID !== appID));
+    };
+
+    const handleUpdateOnlineFixPlugin = async () => {
+        if (!window.electronAPI || !window.electronAPI.updateOnlineFixAppIDs) {
+            alert('This feature is only available in the desktop app.');
+            return;
+        }
+
+        try {
+            addNotification('Updating OnlineFix plugin...', 'info');
+            const result = await window.electronAPI.updateOnlineFixAppIDs();
+
+            if (result.success) {
+                addNotification(result.message, 'success');
+            } else {
+                alert(`Update failed: ${result.error}`);
+            }
+        } catch (error) {
+            console.error('Error updating OnlineFix plugin:', error);
+            alert(`Update failed: ${error.message}`);
+        }
+    };
+
+    // FIX #3: Modified to allow removing ratings by clicking the same star
+    const setGameRating = (appID, rating) => {
+        setRatings(prev => {
+            // If clicking the same rating, remove it
+            if (prev[appID] === rating) {
+                const newRatings = { ...prev };
+                delete newRatings[appID];
+                return newRatings;
+            }
+            // Otherwise set the new rating
+            return {
+                ...prev,
+                [appID]: rating
+            };
+        });
+    };
+
+    // The sidebar's Favorites, Downloaded and New shortcuts narrow the search like is:favorite etc. would
+    const SHORTCUT_FILTERS = { FAVORITES_FILTER: 'favorite', DOWNLOADED_FILTER: 'downloaded', NEW_GAMES_FILTER: 'new' };
+    const searchIndex = React.useMemo(() => createSearchIndex(games), [games]);
+    const bypassSearchIndex = React.useMemo(() => createSearchIndex(bypassGames), [bypassGames]);
+    const searchContext = {
+        ratings,
+        favorites,
+        downloadedAppIDs: new Set(downloadHistory.map(d => d.appID)),
+        // The newest games are the last ones of the list
+        newAppIDs: new Set(newGames.map(game => game.appID))
+    };
+
+    const storeQuery = SHORTCUT_FILTERS[selectedTag]
+        ? { ...parsedQuery, filters: [...parsedQuery.filters, { field: 'is', value: SHORTCUT_FILTERS[selectedTag], negate: false }] }
+        : parsedQuery;
+    const filteredGames = searchGames(searchIndex, storeQuery, searchContext);
+    // Catalog history narrowed down by the changelog view's filters; entries left with nothing in them are dropped
+    const changelogFilterText = normalizeName(changelogFilter);
+    const matchesChangelogFilter = (game) => !changelogFilterText || normalizeName(game.name).includes(changelogFilterText) || game.appID.startsWith(changelogFilterText);
+    const changelogEntries = catalogHistory
+        .map(entry => ({
+            ...entry,
+            added: changelogKind === 'removed' ? [] : entry.added.filter(matchesChangelogFilter),
+            removed: changelogKind === 'added' ? [] : entry.removed.filter(matchesChangelogFilter)
+        }))
+        .filter(entry => entry.added.length > 0 || entry.removed.length > 0);
+    const filteredBypassGames = currentView === 'bypasses' ? searchGames(bypassSearchIndex, parsedQuery, searchContext) : [];
+
+    const totalPages = Math.ceil(filteredGames.length / GAMES_PER_PAGE);
+    
+    // Sort games based on selection
+    const sortedGames = [...filteredGames].sort((a, b) => {
+        switch(sortBy) {
+            case 'name-asc':
+                return a.name.localeCompare(b.name);
+            case 'name-desc':
+                return b.name.localeCompare(a.name);
+            case 'rating-high':
+                return (ratings[b.appID] || 0) - (ratings[a.appID] || 0);
+            case 'rating-low':
+                return (ratings[a.appID] || 0) - (ratings[b.appID] || 0);
+            case 'recent-download':
+                const aDownload = downloadHistory.find(d => d.appID === a.appID);
+                const bDownload = downloadHistory.find(d => d.appID === b.appID);
+                if (!aDownload && !bDownload) return 0;
+                if (!aDownload) return 1;
+                if (!bDownload) return -1;
+                return bDownload.timestamp - aDownload.timestamp;
+            case 'appid-asc':
+                return parseInt(a.appID) - parseInt(b.appID);
+            case 'appid-desc':
+                return parseInt(b.appID) - parseInt(a.appID);
+            case 'favorited':
+                const aFav = favorites.includes(a.appID) ? 1 : 0;
+                const bFav = favorites.includes(b.appID) ? 1 : 0;
+                return bFav - aFav;
+            default:
+                return 0;
+        }
+    });
+    
+    const startIdx = (currentPage - 1) * GAMES_PER_PAGE;
+    const currentGames = sortedGames.slice(startIdx, startIdx + GAMES_PER_PAGE);
+
+    useEffect(() => {
+        setCurrentPage(1);
+    }, [searchQuery, selectedTag, selectedGenre]);
+
+    const getPageNumbers = () => {
+        const pages = [];
+        const maxVisible = 10;
+        let start = Math.max(1, currentPage - Math.floor(maxVisible / 2));
+        let end = Math.min(totalPages, start + maxVisible - 1);
+        
+        if (end - start < maxVisible - 1) {
+            start = Math.max(1, end - maxVisible + 1);
+        }
+        
+        for (let i = start; i <= end; i++) {
+            pages.push(i);
+        }
+        return pages;
+    };
+
+    const stats = {
+        totalGames: games.length,
+        totalDownloads: downloadHistory.length,
+        totalFavorites: favorites.length,
+        averageRating: Object.values(ratings).length > 0 
+            ? (Object.values(ratings).reduce((a, b) => a + b, 0) / Object.values(ratings).length).toFixed(1)
+            : 0,
+        topGenres: allGenres.slice(0, 5),
+        recentDownloads: downloadHistory.slice(0, 10)
+    };
+
+    if (loading || initialLoading) {
+        return (
+            <div className={`flex items-center justify-center h-screen ${darkMode ? 'bg-gray-900' : 'bg-white'}`}>
+                <div className="text-center max-w-md">
+                    <div className="mb-6">
+                        <Loader />
+                    </div>
+                    <h2 className={`${darkMode ? 'text-white' : 'text-gray-900'} text-2xl font-bold mb-4`}>{t('loadingStore')}</h2>
+                    <p className={`${darkMode ? 'text-gray-300' : 'text-gray-700'} text-lg mb-6`}>{loadingMessage}</p>
+
+                    {/* Progress Bar */}
+                    <div className={`w-full ${darkMode ? 'bg-gray-700' : 'bg-gray-200'} rounded-full h-4 mb-2 overflow-hidden`}>
+                        <div
+                            className="bg-blue-600 h-full transition-all duration-300 rounded-full flex items-center justify-end pr-2"
+                            style={{ width: `${loadingProgress}%` }}
+                        >
+                            {loadingProgress > 10 && (
+                                <span className="text-white text-xs font-bold">{loadingProgress}%</span>
+                            )}
+                        </div>
+                    </div>
+                    <p className={`${darkMode ? 'text-gray-400' : 'text-gray-600'} text-sm`}>
+                        {t('loadingMessage')}
+                    </p>
+                </div>
+            </div>
+        );
+    }
+
+    // Get proper image path for dev and production
+    const getImagePath = (filename) => {
+        // In Electron app, images are in the same directory as index.html
+        // In dev mode (browser), they're relative
+        return filename;
+    };
+
+    // Get wallpaper based on current theme: its own image, or the app's light or dark one
+    const getWallpaperImage = () => {
+        if (activeTheme && activeTheme.wallpaper) {
+            return activeTheme.wallpaper;
+        } else if (darkMode) {
+            return getImagePath('online fix store wallpaper.png');
+        } else {
+            return getImagePath('wallpaper online fix store blanc.png');
+        }
+    };
+
+    return (
+        <div className={`flex min-h-screen ${darkMode ? 'bg-gray-900 text-white' : 'bg-white text-gray-900'}`} style={showWallpaper ? {
+            backgroundImage: `url("${getWallpaperImage()}")`,
+            backgroundSize: 'cover',
+            backgroundPosition: 'center',
+            backgroundAttachment: 'fixed'
+        } : {}}>
+            {leftSidebarOpen && (
+                <div className={`w-64 ${darkMode ? 'bg-gray-800 border-gray-700' : 'bg-gray-50 border-gray-200'} border-r fixed h-full overflow-y-auto`}>
+                    <div className="p-6">
+                        <div className="flex items-center justify-between mb-8">
+                            <img src={getImagePath('logo online fix store.png')} alt="Online Fix Store" className="h-36 object-contain" />
+                            <button onClick={() => setLeftSidebarOpen(false)} className={`${darkMode ? 'bg-gray-700 hover:bg-gray-600' : 'bg-gray-200 hover:bg-gray-300'} p-2 rounded transition`}>
+                                <ChevronLeft />
+                            </button>
+                        </div>
+                        
+
+                        {/* Update Notifications */}
+                        {notifications.length > 0 && (
+                            <div className="mb-4 space-y-2">
+                                {notifications.map(notif => (
+                                    <div
+                                        key={notif.id}
+                                        style={{
+                                            backgroundColor: notif.type === 'update' ? 'var(--accent-secondary)' : notif.type === 'success' ? '#10b981' : 'var(--accent-primary)'
+                                        }}
+                                        className="p-3 rounded-lg text-white text-sm flex items-center gap-2 animate-slideIn"
+                                    >
+                                        <Bell />
+                                        <span className="flex-1">{notif.message}</span>
+                                        <button
+                                            onClick={() => dismissNotification(notif.id)}
+                                            className="hover:opacity-70 transition"
+                                        >
+                                            <X />
+                                        </button>
+                                    </div>
+                                ))}
+                            </div>
+                        )}
+                        
+                        {/* Download Queue */}
+                        {Object.keys(activeDownloads).length > 0 && (
+                            <div className="mb-4 space-y-2">
+                                {Object.values(activeDownloads).map(download => (
+                                    <div key={download.id} className={`p-3 rounded-lg text-sm ${darkMode ? 'bg-gray-700' : 'bg-gray-200'}`}>
+                                        <div className="flex items-center gap-2 mb-2">
+                                            <Download />
+                                            <span className="flex-1 font-semibold truncate" title={download.label}>{download.label}</span>
+                                            {['queued', 'downloading', 'retrying'].includes(download.state) && (
+                                                <button
+                                                    onClick={() => window.electronAPI.cancelDownload(download.id)}
+                                                    className="hover:opacity-70 transition"
+                                                    title={t('cancelDownload')}
+                                                >
+                                                    <X />
+                                                </button>
+                                            )}
+                                        </div>
+                                        <div className={`w-full ${darkMode ? 'bg-gray-600' : 'bg-gray-300'} rounded-full h-2 overflow-hidden`}>
+                                            <div
+                                                className={`h-full transition-all duration-300 rounded-full ${download.state === 'failed' || download.state === 'cancelled' ? 'bg-red-600' : download.state === 'completed' ? 'bg-green-600' : 'bg-blue-600'}`}
+                                                style={{ width: `${download.totalBytes ? Math.round((download.receivedBytes / download.totalBytes) * 100) : download.state === 'completed' ? 100 : 0}%` }}
+                                            ></div>
+                                        </div>
+                                        <p className={`mt-1 text-xs ${darkMode ? 'text-gray-400' : 'text-gray-600'}`}>{downloadStateLabel(download)}</p>
+                                    </div>
+                                ))}
+                            </div>
+                        )}
+
+                        <nav className="space-y-2">
+                            <button onClick={() => setCurrentView('home')} className={`w-full flex items-center gap-3 px-4 py-3 rounded transition ${currentView === 'home' ? 'bg-blue-600 text-white' : darkMode ? 'text-gray-300 hover:bg-gray-700' : 'text-gray-700 hover:bg-gray-200'}`}>
+                                <Home /> {t('home')}
+                            </button>
+
+                            {/* FIX #2: Clear filters when clicking Store */}
+                            <button onClick={() => { setCurrentView('store'); setSelectedGame(null); setSelectedTag(null); setSelectedGenre(null); }} className={`w-full flex items-center gap-3 px-4 py-3 rounded transition ${currentView === 'store' && !selectedTag && !selectedGenre ? 'bg-blue-600 text-white' : darkMode ? 'text-gray-300 hover:bg-gray-700' : 'text-gray-700 hover:bg-gray-200'}`}>
+                                <Store /> {t('store')}
+                            </button>
+
+                            <button onClick={() => { setCurrentView('bypasses'); setSelectedGame(null); }} className={`w-full flex items-center gap-3 px-4 py-3 rounded transition ${currentView === 'bypasses' ? 'bg-purple-600 text-white' : darkMode ? 'text-gray-300 hover:bg-gray-700' : 'text-gray-700 hover:bg-gray-200'}`}>
+                                <svg className="w-5 h-5" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+                                    <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M12 15v2m-6 4h12a2 2 0 002-2v-6a2 2 0 00-2-2H6a2 2 0 00-2 2v6a2 2 0 002 2zm10-10V7a4 4 0 00-8 0v4h8z" />
+                                </svg>
+                                {t('gameBypasses')}
+                            </button>
+
+                            <button onClick={() => { setCurrentView('store'); setSelectedGame(null); setSelectedTag('FAVORITES_FILTER'); setSelectedGenre(null); }} className={`w-full flex items-center gap-3 px-4 py-3 rounded transition ${selectedTag === 'FAVORITES_FILTER' ? 'bg-pink-600 text-white' : darkMode ? 'text-gray-300 hover:bg-gray-700' : 'text-gray-700 hover:bg-gray-200'}`}>
+                                <Heart filled={true} /> {t('favorites')} ({favorites.length})
+                            </button>
+
+                            <button onClick={() => { setCurrentView('store'); setSelectedGame(null); setSelectedTag('DOWNLOADED_FILTER'); setSelectedGenre(null); }} className={`w-full flex items-center gap-3 px-4 py-3 rounded transition ${selectedTag === 'DOWNLOADED_FILTER' ? 'bg-green-600 text-white' : darkMode ? 'text-gray-300 hover:bg-gray-700' : 'text-gray-700 hover:bg-gray-200'}`}>
+                                <History /> {t('downloads')} ({downloadHistory.length})
+                            </button>
+
+                            {window.electronAPI && window.electronAPI.getInstalledFixes && (
+                                <button onClick={() => { setCurrentView('library'); setSelectedGame(null); }} className={`w-full flex items-center gap-3 px-4 py-3 rounded transition ${currentView === 'library' ? 'bg-green-600 text-white' : darkMode ? 'text-gray-300 hover:bg-gray-700' : 'text-gray-700 hover:bg-gray-200'}`}>
+                                    <Book /> {t('installedFixes')} ({installedFixes.length})
+                                    {installedFixes.some(fix => fix.status === 'stale' || fixUpdates[fix.appID]) && <span className="ml-auto w-2 h-2 rounded-full bg-yellow-400"></span>}
+                                </button>
+                            )}
+
+                            <button onClick={() => { setCurrentView('changelog'); setSelectedGame(null); }} className={`w-full flex items-center gap-3 px-4 py-3 rounded transition ${currentView === 'changelog' ? 'bg-blue-600 text-white' : darkMode ? 'text-gray-300 hover:bg-gray-700' : 'text-gray-700 hover:bg-gray-200'}`}>
+                                <List /> {t('catalogChanges')}
+                                {newGames.length > 0 && <span className="ml-auto text-xs bg-green-600 text-white px-2 py-0.5 rounded-full">{newGames.length}</span>}
+                            </button>
+
+                            <button onClick={() => setShowStats(true)} className={`w-full flex items-center gap-3 px-4 py-3 rounded transition ${darkMode ? 'text-gray-300 hover:bg-gray-700' : 'text-gray-700 hover:bg-gray-200'}`}>
+                                <BarChart /> {t('statistics')}
+                            </button>
+
+                            <button onClick={() => setCurrentView('settings')} className={`w-full flex items-center gap-3 px-4 py-3 rounded transition ${currentView === 'settings' ? 'bg-blue-600 text-white' : darkMode ? 'text-gray-300 hover:bg-gray-700' : 'text-gray-700 hover:bg-gray-200'}`}>
+                                <Settings /> {t('settings')}
+                            </button>
+
+                            <button onClick={() => setCurrentView('contact')} className={`w-full flex items-center gap-3 px-4 py-3 rounded transition ${currentView === 'contact' ? 'bg-blue-600 text-white' : darkMode ? 'text-gray-300 hover:bg-gray-700' : 'text-gray-700 hover:bg-gray-200'}`}>
+                                <Mail /> {t('contact')}
+                            </button>
+                        </nav>
+
+                        <div className={`mt-8 p-4 ${darkMode ? 'bg-gray-700' : 'bg-gray-200'} rounded-lg text-xs`}>
+                            <p className="font-semibold mb-2">{t('keyboardShortcuts')}</p>
+                            <p>← → {t('navigatePages')}</p>
+                            <p>Esc {t('backClose')}</p>
+                        </div>
+                    </div>
+                </div>
+            )}
+
+            {!leftSidebarOpen && (
+                <button onClick={() => setLeftSidebarOpen(true)} className={`fixed top-6 left-2 z-50 ${darkMode ? 'bg-gray-700 hover:bg-gray-600' : 'bg-gray-200 hover:bg-gray-300'} p-1.5 rounded transition`} style={{ width: '32px', height: '32px' }}>
+                    <ChevronRight />
+                </button>
+            )}
+
+            <div className={`flex-1 transition-all duration-300 ${leftSidebarOpen ? 'ml-64' : 'ml-0'}`}>
+                {offlineSince && (
+                    <div className="sticky top-0 z-40 px-6 py-3 bg-yellow-600 text-white flex items-center gap-3">
+                        <span className="flex-1 font-semibold">📴 {t('offlineBanner', { date: new Date(offlineSince).toLocaleString() })}</span>
+                        <button onClick={syncCatalog} className="px-4 py-1 rounded bg-yellow-700 hover:bg-yellow-800 transition font-semibold">
+                            {t('retryNow')}
+                        </button>
+                    </div>
+                )}
+                {currentView === 'home' && (
+                    <div className="p-8 max-w-4xl mx-auto">
+                        <div className={`${darkMode ? 'bg-gray-800' : 'bg-gray-50'} rounded-lg p-8 shadow-xl`}>
+                            <div className={`${darkMode ? 'text-gray-300' : 'text-gray-700'} leading-relaxed markdown-content`}>
+                                {homeContent.split('\n').map((line, idx) => {
+                                    // H1 headers (# )
+                                    if (line.startsWith('# ')) {
+                                        return <h1 key={idx} className="text-4xl font-bold mb-6 mt-8 first:mt-0">{line.substring(2)}</h1>;
+                                    }
+                                    // H2 headers (## )
+                                    if (line.startsWith('## ')) {
+                                        return <h2 key={idx} className="text-3xl font-bold mb-4 mt-6">{line.substring(3)}</h2>;
+                                    }
+                                    // H3 headers (### )
+                                    if (line.startsWith('### ')) {
+                                        return <h3 key={idx} className="text-2xl font-bold mb-3 mt-5">{line.substring(4)}</h3>;
+                                    }
+                                    // Unordered list items (- )
+                                    if (line.startsWith('- ')) {
+                                        const content = line.substring(2);
+                                        // Parse bold text (**text**)
+                                        const parts = content.split(/(\*\*.*?\*\*)/g);
+                                        return (
+                                            <li key={idx} className="ml-6 mb-2 list-disc">
+                                                {parts.map((part, i) => {
+                                                    if (part.startsWith('**') && part.endsWith('**')) {
+                                                        return <strong key={i}>{part.slice(2, -2)}</strong>;
+                                                    }
+                                                    return part;
+                                                })}
+                                            </li>
+                                        );
+                                    }
+                                    // Horizontal rule (---)
+                                    if (line.trim() === '---') {
+                                        return <hr key={idx} className="my-6 border-gray-600" />;
+                                    }
+                                    // Empty lines
+                                    if (line.trim() === '') {
+                                        return <div key={idx} className="h-4"></div>;
+                                    }
+                                    // Regular paragraphs with inline formatting
+                                    const parts = line.split(/(\*\*.*?\*\*|\[.*?\]\(.*?\))/g);
+                                    return (
+                                        <p key={idx} className="mb-3">
+                                            {parts.map((part, i) => {
+                                                // Bold text (**text**)
+                                                if (part.startsWith('**') && part.endsWith('**')) {
+                                                    return <strong key={i}>{part.slice(2, -2)}</strong>;
+                                                }
+                                                // Links [text](url)
+                                                const linkMatch = part.match(/\[(.*?)\]\((.*?)\)/);
+                                                if (linkMatch) {
+                                                    return (
+                                                        <a
+                                                            key={i}
+                                                            href={linkMatch[2]}
+                                                            onClick={(e) => {
+                                                                e.preventDefault();
+                                                                window.electronAPI.openExternal(linkMatch[2]);
+                                                            }}
+                                                            className="text-blue-400 hover:text-blue-300 underline cursor-pointer"
+                                                        >
+                                                            {linkMatch[1]}
+                                                        </a>
+                                                    );
+                                                }
+                                                return part;
+                                            })}
+                                        </p>
+                                    );
+                                })}
+                            </div>
+                        </div>
+                    </div>
+                )}
+
+                {currentView === 'settings' && (
+                    <div className="p-8 max-w-4xl mx-auto">
+                        <div className={`${darkMode ? 'bg-gray-800' : 'bg-gray-50'} rounded-lg p-8 shadow-xl`}>
+                            <h2 className="text-4xl font-bold mb-6">⚙️ {t('settings')}</h2>
+
+                            <div className="space-y-6">
+                                {/* Themes Section */}
+                                <div className={`p-6 ${darkMode ? 'bg-gray-700' : 'bg-gray-200'} rounded-lg`}>
+                                    <h3 className="text-2xl font-semibold mb-4 flex items-center gap-2">
+                                        <Palette />
+                                        {t('theme')}
+                                    </h3>
+                                    {themeDraft ? (
+                                        <div className="space-y-5">
+                                            <div className="grid grid-cols-4 gap-4">
+                                                <div className="col-span-3">
+                                                    <label className="block text-sm font-semibold mb-2">{t('themeName')}</label>
+                                                    <input
+                                                        type="text"
+                                                        value={themeDraft.theme.name}
+                                                        maxLength={64}
+                                                        onChange={(e) => updateThemeDraft({ name: e.target.value })}
+                                                        className={`w-full px-3 py-2 rounded border ${darkMode ? 'bg-gray-800 border-gray-600' : 'bg-white border-gray-300'}`}
+                                                    />
+                                                </div>
+                                                <div>
+                                                    <label className="block text-sm font-semibold mb-2">{t('themeIcon')}</label>
+                                                    <input
+                                                        type="text"
+                                                        value={themeDraft.theme.icon}
+                                                        maxLength={16}
+                                                        onChange={(e) => updateThemeDraft({ icon: e.target.value })}
+                                                        className={`w-full px-3 py-2 rounded border ${darkMode ? 'bg-gray-800 border-gray-600' : 'bg-white border-gray-300'}`}
+                                                    />
+                                                </div>
+                                            </div>
+
+                                            <div>
+                                                <label className="block text-sm font-semibold mb-2">{t('themeColors')}</label>
+                                                <div className="grid grid-cols-2 md:grid-cols-5 gap-3">
+                                                    {Object.keys(THEME_COLORS).map(key => (
+                                                        <label key={key} className="flex flex-col items-center gap-1 text-xs text-center cursor-pointer">
+                                                            <input
+                                                                type="color"
+                                                                value={themeDraft.theme.colors[key]}
+                                                                onChange={(e) => updateThemeDraft({ colors: { ...themeDraft.theme.colors, [key]: e.target.value } })}
+                                                                className="w-12 h-10 rounded cursor-pointer"
+                                                            />
+                                                            {t(`themeColor${key[0].toUpperCase()}${key.slice(1)}`)}
+                                                        </label>
+                                                    ))}
+                                                </div>
+                                            </div>
+
+                                            <div className="grid grid-cols-2 gap-4">
+                                                <div>
+                                                    <label className="block text-sm font-semibold mb-2">{t('themeFont')}</label>
+                                                    <select
+                                                        value={themeDraft.theme.font}
+                                                        onChange={(e) => updateThemeDraft({ font: e.target.value })}
+                                                        className={`w-full px-3 py-2 rounded ${darkMode ? 'bg-gray-800 text-white' : 'bg-white text-gray-900 border border-gray-300'}`}
+                                                    >
+                                                        {Object.keys(THEME_FONTS).map(font => (
+                                                            <option key={font} value={font}>{t(`themeFont${font[0].toUpperCase()}${font.slice(1)}`)}</option>
+                                                        ))}
+                                                    </select>
+                                                </div>
+                                                <div>
+                                                    <label className="block text-sm font-semibold mb-2">{t('themeCardStyle')}</label>
+                                                    <select
+                                                        value={themeDraft.theme.cardStyle}
+                                                        onChange={(e) => updateThemeDraft({ cardStyle: e.target.value })}
+                                                        className={`w-full px-3 py-2 rounded ${darkMode ? 'bg-gray-800 text-white' : 'bg-white text-gray-900 border border-gray-300'}`}
+                                                    >
+                                                        {CARD_STYLES.map(style => (
+                                                            <option key={style} value={style}>{t(`themeCard${style[0].toUpperCase()}${style.slice(1)}`)}</option>
+                                                        ))}
+                                                    </select>
+                                                </div>
+                                            </div>
+
+                                            <label className="flex items-center gap-3 cursor-pointer">
+                                                <input
+                                                    type="checkbox"
+                                                    checked={themeDraft.theme.light}
+                                                    onChange={(e) => updateThemeDraft({ light: e.target.checked })}
+                                                    className="w-4 h-4"
+                                                />
+                                                <span>{t('themeIsLight')}</span>
+                                            </label>
+
+                                            <div>
+                                                <label className="block text-sm font-semibold mb-2">{t('themeWallpaper')}</label>
+                                                <div className="flex items-center gap-3">
+                                                    <img src={getWallpaperImage()} alt="" className="w-32 h-20 object-cover rounded" />
+                                                    <label className={`px-4 py-2 rounded-lg font-semibold transition cursor-pointer ${darkMode ? 'bg-gray-600 hover:bg-gray-500' : 'bg-gray-300 hover:bg-gray-400'}`}>
+                                                        {t('chooseImage')}
+                                                        <input type="file" accept="image/png,image/jpeg,image/webp,image/gif" onChange={chooseThemeWallpaper} className="hidden" />
+                                                    </label>
+                                                    {themeDraft.theme.wallpaper && (
+                                                        <button onClick={() => updateThemeDraft({ wallpaper: null })} className="text-sm text-blue-500 hover:underline">
+                                                            {t('useDefaultWallpaper')}
+                                                        </button>
+                                                    )}
+                                                </div>
+                                            </div>
+
+                                            {/* Preview of a game card; the rest of the app already shows the theme */}
+                                            <div>
+                                                <label className="block text-sm font-semibold mb-2">{t('themePreview')}</label>
+                                                <div className="game-card rounded-lg p-4 w-64" style={{ boxShadow: '0 8px 25px rgba(0, 0, 0, 0.8), 0 4px 10px rgba(0, 0, 0, 0.6), 0 0 0 1px rgba(255, 255, 255, 0.1)' }}>
+                                                    <h4 className="font-bold mb-1">{themeDraft.theme.icon} {themeDraft.theme.name}</h4>
+                                                    <p className="text-sm text-gray-300 mb-1">{t('themePreviewText')}</p>
+                                                    <p className="text-xs text-gray-400 mb-3">{t('themePreviewSubtext')}</p>
+                                                    <div className="flex gap-2">
+                                                        <span className="px-3 py-1 bg-blue-600 text-white rounded text-sm">{t('downloadFix')}</span>
+                                                        <span className="px-3 py-1 bg-purple-600 text-white rounded text-sm">{t('favorites')}</span>
+                                                    </div>
+                                                </div>
+                                            </div>
+
+                                            <div className="flex gap-3">
+                                                <button onClick={saveThemeDraft} disabled={!themeDraft.theme.name.trim()} className="px-6 py-2 bg-blue-600 hover:bg-blue-700 text-white rounded-lg font-semibold transition disabled:opacity-50">
+                                                    {t('saveTheme')}
+                                                </button>
+                                                <button onClick={() => setThemeDraft(null)} className={`px-6 py-2 rounded-lg font-semibold transition ${darkMode ? 'bg-gray-600 hover:bg-gray-500' : 'bg-gray-300 hover:bg-gray-400'}`}>
+                                                    {t('cancel')}
+                                                </button>
+                                            </div>
+                                        </div>
+                                    ) : (
+                                        <>
+                                            <div className="grid grid-cols-2 md:grid-cols-3 gap-3">
+                                                {themes.map(theme => (
+                                                    <button
+                                                        key={theme.id}
+                                                        onClick={() => setCurrentTheme(theme.id)}
+                                                        style={{
+                                                            backgroundColor: theme === selectedTheme ? 'var(--accent-primary)' : 'var(--bg-tertiary)',
+                                                            color: 'var(--text-primary)'
+                                                        }}
+                                                        className="flex flex-col items-center gap-2 p-4 rounded-lg transition hover:opacity-80 border-2"
+                                                    >
+                                                        <span className="text-3xl">{theme.icon}</span>
+                                                        <span className="text-sm font-semibold">{theme.name}</span>
+                                                        {theme === selectedTheme && <span className="text-xs">✓ {t('activeTheme')}</span>}
+                                                    </button>
+                                                ))}
+                                            </div>
+                                            {window.electronAPI && selectedTheme && (
+                                                <div className="flex flex-wrap gap-3 mt-4">
+                                                    <button onClick={() => editTheme(selectedTheme)} className="px-6 py-2 bg-blue-600 hover:bg-blue-700 text-white rounded-lg font-semibold transition">
+                                                        {selectedTheme.builtIn ? t('customizeTheme') : t('editTheme')}
+                                                    </button>
+                                                    <button onClick={importThemeFile} className={`px-6 py-2 rounded-lg font-semibold transition ${darkMode ? 'bg-gray-600 hover:bg-gray-500' : 'bg-gray-300 hover:bg-gray-400'}`}>
+                                                        {t('importTheme')}
+                                                    </button>
+                                                    <button onClick={() => exportThemeFile(selectedTheme)} className={`px-6 py-2 rounded-lg font-semibold transition ${darkMode ? 'bg-gray-600 hover:bg-gray-500' : 'bg-gray-300 hover:bg-gray-400'}`}>
+                                                        {t('exportTheme')}
+                                                    </button>
+                                                    {!selectedTheme.builtIn && (
+                                                        <button onClick={() => removeTheme(selectedTheme)} className="px-6 py-2 bg-red-600 hover:bg-red-700 text-white rounded-lg font-semibold transition">
+                                                            {t('deleteTheme')}
+                                                        </button>
+                                                    )}
+                                                </div>
+                                            )}
+                                        </>
+                                    )}
+                                </div>
+
+                                {/* Background Wallpaper Toggle */}
+                                <div className={`p-6 ${darkMode ? 'bg-gray-700' : 'bg-gray-200'} rounded-lg`}>
+                                    <h3 className="text-2xl font-semibold mb-4">🖼️ {t('backgroundWallpaper')}</h3>
+                                    <div className="flex items-center justify-between">
+                                        <div>
+                                            <span className={`${darkMode ? 'text-gray-300' : 'text-gray-700'} block`}>
+                                                {t('showWallpaper')}
+                                            </span>
+                                            <span className={`text-xs ${darkMode ? 'text-gray-400' : 'text-gray-600'}`}>
+                                                {t('autoSwitchesTheme')}
+                                            </span>
+                                        </div>
+                                        <button
+                                            onClick={() => setShowWallpaper(!showWallpaper)}
+                                            className={`relative inline-flex h-8 w-16 items-center rounded-full transition ${
+                                                showWallpaper ? 'bg-blue-600' : 'bg-gray-400'
+                                            }`}
+                                        >
+                                            <span
+                                                className={`inline-block h-6 w-6 transform rounded-full bg-white transition ${
+                                                    showWallpaper ? 'translate-x-9' : 'translate-x-1'
+                                                }`}
+                                            />
+                                        </button>
+                                    </div>
+                                </div>
+
+                                {/* Background Music Toggle */}
+                                <div className={`p-6 ${darkMode ? 'bg-gray-700' : 'bg-gray-200'} rounded-lg`}>
+                                    <h3 className="text-2xl font-semibold mb-4">🎵 {t('backgroundMusic')}</h3>
+                                    <div className="flex items-center justify-between">
+                                        <div>
+                                            <span className={`${darkMode ? 'text-gray-300' : 'text-gray-700'} block`}>
+                                                {t('playBackgroundMusic')}
+                                            </span>
+                                            <span className={`text-xs ${darkMode ? 'text-gray-400' : 'text-gray-600'}`}>
+                                                {t('startsAfterLoading')}
+                                            </span>
+                                        </div>
+                                        <button
+                                            onClick={() => setBackgroundMusicEnabled(!backgroundMusicEnabled)}
+                                            className={`relative inline-flex h-8 w-16 items-center rounded-full transition ${
+                                                backgroundMusicEnabled ? 'bg-blue-600' : 'bg-gray-400'
+                                            }`}
+                                        >
+                                            <span
+                                                className={`inline-block h-6 w-6 transform rounded-full bg-white transition ${
+                                                    backgroundMusicEnabled ? 'translate-x-9' : 'translate-x-1'
+                                                }`}
+                                            />
+                                        </button>
+                                    </div>
+                                    {backgroundMusicEnabled && !loading && (
+                                        <div className="mt-3 flex items-center gap-2 text-sm text-green-600">
+                                            <svg width="16" height="16" viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2">
+                                                <polygon points="5 3 19 12 5 21 5 3"></polygon>
+                                            </svg>
+                                            Music is playing
+                                        </div>
+                                    )}
+                                </div>
+
+                                {/* Language Selection */}
+                                <div className={`p-6 ${darkMode ? 'bg-gray-700' : 'bg-gray-200'} rounded-lg`}>
+                                    <h3 className="text-2xl font-semibold mb-4">🌐 Language</h3>
+                                    <div className="grid grid-cols-2 gap-3">
+                                        {availableLanguages.map(({ code, language: name, flag }) => (
+                                            <button
+                                                key={code}
+                                                onClick={() => setLanguage(code)}
+                                                className={`p-4 rounded-lg font-semibold transition ${
+                                                    language === code
+                                                        ? 'bg-blue-600 text-white'
+                                                        : darkMode ? 'bg-gray-600 hover:bg-gray-500' : 'bg-gray-300 hover:bg-gray-400'
+                                                }`}
+                                            >
+                                                {flag} {name}
+                                            </button>
+                                        ))}
+                                    </div>
+                                    {window.electronAPI && (
+                                        <div className="mt-4 flex items-center justify-between gap-4">
+                                            <span className={`text-xs ${darkMode ? 'text-gray-400' : 'text-gray-600'}`}>
+                                                {t('languagePacksHint')}
+                                            </span>
+                                            <button
+                                                onClick={async () => {
+                                                    const result = await window.electronAPI.openLocalesFolder();
+                                                    if (!result.success) alert(result.error);
+                                                }}
+                                                className={`px-6 py-2 rounded-lg font-semibold transition whitespace-nowrap ${darkMode ? 'bg-gray-600 hover:bg-gray-500' : 'bg-gray-300 hover:bg-gray-400'}`}
+                                            >
+                                                {t('openLanguagePacksFolder')}
+                                            </button>
+                                        </div>
+                                    )}
+                                </div>
+
+                                {/* Developer Mode */}
+                                <div className={`p-6 ${darkMode ? 'bg-gray-700' : 'bg-gray-200'} rounded-lg`}>
+                                    <h3 className="text-2xl font-semibold mb-4">🛠️ {t('developerMode')}</h3>
+                                    <div className="flex items-center justify-between">
+                                        <span className={`text-xs ${darkMode ? 'text-gray-400' : 'text-gray-600'}`}>
+                                            {t('developerModeHint')}
+                                        </span>
+                                        <button
+                                            onClick={() => setDeveloperMode(!developerMode)}
+                                            className={`relative inline-flex h-8 w-16 flex-shrink-0 items-center rounded-full transition ${
+                                                developerMode ? 'bg-blue-600' : 'bg-gray-400'
+                                            }`}
+                                        >
+                                            <span
+                                                className={`inline-block h-6 w-6 transform rounded-full bg-white transition ${
+                                                    developerMode ? 'translate-x-9' : 'translate-x-1'
+                                                }`}
+                                            />
+                                        </button>
+                                    </div>
+                                    {developerMode && languageReport && (
+                                        <div className="mt-4 space-y-3">
+                                            <div className="flex items-center justify-between">
+                                                <span className="font-semibold">{t('translationReport')}</span>
+                                                <button onClick={refreshLanguages} className="text-sm text-blue-500 hover:underline">
+                                                    {t('refresh')}
+                                                </button>
+                                            </div>
+                                            {languageReport.map(({ code, language: name, total, missing, unknown }) => (
+                                                <details key={code} className={`p-3 rounded-lg ${darkMode ? 'bg-gray-800' : 'bg-white'}`}>
+                                                    <summary className="cursor-pointer">
+                                                        {name} ({code}): {t('translatedCount', { done: total - missing.length, total })}
+                                                        {unknown.length > 0 && ` · ${t('unknownKeysCount', { count: unknown.length })}`}
+                                                    </summary>
+                                                    {missing.length > 0 && (
+                                                        <p className={`mt-2 text-xs font-mono break-all ${darkMode ? 'text-gray-400' : 'text-gray-600'}`}>
+                                                            {t('missingKeys')}: {missing.join(', ')}
+                                                        </p>
+                                                    )}
+                                                    {unknown.length > 0 && (
+                                                        <p className="mt-2 text-xs font-mono break-all text-yellow-500">
+                                                            {t('unknownKeys')}: {unknown.join(', ')}
+                                                        </p>
+                                                    )}
+                                                </details>
+                                            ))}
+                                        </div>
+                                    )}
+                                </div>
+
+                                {/* Network Settings (Electron only) */}
+                                {window.electronAPI && window.electronAPI.getNetworkSettings && (
+                                    <div className={`p-6 ${darkMode ? 'bg-gray-700' : 'bg-gray-200'} rounded-lg`}>
+                                        <h3 className="text-2xl font-semibold mb-4">📡 {t('network')}</h3>
+                                        <div className="space-y-4">
+                                            <div>
+                                                <label className="block text-sm font-semibold mb-2">{t('proxy')}</label>
+                                                <input
+                                                    type="text"
+                                                    value={networkSettings.proxy}
+                                                    onChange={(e) => setNetworkSettings({...networkSettings, proxy: e.target.value})}
+                                                    placeholder="socks5://127.0.0.1:1080"
+                                                    className={`w-full px-3 py-2 rounded border ${darkMode ? 'bg-gray-800 border-gray-600' : 'bg-white border-gray-300'}`}
+                                                />
+                                                <p className={`mt-1 text-xs ${darkMode ? 'text-gray-400' : 'text-gray-600'}`}>{t('proxyHint')}</p>
+                                            </div>
+                                            <div>
+                                                <label className="block text-sm font-semibold mb-2">{t('bandwidthLimit')}</label>
+                                                <input
+                                                    type="number"
+                                                    min="0"
+                                                    value={networkSettings.bandwidthLimit}
+                                                    onChange={(e) => setNetworkSettings({...networkSettings, bandwidthLimit: parseInt(e.target.value) || 0})}
+                                                    className={`w-40 px-3 py-2 rounded border ${darkMode ? 'bg-gray-800 border-gray-600' : 'bg-white border-gray-300'}`}
+                                                />
+                                                <p className={`mt-1 text-xs ${darkMode ? 'text-gray-400' : 'text-gray-600'}`}>{t('bandwidthHint')}</p>
+                                            </div>
+                                            <button onClick={saveNetworkSettings} className="px-6 py-2 bg-blue-600 hover:bg-blue-700 text-white rounded-lg font-semibold transition">
+                                                {t('save')}
+                                            </button>
+                                        </div>
+                                    </div>
+                                )}
+
+                                {/* Data Sources (Electron only) */}
+                                {window.electronAPI && window.electronAPI.getSources && sourceLists && (
+                                    <div className={`p-6 ${darkMode ? 'bg-gray-700' : 'bg-gray-200'} rounded-lg`}>
+                                        <h3 className="text-2xl font-semibold mb-4">🛰️ {t('sources')}</h3>
+                                        <p className={`mb-4 text-sm ${darkMode ? 'text-gray-400' : 'text-gray-600'}`}>{t('sourcesHint')}</p>
+                                        <div className="space-y-6">
+                                            {SOURCE_TYPES.map(type => (
+                                                <div key={type}>
+                                                    <label className="block text-sm font-semibold">{t(`source${type[0].toUpperCase()}${type.slice(1)}`)}</label>
+                                                    <p className={`mb-2 text-xs ${darkMode ? 'text-gray-400' : 'text-gray-600'}`}>{t(`source${type[0].toUpperCase()}${type.slice(1)}Hint`)}</p>
+                                                    <div className="space-y-2">
+                                                        {sourceLists[type].map((url, index) => {
+                                                            const health = (sourceHealth[type] || []).find(entry => entry.url === url);
+                                                            const state = !health || health.ok === null ? 'unknown' : health.ok ? 'ok' : 'failed';
+                                                            return (
+                                                                <div key={index} className="flex items-center gap-2">
+                                                                    <span
+                                                                        className={`w-3 h-3 rounded-full flex-shrink-0 ${state === 'ok' ? 'bg-green-500' : state === 'failed' ? 'bg-red-500' : 'bg-gray-500'}`}
+                                                                        title={state === 'ok' ? t('sourceOk', { latency: health.latency }) : state === 'failed' ? health.error : t('sourceUnchecked')}
+                                                                    />
+                                                                    <input
+                                                                        type="text"
+                                                                        value={url}
+                                                                        onChange={(e) => updateMirrors(type, sourceLists[type].map((item, i) => (i === index ? e.target.value : item)))}
+                                                                        className={`flex-1 px-3 py-2 rounded border ${darkMode ? 'bg-gray-800 border-gray-600' : 'bg-white border-gray-300'}`}
+                                                                    />
+                                                                    <button onClick={() => moveMirror(type, index, -1)} disabled={index === 0} title={t('moveUp')} className={`px-2 py-2 rounded transition disabled:opacity-30 ${darkMode ? 'bg-gray-600 hover:bg-gray-500' : 'bg-gray-300 hover:bg-gray-400'}`}>↑</button>
+                                                                    <button onClick={() => moveMirror(type, index, 1)} disabled={index === sourceLists[type].length - 1} title={t('moveDown')} className={`px-2 py-2 rounded transition disabled:opacity-30 ${darkMode ? 'bg-gray-600 hover:bg-gray-500' : 'bg-gray-300 hover:bg-gray-400'}`}>↓</button>
+                                                                    <button onClick={() => updateMirrors(type, sourceLists[type].filter((item, i) => i !== index))} disabled={sourceLists[type].length === 1} title={t('removeMirror')} className="px-2 py-2 bg-red-600 hover:bg-red-700 text-white rounded transition disabled:opacity-30">✕</button>
+                                                                </div>
+                                                            );
+                                                        })}
+                                                    </div>
+                                                    {sourceLists[type].length < 10 && (
+                                                        <button onClick={() => updateMirrors(type, [...sourceLists[type], ''])} className="mt-2 text-sm text-blue-500 hover:underline">
+                                                            + {t('addMirror')}
+                                                        </button>
+                                                    )}
+                                                </div>
+                                            ))}
+                                            <div className="flex flex-wrap gap-3">
+                                                <button onClick={() => saveSources()} className="px-6 py-2 bg-blue-600 hover:bg-blue-700 text-white rounded-lg font-semibold transition">
+                                                    {t('save')}
+                                                </button>
+                                                <button onClick={runSourceCheck} disabled={checkingSources} className={`px-6 py-2 rounded-lg font-semibold transition disabled:opacity-50 ${darkMode ? 'bg-gray-600 hover:bg-gray-500' : 'bg-gray-300 hover:bg-gray-400'}`}>
+                                                    {checkingSources ? t('checkingSources') : t('checkSources')}
+                                                </button>
+                                                <button onClick={resetSources} className={`px-6 py-2 rounded-lg font-semibold transition ${darkMode ? 'bg-gray-600 hover:bg-gray-500' : 'bg-gray-300 hover:bg-gray-400'}`}>
+                                                    {t('resetSources')}
+                                                </button>
+                                            </div>
+                                        </div>
+                                    </div>
+                                )}
+
+                                {/* Game Data Cache (Electron only) */}
+                                {window.electronAPI && window.electronAPI.getCacheStats && (
+                                    <div className={`p-6 ${darkMode ? 'bg-gray-700' : 'bg-gray-200'} rounded-lg`}>
+                                        <h3 className="text-2xl font-semibold mb-4">🗄️ {t('gameDataCache')}</h3>
+                                        <p className={`mb-4 text-sm ${darkMode ? 'text-gray-400' : 'text-gray-600'}`}>{t('gameDataCacheHint')}</p>
+                                        {cacheStats && (
+                                            <div className="grid grid-cols-2 md:grid-cols-4 gap-3 mb-4">
+                                                <div className={`p-3 rounded ${darkMode ? 'bg-gray-800' : 'bg-white'}`}>
+                                                    <p className={`text-xs ${darkMode ? 'text-gray-400' : 'text-gray-600'}`}>{t('cachedGames')}</p>
+                                                    <p className="text-xl font-bold">{cacheStats.kinds.game.entries}</p>
+                                                </div>
+                                                <div className={`p-3 rounded ${darkMode ? 'bg-gray-800' : 'bg-white'}`}>
+                                                    <p className={`text-xs ${darkMode ? 'text-gray-400' : 'text-gray-600'}`}>{t('cacheSize')}</p>
+                                                    <p className="text-xl font-bold">{formatBytes(cacheStats.bytes)} <span className={`text-xs font-normal ${darkMode ? 'text-gray-400' : 'text-gray-600'}`}>/ {formatBytes(cacheStats.maxBytes)}</span></p>
+                                                </div>
+                                                <div className={`p-3 rounded ${darkMode ? 'bg-gray-800' : 'bg-white'}`}>
+                                                    <p className={`text-xs ${darkMode ? 'text-gray-400' : 'text-gray-600'}`}>{t('cacheStale')}</p>
+                                                    <p className="text-xl font-bold">{cacheStats.stale} / {cacheStats.entries}</p>
+                                                </div>
+                                                <div className={`p-3 rounded ${darkMode ? 'bg-gray-800' : 'bg-white'}`}>
+                                                    <p className={`text-xs ${darkMode ? 'text-gray-400' : 'text-gray-600'}`}>{t('cachedImages')}</p>
+                                                    <p className="text-xl font-bold">{cacheStats.images.images} <span className={`text-xs font-normal ${darkMode ? 'text-gray-400' : 'text-gray-600'}`}>{formatBytes(cacheStats.images.bytes)} / {formatBytes(cacheStats.images.maxBytes)}</span></p>
+                                                </div>
+                                            </div>
+                                        )}
+                                        <div className="flex gap-3">
+                                            <button onClick={() => resetCache('rebuild')} className="px-6 py-2 bg-blue-600 hover:bg-blue-700 text-white rounded-lg font-semibold transition">
+                                                {t('rebuildCache')}
+                                            </button>
+                                            <button onClick={() => resetCache('clear')} className="px-6 py-2 bg-red-600 hover:bg-red-700 text-white rounded-lg font-semibold transition">
+                                                {t('clearCache')}
+                                            </button>
+                                        </div>
+                                    </div>
+                                )}
+
+                                {/* Profile Export/Import (Electron only) */}
+                                {window.electronAPI && window.electronAPI.exportProfile && (
+                                    <div className={`p-6 ${darkMode ? 'bg-gray-700' : 'bg-gray-200'} rounded-lg`}>
+                                        <h3 className="text-2xl font-semibold mb-4">💾 {t('profile')}</h3>
+                                        <p className={`mb-4 text-sm ${darkMode ? 'text-gray-400' : 'text-gray-600'}`}>{t('profileHint')}</p>
+                                        <div className="flex gap-3">
+                                            <button onClick={exportProfile} className="px-6 py-2 bg-blue-600 hover:bg-blue-700 text-white rounded-lg font-semibold transition">
+                                                {t('exportProfile')}
+                                            </button>
+                                            <button onClick={importProfile} className={`px-6 py-2 rounded-lg font-semibold transition ${darkMode ? 'bg-gray-600 hover:bg-gray-500' : 'bg-gray-300 hover:bg-gray-400'}`}>
+                                                {t('importProfile')}
+                                            </button>
+                                        </div>
+                                    </div>
+                                )}
+
+                                {/* Tray mode and background checks (Electron only) */}
+                                {backgroundSettings && (
+                                    <div className={`p-6 ${darkMode ? 'bg-gray-700' : 'bg-gray-200'} rounded-lg`}>
+                                        <h3 className="text-2xl font-semibold mb-4">🔔 {t('backgroundChecks')}</h3>
+                                        <p className={`mb-4 text-sm ${darkMode ? 'text-gray-400' : 'text-gray-600'}`}>{t('backgroundChecksHint')}</p>
+                                        <div className="space-y-4">
+                                            <label className="flex items-center gap-3 cursor-pointer">
+                                                <input
+                                                    type="checkbox"
+                                                    checked={backgroundSettings.trayMode}
+                                                    onChange={(e) => updateBackgroundSettings({ trayMode: e.target.checked })}
+                                                    className="w-4 h-4"
+                                                />
+                                                <span>{t('trayMode')}</span>
+                                            </label>
+                                            <p className={`text-sm ${darkMode ? 'text-gray-400' : 'text-gray-600'}`}>{t('trayModeHint')}</p>
+                                            <div>
+                                                <label className="block mb-2 font-semibold">{t('checkInterval')}</label>
+                                                <select
+                                                    value={backgroundSettings.checkInterval}
+                                                    onChange={(e) => updateBackgroundSettings({ checkInterval: parseInt(e.target.value, 10) })}
+                                                    className={`px-3 py-2 rounded ${darkMode ? 'bg-gray-600 text-white' : 'bg-white text-gray-900'}`}
+                                                >
+                                                    {checkIntervals.map(minutes => (
+                                                        <option key={minutes} value={minutes}>
+                                                            {minutes === 0 ? t('checkIntervalOff') : minutes < 60 ? t('everyMinutes', { count: minutes }) : t('everyHours', { count: minutes / 60 })}
+                                                        </option>
+                                                    ))}
+                                                </select>
+                                            </div>
+                                            {[['catalog', 'backgroundCatalog'], ['fixUpdates', 'backgroundFixUpdates'], ['plugin', 'backgroundPlugin']].map(([task, label]) => {
+                                                const result = backgroundStatus && backgroundStatus.results[task];
+                                                return (
+                                                    <div key={task}>
+                                                        <label className="flex items-center gap-3 cursor-pointer">
+                                                            <input
+                                                                type="checkbox"
+                                                                checked={backgroundSettings[task]}
+                                                                onChange={(e) => updateBackgroundSettings({ [task]: e.target.checked })}
+                                                                className="w-4 h-4"
+                                                            />
+                                                            <span>{t(label)}</span>
+                                                        </label>
+                                                        {result && (
+                                                            <p className={`ml-7 text-sm ${result.ok ? (darkMode ? 'text-gray-400' : 'text-gray-600') : 'text-red-500'}`}>
+                                                                {result.ok
+                                                                    ? `${t('lastCheckedAt', { time: new Date(result.at).toLocaleString() })}${result.message ? ` - ${result.message}` : ''}`
+                                                                    : t('backgroundCheckFailed', { error: result.error })}
+                                                            </p>
+                                                        )}
+                                                    </div>
+                                                );
+                                            })}
+                                            <div className="flex flex-wrap items-center gap-3">
+                                                <button onClick={runBackgroundChecks} disabled={runningBackgroundChecks} className="px-6 py-2 bg-blue-600 hover:bg-blue-700 disabled:opacity-50 text-white rounded-lg font-semibold transition">
+                                                    {runningBackgroundChecks ? t('runningBackgroundChecks') : t('runBackgroundChecks')}
+                                                </button>
+                                                {backgroundStatus && backgroundStatus.nextRunAt && (
+                                                    <span className={`text-sm ${darkMode ? 'text-gray-400' : 'text-gray-600'}`}>
+                                                        {t('nextCheckAt', { time: new Date(backgroundStatus.nextRunAt).toLocaleString() })}
+                                                    </span>
+                                                )}
+                                            </div>
+                                        </div>
+                                    </div>
+                                )}
+
+                                {/* Logs and diagnostics bundle (Electron only) */}
+                                {window.electronAPI && window.electronAPI.getLogs && (
+                                    <div className={`p-6 ${darkMode ? 'bg-gray-700' : 'bg-gray-200'} rounded-lg`}>
+                                        <h3 className="text-2xl font-semibold mb-4">📜 {t('logs')}</h3>
+                                        <p className={`mb-4 text-sm ${darkMode ? 'text-gray-400' : 'text-gray-600'}`}>{t('logsHint')}</p>
+                                        <div className="flex flex-wrap gap-3 mb-4">
+                                            <select
+                                                value={logLevel}
+                                                onChange={(e) => setLogLevel(e.target.value)}
+                                                className={`px-3 py-2 rounded ${darkMode ? 'bg-gray-600 text-white' : 'bg-white text-gray-900'}`}
+                                            >
+                                                {LOG_LEVELS.map(level => (
+                                                    <option key={level} value={level}>{t(`logLevel${level[0].toUpperCase()}${level.slice(1)}`)}</option>
+                                                ))}
+                                            </select>
+                                            <input
+                                                type="text"
+                                                value={logFilter}
+                                                onChange={(e) => setLogFilter(e.target.value)}
+                                                placeholder={t('filterLogs')}
+                                                className={`flex-1 min-w-[12rem] px-3 py-2 rounded ${darkMode ? 'bg-gray-600 text-white' : 'bg-white text-gray-900'}`}
+                                            />
+                                            <button onClick={loadLogs} className={`px-4 py-2 rounded font-semibold transition ${darkMode ? 'bg-gray-600 hover:bg-gray-500' : 'bg-gray-300 hover:bg-gray-400'}`}>
+                                                {t('refresh')}
+                                            </button>
+                                            <button onClick={openLogsFolder} className={`px-4 py-2 rounded font-semibold transition ${darkMode ? 'bg-gray-600 hover:bg-gray-500' : 'bg-gray-300 hover:bg-gray-400'}`}>
+                                                {t('openLogsFolder')}
+                                            </button>
+                                        </div>
+                                        <div className={`h-80 overflow-y-auto rounded p-3 font-mono text-xs space-y-1 ${darkMode ? 'bg-gray-900' : 'bg-white'}`}>
+                                            {visibleLogEntries.length === 0 ? (
+                                                <p className={darkMode ? 'text-gray-400' : 'text-gray-600'}>{t('noLogEntries')}</p>
+                                            ) : visibleLogEntries.map((entry, index) => (
+                                                <div key={index} className="flex gap-2">
+                                                    <span className="text-gray-500 flex-shrink-0">{new Date(entry.time).toLocaleString()}</span>
+                                                    <span className={`w-12 flex-shrink-0 font-semibold ${entry.level === 'error' ? 'text-red-500' : entry.level === 'warn' ? 'text-yellow-500' : entry.level === 'debug' ? 'text-gray-500' : 'text-blue-400'}`}>{entry.level.toUpperCase()}</span>
+                                                    <span className="w-16 flex-shrink-0 text-gray-500">{entry.process}</span>
+                                                    <span className="whitespace-pre-wrap break-all">{entry.message}</span>
+                                                </div>
+                                            ))}
+                                        </div>
+                                        <div className="mt-4 flex flex-wrap items-center gap-3">
+                                            <button onClick={saveDiagnosticsBundle} disabled={creatingDiagnostics} className="px-6 py-2 bg-blue-600 hover:bg-blue-700 disabled:opacity-50 text-white rounded-lg font-semibold transition">
+                                                {creatingDiagnostics ? t('creatingDiagnostics') : t('createDiagnostics')}
+                                            </button>
+                                            <p className={`text-sm flex-1 ${darkMode ? 'text-gray-400' : 'text-gray-600'}`}>{t('diagnosticsHint')}</p>
+                                        </div>
+                                    </div>
+                                )}
+
+                                {/* Window Mode Selection (Electron only) */}
+                                {window.electronAPI && (
+                                    <div className={`p-6 ${darkMode ? 'bg-gray-700' : 'bg-gray-200'} rounded-lg`}>
+                                        <h3 className="text-2xl font-semibold mb-4">🖥️ {t('windowMode')}</h3>
+                                        <div className="grid grid-cols-1 md:grid-cols-3 gap-3">
+                                            <button
+                                                onClick={() => setWindowMode('window')}
+                                                className={`p-4 rounded-lg font-semibold transition ${
+                                                    windowMode === 'window'
+                                                        ? 'bg-blue-600 text-white'
+                                                        : darkMode ? 'bg-gray-600 hover:bg-gray-500' : 'bg-gray-300 hover:bg-gray-400'
+                                                }`}
+                                            >
+                                                <div className="text-2xl mb-2">🪟</div>
+                                                {t('windowed')}
+                                            </button>
+                                            <button
+                                                onClick={() => setWindowMode('fullscreen')}
+                                                className={`p-4 rounded-lg font-semibold transition ${
+                                                    windowMode === 'fullscreen'
+                                                        ? 'bg-blue-600 text-white'
+                                                        : darkMode ? 'bg-gray-600 hover:bg-gray-500' : 'bg-gray-300 hover:bg-gray-400'
+                                                }`}
+                                            >
+                                                <div className="text-2xl mb-2">⛶</div>
+                                                {t('fullscreen')}
+                                            </button>
+                                            <button
+                                                onClick={() => setWindowMode('borderless')}
+                                                className={`p-4 rounded-lg font-semibold transition ${
+                                                    windowMode === 'borderless'
+                                                        ? 'bg-blue-600 text-white'
+                                                        : darkMode ? 'bg-gray-600 hover:bg-gray-500' : 'bg-gray-300 hover:bg-gray-400'
+                                                }`}
+                                            >
+                                                <div className="text-2xl mb-2">▭</div>
+                                                {t('borderless')}
+                                            </button>
+                                        </div>
+                                        <div className="mt-4 flex items-center justify-between">
+                                            <p className={`text-sm ${darkMode ? 'text-gray-400' : 'text-gray-600'}`}>
+                                                Having issues? Try restarting the app
+                                            </p>
+                                            {window.electronAPI && window.electronAPI.restartApp && (
+                                                <button
+                                                    onClick={() => window.electronAPI.restartApp()}
+                                                    className="px-4 py-2 bg-orange-600 hover:bg-orange-700 text-white rounded-lg font-semibold transition flex items-center gap-2"
+                                                >
+                                                    <svg width="16" height="16" viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2">
+                                                        <path d="M21.5 2v6h-6M2.5 22v-6h6M2 11.5a10 10 0 0 1 18.8-4.3M22 12.5a10 10 0 0 1-18.8 4.2"/>
+                                                    </svg>
+                                                    Restart App
+                                                </button>
+                                            )}
+                                        </div>
+                                    </div>
+                                )}
+                            </div>
+                        </div>
+                    </div>
+                )}
+
+                {currentView === 'library' && (
+                    <div className="p-8 max-w-5xl mx-auto">
+                        <div className="flex items-center justify-between mb-6">
+                            <h2 className="text-4xl font-bold">{t('installedFixes')}</h2>
+                            <div className="flex gap-2">
+                                {Object.keys(fixUpdates).length > 0 && (
+                                    <button onClick={reinstallUpdatedFixes} disabled={reinstallingFixes} className="px-4 py-2 bg-green-600 hover:bg-green-700 disabled:opacity-50 text-white rounded transition">
+                                        {reinstallingFixes ? t('reinstalling') : `${t('reinstallAllUpdated')} (${Object.keys(fixUpdates).length})`}
+                                    </button>
+                                )}
+                                <button onClick={() => { loadInstalledFixes(); checkFixUpdates(); }} className={`px-4 py-2 ${darkMode ? 'bg-gray-700 hover:bg-gray-600' : 'bg-gray-200 hover:bg-gray-300'} rounded transition`}>
+                                    {t('refresh')}
+                                </button>
+                            </div>
+                        </div>
+
+                        {installedFixes.length === 0 ? (
+                            <p className={darkMode ? 'text-gray-400' : 'text-gray-600'}>{t('noInstalledFixes')}</p>
+                        ) : (
+                            <div className="space-y-4">
+                                {installedFixes.map(fix => {
+                                    const game = games.find(g => g.appID === fix.appID) || { appID: fix.appID, name: fix.name || `Game ${fix.appID}` };
+                                    const bypass = fix.kind === 'bypass' ? bypassGames.find(b => b.appID === fix.appID) : null;
+                                    return (
+                                        <div key={`${fix.kind}-${fix.appID}`} className={`p-5 rounded-lg ${darkMode ? 'bg-gray-800' : 'bg-gray-50'} shadow border-l-4 ${fix.status === 'stale' ? 'border-yellow-500' : fix.status === 'missing' ? 'border-red-500' : fix.status === 'ok' ? 'border-green-500' : darkMode ? 'border-gray-600' : 'border-gray-300'}`}>
+                                            <div className="flex items-start justify-between gap-4">
+                                                <div className="min-w-0">
+                                                    <h3 className="text-xl font-semibold truncate">{game.name} <span className={`text-sm font-normal ${darkMode ? 'text-gray-400' : 'text-gray-500'}`}>({fix.appID})</span>{fix.kind === 'bypass' && <span className="ml-2 px-2 py-0.5 text-xs font-semibold rounded bg-purple-600 text-white align-middle">{t('bypass')}</span>}</h3>
+                                                    <p className={`text-sm font-mono truncate ${darkMode ? 'text-gray-400' : 'text-gray-600'}`} title={fix.targetFolder}>{fix.targetFolder}</p>
+                                                    <p className="text-sm mt-1">{t('appliedOn')} {new Date(fix.installedAt).toLocaleString()}</p>
+                                                    <p className={`text-sm mt-1 ${fix.status === 'stale' ? 'text-yellow-500' : fix.status === 'missing' ? 'text-red-500' : fix.status === 'ok' ? 'text-green-500' : darkMode ? 'text-gray-400' : 'text-gray-600'}`}>
+                                                        {fix.status === 'stale' && `⚠ ${t('fixStale')} (${t('build')} ${fix.installedBuildId} → ${fix.currentBuildId})`}
+                                                        {fix.status === 'missing' && `✗ ${t('fixFolderMissing')}`}
+                                                        {fix.status === 'ok' && `✓ ${t('fixUpToDate')} (${t('build')} ${fix.currentBuildId})`}
+                                                        {fix.status === 'unknown' && t('fixStatusUnknown')}
+                                                    </p>
+                                                    {fix.kind === 'fix' && fixUpdates[fix.appID] && (
+                                                        <p className="text-sm mt-1 text-blue-500">
+                                                            ⬆ {t('fixArchiveUpdated', { date: new Date(fixUpdates[fix.appID].latest.updatedAt).toLocaleString() })}
+                                                        </p>
+                                                    )}
+                                                </div>
+                                                <div className="flex flex-col gap-2 flex-shrink-0">
+                                                    <button onClick={() => (fix.kind === 'bypass' ? handleInstallBypass(bypass, fix.targetFolder) : handleDownload(game, fix.targetFolder))} disabled={fix.status === 'missing' || (fix.kind === 'bypass' && !bypass)} className="px-4 py-2 bg-green-600 hover:bg-green-700 disabled:opacity-50 text-white font-semibold rounded-lg transition">
+                                                        {t('reinstall')}
+                                                    </button>
+                                                    <button onClick={() => window.electronAPI.openInstallFolder(fix.appID, fix.kind)} disabled={fix.status === 'missing'} className={`px-4 py-2 ${darkMode ? 'bg-gray-700 hover:bg-gray-600' : 'bg-gray-200 hover:bg-gray-300'} disabled:opacity-50 font-semibold rounded-lg transition`}>
+                                                        {t('openFolder')}
+                                                    </button>
+                                                    <button onClick={() => handleUninstallFix(game, fix.kind)} className="px-4 py-2 bg-red-600 hover:bg-red-700 text-white font-semibold rounded-lg transition">
+                                                        {t(fix.kind === 'bypass' ? 'uninstallBypass' : 'uninstallFix')}
+                                                    </button>
+                                                </div>
+                                            </div>
+                                        </div>
+                                    );
+                                })}
+                            </div>
+                        )}
+                    </div>
+                )}
+
+                {currentView === 'changelog' && (
+                    <div className="p-8 max-w-5xl mx-auto">
+                        <div className="flex items-center justify-between mb-6">
+                            <h2 className="text-4xl font-bold">{t('catalogChanges')}</h2>
+                            {newGames.length > 0 && (
+                                <button onClick={showNewGames} className="px-4 py-2 bg-green-600 hover:bg-green-700 text-white rounded transition">
+                                    {t('newSinceLastVisit')} ({newGames.length})
+                                </button>
+                            )}
+                        </div>
+
+                        <div className="flex gap-3 mb-6">
+                            <input
+                                type="text"
+                                value={changelogFilter}
+                                onChange={(e) => setChangelogFilter(e.target.value)}
+                                placeholder={t('filterChanges')}
+                                className={`flex-1 px-4 py-2 rounded ${darkMode ? 'bg-gray-800 text-white' : 'bg-white text-gray-900 border border-gray-300'}`}
+                            />
+                            <select
+                                value={changelogKind}
+                                onChange={(e) => setChangelogKind(e.target.value)}
+                                className={`px-4 py-2 rounded ${darkMode ? 'bg-gray-800 text-white' : 'bg-white text-gray-900 border border-gray-300'}`}
+                            >
+                                <option value="all">{t('allChanges')}</option>
+                                <option value="added">{t('gamesAdded')}</option>
+                                <option value="removed">{t('gamesRemoved')}</option>
+                            </select>
+                        </div>
+
+                        {changelogEntries.length === 0 ? (
+                            <p className={darkMode ? 'text-gray-400' : 'text-gray-600'}>{t('noCatalogChanges')}</p>
+                        ) : (
+                            <div className="space-y-4">
+                                {changelogEntries.map(entry => (
+                                    <div key={entry.date} className={`p-5 rounded-lg ${darkMode ? 'bg-gray-800' : 'bg-gray-50'} shadow`}>
+                                        <h3 className="text-lg font-semibold mb-3">{new Date(entry.date).toLocaleString()}</h3>
+                                        {entry.added.length > 0 && (
+                                            <div className="mb-2">
+                                                <p className="text-sm font-semibold text-green-500 mb-1">{t('gamesAdded')} ({entry.added.length})</p>
+                                                <div className="flex flex-wrap gap-2">
+                                                    {entry.added.map(added => {
+                                                        const game = games.find(g => g.appID === added.appID);
+                                                        return (
+                                                            <button
+                                                                key={added.appID}
+                                                                onClick={() => game && handleGameClick(game)}
+                                                                disabled={!game}
+                                                                className={`px-3 py-1 rounded text-sm transition ${darkMode ? 'bg-green-900 text-green-200' : 'bg-green-100 text-green-800'} ${game ? 'hover:opacity-80' : 'cursor-default'}`}
+                                                            >
+                                                                {searchContext.newAppIDs.has(added.appID) && '✨ '}{added.name}
+                                                            </button>
+                                                        );
+                                                    })}
+                                                </div>
+                                            </div>
+                                        )}
+                                        {entry.removed.length > 0 && (
+                                            <div>
+                                                <p className="text-sm font-semibold text-red-500 mb-1">{t('gamesRemoved')} ({entry.removed.length})</p>
+                                                <div className="flex flex-wrap gap-2">
+                                                    {entry.removed.map(removed => (
+                                                        <span key={removed.appID} className={`px-3 py-1 rounded text-sm ${darkMode ? 'bg-red-900 text-red-200' : 'bg-red-100 text-red-800'}`}>
+                                                            {removed.name}
+                                                        </span>
+                                                    ))}
+                                                </div>
+                                            </div>
+                                        )}
+                                    </div>
+                                ))}
+                            </div>
+                        )}
+                    </div>
+                )}
+
+                {currentView === 'contact' && (
+                    <div className="p-8 max-w-4xl mx-auto">
+                        <div className={`${darkMode ? 'bg-gray-800' : 'bg-gray-50'} rounded-lg p-8 shadow-xl`}>
+                            <h2 className="text-4xl font-bold mb-6">{t('contactUs')}</h2>
+                            <div className={`${darkMode ? 'text-gray-300' : 'text-gray-700'} leading-relaxed space-y-4`}>
+                                <p>{t('getInTouch')}</p>
+                                <div className="space-y-4">
+                                    <div className={`flex items-start gap-3 p-3 ${darkMode ? 'bg-gray-700' : 'bg-gray-200'} rounded`}>
+                                        <Mail />
+                                        <div>
+                                            <p className={`font-semibold ${darkMode ? 'text-white' : 'text-gray-900'}`}>{t('email')}</p>
+                                            <a href="mailto:fixitf759@gmail.com" className="text-blue-400 hover:text-blue-300 break-all">fixitf759@gmail.com</a>
+                                        </div>
+                                    </div>
+                                </div>
+                                {window.electronAPI && window.electronAPI.createDiagnosticsBundle && (
+                                    <div className={`p-3 ${darkMode ? 'bg-gray-700' : 'bg-gray-200'} rounded`}>
+                                        <p className="mb-3">{t('contactDiagnosticsHint')}</p>
+                                        <button onClick={saveDiagnosticsBundle} disabled={creatingDiagnostics} className="px-6 py-2 bg-blue-600 hover:bg-blue-700 disabled:opacity-50 text-white rounded-lg font-semibold transition">
+                                            {creatingDiagnostics ? t('creatingDiagnostics') : t('createDiagnostics')}
+                                        </button>
+                                    </div>
+                                )}
+                            </div>
+                        </div>
+                    </div>
+                )}
+
+                {currentView === 'store' && !selectedGame && (
+                    <div className="flex">
+                        <div className="flex-1 p-6">
+                            <div className="mb-6">
+                                {/* Advanced Search Toggle Button - Centered */}
+                                <div className="flex justify-center mb-4">
+                                    <button 
+                                        onClick={() => setShowAdvancedSearch(!showAdvancedSearch)}
+                                        className={`px-6 py-3 rounded-lg transition font-semibold flex items-center gap-2 ${
+                                            showAdvancedSearch 
+                                                ? 'bg-blue-600 hover:bg-blue-700 text-white' 
+                                                : darkMode 
+                                                    ? 'bg-gray-700 hover:bg-gray-600 text-white' 
+                                                    : 'bg-purple-200 hover:bg-purple-300 text-gray-900'
+                                        }`}
+                                    >
+                                        <svg width="20" height="20" viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2">
+                                            <line x1="4" y1="21" x2="4" y2="14"></line>
+                                            <line x1="4" y1="10" x2="4" y2="3"></line>
+                                            <line x1="12" y1="21" x2="12" y2="12"></line>
+                                            <line x1="12" y1="8" x2="12" y2="3"></line>
+                                            <line x1="20" y1="21" x2="20" y2="16"></line>
+                                            <line x1="20" y1="12" x2="20" y2="3"></line>
+                                            <line x1="1" y1="14" x2="7" y2="14"></line>
+                                            <line x1="9" y1="8" x2="15" y2="8"></line>
+                                            <line x1="17" y1="16" x2="23" y2="16"></line>
+                                        </svg>
+                                        {showAdvancedSearch ? t('hideFilters') : t('advancedFilters')}
+                                    </button>
+                                </div>
+                            </div>
+                            
+                            <div className="mb-6">
+                                <input type="text" placeholder={t('search')} value={searchQuery} onChange={(e) => setSearchQuery(e.target.value)} className={`w-full px-4 py-3 ${darkMode ? 'bg-gray-800 text-white border-gray-700' : 'bg-white text-gray-900 border-gray-300'} rounded-lg border focus:border-blue-500 focus:outline-none`} />
+                            </div>
+
+                            {/* View Mode Toggle */}
+                            <div className="mb-6 flex items-center justify-between">
+                                <span className="font-semibold">{t('viewMode')}</span>
+                                <div className="flex gap-2">
+                                    <button
+                                        onClick={() => setViewMode('grid')}
+                                        className={`px-4 py-2 rounded-lg transition flex items-center gap-2 ${viewMode === 'grid' ? 'bg-blue-600 text-white' : darkMode ? 'bg-gray-700 hover:bg-gray-600' : 'bg-gray-200 hover:bg-gray-300'}`}
+                                        title={t('gridView')}
+                                    >
+                                        <svg width="20" height="20" viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2">
+                                            <rect x="3" y="3" width="7" height="7"></rect>
+                                            <rect x="14" y="3" width="7" height="7"></rect>
+                                            <rect x="14" y="14" width="7" height="7"></rect>
+                                            <rect x="3" y="14" width="7" height="7"></rect>
+                                        </svg>
+                                        {t('gridView')}
+                                    </button>
+                                    <button
+                                        onClick={() => setViewMode('list')}
+                                        className={`px-4 py-2 rounded-lg transition flex items-center gap-2 ${viewMode === 'list' ? 'bg-blue-600 text-white' : darkMode ? 'bg-gray-700 hover:bg-gray-600' : 'bg-gray-200 hover:bg-gray-300'}`}
+                                        title={t('listView')}
+                                    >
+                                        <svg width="20" height="20" viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2">
+                                            <line x1="8" y1="6" x2="21" y2="6"></line>
+                                            <line x1="8" y1="12" x2="21" y2="12"></line>
+                                            <line x1="8" y1="18" x2="21" y2="18"></line>
+                                            <line x1="3" y1="6" x2="3.01" y2="6"></line>
+                                            <line x1="3" y1="12" x2="3.01" y2="12"></line>
+                                            <line x1="3" y1="18" x2="3.01" y2="18"></line>
+                                        </svg>
+                                        {t('listView')}
+                                    </button>
+                                    <button 
+                                        onClick={() => setViewMode('card')}
+                                        className={`px-4 py-2 rounded-lg transition flex items-center gap-2 ${viewMode === 'card' ? 'bg-blue-600 text-white' : darkMode ? 'bg-gray-700 hover:bg-gray-600' : 'bg-gray-200 hover:bg-gray-300'}`}
+                                        title="Card View"
+                                    >
+                                        <svg width="20" height="20" viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2">
+                                            <rect x="2" y="3" width="20" height="18" rx="2"></rect>
+                                            <line x1="2" y1="9" x2="22" y2="9"></line>
+                                        </svg>
+                                        Card
+                                    </button>
+                                </div>
+                            </div>
+
+                            {/* Advanced Search Panel */}
+                            {showAdvancedSearch && (
+                                <div className={`mb-6 p-6 rounded-lg ${darkMode ? 'bg-gray-800 border-gray-700' : 'bg-purple-50 border-purple-200'} border-2`}>
+                                    <h3 className="font-bold text-xl mb-4 flex items-center gap-2">
+                                        <svg width="24" height="24" viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2">
+                                            <polygon points="22 3 2 3 10 12.46 10 19 14 21 14 12.46 22 3"></polygon>
+                                        </svg>
+                                        {t('advancedFilters')}
+                                    </h3>
+                                    
+                                    <div className="grid grid-cols-1 md:grid-cols-2 gap-6">
+                                        {/* Rating Filter */}
+                                        <div>
+                                            <label className="block text-sm font-semibold mb-2">⭐ My Rating Range</label>
+                                            <div className="flex gap-2 items-center">
+                                                <input 
+                                                    type="number" 
+                                                    min="0" 
+                                                    max="5" 
+                                                    value={advancedFilters.minRating}
+                                                    onChange={(e) => setAdvancedFilters({...advancedFilters, minRating: parseInt(e.target.value) || 0})}
+                                                    className={`w-20 px-3 py-2 rounded border ${darkMode ? 'bg-gray-700 border-gray-600' : 'bg-white border-gray-300'}`}
+                                                />
+                                                <span className="font-semibold">to</span>
+                                                <input 
+                                                    type="number" 
+                                                    min="0" 
+                                                    max="5" 
+                                                    value={advancedFilters.maxRating}
+                                                    onChange={(e) => setAdvancedFilters({...advancedFilters, maxRating: parseInt(e.target.value) || 5})}
+                                                    className={`w-20 px-3 py-2 rounded border ${darkMode ? 'bg-gray-700 border-gray-600' : 'bg-white border-gray-300'}`}
+                                                />
+                                                <span className="text-sm">stars</span>
+                                            </div>
+                                        </div>
+
+                                        {/* Player Count Filter */}
+                                        <div>
+                                            <label className="block text-sm font-semibold mb-2">🎮 {t('playerCount')}</label>
+                                            <select
+                                                value={advancedFilters.playerCount}
+                                                onChange={(e) => setAdvancedFilters({...advancedFilters, playerCount: e.target.value})}
+                                                className={`w-full px-3 py-2 rounded border ${darkMode ? 'bg-gray-700 border-gray-600' : 'bg-white border-gray-300'}`}
+                                            >
+                                                <option value="">{t('anyPlayerCount')}</option>
+                                                <option value="2">{t('twoPlayers')}</option>
+                                                <option value="4">{t('fourPlayers')}</option>
+                                                <option value=">=6">{t('sixPlusPlayers')}</option>
+                                            </select>
+                                        </div>
+                                    </div>
+
+                                    <div className="mt-6 flex flex-wrap gap-4">
+                                        <label className={`flex items-center gap-2 cursor-pointer px-4 py-2 rounded-lg transition ${advancedFilters.hasCoopCampaign ? 'bg-green-600 text-white' : darkMode ? 'bg-gray-700 hover:bg-gray-600' : 'bg-white hover:bg-gray-100'}`}>
+                                            <input 
+                                                type="checkbox"
+                                                checked={advancedFilters.hasCoopCampaign}
+                                                onChange={(e) => setAdvancedFilters({...advancedFilters, hasCoopCampaign: e.target.checked})}
+                                                className="w-4 h-4"
+                                            />
+                                            <span className="text-sm font-semibold">📖 {t('hasCoopCampaign')}</span>
+                                        </label>
+
+                                        <label className={`flex items-center gap-2 cursor-pointer px-4 py-2 rounded-lg transition ${advancedFilters.onlineOnly ? 'bg-blue-600 text-white' : darkMode ? 'bg-gray-700 hover:bg-gray-600' : 'bg-white hover:bg-gray-100'}`}>
+                                            <input
+                                                type="checkbox"
+                                                checked={advancedFilters.onlineOnly}
+                                                onChange={(e) => setAdvancedFilters({...advancedFilters, onlineOnly: e.target.checked})}
+                                                className="w-4 h-4"
+                                            />
+                                            <span className="text-sm font-semibold">🌐 {t('hasOnlineCoop')}</span>
+                                        </label>
+
+                                        <label className={`flex items-center gap-2 cursor-pointer px-4 py-2 rounded-lg transition ${advancedFilters.localOnly ? 'bg-purple-600 text-white' : darkMode ? 'bg-gray-700 hover:bg-gray-600' : 'bg-white hover:bg-gray-100'}`}>
+                                            <input
+                                                type="checkbox"
+                                                checked={advancedFilters.localOnly}
+                                                onChange={(e) => setAdvancedFilters({...advancedFilters, localOnly: e.target.checked})}
+                                                className="w-4 h-4"
+                                            />
+                                            <span className="text-sm font-semibold">🎮 {t('hasLocalCoop')}</span>
+                                        </label>
+                                    </div>
+
+                                    {/* The query these filters make, to copy or save */}
+                                    <div className="mt-6">
+                                        <label className="block text-sm font-semibold mb-2">🔎 {t('searchQuery')}</label>
+                                        <div className="flex gap-2 items-center">
+                                            <code className={`flex-1 px-3 py-2 rounded border text-sm break-all ${darkMode ? 'bg-gray-900 border-gray-600' : 'bg-white border-gray-300'}`}>
+                                                {searchQuery.trim() || t('searchQueryEmpty')}
+                                            </code>
+                                            <button
+                                                onClick={() => setSavedSearches(prev => [searchQuery.trim(), ...prev.filter(q => q !== searchQuery.trim())].slice(0, 50))}
+                                                disabled={!searchQuery.trim()}
+                                                className="px-4 py-2 rounded-lg font-semibold transition bg-blue-600 hover:bg-blue-700 text-white disabled:opacity-50 disabled:cursor-not-allowed"
+                                            >
+                                                {t('saveSearch')}
+                                            </button>
+                                        </div>
+                                        <p className={`mt-2 text-xs ${darkMode ? 'text-gray-400' : 'text-gray-600'}`}>{t('searchSyntaxHint')}</p>
+                                    </div>
+
+                                    {savedSearches.length > 0 && (
+                                        <div className="mt-4">
+                                            <label className="block text-sm font-semibold mb-2">{t('savedSearches')}</label>
+                                            <div className="flex flex-wrap gap-2">
+                                                {savedSearches.map(query => (
+                                                    <span key={query} className={`inline-flex items-center gap-2 px-3 py-1 rounded-full text-sm ${query === searchQuery.trim() ? 'bg-blue-600 text-white' : darkMode ? 'bg-gray-700' : 'bg-white border border-gray-300'}`}>
+                                                        <button onClick={() => setSearchQuery(query)} className="font-mono">{query}</button>
+                                                        <button onClick={() => setSavedSearches(prev => prev.filter(q => q !== query))} className="hover:text-red-400" title={t('deleteSavedSearch')}>✕</button>
+                                                    </span>
+                                                ))}
+                                            </div>
+                                        </div>
+                                    )}
+
+                                    <button 
+                                        onClick={() => setAdvancedFilters({minRating: 0, maxRating: 5, playerCount: '', hasCoopCampaign: false, onlineOnly: false, localOnly: false})}
+                                        className={`mt-6 px-6 py-2 rounded-lg font-semibold transition ${darkMode ? 'bg-red-600 hover:bg-red-700' : 'bg-red-500 hover:bg-red-600'} text-white`}
+                                    >
+                                        ✕ Clear All Filters
+                                    </button>
+                                </div>
+                            )}
+
+                            {filteredGames.length === 0 ? (
+                                <div className="text-center py-12">
+                                    <p className={`${darkMode ? 'text-gray-400' : 'text-gray-600'} text-lg`}>No games found</p>
+                                </div>
+                            ) : (
+                                <>
+                                    {/* Grid View (Default) */}
+                                    {viewMode === 'grid' && (
+                                        <div className="grid grid-cols-6 gap-3 mb-8" style={{ gridAutoRows: 'auto' }}>
+                                            {currentGames.map(game => (
+                                                <div key={game.id} className={`game-card ${darkMode ? 'bg-gray-800' : ''} rounded-lg overflow-hidden cursor-pointer hover:transform hover:scale-105 transition relative`} style={{ boxShadow: '0 8px 25px rgba(0, 0, 0, 0.8), 0 4px 10px rgba(0, 0, 0, 0.6), 0 0 0 1px rgba(255, 255, 255, 0.1)', transition: 'all 0.3s ease' }} onMouseEnter={(e) => e.currentTarget.style.boxShadow = '0 15px 40px rgba(139, 92, 246, 0.6), 0 8px 20px rgba(0, 0, 0, 0.8), 0 0 0 1px rgba(139, 92, 246, 0.3)'} onMouseLeave={(e) => e.currentTarget.style.boxShadow = '0 8px 25px rgba(0, 0, 0, 0.8), 0 4px 10px rgba(0, 0, 0, 0.6), 0 0 0 1px rgba(255, 255, 255, 0.1)'}>
+                                                    <div onClick={() => handleGameClick(game)} className="aspect-square bg-gradient-to-br from-blue-600 to-purple-600 flex items-center justify-center relative overflow-hidden">
+                                                        {game.headerImage ? (
+                                                            <img src={cachedImageUrl(game.headerImage)} alt={game.name} loading="lazy" className="absolute inset-0 w-full h-full object-cover" />
+                                                        ) : (
+                                                            <span className="text-center font-semibold text-xs leading-tight z-10 p-2 text-white">{game.name}</span>
+                                                        )}
+                                                        {downloadHistory.some(d => d.appID === game.appID) && (
+                                                            <div className="absolute top-1 right-1 bg-green-600 text-white text-xs px-2 py-1 rounded">✓</div>
+                                                        )}
+                                                        {isGameCached(game.appID) && !downloadHistory.some(d => d.appID === game.appID) && (
+                                                            <div className="absolute top-1 right-1 bg-blue-600 text-white text-xs px-2 py-1 rounded">💾</div>
+                                                        )}
+                                                        {selectedTag === 'DOWNLOADED_FILTER' && (
+                                                            <button 
+                                                                onClick={(e) => { e.stopPropagation(); removeFromDownloads(game.appID); }} 
+                                                                className="absolute top-1 left-1 bg-red-600 hover:bg-red-700 text-white text-xs px-2 py-1 rounded z-10"
+                                                                title="Remove from downloads"
+                                                            >
+                                                                ✕
+                                                            </button>
+                                                        )}
+                                                    </div>
+                                                    <div className="p-2">
+                                                        <div className="flex items-center justify-between mb-1">
+                                                            <p className={`text-xs ${darkMode ? 'text-white' : 'text-gray-900'} font-semibold truncate flex-1`} title={game.name}>
+                                                                {!game.name.startsWith('Game ') ? game.name : ''}
+                                                            </p>
+                                                            <button onClick={(e) => { e.stopPropagation(); toggleFavorite(game.appID); }} className="text-pink-500 hover:text-pink-600">
+                                                                <Heart filled={favorites.includes(game.appID)} />
+                                                            </button>
+                                                        </div>
+                                                        <p className={`text-xs ${darkMode ? 'text-gray-400' : 'text-gray-600'}`}>ID: {game.appID}</p>
+                                                        <div className="mt-1">{renderFixBadge(game.appID, 'inline-block text-xs px-1.5 py-0.5')}</div>
+                                                        {game.metacritic && game.metacritic.score && (
+                                                            <div className="mt-1 flex items-center gap-1">
+                                                                <span className="text-xs font-bold px-1.5 py-0.5 rounded" style={{backgroundColor: game.metacritic.score >= 75 ? '#66cc33' : game.metacritic.score >= 50 ? '#ffcc33' : '#ff6666', color: 'white'}}>
+                                                                    {game.metacritic.score}
+                                                                </span>
+                                                                <span className={`text-xs ${darkMode ? 'text-gray-400' : 'text-gray-600'}`}>MC</span>
+                                                            </div>
+                                                        )}
+                                                        {ratings[game.appID] && (
+                                                            <div className="flex gap-0.5 mt-1">
+                                                                {[1, 2, 3, 4, 5].map(star => (
+                                                                    <Star key={star} filled={star <= ratings[game.appID]} />
+                                                                ))}
+                                                            </div>
+                                                        )}
+                                                    </div>
+                                                </div>
+                                            ))}
+                                        </div>
+                                    )}
+
+                                    {/* List View */}
+                                    {viewMode === 'list' && (
+                                        <div className="space-y-2 mb-8">
+                                            {currentGames.map(game => (
+                                                <div key={game.id} onClick={() => handleGameClick(game)} className={`game-card ${darkMode ? 'bg-gray-800' : ''} rounded-lg overflow-hidden cursor-pointer hover:bg-opacity-80 transition flex items-center p-3 gap-4`} style={{ boxShadow: '0 8px 25px rgba(0, 0, 0, 0.8), 0 4px 10px rgba(0, 0, 0, 0.6), 0 0 0 1px rgba(255, 255, 255, 0.1)', transition: 'all 0.3s ease' }} onMouseEnter={(e) => e.currentTarget.style.boxShadow = '0 15px 40px rgba(139, 92, 246, 0.6), 0 8px 20px rgba(0, 0, 0, 0.8), 0 0 0 1px rgba(139, 92, 246, 0.3)'} onMouseLeave={(e) => e.currentTarget.style.boxShadow = '0 8px 25px rgba(0, 0, 0, 0.8), 0 4px 10px rgba(0, 0, 0, 0.6), 0 0 0 1px rgba(255, 255, 255, 0.1)'}>
+                                                    <div className="w-24 h-24 bg-gradient-to-br from-blue-600 to-purple-600 flex items-center justify-center relative overflow-hidden rounded flex-shrink-0">
+                                                        {game.headerImage ? (
+                                                            <img src={cachedImageUrl(game.headerImage)} alt={game.name} loading="lazy" className="w-full h-full object-cover" />
+                                                        ) : (
+                                                            <span className="text-center font-semibold text-xs text-white p-1">{game.name}</span>
+                                                        )}
+                                                    </div>
+                                                    <div className="flex-1">
+                                                        <h3 className={`font-bold text-lg ${darkMode ? 'text-white' : 'text-gray-900'}`}>{!game.name.startsWith('Game ') ? game.name : `Game ${game.appID}`}</h3>
+                                                        <p className={`text-sm ${darkMode ? 'text-gray-400' : 'text-gray-600'}`}>App ID: {game.appID}</p>
+                                                        <div className="flex items-center gap-3 mt-1">
+                                                            {game.metacritic && game.metacritic.score && (
+                                                                <div className="flex items-center gap-1">
+                                                                    <span className="text-sm font-bold px-2 py-1 rounded" style={{backgroundColor: game.metacritic.score >= 75 ? '#66cc33' : game.metacritic.score >= 50 ? '#ffcc33' : '#ff6666', color: 'white'}}>
+                                                                        {game.metacritic.score}
+                                                                    </span>
+                                                                    <span className={`text-sm ${darkMode ? 'text-gray-400' : 'text-gray-600'}`}>Metacritic</span>
+                                                                </div>
+                                                            )}
+                                                            {ratings[game.appID] && (
+                                                                <div className="flex gap-1">
+                                                                    {[1, 2, 3, 4, 5].map(star => (
+                                                                        <Star key={star} filled={star <= ratings[game.appID]} />
+                                                                    ))}
+                                                                </div>
+                                                            )}
+                                                        </div>
+                                                    </div>
+                                                    <div className="flex items-center gap-2">
+                                                        {renderFixBadge(game.appID, 'text-xs px-3 py-1')}
+                                                        {downloadHistory.some(d => d.appID === game.appID) && (
+                                                            <div className="bg-green-600 text-white text-xs px-3 py-1 rounded">Downloaded</div>
+                                                        )}
+                                                        {isGameCached(game.appID) && (
+                                                            <div className="bg-blue-600 text-white text-xs px-3 py-1 rounded">💾 Cached</div>
+                                                        )}
+                                                        <button onClick={(e) => { e.stopPropagation(); toggleFavorite(game.appID); }} className="text-pink-500 hover:text-pink-600 p-2">
+                                                            <Heart filled={favorites.includes(game.appID)} />
+                                                        </button>
+                                                    </div>
+                                                </div>
+                                            ))}
+                                        </div>
+                                    )}
+
+                                    {/* Card View */}
+                                    {viewMode === 'card' && (
+                                        <div className="grid grid-cols-3 gap-6 mb-8">
+                                            {currentGames.map(game => (
+                                                <div key={game.id} onClick={() => handleGameClick(game)} className={`game-card ${darkMode ? 'bg-gray-800' : ''} rounded-lg overflow-hidden cursor-pointer hover:transform hover:scale-105 transition`} style={{ boxShadow: '0 8px 25px rgba(0, 0, 0, 0.8), 0 4px 10px rgba(0, 0, 0, 0.6), 0 0 0 1px rgba(255, 255, 255, 0.1)', transition: 'all 0.3s ease' }} onMouseEnter={(e) => e.currentTarget.style.boxShadow = '0 15px 40px rgba(139, 92, 246, 0.6), 0 8px 20px rgba(0, 0, 0, 0.8), 0 0 0 1px rgba(139, 92, 246, 0.3)'} onMouseLeave={(e) => e.currentTarget.style.boxShadow = '0 8px 25px rgba(0, 0, 0, 0.8), 0 4px 10px rgba(0, 0, 0, 0.6), 0 0 0 1px rgba(255, 255, 255, 0.1)'}>
+                                                    <div className="h-48 bg-gradient-to-br from-blue-600 to-purple-600 flex items-center justify-center relative overflow-hidden">
+                                                        {game.headerImage ? (
+                                                            <img src={cachedImageUrl(game.headerImage)} alt={game.name} loading="lazy" className="w-full h-full object-cover" />
+                                                        ) : (
+                                                            <span className="text-center font-semibold text-sm text-white p-4">{game.name}</span>
+                                                        )}
+                                                        {downloadHistory.some(d => d.appID === game.appID) && (
+                                                            <div className="absolute top-2 right-2 bg-green-600 text-white text-xs px-3 py-1 rounded">✓ Downloaded</div>
+                                                        )}
+                                                        {isGameCached(game.appID) && !downloadHistory.some(d => d.appID === game.appID) && (
+                                                            <div className="absolute top-2 right-2 bg-blue-600 text-white text-xs px-3 py-1 rounded">💾 Cached</div>
+                                                        )}
+                                                    </div>
+                                                    <div className="p-4">
+                                                        <div className="flex items-start justify-between mb-2">
+                                                            <h3 className={`font-bold text-base ${darkMode ? 'text-white' : 'text-gray-900'} flex-1`}>{!game.name.startsWith('Game ') ? game.name : `Game ${game.appID}`}</h3>
+                                                            <button onClick={(e) => { e.stopPropagation(); toggleFavorite(game.appID); }} className="text-pink-500 hover:text-pink-600 ml-2">
+                                                                <Heart filled={favorites.includes(game.appID)} />
+                                                            </button>
+                                                        </div>
+                                                        <p className={`text-sm ${darkMode ? 'text-gray-400' : 'text-gray-600'} mb-2`}>App ID: {game.appID}</p>
+                                                        <div className="mb-2">{renderFixBadge(game.appID, 'inline-block text-xs px-2 py-1')}</div>
+
+                                                        {/* Metacritic Score */}
+                                                        {game.metacritic && game.metacritic.score && (
+                                                            <div className="mb-2 flex items-center gap-2">
+                                                                <span className="text-sm font-bold px-2 py-1 rounded" style={{backgroundColor: game.metacritic.score >= 75 ? '#66cc33' : game.metacritic.score >= 50 ? '#ffcc33' : '#ff6666', color: 'white'}}>
+                                                                    {game.metacritic.score}
+                                                                </span>
+                                                                <span className={`text-sm font-semibold ${darkMode ? 'text-gray-400' : 'text-gray-600'}`}>Metacritic Score</span>
+                                                            </div>
+                                                        )}
+
+                                                        {/* Co-Op Info */}
+                                                        {game.coopData && (
+                                                            <div className="mb-2 flex flex-wrap gap-1">
+                                                                {game.coopData.maxPlayers && (
+                                                                    <span className={`text-xs px-2 py-1 rounded ${darkMode ? 'bg-orange-600' : 'bg-orange-500'} text-white font-semibold`}>
+                                                                        🎮 {game.coopData.maxPlayers} Players
+                                                                    </span>
+                                                                )}
+                                                                {game.coopData.onlineCoop && (
+                                                                    <span className={`text-xs px-2 py-1 rounded ${darkMode ? 'bg-blue-600' : 'bg-blue-500'} text-white`}>
+                                                                        🌐 Online
+                                                                    </span>
+                                                                )}
+                                                                {(game.coopData.localCoop || game.hasSplitScreen) && (
+                                                                    <span className={`text-xs px-2 py-1 rounded ${darkMode ? 'bg-purple-600' : 'bg-purple-500'} text-white`}>
+                                                                        🎮 Local
+                                                                    </span>
+                                                                )}
+                                                            </div>
+                                                        )}
+
+                                                        {ratings[game.appID] && (
+                                                            <div className="flex gap-1">
+                                                                {[1, 2, 3, 4, 5].map(star => (
+                                                                    <Star key={star} filled={star <= ratings[game.appID]} />
+                                                                ))}
+                                                            </div>
+                                                        )}
+                                                    </div>
+                                                </div>
+                                            ))}
+                                        </div>
+                                    )}
+
+                                    <div className="flex flex-col items-center gap-4">
+                                        <div className="flex items-center gap-2">
+                                            <button onClick={() => setCurrentPage(1)} disabled={currentPage === 1} className={`px-3 py-2 ${darkMode ? 'bg-gray-700 hover:bg-gray-600' : 'bg-gray-200 hover:bg-gray-300'} disabled:opacity-50 rounded transition text-sm`}>{t('first')}</button>
+                                            <button onClick={() => setCurrentPage(p => Math.max(1, p - 1))} disabled={currentPage === 1} className={`flex items-center gap-2 px-4 py-2 ${darkMode ? 'bg-gray-700 hover:bg-gray-600' : 'bg-gray-200 hover:bg-gray-300'} disabled:opacity-50 rounded transition`}><ChevronLeft /> {t('previous')}</button>
+                                            <div className="flex gap-1">
+                                                {getPageNumbers().map(pageNum => (
+                                                    <button key={pageNum} onClick={() => setCurrentPage(pageNum)} className={`px-3 py-2 rounded transition ${currentPage === pageNum ? 'bg-blue-600 text-white' : darkMode ? 'bg-gray-700 hover:bg-gray-600 text-gray-300' : 'bg-gray-200 hover:bg-gray-300 text-gray-700'}`}>{pageNum}</button>
+                                                ))}
+                                            </div>
+                                            <button onClick={() => setCurrentPage(p => Math.min(totalPages, p + 1))} disabled={currentPage === totalPages} className={`flex items-center gap-2 px-4 py-2 ${darkMode ? 'bg-gray-700 hover:bg-gray-600' : 'bg-gray-200 hover:bg-gray-300'} disabled:opacity-50 rounded transition`}>{t('next')} <ChevronRight /></button>
+                                            <button onClick={() => setCurrentPage(totalPages)} disabled={currentPage === totalPages} className={`px-3 py-2 ${darkMode ? 'bg-gray-700 hover:bg-gray-600' : 'bg-gray-200 hover:bg-gray-300'} disabled:opacity-50 rounded transition text-sm`}>{t('last')}</button>
+                                        </div>
+                                        <span className={`${darkMode ? 'text-gray-300' : 'text-gray-700'} text-sm`}>{t('page')} {currentPage} {t('pageOf')} {totalPages} ({filteredGames.length} {t('games')})</span>
+                                    </div>
+                                </>
+                            )}
+                        </div>
+
+                        <div className="relative">
+                            {rightSidebarOpen && (
+                                <button onClick={() => setRightSidebarOpen(false)} className={`absolute top-4 -left-12 z-50 ${darkMode ? 'bg-gray-700 hover:bg-gray-600' : 'bg-gray-200 hover:bg-gray-300'} p-2 rounded transition`}><ChevronRight /></button>
+                            )}
+                            
+                            {rightSidebarOpen && (
+                                <div className={`w-72 ${darkMode ? 'bg-gray-800 border-gray-700' : 'bg-gray-50 border-gray-200'} border-l p-6 overflow-y-auto custom-scrollbar rounded-l-3xl`} style={{ maxHeight: '100vh', paddingBottom: '2rem' }}>
+                                    
+                                    {/* Active Filters Display */}
+                                    {(selectedTag || selectedGenre) && (
+                                        <div className={`mb-6 p-4 rounded-lg ${darkMode ? 'bg-gray-700' : 'bg-purple-100'} border-2 ${darkMode ? 'border-gray-600' : 'border-purple-300'}`}>
+                                            <div className="flex items-center justify-between mb-2">
+                                                <h3 className="font-bold text-sm">{t('activeFilters')}</h3>
+                                                <button
+                                                    onClick={() => { setSelectedTag(null); setSelectedGenre(null); }}
+                                                    className={`px-3 py-1 rounded text-xs font-semibold ${darkMode ? 'bg-red-600 hover:bg-red-700' : 'bg-red-500 hover:bg-red-600'} text-white transition`}
+                                                >
+                                                    {t('clearAll')}
+                                                </button>
+                                            </div>
+                                            {selectedTag && selectedTag !== 'LATEST_GAMES_FILTER' && selectedTag !== 'FAVORITES_FILTER' && selectedTag !== 'DOWNLOADED_FILTER' && selectedTag !== 'NEW_GAMES_FILTER' && (
+                                                <div className="flex items-center gap-2 mb-1">
+                                                    <span className="text-xs">Tag:</span>
+                                                    <span className="px-2 py-1 bg-cyan-600 text-white rounded text-xs">{selectedTag}</span>
+                                                    <button onClick={() => setSelectedTag(null)} className="text-red-500 hover:text-red-600 font-bold">✕</button>
+                                                </div>
+                                            )}
+                                            {selectedTag === 'LATEST_GAMES_FILTER' && (
+                                                <div className="flex items-center gap-2 mb-1">
+                                                    <span className="px-2 py-1 bg-purple-600 text-white rounded text-xs">Latest 18 Games</span>
+                                                    <button onClick={() => setSelectedTag(null)} className="text-red-500 hover:text-red-600 font-bold">✕</button>
+                                                </div>
+                                            )}
+                                            {selectedGenre && (
+                                                <div className="flex items-center gap-2">
+                                                    <span className="text-xs">Genre:</span>
+                                                    <span className="px-2 py-1 bg-blue-600 text-white rounded text-xs">{selectedGenre}</span>
+                                                    <button onClick={() => setSelectedGenre(null)} className="text-red-500 hover:text-red-600 font-bold">✕</button>
+                                                </div>
+                                            )}
+                                        </div>
+                                    )}
+
+                                    {/* Player Count Filter - RIGHT SIDEBAR */}
+                                    <div className="mb-6">
+                                        <label className={`text-xl font-bold mb-4 block`}>🎮 {t('playerCount')}</label>
+                                        <select
+                                            value={advancedFilters.playerCount}
+                                            onChange={(e) => setAdvancedFilters({...advancedFilters, playerCount: e.target.value})}
+                                            className={`w-full px-4 py-2 rounded border ${darkMode ? 'bg-gray-700 border-gray-600 text-white' : 'bg-white border-gray-300 text-gray-900'}`}
+                                        >
+                                            <option value="">{t('anyPlayerCount')}</option>
+                                            <option value="2">{t('twoPlayers')}</option>
+                                            <option value="4">{t('fourPlayers')}</option>
+                                            <option value=">=6">{t('sixPlusPlayers')}</option>
+                                        </select>
+                                    </div>
+
+                                    <details className="mb-6">
+                                        <summary className={`text-xl font-bold mb-4 cursor-pointer ${darkMode ? 'hover:text-blue-400' : 'hover:text-blue-600'} transition pr-6`}>🏷️ Browse by Tags (Multi-select)</summary>
+                                        {selectedTags.length > 0 && (
+                                            <div className="mb-2 flex flex-wrap gap-2">
+                                                {selectedTags.map(tag => (
+                                                    <span key={tag} style={{backgroundColor: 'var(--accent-primary)'}} className="text-white text-xs px-2 py-1 rounded flex items-center gap-1">
+                                                        {tag}
+                                                        <button onClick={() => setSelectedTags(prev => prev.filter(t => t !== tag))} className="hover:text-red-300">✕</button>
+                                                    </span>
+                                                ))}
+                                                <button onClick={() => setSelectedTags([])} className="text-xs text-red-500 hover:text-red-700">Clear All</button>
+                                            </div>
+                                        )}
+                                        <div className="mt-4 space-y-2" style={{ maxHeight: '400px', overflowY: 'auto', paddingRight: '8px' }}>
+                                            {allTags.length === 0 ? (
+                                                <p className={`${darkMode ? 'text-gray-400' : 'text-gray-600'} text-sm`}>Loading tags...</p>
+                                            ) : (
+                                                allTags.map((tag, idx) => (
+                                                    <button
+                                                        key={idx}
+                                                        onClick={() => {
+                                                            setSelectedTag(null);
+                                                            setSelectedTags(prev =>
+                                                                prev.includes(tag.name)
+                                                                    ? prev.filter(t => t !== tag.name)
+                                                                    : [...prev, tag.name]
+                                                            );
+                                                        }}
+                                                        className={`w-full text-left px-3 py-2 rounded transition text-sm ${selectedTags.includes(tag.name) ? 'bg-cyan-600 text-white' : darkMode ? 'bg-gray-700 hover:bg-gray-600 text-gray-300' : 'bg-gray-200 hover:bg-gray-300 text-gray-700'}`}
+                                                    >
+                                                        {selectedTags.includes(tag.name) && '✓ '}{tag.name}
+                                                    </button>
+                                                ))
+                                            )}
+                                        </div>
+                                    </details>
+
+                                    <details className="mb-6">
+                                        <summary className={`text-xl font-bold mb-4 cursor-pointer ${darkMode ? 'hover:text-blue-400' : 'hover:text-blue-600'} transition pr-6`}>🎭 Browse by Genres (Multi-select)</summary>
+                                        {selectedGenres.length > 0 && (
+                                            <div className="mb-2 flex flex-wrap gap-2">
+                                                {selectedGenres.map(genre => (
+                                                    <span key={genre} style={{backgroundColor: 'var(--accent-secondary)'}} className="text-white text-xs px-2 py-1 rounded flex items-center gap-1">
+                                                        {genre}
+                                                        <button onClick={() => setSelectedGenres(prev => prev.filter(g => g !== genre))} className="hover:text-red-300">✕</button>
+                                                    </span>
+                                                ))}
+                                                <button onClick={() => setSelectedGenres([])} className="text-xs text-red-500 hover:text-red-700">Clear All</button>
+                                            </div>
+                                        )}
+                                        <div className="mt-4 space-y-2" style={{ maxHeight: '400px', overflowY: 'auto', paddingRight: '8px' }}>
+                                            {allGenres.length === 0 ? (
+                                                <p className={`${darkMode ? 'text-gray-400' : 'text-gray-600'} text-sm`}>Loading genres...</p>
+                                            ) : (
+                                                allGenres.map((genre, idx) => (
+                                                    <button
+                                                        key={idx}
+                                                        onClick={() => {
+                                                            setSelectedGenre(null);
+                                                            setSelectedGenres(prev =>
+                                                                prev.includes(genre.description)
+                                                                    ? prev.filter(g => g !== genre.description)
+                                                                    : [...prev, genre.description]
+                                                            );
+                                                        }}
+                                                        className={`w-full text-left px-3 py-2 rounded transition text-sm ${selectedGenres.includes(genre.description) ? 'bg-blue-600 text-white' : darkMode ? 'bg-gray-700 hover:bg-gray-600 text-gray-300' : 'bg-gray-200 hover:bg-gray-300 text-gray-700'}`}
+                                                    >
+                                                        {selectedGenres.includes(genre.description) && '✓ '}{genre.description}
+                                                    </button>
+                                                ))
+                                            )}
+                                        </div>
+                                    </details>
+
+                                    {/* New Games Section */}
+                                    {newGames.length > 0 && (
+                                        <div className={`mb-6 p-4 rounded-xl ${darkMode ? 'bg-gradient-to-br from-green-600 to-green-700' : 'bg-gradient-to-br from-green-500 to-green-600'} cursor-pointer hover:opacity-90 transition`}
+                                            onClick={showNewGames}
+                                        >
+                                            <div className="flex items-center justify-between mb-2">
+                                                <h3 className="text-xl font-bold text-white flex items-center gap-2">
+                                                    ✨ {t('newSinceLastVisit')}
+                                                </h3>
+                                                {selectedTag === 'NEW_GAMES_FILTER' && (
+                                                    <span className="text-white text-xs bg-white bg-opacity-20 px-2 py-1 rounded">Active</span>
+                                                )}
+                                            </div>
+                                            <p className="text-white text-sm opacity-90">
+                                                {newGames.slice(0, 3).map(game => game.name).join(', ')}
+                                                {newGames.length > 3 && ` ${t('andMoreGames', { count: newGames.length - 3 })}`}
+                                            </p>
+                                            <p className="text-white text-xs opacity-75 mt-1">
+                                                {t('clickToViewNewGames')}
+                                            </p>
+                                        </div>
+                                    )}
+
+                                    {/* Sort Options */}
+                                    <details className="mb-6">
+                                        <summary className={`text-xl font-bold mb-4 cursor-pointer ${darkMode ? 'hover:text-blue-400' : 'hover:text-blue-600'} transition pr-6`}>Sort Options</summary>
+                                        <div className="mt-4">
+                                            <label className="block text-sm font-semibold mb-2 flex items-center gap-2">
+                                                <svg width="18" height="18" viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2">
+                                                    <line x1="4" y1="6" x2="16" y2="6"></line>
+                                                    <line x1="4" y1="12" x2="13" y2="12"></line>
+                                                    <line x1="4" y1="18" x2="10" y2="18"></line>
+                                                    <polyline points="18 14 18 20 20 18"></polyline>
+                                                    <polyline points="18 14 16 16"></polyline>
+                                                </svg>
+                                                Sort by:
+                                            </label>
+                                            <select 
+                                                value={sortBy}
+                                                onChange={(e) => setSortBy(e.target.value)}
+                                                className={`w-full px-3 py-2 rounded-lg border text-sm font-semibold ${darkMode ? 'bg-gray-700 border-gray-600 hover:bg-gray-600' : 'bg-white border-gray-300 hover:bg-gray-50'} focus:border-blue-500 focus:outline-none cursor-pointer transition`}
+                                            >
+                                                <option value="default">Default</option>
+                                                <option value="name-asc">Name (A → Z)</option>
+                                                <option value="name-desc">Name (Z → A)</option>
+                                                <option value="rating-high">⭐ Rating (High)</option>
+                                                <option value="rating-low">⭐ Rating (Low)</option>
+                                                <option value="recent-download">📥 Recent Downloads</option>
+                                                <option value="favorited">❤️ Favorites First</option>
+                                                <option value="appid-asc">ID (Low → High)</option>
+                                                <option value="appid-desc">ID (High → Low)</option>
+                                            </select>
+                                        </div>
+                                    </details>
+
+                                    {/* Useful Apps & Plugins Section */}
+                                    <details className="mb-6">
+                                        <summary className={`text-xl font-bold mb-4 cursor-pointer ${darkMode ? 'hover:text-purple-400' : 'hover:text-purple-600'} transition pr-6`}>🛠️ Useful Apps & Plugins</summary>
+                                        <div className="space-y-3">
+                                            {usefulApps.map(app => (
+                                                <div
+                                                    key={app.id}
+                                                    onClick={() => setSelectedPlugin(app)}
+                                                    className={`p-3 rounded-lg cursor-pointer transition ${darkMode ? 'bg-gray-700 hover:bg-gray-600' : 'bg-white hover:bg-gray-100'} border ${darkMode ? 'border-gray-600' : 'border-gray-300'}`}
+                                                >
+                                                    <div className="flex items-center justify-between">
+                                                        <div>
+                                                            <div className="font-semibold text-sm">{app.name}</div>
+                                                            <div className="text-xs text-gray-400">{app.type === 'plugin' ? '🔌 Plugin' : '💻 App'}</div>
+                                                        </div>
+                                                        <svg className="w-4 h-4 text-purple-500" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+                                                            <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M9 5l7 7-7 7" />
+                                                        </svg>
+                                                    </div>
+                                                </div>
+                                            ))}
+                                        </div>
+                                    </details>
+                                </div>
+                            )}
+                            
+                            {!rightSidebarOpen && (
+                                <button onClick={() => setRightSidebarOpen(true)} className={`fixed top-4 right-4 z-50 ${darkMode ? 'bg-gray-700 hover:bg-gray-600' : 'bg-gray-200 hover:bg-gray-300'} p-2 rounded transition`}><ChevronLeft /></button>
+                            )}
+                        </div>
+                    </div>
+                )}
+
+                {/* Game Bypasses View */}
+                {currentView === 'bypasses' && !selectedBypassGame && (
+                    <div className="p-6">
+                        <h1 className="text-4xl font-bold mb-6 flex items-center gap-3">
+                            <svg className="w-10 h-10 text-purple-500" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+                                <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M12 15v2m-6 4h12a2 2 0 002-2v-6a2 2 0 00-2-2H6a2 2 0 00-2 2v6a2 2 0 002 2zm10-10V7a4 4 0 00-8 0v4h8z" />
+                            </svg>
+                            {t('gameBypasses')}
+                            <span className="text-sm font-normal text-gray-400">
+                                ({bypassGamesLoading ? '...' : bypassGames.length})
+                            </span>
+                        </h1>
+
+                        {/* Search Bar */}
+                        <div className="mb-6">
+                            <input
+                                type="text"
+                                placeholder={t('search')}
+                                value={searchQuery}
+                                onChange={(e) => setSearchQuery(e.target.value)}
+                                className={`w-full px-4 py-3 rounded-lg ${darkMode ? 'bg-gray-800 text-white' : 'bg-gray-100 text-gray-900'} focus:outline-none focus:ring-2 focus:ring-purple-500`}
+                            />
+                        </div>
+
+                        {/* Loading State */}
+                        {bypassGamesLoading && (
+                            <div className="flex flex-col items-center justify-center py-12">
+                                <Loader />
+                                <p className="mt-4 text-gray-400">Loading bypasses from GitHub...</p>
+                            </div>
+                        )}
+
+                        {/* Bypasses List */}
+                        {!bypassGamesLoading && (
+                            <div className="space-y-2">
+                                {filteredBypassGames
+                                    .map(game => (
+                                        <div
+                                            key={game.id}
+                                            onClick={() => setSelectedBypassGame(game)}
+                                            className={`p-4 rounded-lg cursor-pointer transition ${darkMode ? 'bg-gray-800 hover:bg-gray-700' : 'bg-gray-100 hover:bg-gray-200'}`}
+                                            style={{ boxShadow: '0 4px 15px rgba(0, 0, 0, 0.5)' }}
+                                        >
+                                            <div className="flex items-center justify-between">
+                                                <span className="text-lg font-semibold">{game.name}</span>
+                                                <svg className="w-5 h-5 text-purple-500" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+                                                    <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M9 5l7 7-7 7" />
+                                                </svg>
+                                            </div>
+                                        </div>
+                                    ))}
+                                {filteredBypassGames.length === 0 && (
+                                    <div className="text-center py-12 text-gray-400">
+                                        No bypasses found matching "{searchQuery}"
+                                    </div>
+                                )}
+                            </div>
+                        )}
+                    </div>
+                )}
+
+                {/* Bypass Game Detail View */}
+                {currentView === 'bypasses' && selectedBypassGame && (
+                    <div className="p-6">
+                        <div className={`sticky top-0 ${darkMode ? 'bg-gray-900' : 'bg-white'} z-10 pb-4 mb-4`}>
+                            <button onClick={() => setSelectedBypassGame(null)} className={`px-4 py-2 ${darkMode ? 'bg-gray-700 hover:bg-gray-600' : 'bg-gray-200 hover:bg-gray-300'} rounded transition`}>
+                                ← Back to Bypasses
+                            </button>
+                        </div>
+
+                        <div className="text-center py-12">
+                            <svg className="w-24 h-24 text-purple-500 mx-auto mb-6" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+                                <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M12 15v2m-6 4h12a2 2 0 002-2v-6a2 2 0 00-2-2H6a2 2 0 00-2 2v6a2 2 0 002 2zm10-10V7a4 4 0 00-8 0v4h8z" />
+                            </svg>
+                            <h1 className="text-5xl font-bold mb-8">{selectedBypassGame.name}</h1>
+
+                            {selectedBypassGame.parts.length > 1 && (
+                                <div className={`max-w-md mx-auto mb-8 p-4 rounded-lg text-left ${darkMode ? 'bg-gray-800' : 'bg-gray-100'}`}>
+                                    <h3 className="font-semibold mb-2">{t('bypassFiles', { count: selectedBypassGame.parts.length })} · {formatBytes(selectedBypassGame.size)}</h3>
+                                    <ul className={`text-sm font-mono space-y-1 ${darkMode ? 'text-gray-400' : 'text-gray-600'}`}>
+                                        {selectedBypassGame.parts.map(part => (
+                                            <li key={part.filename} className="flex justify-between gap-4">
+                                                <span className="break-all">{part.filename}</span>
+                                                <span className="flex-shrink-0">{formatBytes(part.size)}</span>
+                                            </li>
+                                        ))}
+                                    </ul>
+                                </div>
+                            )}
+
+                            <div className="flex flex-wrap justify-center gap-4">
+                                <button
+                                    onClick={async () => {
+                                        let result = await window.electronAPI.downloadBypass(bypassFileNames(selectedBypassGame));
+                                        if (result.checksumMissing) {
+                                            if (!confirm(`${t('checksumMissingConfirm')}\n\n${result.error}`)) {
+                                                return;
+                                            }
+                                            result = await window.electronAPI.downloadBypass(bypassFileNames(selectedBypassGame), { allowUnverified: true });
+                                        }
+                                        if (result.success && result.verification) {
+                                            addNotification(`${result.verification.status === 'verified' ? t('checksumVerified') : t('checksumUnverified')}: ${selectedBypassGame.name}`, result.verification.status === 'verified' ? 'success' : 'info');
+                                        } else if (!result.success && result.error) {
+                                            alert(`Unable to download bypass for ${selectedBypassGame.name}.\n\nError: ${result.error}`);
+                                        }
+                                    }}
+                                    className="px-8 py-4 bg-purple-600 hover:bg-purple-700 text-white font-bold rounded-lg text-xl transition shadow-xl"
+                                >
+                                    <svg className="w-6 h-6 inline-block mr-2" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+                                        <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M4 16v1a3 3 0 003 3h10a3 3 0 003-3v-1m-4-4l-4 4m0 0l-4-4m4 4V4" />
+                                    </svg>
+                                    Download Bypass
+                                </button>
+
+                                {/* Only bypasses named after an appID can be matched to a Steam game folder */}
+                                {selectedBypassGame.appID && window.electronAPI && window.electronAPI.prepareBypassInstall && (
+                                    <button
+                                        onClick={() => handleInstallBypass(selectedBypassGame)}
+                                        className="px-8 py-4 bg-green-600 hover:bg-green-700 text-white font-bold rounded-lg text-xl transition shadow-xl"
+                                    >
+                                        {t('installBypass')}
+                                    </button>
+                                )}
+
+                                {installedFixes.some(fix => fix.kind === 'bypass' && fix.appID === selectedBypassGame.appID) && (
+                                    <button
+                                        onClick={() => handleUninstallFix(selectedBypassGame, 'bypass')}
+                                        className="px-8 py-4 bg-red-600 hover:bg-red-700 text-white font-bold rounded-lg text-xl transition shadow-xl"
+                                    >
+                                        {t('uninstallBypass')}
+                                    </button>
+                                )}
+                            </div>
+
+                            <p className="mt-6 text-gray-500 text-sm">
+                                The bypass will be downloaded from the bypass sources set in the settings
+                            </p>
+                            {selectedBypassGame.appID && window.electronAPI && (
+                                <p className="mt-2 text-gray-500 text-sm">{t('installBypassHint')}</p>
+                            )}
+                        </div>
+                    </div>
+                )}
+
+                {/* Plugin/App Detail Modal */}
+                {selectedPlugin && (
+                    <div className="fixed inset-0 bg-black bg-opacity-75 flex items-center justify-center z-50 p-4" onClick={() => setSelectedPlugin(null)}>
+                        <div className={`${darkMode ? 'bg-gray-800' : 'bg-white'} rounded-lg max-w-2xl w-full p-8 relative`} onClick={(e) => e.stopPropagation()}>
+                            {/* Close Button */}
+                            <button onClick={() => setSelectedPlugin(null)} className={`absolute top-4 right-4 ${darkMode ? 'text-gray-400 hover:text-white' : 'text-gray-600 hover:text-black'} transition`}>
+                                <X />
+                            </button>
+
+                            {/* Icon */}
+                            <div className="text-center mb-6">
+                                <div className="inline-block p-4 bg-purple-600 rounded-full mb-4">
+                                    {selectedPlugin.type === 'plugin' ? (
+                                        <svg className="w-16 h-16 text-white" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+                                            <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M7 21a4 4 0 01-4-4V5a2 2 0 012-2h4a2 2 0 012 2v12a4 4 0 01-4 4zm0 0h12a2 2 0 002-2v-4a2 2 0 00-2-2h-2.343M11 7.343l1.657-1.657a2 2 0 012.828 0l2.829 2.829a2 2 0 010 2.828l-8.486 8.485M7 17h.01" />
+                                        </svg>
+                                    ) : (
+                                        <svg className="w-16 h-16 text-white" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+                                            <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M9.75 17L9 20l-1 1h8l-1-1-.75-3M3 13h18M5 17h14a2 2 0 002-2V5a2 2 0 00-2-2H5a2 2 0 00-2 2v10a2 2 0 002 2z" />
+                                        </svg>
+                                    )}
+                                </div>
+                                <h2 className="text-3xl font-bold mb-2">{selectedPlugin.name}</h2>
+                                <div className="text-sm text-gray-400 mb-4">{selectedPlugin.type === 'plugin' ? '🔌 Steam Plugin' : '💻 Desktop Application'}</div>
+                            </div>
+
+                            {/* Description */}
+                            <div className={`${darkMode ? 'bg-gray-700' : 'bg-gray-100'} rounded-lg p-4 mb-6`}>
+                                <p className="text-sm leading-relaxed">{selectedPlugin.description}</p>
+                            </div>
+
+                            {/* Install Path Info */}
+                            {selectedPlugin.installPath && (
+                                <div className={`${darkMode ? 'bg-gray-700' : 'bg-blue-50'} rounded-lg p-4 mb-6 border ${darkMode ? 'border-gray-600' : 'border-blue-200'}`}>
+                                    <div className="flex items-start gap-2">
+                                        <svg className="w-5 h-5 text-blue-500 mt-0.5" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+                                            <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M13 16h-1v-4h-1m1-4h.01M21 12a9 9 0 11-18 0 9 9 0 0118 0z" />
+                                        </svg>
+                                        <div>
+                                            <div className="font-semibold text-sm text-blue-500 mb-1">Install Location</div>
+                                            <div className="text-xs font-mono">{selectedPlugin.installPath}</div>
+                                        </div>
+                                    </div>
+                                </div>
+                            )}
+
+                            {/* Action Buttons */}
+                            <div className="flex gap-3">
+                                <button
+                                    onClick={() => {
+                                        window.electronAPI.openExternal(`https://github.com/${selectedPlugin.repo}`);
+                                    }}
+                                    className={`flex-1 px-6 py-3 ${darkMode ? 'bg-gray-700 hover:bg-gray-600' : 'bg-gray-200 hover:bg-gray-300'} font-semibold rounded-lg transition flex items-center justify-center gap-2`}
+                                >
+                                    <svg className="w-5 h-5" fill="currentColor" viewBox="0 0 24 24">
+                                        <path d="M12 0c-6.626 0-12 5.373-12 12 0 5.302 3.438 9.8 8.207 11.387.599.111.793-.261.793-.577v-2.234c-3.338.726-4.033-1.416-4.033-1.416-.546-1.387-1.333-1.756-1.333-1.756-1.089-.745.083-.729.083-.729 1.205.084 1.839 1.237 1.839 1.237 1.07 1.834 2.807 1.304 3.492.997.107-.775.418-1.305.762-1.604-2.665-.305-5.467-1.334-5.467-5.931 0-1.311.469-2.381 1.236-3.221-.124-.303-.535-1.524.117-3.176 0 0 1.008-.322 3.301 1.23.957-.266 1.983-.399 3.003-.404 1.02.005 2.047.138 3.006.404 2.291-1.552 3.297-1.23 3.297-1.23.653 1.653.242 2.874.118 3.176.77.84 1.235 1.911 1.235 3.221 0 4.609-2.807 5.624-5.479 5.921.43.372.823 1.102.823 2.222v3.293c0 .319.192.694.801.576 4.765-1.589 8.199-6.086 8.199-11.386 0-6.627-5.373-12-12-12z" />
+                                    </svg>
+                                    GitHub
+                                </button>
+
+                                <button
+                                    onClick={() => {
+                                        window.electronAPI.openExternal(`https://github.com/${selectedPlugin.repo}/releases/latest`);
+                                    }}
+                                    className={`flex-1 px-6 py-3 ${darkMode ? 'bg-gray-700 hover:bg-gray-600' : 'bg-gray-200 hover:bg-gray-300'} font-semibold rounded-lg transition flex items-center justify-center gap-2`}
+                                >
+                                    Releases
+                                </button>
+
+                                {/* Update button - only for OnlineFix Plugin */}
+                                {selectedPlugin.id === 'onlinefix-plugin' && (
+                                    <button
+                                        onClick={handleUpdateOnlineFixPlugin}
+                                        className="flex-1 px-6 py-3 bg-purple-600 hover:bg-purple-700 text-white font-semibold rounded-lg transition flex items-center justify-center gap-2"
+                                    >
+                                        <svg className="w-5 h-5" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+                                            <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M4 4v5h.582m15.356 2A8.001 8.001 0 004.582 9m0 0H9m11 11v-5h-.581m0 0a8.003 8.003 0 01-15.357-2m15.357 2H15" />
+                                        </svg>
+                                        Update
+                                    </button>
+                                )}
+                            </div>
+                        </div>
+                    </div>
+                )}
+
+                {currentView === 'game' && selectedGame && steamData && (
+                    <div className="p-6">
+                        <div className={`sticky top-0 ${darkMode ? 'bg-gray-900' : 'bg-white'} z-10 pb-4 mb-4`}>
+                            <button onClick={() => { setSelectedGame(null); setCurrentView('store'); }} className={`px-4 py-2 ${darkMode ? 'bg-gray-700 hover:bg-gray-600' : 'bg-gray-200 hover:bg-gray-300'} rounded transition`}>← {t('backToStore')}</button>
+                        </div>
+
+                        <div className="max-w-5xl mx-auto">
+                            <div className={`${darkMode ? 'bg-gray-800' : 'bg-gray-50'} rounded-lg overflow-hidden shadow-xl`}>
+                                {steamData.movies && steamData.movies.length > 0 && !videoPlaying ? (
+                                    <div className="relative w-full h-80 bg-black">
+                                        <img src={cachedImageUrl(steamData.movies[0].thumbnail)} alt="Video thumbnail" loading="lazy" className="w-full h-full object-cover" />
+                                        <button onClick={() => setVideoPlaying(true)} className="absolute inset-0 flex items-center justify-center bg-black bg-opacity-40 hover:bg-opacity-60 transition">
+                                            <Play />
+                                        </button>
+                                    </div>
+                                ) : steamData.movies && steamData.movies.length > 0 && videoPlaying ? (
+                                    <div className="relative w-full h-80 bg-black">
+                                        <video controls autoPlay className="w-full h-full" src={steamData.movies[0].mp4?.max || steamData.movies[0].webm?.max}>
+                                            Your browser does not support the video tag.
+                                        </video>
+                                    </div>
+                                ) : (steamData.background || steamData.background_raw || selectedGame.backgroundImage) ? (
+                                    <div className="relative w-full h-96 bg-black">
+                                        <img src={cachedImageUrl(steamData.background || steamData.background_raw || selectedGame.backgroundImage)} alt={steamData.name} loading="lazy" className="w-full h-full object-cover" />
+                                        <div className="absolute inset-0 bg-gradient-to-t from-black/80 via-black/20 to-transparent"></div>
+                                    </div>
+                                ) : steamData.header_image ? (
+                                    <img src={cachedImageUrl(steamData.header_image)} alt={steamData.name} loading="lazy" className="w-full h-80 object-cover" />
+                                ) : null}
+
+                                <div className="p-8">
+                                    <div className="flex items-start justify-between mb-4">
+                                        <div className="flex-1">
+                                            <h1 className="text-5xl font-bold mb-2">{steamData.name}</h1>
+                                            <p className={`text-sm ${darkMode ? 'text-gray-400' : 'text-gray-600'} mb-2`}>{t('appId')} {selectedGame.appID}</p>
+
+                                            <div className="flex items-center gap-2 mt-2">
+                                                <span className="text-sm">{t('rateGame')}</span>
+                                                {[1, 2, 3, 4, 5].map(star => (
+                                                    <button key={star} onClick={() => setGameRating(selectedGame.appID, star)} className="text-yellow-500 hover:text-yellow-600">
+                                                        <Star filled={star <= (ratings[selectedGame.appID] || 0)} />
+                                                    </button>
+                                                ))}
+                                                {ratings[selectedGame.appID] && <span className="text-sm ml-2">({ratings[selectedGame.appID]}/5) - {t('clickToRemove')}</span>}
+                                            </div>
+
+                                            {/* Playing Through Information */}
+                                            {onlineFixData && onlineFixData.playingThrough && (
+                                                <div className="flex items-center gap-2 mt-4">
+                                                    <span className={`text-sm font-semibold ${darkMode ? 'text-gray-300' : 'text-gray-700'}`}>{t('playingThrough')}</span>
+                                                    <span className="px-3 py-1 rounded bg-purple-600 text-white font-bold">
+                                                        {translateRussianText(onlineFixData.playingThrough, language)}
+                                                    </span>
+                                                </div>
+                                            )}
+
+                                            {/* Files for the game Section */}
+                                            {onlineFixData && onlineFixData.filesForGame && onlineFixData.filesForGame.length > 0 && (
+                                                <div className="mt-4 p-4 bg-gray-700 rounded-lg">
+                                                    <h4 className="text-base font-bold text-orange-400 mb-3">{t('filesForGame')}</h4>
+                                                    <ol className="list-decimal list-inside space-y-2">
+                                                        {onlineFixData.filesForGame.map((item, index) => (
+                                                            <li key={index} className="text-sm text-gray-300 leading-relaxed">
+                                                                {translateRussianText(item, language)}
+                                                            </li>
+                                                        ))}
+                                                    </ol>
+                                                </div>
+                                            )}
+                                        </div>
+                                        <button onClick={() => toggleFavorite(selectedGame.appID)} className="text-pink-500 hover:text-pink-600 ml-4">
+                                            <Heart filled={favorites.includes(selectedGame.appID)} />
+                                        </button>
+                                    </div>
+
+                                    {steamData.short_description && (
+                                        <div className={`mb-6 p-4 ${darkMode ? 'bg-gray-700' : 'bg-gray-200'} rounded-lg`}>
+                                            <p className={`${darkMode ? 'text-gray-200' : 'text-gray-800'} text-lg leading-relaxed`}>{steamData.short_description}</p>
+                                        </div>
+                                    )}
+
+                                    {steamData.screenshots && steamData.screenshots.length > 0 && (
+                                        <div className="mb-8">
+                                            <h2 className="text-2xl font-semibold mb-4">{t('screenshots')}</h2>
+                                            <div className="grid grid-cols-2 md:grid-cols-3 gap-4">
+                                                {steamData.screenshots.slice(0, 6).map((ss, idx) => (
+                                                    <img key={idx} src={cachedImageUrl(ss.path_thumbnail)} alt={`Screenshot ${idx + 1}`} loading="lazy" className="rounded hover:opacity-80 transition cursor-pointer" onClick={() => setLightboxImage(ss.path_full)} />
+                                                ))}
+                                            </div>
+                                        </div>
+                                    )}
+
+                                    {(steamData.about_the_game || steamData.detailed_description) && (
+                                        <div className="mb-8">
+                                            <h2 className={`text-3xl font-bold mb-4 ${darkMode ? 'text-blue-400' : 'text-blue-600'}`}>{t('aboutGame')}</h2>
+                                            <div className={`${darkMode ? 'text-gray-300' : 'text-gray-700'} leading-relaxed space-y-4`}>
+                                                {stripHtml(steamData.about_the_game || steamData.detailed_description).split('\n\n').map((paragraph, idx) => (
+                                                    paragraph.trim() && <p key={idx}>{paragraph}</p>
+                                                ))}
+                                            </div>
+                                        </div>
+                                    )}
+
+                                    {/* Co-Op Information Section */}
+                                    {coopLoading && (
+                                        <div className={`mb-8 p-6 ${darkMode ? 'bg-gray-700' : 'bg-gray-200'} rounded-lg`}>
+                                            <h2 className="text-2xl font-semibold mb-4 flex items-center gap-2">
+                                                <span>{t('coopFeatures')}</span>
+                                                <div className="animate-spin w-5 h-5"><Loader /></div>
+                                            </h2>
+                                            <p className={`${darkMode ? 'text-gray-400' : 'text-gray-600'}`}>{t('loadingCoop')}</p>
+                                        </div>
+                                    )}
+
+                                    {!coopLoading && coopData && (
+                                        <div className={`mb-8 p-6 ${darkMode ? 'bg-gray-700' : 'bg-gray-200'} rounded-lg`}>
+                                            <h2 className="text-2xl font-semibold mb-4">{t('coopFeatures')}</h2>
+
+                                            <div className="grid grid-cols-1 md:grid-cols-2 gap-6">
+                                                <div>
+                                                    <h3 className={`text-lg font-semibold mb-3 ${darkMode ? 'text-green-400' : 'text-green-600'}`}>Core Features</h3>
+
+                                                    <div className="space-y-3">
+                                                        <div>
+                                                            <p className="font-semibold mb-1">Local Co-Op</p>
+                                                            <div className="flex items-center gap-2">
+                                                                {coopData.localCoop ? (
+                                                                    <>
+                                                                        <svg width="16" height="16" viewBox="0 0 24 24" fill="none" className="text-green-500">
+                                                                            <path d="M3 12h18M3 6h18M3 18h18" stroke="currentColor" strokeWidth="2" strokeLinecap="round"/>
+                                                                            <path d="M7 12h10M7 6h10M7 18h10" stroke="currentColor" strokeWidth="2" strokeLinecap="round"/>
+                                                                        </svg>
+                                                                        <span className="italic">{coopData.localCoopPlayers || 'Supported'}</span>
+                                                                    </>
+                                                                ) : (
+                                                                    <>
+                                                                        <span className="text-red-500">✗</span>
+                                                                        <span className="italic">Not Supported</span>
+                                                                    </>
+                                                                )}
+                                                            </div>
+                                                        </div>
+
+                                                        <div>
+                                                            <p className="font-semibold mb-1">Online Co-Op</p>
+                                                            <div className="flex items-center gap-2">
+                                                                {coopData.onlineCoop ? (
+                                                                    <>
+                                                                        <svg width="16" height="16" viewBox="0 0 24 24" fill="none" className="text-green-500">
+                                                                            <circle cx="12" cy="12" r="3" stroke="currentColor" strokeWidth="2"/>
+                                                                            <path d="M12 3v2M12 19v2M21 12h-2M5 12H3M18.36 18.36l-1.42-1.42M7.05 7.05L5.64 5.64M18.36 5.64l-1.42 1.42M7.05 16.95l-1.41 1.41" stroke="currentColor" strokeWidth="2" strokeLinecap="round"/>
+                                                                        </svg>
+                                                                        <span className="italic">{coopData.onlineCoopPlayers || 'Supported'}</span>
+                                                                    </>
+                                                                ) : (
+                                                                    <>
+                                                                        <span className="text-red-500">✗</span>
+                                                                        <span className="italic">Not Supported</span>
+                                                                    </>
+                                                                )}
+                                                            </div>
+                                                        </div>
+
+                                                        <div>
+                                                            <p className="font-semibold mb-1">Combo Co-Op (Local + Online)</p>
+                                                            <div className="flex items-center gap-2">
+                                                                {coopData.comboCoop ? (
+                                                                    <>
+                                                                        <svg width="16" height="16" viewBox="0 0 24 24" fill="none" className="text-green-500">
+                                                                            <circle cx="9" cy="12" r="2" stroke="currentColor" strokeWidth="2"/>
+                                                                            <circle cx="15" cy="12" r="2" stroke="currentColor" strokeWidth="2"/>
+                                                                        </svg>
+                                                                        <span className="italic">Supported</span>
+                                                                    </>
+                                                                ) : (
+                                                                    <>
+                                                                        <span className="text-red-500">✗</span>
+                                                                        <span className="italic">Not Supported</span>
+                                                                    </>
+                                                                )}
+                                                            </div>
+                                                        </div>
+
+                                                        <div>
+                                                            <p className="font-semibold mb-1">LAN Play or System Link</p>
+                                                            <div className="flex items-center gap-2">
+                                                                {coopData.lanPlay ? (
+                                                                    <>
+                                                                        <svg width="16" height="16" viewBox="0 0 24 24" fill="none" className="text-green-500">
+                                                                            <rect x="2" y="3" width="20" height="14" rx="2" stroke="currentColor" strokeWidth="2"/>
+                                                                            <path d="M8 21h8M12 17v4" stroke="currentColor" strokeWidth="2" strokeLinecap="round"/>
+                                                                        </svg>
+                                                                        <span className="italic">Supported</span>
+                                                                    </>
+                                                                ) : (
+                                                                    <>
+                                                                        <span className="text-red-500">✗</span>
+                                                                        <span className="italic">Not Supported</span>
+                                                                    </>
+                                                                )}
+                                                            </div>
+                                                        </div>
+                                                    </div>
+                                                </div>
+
+                                                <div>
+                                                    <h3 className={`text-lg font-semibold mb-3 ${darkMode ? 'text-blue-400' : 'text-blue-600'}`}>Co-Op Extras</h3>
+
+                                                    <div className="space-y-3">
+                                                        <div>
+                                                            <p className="font-semibold mb-1">Co-Op Campaign</p>
+                                                            <div className="flex items-center gap-2">
+                                                                {coopData.coopCampaign ? (
+                                                                    <>
+                                                                        <span className="text-green-500">✓</span>
+                                                                        <span className="italic">Available</span>
+                                                                    </>
+                                                                ) : (
+                                                                    <>
+                                                                        <span className="text-red-500">✗</span>
+                                                                        <span className="italic">Not Available</span>
+                                                                    </>
+                                                                )}
+                                                            </div>
+                                                        </div>
+
+                                                        {coopData.popularity && (
+                                                            <div>
+                                                                <p className="font-semibold mb-1">Popularity</p>
+                                                                <span className={`px-3 py-1 ${darkMode ? 'bg-purple-600' : 'bg-purple-500'} rounded text-white`}>
+                                                                    #{coopData.popularity}
+                                                                </span>
+                                                            </div>
+                                                        )}
+                                                    </div>
+                                                </div>
+                                            </div>
+
+                                            {coopData.source && (
+                                                <div className="mt-4 pt-4 border-t border-gray-600">
+                                                    <a href={coopData.source} target="_blank" rel="noopener noreferrer" className="text-blue-400 hover:text-blue-300 text-sm">
+                                                        View full details on Co-Optimus →
+                                                    </a>
+                                                </div>
+                                            )}
+                                        </div>
+                                    )}
+
+                                    {!coopLoading && !coopData && (
+                                        <div className={`mb-8 p-4 ${darkMode ? 'bg-gray-700' : 'bg-gray-200'} rounded-lg border-l-4 border-yellow-500`}>
+                                            <p className={`text-sm ${darkMode ? 'text-gray-300' : 'text-gray-700'}`}>
+                                                ℹ️ {t('coopNotAvailable')}
+                                            </p>
+                                        </div>
+                                    )}
+
+                                    {/* Co-op corrections: where the data came from, and the user's own numbers */}
+                                    {!coopLoading && window.electronAPI && window.electronAPI.getCoopData && (
+                                        <div className="mb-8 -mt-4">
+                                            <div className="flex flex-wrap items-center gap-3 text-sm">
+                                                {coopData && coopData.corrected && (
+                                                    <span className="text-green-500">✓ {t('coopCorrected')}</span>
+                                                )}
+                                                {coopData && !coopData.corrected && coopData.matchedName && (
+                                                    <span className={darkMode ? 'text-gray-400' : 'text-gray-600'}>{t('coopMatchedName', { name: coopData.matchedName })}</span>
+                                                )}
+                                                {!coopCorrectionForm && (
+                                                    <button onClick={() => setCoopCorrectionForm(coopCorrections[selectedGame.appID] || toCoopCorrection(coopData))} className={`px-3 py-1 rounded transition ${darkMode ? 'bg-gray-700 hover:bg-gray-600' : 'bg-gray-200 hover:bg-gray-300'}`}>
+                                                        {t('correctCoopInfo')}
+                                                    </button>
+                                                )}
+                                                {coopCorrections[selectedGame.appID] && (
+                                                    <button onClick={() => saveCoopCorrection(selectedGame, null)} className={`px-3 py-1 rounded transition ${darkMode ? 'bg-gray-700 hover:bg-gray-600' : 'bg-gray-200 hover:bg-gray-300'}`}>
+                                                        {t('removeCoopCorrection')}
+                                                    </button>
+                                                )}
+                                                {Object.keys(coopCorrections).length > 0 && (
+                                                    <button onClick={exportCoopCorrections} className="px-3 py-1 rounded bg-blue-600 hover:bg-blue-700 text-white transition">
+                                                        {t('exportCoopCorrections')} ({Object.keys(coopCorrections).length})
+                                                    </button>
+                                                )}
+                                            </div>
+
+                                            {coopCorrectionForm && (
+                                                <div className={`mt-3 p-4 rounded-lg ${darkMode ? 'bg-gray-700' : 'bg-gray-200'}`}>
+                                                    <div className="flex flex-wrap items-end gap-4">
+                                                        <label className="text-sm">
+                                                            <span className="block font-semibold mb-1">{t('coopOnlinePlayers')}</span>
+                                                            <input type="number" min="0" max="64" value={coopCorrectionForm.onlinePlayers}
+                                                                onChange={(e) => setCoopCorrectionForm({ ...coopCorrectionForm, onlinePlayers: Math.min(64, Math.max(0, parseInt(e.target.value) || 0)) })}
+                                                                className={`w-24 px-3 py-2 rounded ${darkMode ? 'bg-gray-800 text-white' : 'bg-white text-gray-900'}`} />
+                                                        </label>
+                                                        <label className="text-sm">
+                                                            <span className="block font-semibold mb-1">{t('coopLocalPlayers')}</span>
+                                                            <input type="number" min="0" max="64" value={coopCorrectionForm.localPlayers}
+                                                                onChange={(e) => setCoopCorrectionForm({ ...coopCorrectionForm, localPlayers: Math.min(64, Math.max(0, parseInt(e.target.value) || 0)) })}
+                                                                className={`w-24 px-3 py-2 rounded ${darkMode ? 'bg-gray-800 text-white' : 'bg-white text-gray-900'}`} />
+                                                        </label>
+                                                        <label className="flex items-center gap-2 text-sm pb-2">
+                                                            <input type="checkbox" checked={coopCorrectionForm.campaign}
+                                                                onChange={(e) => setCoopCorrectionForm({ ...coopCorrectionForm, campaign: e.target.checked })} />
+                                                            {t('coopCampaignMode')}
+                                                        </label>
+                                                        <button onClick={() => saveCoopCorrection(selectedGame, coopCorrectionForm)} className="px-4 py-2 bg-green-600 hover:bg-green-700 text-white rounded transition">
+                                                            {t('saveCoopCorrection')}
+                                                        </button>
+                                                        <button onClick={() => setCoopCorrectionForm(null)} className={`px-4 py-2 rounded transition ${darkMode ? 'bg-gray-600 hover:bg-gray-500' : 'bg-gray-300 hover:bg-gray-400'}`}>
+                                                            {t('cancel')}
+                                                        </button>
+                                                    </div>
+                                                    <p className={`mt-2 text-xs ${darkMode ? 'text-gray-400' : 'text-gray-600'}`}>{t('coopCorrectionHint')}</p>
+                                                </div>
+                                            )}
+                                        </div>
+                                    )}
+
+                                    {/* FIX #1: Display user_tags on game details page */}
+                                    {steamData.user_tags && steamData.user_tags.length > 0 && (
+                                        <div className="mb-6">
+                                            <h2 className="text-xl font-semibold mb-3">Tags</h2>
+                                            <div className="flex flex-wrap gap-2">
+                                                {/* Add player count tag if game has co-op features */}
+                                                {coopData && coopData.maxPlayers && (coopData.localCoop || coopData.onlineCoop) && (
+                                                    <span className="px-3 py-1 bg-green-600 rounded-full text-sm text-white font-semibold">
+                                                        🎮 {coopData.maxPlayers} Players
+                                                    </span>
+                                                )}
+                                                {steamData.user_tags.slice(0, 15).map((tag, idx) => (
+                                                    <span key={idx} className="px-3 py-1 bg-cyan-600 rounded-full text-sm text-white">{tag.name}</span>
+                                                ))}
+                                            </div>
+                                        </div>
+                                    )}
+
+                                    {steamData.genres && steamData.genres.length > 0 && (
+                                        <div className="mb-6">
+                                            <h2 className="text-xl font-semibold mb-3">Genres</h2>
+                                            <div className="flex flex-wrap gap-2">
+                                                {steamData.genres.map((genre, idx) => (
+                                                    <span key={idx} className="px-3 py-1 bg-blue-600 rounded-full text-sm text-white">{genre.description}</span>
+                                                ))}
+                                            </div>
+                                        </div>
+                                    )}
+
+                                    {steamData.developers && steamData.developers.length > 0 && (
+                                        <div className="mb-4">
+                                            <h2 className={`text-lg font-semibold mb-2 ${darkMode ? 'text-gray-400' : 'text-gray-600'}`}>Developer</h2>
+                                            <p className={darkMode ? 'text-gray-200' : 'text-gray-800'}>{steamData.developers.join(', ')}</p>
+                                        </div>
+                                    )}
+
+                                    <div className="mb-6 grid grid-cols-2 gap-4">
+                                        <a href={`steam://store/${selectedGame.appID}`} className={`w-full ${darkMode ? 'bg-gray-700 hover:bg-gray-600' : 'bg-gray-300 hover:bg-gray-400'} text-white font-semibold py-3 px-6 rounded-lg flex items-center justify-center gap-2 transition`}>
+                                            {t('openSteam')}
+                                        </a>
+                                        <button
+                                            onClick={() => setShowHowToRunModal(true)}
+                                            style={{backgroundColor: 'var(--accent-secondary)'}}
+                                            className="w-full hover:opacity-80 text-white font-semibold py-3 px-6 rounded-lg flex items-center justify-center gap-2 transition"
+                                        >
+                                            📖 {t('howToRun')}
+                                        </button>
+                                    </div>
+
+                                    <button onClick={() => handleDownload(selectedGame)} className="w-full bg-green-600 hover:bg-green-700 text-white font-bold py-4 px-6 rounded-lg flex items-center justify-center gap-2 transition text-lg">
+                                        <Download /> {t('downloadFix')}
+                                        {fixIndex.fixes[selectedGame.appID] && <span className="font-normal text-base opacity-80">({formatBytes(fixIndex.fixes[selectedGame.appID].size)})</span>}
+                                    </button>
+                                    {fixIndex.complete && !fixIndex.fixes[selectedGame.appID] && (
+                                        <p className={`mt-2 text-sm text-center ${darkMode ? 'text-gray-400' : 'text-gray-600'}`}>{t('noFixAvailableHint')}</p>
+                                    )}
+
+                                    {installManifest && (
+                                        <div className={`mt-4 p-4 rounded-lg ${darkMode ? 'bg-gray-700' : 'bg-gray-200'} flex items-center justify-between gap-4`}>
+                                            <div className="text-sm min-w-0">
+                                                <p className="font-semibold">{t('fixInstalledOn')} {new Date(installManifest.installedAt).toLocaleString()}</p>
+                                                <p className={`${darkMode ? 'text-gray-400' : 'text-gray-600'} truncate`} title={installManifest.targetFolder}>{installManifest.targetFolder}</p>
+                                                {installManifest.source && installManifest.source.verification && (
+                                                    <p className={installManifest.source.verification === 'verified' ? 'text-green-500' : 'text-yellow-500'}>
+                                                        {installManifest.source.verification === 'verified' ? `✓ ${t('checksumVerified')}` : `⚠ ${t('checksumUnverified')}`}
+                                                    </p>
+                                                )}
+                                            </div>
+                                            <button onClick={() => handleUninstallFix(selectedGame)} className="px-4 py-2 bg-red-600 hover:bg-red-700 text-white font-semibold rounded-lg transition flex-shrink-0">
+                                                {t('uninstallFix')}
+                                            </button>
+                                        </div>
+                                    )}
+                                </div>
+                            </div>
+                        </div>
+                    </div>
+                )}
+
+                {/* Install Preview Modal */}
+                {installPreview && (
+                    <div key={installPreview.installId} className="fixed inset-0 bg-black bg-opacity-75 z-50 flex items-center justify-center p-4">
+                        <div className={`${darkMode ? 'bg-gray-800' : 'bg-white'} rounded-lg p-8 max-w-3xl w-full max-h-[85vh] flex flex-col`}>
+                            <div className="flex justify-between items-center mb-4">
+                                <h2 className="text-3xl font-bold">{t('reviewChanges')}: {installPreview.game.name}{installPreview.kind === 'bypass' && ` (${t('bypass')})`}</h2>
+                                <button onClick={cancelInstall}><X /></button>
+                            </div>
+
+                            <p className="text-sm mb-4">
+                                <span className="font-semibold">{t('installTarget')}</span>{' '}
+                                <span className="font-mono break-all">{installPreview.plan.targetFolder}</span>
+                            </p>
+
+                            {installPreview.verification && (
+                                installPreview.verification.status === 'verified' ? (
+                                    <div className="mb-4 p-3 rounded-lg bg-green-600 text-white text-sm">
+                                        ✓ {t('checksumVerified')} <span className="font-mono break-all opacity-75">{installPreview.verification.parts ? t('bypassFiles', { count: installPreview.verification.parts.length }) : `SHA-256 ${installPreview.verification.sha256}`}</span>
+                                    </div>
+                                ) : (
+                                    <div className="mb-4 p-3 rounded-lg bg-yellow-600 text-white text-sm">
+                                        ⚠ {t('checksumUnverified')}
+                                    </div>
+                                )
+                            )}
+
+                            {installPreview.plan.replacesInstallIn && (
+                                <div className="mb-4 p-3 rounded-lg bg-yellow-600 text-white text-sm">
+                                    {t('replacesPreviousInstall')} <span className="font-mono break-all">{installPreview.plan.replacesInstallIn}</span>
+                                </div>
+                            )}
+
+                            <div className="flex-1 overflow-y-auto custom-scrollbar space-y-4 pr-2">
+                                <div>
+                                    <h3 className="font-semibold mb-2 text-green-500">+ {t('filesToAdd')} ({installPreview.plan.added.length})</h3>
+                                    <ul className={`text-xs font-mono space-y-1 ${darkMode ? 'text-gray-300' : 'text-gray-700'}`}>
+                                        {installPreview.plan.added.map(file => <li key={file} className="break-all">{file}</li>)}
+                                    </ul>
+                                </div>
+                                <div>
+                                    <h3 className="font-semibold mb-2 text-yellow-500">~ {t('filesToOverwrite')} ({installPreview.plan.overwritten.length})</h3>
+                                    <ul className={`text-xs font-mono space-y-1 ${darkMode ? 'text-gray-300' : 'text-gray-700'}`}>
+                                        {installPreview.plan.overwritten.map(file => <li key={file} className="break-all">{file}</li>)}
+                                    </ul>
+                                </div>
+                            </div>
+
+                            <div className="mt-6 flex gap-3">
+                                <button onClick={cancelInstall} className={`flex-1 px-6 py-3 ${darkMode ? 'bg-gray-700 hover:bg-gray-600' : 'bg-gray-200 hover:bg-gray-300'} font-semibold rounded-lg transition`}>
+                                    {t('cancel')}
+                                </button>
+                                <button onClick={confirmInstall} className="flex-1 px-6 py-3 bg-green-600 hover:bg-green-700 text-white font-semibold rounded-lg transition">
+                                    {t('installFix')}
+                                </button>
+                            </div>
+                        </div>
+                    </div>
+                )}
+
+                {lightboxImage && (
+                    <div className="fixed inset-0 bg-black bg-opacity-90 z-50 flex items-center justify-center p-4" onClick={() => setLightboxImage(null)}>
+                        <button className="absolute top-4 right-4 text-white hover:text-gray-300 transition" onClick={() => setLightboxImage(null)}>
+                            <X />
+                        </button>
+                        <img src={cachedImageUrl(lightboxImage)} alt="Full size screenshot" className="max-w-full max-h-full object-contain rounded-lg shadow-2xl" onClick={(e) => e.stopPropagation()} />
+                    </div>
+                )}
+
+                {/* How to Run Modal */}
+                {showHowToRunModal && (
+                    <div className="fixed inset-0 bg-black bg-opacity-90 z-50 flex items-center justify-center p-4" onClick={() => setShowHowToRunModal(false)}>
+                        <div className={`${darkMode ? 'bg-gray-800' : 'bg-white'} rounded-lg shadow-2xl max-w-3xl w-full max-h-[80vh] overflow-y-auto`} onClick={(e) => e.stopPropagation()}>
+                            <div className={`sticky top-0 ${darkMode ? 'bg-gray-800' : 'bg-white'} z-10 p-6 border-b ${darkMode ? 'border-gray-700' : 'border-gray-200'} flex items-center justify-between`}>
+                                <h2 className="text-3xl font-bold">{t('howToRunInstructions')}</h2>
+                                <button onClick={() => setShowHowToRunModal(false)} className="text-gray-500 hover:text-gray-700 transition">
+                                    <X />
+                                </button>
+                            </div>
+                            <div className="p-6">
+                                {onlineFixData && onlineFixData.instructions && onlineFixData.instructions.length > 0 ? (
+                                    <ol className="space-y-4">
+                                        {onlineFixData.instructions.map((instruction, idx) => {
+                                            // Check if this is a section header (В игре:, Подключение:, Создание сервера:)
+                                            const isSectionHeader = /^(В игре|Подключение|Создание сервера|In-game|Connection|Creating server)[:]/i.test(instruction);
+
+                                            return (
+                                                <li key={idx} className={`flex gap-3 ${darkMode ? 'text-gray-200' : 'text-gray-800'} ${isSectionHeader ? 'mt-4' : ''}`}>
+                                                    {!isSectionHeader && (
+                                                        <span className="flex-shrink-0 w-8 h-8 rounded-full bg-purple-600 text-white font-bold flex items-center justify-center">
+                                                            {idx + 1}
+                                                        </span>
+                                                    )}
+                                                    <div className={`flex-1 pt-1 ${isSectionHeader ? 'w-full' : ''}`}>
+                                                        <p className={`leading-relaxed ${isSectionHeader ? 'font-bold text-orange-400 text-lg' : ''}`}>
+                                                            {translateRussianText(instruction, language)}
+                                                        </p>
+                                                    </div>
+                                                </li>
+                                            );
+                                        })}
+                                    </ol>
+                                ) : (
+                                    <div className={`p-6 ${darkMode ? 'bg-gray-700' : 'bg-gray-100'} rounded-lg text-center`}>
+                                        <p className={darkMode ? 'text-gray-300' : 'text-gray-600'}>
+                                            {t('instructionsNotAvailable')}
+                                        </p>
+                                        {onlineFixData && onlineFixData.gamePageUrl && (
+                                            <button
+                                                onClick={() => {
+                                                    if (window.electronAPI) {
+                                                        window.electronAPI.openExternal(onlineFixData.gamePageUrl);
+                                                    } else {
+                                                        window.open(onlineFixData.gamePageUrl, '_blank');
+                                                    }
+                                                }}
+                                                className="mt-4 px-6 py-3 bg-purple-600 hover:bg-purple-700 text-white rounded-lg transition"
+                                            >
+                                                🔗 {t('searchOnline')}
+                                            </button>
+                                        )}
+                                    </div>
+                                )}
+                            </div>
+                            <div className={`sticky bottom-0 ${darkMode ? 'bg-gray-800' : 'bg-white'} p-6 border-t ${darkMode ? 'border-gray-700' : 'border-gray-200'} flex justify-end`}>
+                                <button
+                                    onClick={() => setShowHowToRunModal(false)}
+                                    className={`px-6 py-3 ${darkMode ? 'bg-gray-700 hover:bg-gray-600' : 'bg-gray-300 hover:bg-gray-400'} rounded-lg transition font-semibold`}
+                                >
+                                    {t('close')}
+                                </button>
+                            </div>
+                        </div>
+                    </div>
+                )}
+
+                {showStats && (
+                    <div className="fixed inset-0 bg-black bg-opacity-75 z-50 flex items-center justify-center p-4" onClick={() => setShowStats(false)}>
+                        <div className={`${darkMode ? 'bg-gray-800' : 'bg-white'} rounded-lg p-8 max-w-2xl w-full max-h-[80vh] overflow-y-auto`} onClick={(e) => e.stopPropagation()}>
+                            <div className="flex justify-between items-center mb-6">
+                                <h2 className="text-3xl font-bold">{t('statisticsDashboard')}</h2>
+                                <button onClick={() => setShowStats(false)}><X /></button>
+                            </div>
+
+                            <div className="grid grid-cols-2 gap-4">
+                                <div className={`p-4 ${darkMode ? 'bg-gray-700' : 'bg-gray-100'} rounded-lg`}>
+                                    <p className={`text-sm ${darkMode ? 'text-gray-400' : 'text-gray-600'} mb-1`}>{t('totalGames')}</p>
+                                    <p className="text-3xl font-bold text-blue-500">{stats.totalGames}</p>
+                                </div>
+                                <div className={`p-4 ${darkMode ? 'bg-gray-700' : 'bg-gray-100'} rounded-lg`}>
+                                    <p className={`text-sm ${darkMode ? 'text-gray-400' : 'text-gray-600'} mb-1`}>{t('totalDownloads')}</p>
+                                    <p className="text-3xl font-bold text-green-500">{stats.totalDownloads}</p>
+                                </div>
+                                <div className={`p-4 ${darkMode ? 'bg-gray-700' : 'bg-gray-100'} rounded-lg`}>
+                                    <p className={`text-sm ${darkMode ? 'text-gray-400' : 'text-gray-600'} mb-1`}>{t('totalFavorites')}</p>
+                                    <p className="text-3xl font-bold text-pink-500">{stats.totalFavorites}</p>
+                                </div>
+                                <div className={`p-4 ${darkMode ? 'bg-gray-700' : 'bg-gray-100'} rounded-lg`}>
+                                    <p className={`text-sm ${darkMode ? 'text-gray-400' : 'text-gray-600'} mb-1`}>{t('averageRating')}</p>
+                                    <p className="text-3xl font-bold text-yellow-500">{stats.averageRating || 'N/A'}</p>
+                                </div>
+                            </div>
+                        </div>
+                    </div>
+                )}
+
+            </div>
+        </div>
+    );
+};
@@ -0,0 +1,12 @@
+// Bypasses are listed by the main process from the bypasses mirrors (see lib/bypass-index.js)
+
+// [{ id, appID, parts: [{ filename, size }], size }]; empty in a browser
+export const getBypasses = async (options) => {
+    if (!window.electronAPI) return [];
+    const result = await window.electronAPI.getBypassIndex(options);
+    if (!result.success) throw new Error(result.error);
+    return result.bypasses;
+};
+
+// The file names to ask the main process for
+export const bypassFileNames = (bypass) => bypass.parts.map(part => part.filename);
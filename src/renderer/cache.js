@@ -0,0 +1,128 @@
+// Game data cache, kept on disk by the main process. Entries past their TTL are still
+// returned (flagged stale) so the UI can show them while refreshInBackground() fetches a fresh copy.
+//   game  - store card data (name, images, tags, genres, scores) of every game in the catalog
+//   steam - full Steam store page of the games that were opened
+
+// appIDs with a cached entry per kind, so isGameCached() can answer while rendering
+const cachedKeys = { game: new Set(), steam: new Set() };
+
+// localStorage keys older versions cached game data under: <prefix>_v<version>_<appID>
+const LEGACY_CACHE_KEY = /^(gameCache|steamCache)_v(\d+)_(\d+)$/;
+const LEGACY_KINDS = { gameCache: 'game', steamCache: 'steam' };
+const LEGACY_DATA_FIELDS = { game: 'gameData', steam: 'steamData' };
+
+// Hand the localStorage entries of older versions to the disk cache, then remove them
+const importLegacyCache = async () => {
+    const entries = { game: [], steam: [] };
+    const legacyKeys = [];
+
+    for (let i = 0; i < localStorage.length; i++) {
+        const match = LEGACY_CACHE_KEY.exec(localStorage.key(i));
+        if (!match) continue;
+
+        legacyKeys.push(match[0]);
+        const kind = LEGACY_KINDS[match[1]];
+        try {
+            const saved = JSON.parse(localStorage.getItem(match[0]));
+            const data = saved && saved[LEGACY_DATA_FIELDS[kind]];
+            if (data && typeof data === 'object' && Number.isInteger(saved.timestamp)) {
+                entries[kind].push({ key: match[3], version: parseInt(match[2]), storedAt: saved.timestamp, data });
+            }
+        } catch { /* unreadable entry, dropped with the others */ }
+    }
+
+    if (legacyKeys.length === 0) return;
+
+    for (const kind of Object.keys(entries)) {
+        if (entries[kind].length > 0) {
+            const result = await window.electronAPI.importLegacyCache(kind, entries[kind]);
+            if (!result.success) {
+                console.error(`Error importing ${kind} cache from localStorage:`, result.error);
+                return;
+            }
+        }
+    }
+    legacyKeys.forEach(key => localStorage.removeItem(key));
+};
+
+// Load which games are cached; called once before the first render
+export const loadCacheIndex = async () => {
+    try {
+        await importLegacyCache();
+        for (const kind of Object.keys(cachedKeys)) {
+            cachedKeys[kind] = new Set(await window.electronAPI.getCachedMetadataKeys(kind));
+        }
+    } catch (e) {
+        console.error('Cache index error:', e);
+    }
+};
+
+const getCached = async (kind, appID) => {
+    try {
+        return await window.electronAPI.getCachedMetadata(kind, String(appID));
+    } catch (e) {
+        console.error('Cache read error:', e);
+        return null;
+    }
+};
+
+const setCached = async (kind, appID, data) => {
+    try {
+        const result = await window.electronAPI.setCachedMetadata(kind, String(appID), data);
+        if (result.success) {
+            cachedKeys[kind].add(String(appID));
+        } else {
+            console.error('Cache write error:', result.error);
+        }
+    } catch (e) {
+        console.error('Cache write error:', e);
+    }
+};
+
+// Both resolve with { data, storedAt, stale } or null
+export const getCachedGameData = (appID) => getCached('game', appID);
+export const getCachedSteamData = (appID) => getCached('steam', appID);
+
+export const setCachedGameData = (appID, gameData) => setCached('game', appID, gameData);
+export const setCachedSteamData = (appID, steamData) => setCached('steam', appID, steamData);
+
+export const isGameCached = (appID) => {
+    return cachedKeys.game.has(String(appID)) && cachedKeys.steam.has(String(appID));
+};
+
+// Background refreshes of stale entries, a few at a time and at most one per entry
+const REFRESH_CONCURRENCY = 4;
+const refreshQueue = [];
+const refreshing = new Set();
+let activeRefreshes = 0;
+
+const runRefreshes = () => {
+    while (activeRefreshes < REFRESH_CONCURRENCY && refreshQueue.length > 0) {
+        const { id, task } = refreshQueue.shift();
+        activeRefreshes++;
+        task()
+            .catch(e => console.error(`Background refresh of ${id} failed:`, e))
+            .finally(() => {
+                activeRefreshes--;
+                refreshing.delete(id);
+                runRefreshes();
+            });
+    }
+};
+
+export const refreshInBackground = (id, task) => {
+    if (refreshing.has(id)) return;
+    refreshing.add(id);
+    refreshQueue.push({ id, task });
+    runRefreshes();
+};
+
+export const getCacheStats = () => window.electronAPI.getCacheStats();
+
+export const clearCache = async (mode) => {
+    const result = await window.electronAPI.clearCache(mode);
+    if (result.success && mode === 'clear') {
+        Object.values(cachedKeys).forEach(keys => keys.clear());
+    }
+    return result;
+};
@@ -0,0 +1,88 @@
+// Snapshot of the last catalog that loaded completely, kept by the main process so the store
+// can start from it when appIDs.txt, Steam or the co-op database can't be reached, and the
+// history of the games added to and removed from the catalog.
+
+// What the store needs of each game to show and search it
+const SNAPSHOT_FIELDS = ['appID', 'name', 'headerImage', 'backgroundImage', 'developers', 'tags', 'genres', 'hasSplitScreen', 'coopData', 'metacritic', 'recommendations'];
+
+const toSnapshotGame = (game) => ({
+    ...Object.fromEntries(SNAPSHOT_FIELDS.map(field => [field, game[field] ?? null])),
+    name: game.name || `Game ${game.appID}`,
+    headerImage: game.headerImage || '',
+    backgroundImage: game.backgroundImage || '',
+    developers: game.developers || [],
+    tags: game.tags || [],
+    genres: game.genres || [],
+    hasSplitScreen: game.hasSplitScreen === true
+});
+
+// The games of the list as the store shows them
+const fromSnapshotGame = (game) => ({
+    ...game,
+    id: game.appID,
+    filename: game.appID + '.zip',
+    downloadUrl: null
+});
+
+// { savedAt, games } or null when there is no snapshot
+export const loadCatalogSnapshot = async () => {
+    if (!window.electronAPI) return null;
+    try {
+        const snapshot = await window.electronAPI.getCatalogSnapshot();
+        return snapshot && { savedAt: snapshot.savedAt, games: snapshot.games.map(fromSnapshotGame) };
+    } catch (error) {
+        console.error('Error loading catalog snapshot:', error);
+        return null;
+    }
+};
+
+// incompleteAppIDs: games whose Steam data couldn't be fetched, which keep what the previous snapshot had
+export const saveCatalogSnapshot = async (games, incompleteAppIDs) => {
+    if (!window.electronAPI) return;
+    try {
+        const result = await window.electronAPI.saveCatalogSnapshot(games.map(toSnapshotGame), incompleteAppIDs);
+        if (!result.success) {
+            console.error('Error saving catalog snapshot:', result.error);
+        }
+    } catch (error) {
+        console.error('Error saving catalog snapshot:', error);
+    }
+};
+
+// Compare the catalog that just loaded with the last one: { entry, newGames, history }, where entry
+// is what changed (null when nothing did) and newGames are the games added since the last visit
+export const recordCatalogChanges = async (games) => {
+    if (!window.electronAPI) return null;
+    try {
+        const result = await window.electronAPI.recordCatalog(games.map(game => ({ appID: game.appID, name: game.name })));
+        if (!result.success) {
+            console.error('Error recording catalog changes:', result.error);
+            return null;
+        }
+        return result;
+    } catch (error) {
+        console.error('Error recording catalog changes:', error);
+        return null;
+    }
+};
+
+// { newGames, history } as of the last catalog that loaded, for when this one can't be
+export const loadCatalogChanges = async () => {
+    if (!window.electronAPI) return null;
+    try {
+        return await window.electronAPI.getCatalogChanges();
+    } catch (error) {
+        console.error('Error loading catalog changes:', error);
+        return null;
+    }
+};
+
+// The games stop being "new since your last visit" once they have been looked at
+export const markNewGamesSeen = async () => {
+    if (!window.electronAPI) return;
+    try {
+        await window.electronAPI.markNewGamesSeen();
+    } catch (error) {
+        console.error('Error marking new games as seen:', error);
+    }
+};
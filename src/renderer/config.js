@@ -0,0 +1,16 @@
+// Where the store in a browser looks for fixes; the app downloads from the sources set in its settings
+export const BROWSER_FIX_MIRRORS = [
+    'https://github.com/ShayneVi/OnlineFix1/releases/download/fixes',
+    'https://github.com/ShayneVi/OnlineFix2/releases/download/fixes'
+];
+
+export const GAMES_PER_PAGE = 30;
+
+// How often the store tries to download the catalog again while it shows the offline snapshot
+export const OFFLINE_RETRY_INTERVAL = 60 * 1000;
+
+// How often installed fixes are checked for archives that were uploaded again
+export const FIX_UPDATE_CHECK_INTERVAL = 6 * 60 * 60 * 1000;
+
+// How often the list of games with a fix is refreshed from the fixes mirrors
+export const FIX_INDEX_REFRESH_INTERVAL = 30 * 60 * 1000;
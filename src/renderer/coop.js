@@ -0,0 +1,27 @@
+// Co-op details of games, looked up in the main process' co-op database with the user's corrections applied
+
+// appID -> co-op data (null when there is none) for [{ appID, name }]; empty while the database can't be reached
+export const getCoopData = async (games) => {
+    const known = games.filter(game => /^\d+$/.test(game.appID));
+    if (known.length === 0) return {};
+    try {
+        const result = await window.electronAPI.getCoopData(known.map(game => ({ appID: game.appID, name: game.name || '' })));
+        if (!result.success) {
+            console.error('Co-op data lookup failed:', result.error);
+        }
+        return result.coop;
+    } catch (error) {
+        console.error('Co-op data lookup failed:', error);
+        return {};
+    }
+};
+
+// What the correction form starts from: the current data, in players online and local
+export const toCoopCorrection = (coopData) => {
+    const players = (text, supported) => parseInt(text) || (supported ? parseInt(coopData.maxPlayers) || 2 : 0);
+    return coopData ? {
+        onlinePlayers: players(coopData.onlineCoopPlayers, coopData.onlineCoop),
+        localPlayers: players(coopData.localCoopPlayers, coopData.localCoop),
+        campaign: coopData.coopCampaign === true
+    } : { onlinePlayers: 0, localPlayers: 0, campaign: false };
+};
@@ -0,0 +1,27 @@
+// Companion tools shown in the "Useful Apps & Plugins" section
+export const usefulApps = [
+    {
+        id: 'onlinefix-plugin',
+        name: 'OnlineFix Plugin',
+        type: 'plugin',
+        repo: 'ShayneVi/OnlineFix-Plugin',
+        description: 'A Steam Millennium plugin that enables one-click installation of online multiplayer fixes for over 1,000 games. Automates downloading, extracting, and installing fixes directly into game directories with Windows notifications.',
+        installPath: 'C:\\Program Files (x86)\\Steam\\plugins'
+    },
+    {
+        id: 'ludusavi-restore',
+        name: 'LudusaviRestore Plugin',
+        type: 'plugin',
+        repo: 'ShayneVi/LudusaviRestore-Plugin',
+        description: 'Millennium plugin that adds a "RESTORE" button to Steam game pages for one-click game save restoration. Integrates Ludusavi to automatically restore backed-up saves to their proper locations with status notifications.',
+        installPath: 'C:\\Program Files (x86)\\Steam\\plugins'
+    },
+    {
+        id: 'steam-save-monitor',
+        name: 'Steam Save Monitor',
+        type: 'app',
+        repo: 'ShayneVi/Steam-Save-Monitor',
+        description: 'Desktop application that automatically backs up game saves using Ludusavi. Features dual monitoring through Steam API and process detection, triggering backups when gaming sessions end.',
+        installPath: null // User selects where to save
+    }
+];
@@ -0,0 +1,87 @@
+// UI strings come from language packs: locales/<code>.json shipped with the app, plus any the user adds
+// to the app's data folder. Every language falls back to English for the strings it lacks.
+
+const FALLBACK_LOCALE = 'en';
+// Packs served next to the page when the store runs in a browser
+const BROWSER_LOCALES = ['en', 'fr', 'es', 'zh'];
+
+const fetchPack = async (code) => {
+    const response = await fetch(`locales/${code}.json`);
+    return response.ok ? { code, ...(await response.json()) } : null;
+};
+
+// { code, strings, fallbackStrings } of a language, or of English when there is no pack for it
+export const loadLanguage = async (code) => {
+    try {
+        let locale;
+        let fallback;
+        if (window.electronAPI) {
+            ({ locale, fallback } = await window.electronAPI.getLocale(code));
+        } else {
+            [locale, fallback] = await Promise.all([fetchPack(code), fetchPack(FALLBACK_LOCALE)]);
+        }
+        const fallbackStrings = fallback ? fallback.strings : {};
+        return locale
+            ? { code, strings: locale.strings, fallbackStrings }
+            : { code: FALLBACK_LOCALE, strings: fallbackStrings, fallbackStrings };
+    } catch (error) {
+        console.error(`Error loading language ${code}:`, error);
+        return { code: FALLBACK_LOCALE, strings: {}, fallbackStrings: {} };
+    }
+};
+
+// The languages to choose from: [{ code, language, flag }]
+export const getLanguages = async () => {
+    try {
+        if (window.electronAPI) {
+            return (await window.electronAPI.getLocales()).locales;
+        }
+        const packs = await Promise.all(BROWSER_LOCALES.map(fetchPack));
+        return packs.filter(Boolean).map(({ code, language, flag }) => ({ code, language, flag }));
+    } catch (error) {
+        console.error('Error listing languages:', error);
+        return [];
+    }
+};
+
+// Per language, the keys it lacks and the keys English doesn't have; empty outside the desktop app
+export const getLanguageReport = async () => {
+    if (!window.electronAPI) return [];
+    try {
+        return (await window.electronAPI.getLocaleReport()).report;
+    } catch (error) {
+        console.error('Error checking language packs:', error);
+        return [];
+    }
+};
+
+// t(key, params): the string in the loaded language, else in English, else the key itself.
+// {name} placeholders are filled in from params, and strings with plural forms
+// ({ "one": "...", "other": "..." }) use the form for params.count.
+// onMissing(key) hears once about each key the language has no string for.
+export const createTranslator = ({ code, strings, fallbackStrings }, onMissing = null) => {
+    let pluralRules;
+    try {
+        pluralRules = new Intl.PluralRules(code);
+    } catch {
+        pluralRules = new Intl.PluralRules(FALLBACK_LOCALE);
+    }
+    const reported = new Set();
+
+    return (key, params = null) => {
+        let value = strings[key];
+        if (value === undefined) {
+            if (onMissing && !reported.has(key)) {
+                reported.add(key);
+                onMissing(key);
+            }
+            value = fallbackStrings[key];
+        }
+        if (value === undefined) return key;
+
+        if (typeof value === 'object') {
+            value = (params && typeof params.count === 'number' && value[pluralRules.select(params.count)]) || value.other;
+        }
+        return params ? value.replace(/\{(\w+)\}/g, (match, name) => (name in params ? String(params[name]) : match)) : value;
+    };
+};
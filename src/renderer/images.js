@@ -0,0 +1,6 @@
+// Game images go through the main process' image cache (cached-image://), which keeps them on disk
+// so the store still shows them offline. Anything that isn't a remote image is used as is.
+export const cachedImageUrl = (url) => {
+    if (!url || !window.electronAPI || !/^https:\/\//.test(url)) return url;
+    return `cached-image://image/${encodeURIComponent(url)}`;
+};
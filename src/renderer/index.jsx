@@ -0,0 +1,31 @@
+import React from 'react';
+import { createRoot } from 'react-dom/client';
+import { GameFixStore } from './GameFixStore';
+import { loadProfile } from './profile';
+import { loadCacheIndex } from './cache';
+import { loadLanguage } from './i18n';
+import { loadThemes } from './themes';
+import { captureConsole } from './log';
+
+// Log the page's console output from the start
+captureConsole();
+
+// The profile, the list of cached games, the language pack and the themes come from the main process, so they are loaded before the first render
+Promise.all([loadProfile(), loadCacheIndex(), loadThemes()])
+    .then(async ([profile, , themes]) => [profile, themes, await loadLanguage(profile.preferences.language)])
+    .then(([profile, themes, language]) => {
+        createRoot(document.getElementById('root')).render(<GameFixStore profile={profile} language={language} themes={themes} />);
+    })
+    .catch(error => {
+        // Without them the store can't start; say so rather than leave the window blank
+        console.error('Error starting the store:', error);
+        createRoot(document.getElementById('root')).render(
+            <div className="min-h-screen flex items-center justify-center bg-gray-900 text-white p-8">
+                <div className="max-w-lg text-center">
+                    <h1 className="text-2xl font-bold mb-4">Online Fix Store could not start</h1>
+                    <p className="mb-4 text-gray-300 break-words">{error.message}</p>
+                    <p className="text-sm text-gray-400">Restart the app to try again. If it keeps happening, the log in the app's data folder (logs/app.log) shows what went wrong.</p>
+                </div>
+            </div>
+        );
+    });
@@ -0,0 +1,67 @@
+// The page's console output also goes to the app's log files, sent to the main process in batches
+
+export const LOG_LEVELS = ['debug', 'info', 'warn', 'error'];
+
+const CONSOLE_LEVELS = { debug: 'debug', log: 'info', info: 'info', warn: 'warn', error: 'error' };
+const FLUSH_DELAY = 1000;
+const MAX_BATCH = 200;
+const MAX_QUEUE = 1000;
+
+let queue = [];
+let flushTimer = null;
+
+const formatItem = (item) => {
+    if (typeof item === 'string') return item;
+    if (item instanceof Error) return item.stack || `${item.name}: ${item.message}`;
+    try {
+        return JSON.stringify(item);
+    } catch {
+        return String(item);
+    }
+};
+
+// Same idea as the main process: failures and warnings logged with console.log start with ❌/✗ or ⚠
+const levelOf = (message, level) => {
+    if (level !== 'info') return level;
+    if (/^\s*(❌|✗)/.test(message)) return 'error';
+    return /^\s*⚠/.test(message) ? 'warn' : level;
+};
+
+const flush = () => {
+    flushTimer = null;
+    while (queue.length > 0) {
+        // Nothing to do when the log can't be written; reporting it would only log again
+        window.electronAPI.writeLogs(queue.splice(0, MAX_BATCH)).catch(() => {});
+    }
+};
+
+const enqueue = (level, message) => {
+    if (queue.length >= MAX_QUEUE) queue.shift();
+    queue.push({ time: new Date().toISOString(), level: levelOf(message, level), message: message.slice(0, 10000) });
+    if (!flushTimer) flushTimer = setTimeout(flush, FLUSH_DELAY);
+};
+
+// Send console output and uncaught errors to the log; the console shows them as before
+export const captureConsole = () => {
+    if (!window.electronAPI || !window.electronAPI.writeLogs) return;
+    for (const [method, level] of Object.entries(CONSOLE_LEVELS)) {
+        const original = console[method].bind(console);
+        console[method] = (...items) => {
+            original(...items);
+            enqueue(level, items.map(formatItem).join(' '));
+        };
+    }
+    window.addEventListener('error', (event) => enqueue('error', `Uncaught ${event.error ? formatItem(event.error) : event.message}`));
+    window.addEventListener('unhandledrejection', (event) => enqueue('error', `Unhandled promise rejection: ${formatItem(event.reason)}`));
+    window.addEventListener('beforeunload', flush);
+};
+
+// Entries of both processes, newest first: [{ time, level, process, message }]
+export const getLogs = async (options) => {
+    const result = await window.electronAPI.getLogs(options);
+    if (!result.success) throw new Error(result.error);
+    return result.entries;
+};
+
+export const openLogsFolder = () => window.electronAPI.openLogsFolder();
+export const createDiagnosticsBundle = () => window.electronAPI.createDiagnosticsBundle();
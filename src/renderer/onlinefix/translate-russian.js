@@ -0,0 +1,289 @@
+// Simple translation function for Russian to current language
+export const translateRussianText = (text, toLang) => {
+    if (!text || !toLang) {
+        console.log('⚠️ Translation called with missing params:', { text: !!text, toLang });
+        return text;
+    }
+
+    console.log('🔤 Translating:', text.substring(0, 60) + '...', 'to', toLang);
+
+    // For simple platform names, no translation needed
+    // Normalize "Epic Game Store" to "Epic Games Store" first
+    text = text.replace(/Epic Game Store/gi, 'Epic Games Store');
+
+    if (/^(Steam Remote Play|Steam|Epic Games Store|Epic Game Store|Epic Games|Microsoft Store|Microsoft|Xbox|PlayStation|GOG|Origin|Uplay|Battle\.net|\+|\s)+$/i.test(text)) {
+        return text;
+    }
+
+    // Comprehensive translation dictionary for common terms
+    // IMPORTANT: Longer phrases MUST come first to avoid partial replacements causing double words
+    const translations = {
+        // Platforms (keep as-is)
+        'Steam Remote Play': { en: 'Steam Remote Play', fr: 'Steam Remote Play', es: 'Steam Remote Play', zh: 'Steam Remote Play' },
+        'Steam': { en: 'Steam', fr: 'Steam', es: 'Steam', zh: 'Steam' },
+        'Epic Games Store': { en: 'Epic Games Store', fr: 'Epic Games Store', es: 'Epic Games Store', zh: 'Epic Games Store' },
+        'Epic Games': { en: 'Epic Games', fr: 'Epic Games', es: 'Epic Games', zh: 'Epic Games' },
+        'Microsoft Store': { en: 'Microsoft Store', fr: 'Microsoft Store', es: 'Microsoft Store', zh: 'Microsoft Store' },
+        'Microsoft': { en: 'Microsoft Store', fr: 'Microsoft Store', es: 'Microsoft Store', zh: 'Microsoft Store' },
+
+        // Multi-word phrases (MUST come before individual words to prevent double translation)
+        // Very long phrases first
+        'У вас нет прав': { en: 'You don\'t have permission', fr: 'Vous n\'avez pas la permission', es: 'No tienes permiso', zh: '您没有权限' },
+        'нет прав': { en: 'no permission', fr: 'pas de permission', es: 'sin permiso', zh: '无权限' },
+        'просмотра скрытого текста': { en: 'to view hidden text', fr: 'pour voir le texte caché', es: 'para ver texto oculto', zh: '查看隐藏文本' },
+        'скрытого текста': { en: 'hidden text', fr: 'texte caché', es: 'texto oculto', zh: '隐藏文本' },
+        'за бесплатно': { en: 'for free', fr: 'gratuitement', es: 'gratis', zh: '免费' },
+        'Покупаем за бесплатно': { en: 'Purchase for free', fr: 'Achetez gratuitement', es: 'Comprar gratis', zh: '免费购买' },
+        'Перед включением режима разработчика, ознакомьтесь с тем что это такое в интернете': { en: 'Before enabling developer mode, read about what it is on the internet', fr: 'Avant d\'activer le mode développeur, renseignez-vous sur ce que c\'est sur Internet', es: 'Antes de habilitar el modo desarrollador, infórmese sobre qué es en Internet', zh: '在启用开发者模式之前，请在互联网上了解它是什么' },
+        'выполняем перезагрузку ПК, если это потребуется': { en: 'restart the PC if necessary', fr: 'redémarrez le PC si nécessaire', es: 'reiniciar la PC si es necesario', zh: '必要时重启电脑' },
+        'Активация Epic Store Fix: (выполняется единожды)': { en: 'Epic Store Fix Activation: (done once)', fr: 'Activation du Fix Epic Store : (fait une fois)', es: 'Activación del Fix Epic Store: (se hace una vez)', zh: 'Epic Store修复激活：（仅一次）' },
+        'Активация GOG Fix (выполняется единожды)': { en: 'GOG Fix Activation (is done once)', fr: 'Activation du Fix GOG (fait une fois)', es: 'Activación del Fix GOG (se hace una vez)', zh: 'GOG修复激活（仅一次）' },
+        'Активация GOG Fix': { en: 'GOG Fix Activation', fr: 'Activation du Fix GOG', es: 'Activación del Fix GOG', zh: 'GOG修复激活' },
+        'Открываем GOG Galaxy': { en: 'Open GOG Galaxy', fr: 'Ouvrez GOG Galaxy', es: 'Abrir GOG Galaxy', zh: '打开 GOG Galaxy' },
+        'fromкрываем GOG Galaxy': { en: 'Open GOG Galaxy', fr: 'Ouvrez GOG Galaxy', es: 'Abrir GOG Galaxy', zh: '打开 GOG Galaxy' },
+        'Идем в магазин': { en: 'Go to the store', fr: 'Allons au magasin', es: 'Ir a la tienda', zh: '前往商店' },
+        'установливать не обязательно': { en: 'installing is not necessary', fr: 'l\'installation n\'est pas nécessaire', es: 'instalar no es necesario', zh: '无需安装' },
+        'игру нужно именно купить, а not via/отметить купленной': { en: 'the game needs to be specifically purchased, not via/marked as purchased', fr: 'le jeu doit être spécifiquement acheté, non via/marqué comme acheté', es: 'el juego debe comprarse específicamente, no vía/marcar como comprado', zh: '游戏需要特别购买，而不是通过/标记为已购买' },
+        'Важное примечание, игру нужно именно купить, а not via/отметить купленной': { en: 'Important note: the game needs to be specifically purchased, not via/marked as purchased', fr: 'Note importante : le jeu doit être spécifiquement acheté, non via/marqué comme acheté', es: 'Nota importante: el juego debe comprarse específicamente, no vía/marcar como comprado', zh: '重要提示：游戏需要特别购买，而不是通过/标记为已购买' },
+        'распаковываем её в любую папку': { en: 'extract it to any folder', fr: 'extrayez-le dans n\'importe quel dossier', es: 'extráelo a cualquier carpeta', zh: '解压到任意文件夹' },
+        'устанавливать не нужно': { en: 'installing is not necessary', fr: 'l\'installation n\'est pas nécessaire', es: 'no es necesario instalar', zh: '无需安装' },
+        'в магазин': { en: 'to the store', fr: 'au magasin', es: 'a la tienda', zh: '到商店' },
+        'Как минимум Windows 10 x64 версии не менее 1909 с установленными сервисами': { en: 'At minimum Windows 10 x64 version 1909 or higher with installed services', fr: 'Au minimum Windows 10 x64 version 1909 ou supérieure avec les services installés', es: 'Como mínimo Windows 10 x64 versión 1909 o superior con servicios instalados', zh: '至少 Windows 10 x64 版本 1909 或更高版本并安装服务' },
+        'который находится в папке с игрой': { en: 'which is located in the game folder', fr: 'qui se trouve dans le dossier du jeu', es: 'que se encuentra en la carpeta del juego', zh: '位于游戏文件夹中' },
+        'который расположен в папке с игрой': { en: 'which is located in the game folder', fr: 'qui se trouve dans le dossier du jeu', es: 'que se encuentra en la carpeta del juego', zh: '位于游戏文件夹中' },
+        'Приглашаем друзей и ожидаем их подключения': { en: 'Invite friends and wait for their connection', fr: 'Invitez des amis et attendez leur connexion', es: 'Invitar amigos y esperar su conexión', zh: '邀请朋友并等待他们连接' },
+        'Нажимаем нижнюю правую кнопку': { en: 'Press the bottom right button', fr: 'Appuyez sur le bouton en bas à droite', es: 'Presionar el botón inferior derecho', zh: '按右下角按钮' },
+        'Создать пользовательскую игру': { en: 'Create custom game', fr: 'Créer un jeu personnalisé', es: 'Crear juego personalizado', zh: '创建自定义游戏' },
+        'в свою библиотеку (не скачиваем её)': { en: 'to your library (don\'t download it)', fr: 'à votre bibliothèque (ne la téléchargez pas)', es: 'a tu biblioteca (no la descargues)', zh: '到你的库（不要下载）' },
+        'не скачиваем её': { en: 'don\'t download it', fr: 'ne la téléchargez pas', es: 'no la descargues', zh: '不要下载' },
+
+        // Files for the game section phrases
+        'Free Trial & Friend\'s Pass': { en: 'Free Trial & Friend\'s Pass', fr: 'Essai Gratuit & Pass Ami', es: 'Prueba Gratuita y Pase de Amigo', zh: '免费试用和好友通行证' },
+        'Friend\'s Pass': { en: 'Friend\'s Pass', fr: 'Pass Ami', es: 'Pase de Amigo', zh: '好友通行证' },
+        'Free Trial': { en: 'Free Trial', fr: 'Essai Gratuit', es: 'Prueba Gratuita', zh: '免费试用' },
+        'Fix Repair': { en: 'Fix Repair', fr: 'Fix Repair', es: 'Fix Repair', zh: 'Fix Repair' },
+        'по ссылкам ниже из папки': { en: 'from the links below from the folder', fr: 'depuis les liens ci-dessous du dossier', es: 'desde los enlaces a continuación de la carpeta', zh: '从下面文件夹的链接' },
+        'из папки Fix Repair': { en: 'from the Fix Repair folder', fr: 'depuis le dossier Fix Repair', es: 'desde la carpeta Fix Repair', zh: '从 Fix Repair 文件夹' },
+        'ниже из папки': { en: 'below from the folder', fr: 'ci-dessous du dossier', es: 'a continuación de la carpeta', zh: '下面从文件夹' },
+        'распаковываем его в папку с игрой': { en: 'extract it to the game folder', fr: 'extraire dans le dossier du jeu', es: 'extraerlo a la carpeta del juego', zh: '解压到游戏文件夹' },
+        'в папку с игрой': { en: 'to the game folder', fr: 'dans le dossier du jeu', es: 'a la carpeta del juego', zh: '到游戏文件夹' },
+        'приглашение от друга': { en: 'invitation from a friend', fr: 'invitation d\'un ami', es: 'invitación de un amigo', zh: '来自朋友的邀请' },
+        'Принимаем приглашение от друга': { en: 'Accept invitation from a friend', fr: 'Accepter l\'invitation d\'un ami', es: 'Aceptar invitación de un amigo', zh: '接受来自朋友的邀请' },
+        'заходим в свой профиль': { en: 'go to your profile', fr: 'allons à votre profil', es: 'ir a tu perfil', zh: '前往你的个人资料' },
+        'в свой профиль': { en: 'to your profile', fr: 'à votre profil', es: 'a tu perfil', zh: '到你的个人资料' },
+        'в любую папку': { en: 'to any folder', fr: 'dans n\'importe quel dossier', es: 'a cualquier carpeta', zh: '到任意文件夹' },
+        'ожидаем их подключения': { en: 'wait for their connection', fr: 'attendons leur connexion', es: 'esperar su conexión', zh: '等待他们连接' },
+        'в открывшемся окне браузера': { en: 'in the opened browser window', fr: 'dans la fenêtre du navigateur ouverte', es: 'en la ventana del navegador abierta', zh: '在打开的浏览器窗口中' },
+        'предоставляем доступ': { en: 'grant access', fr: 'accordons l\'accès', es: 'otorgar acceso', zh: '授予访问权限' },
+        'к любому серверу': { en: 'to any server', fr: 'à n\'importe quel serveur', es: 'a cualquier servidor', zh: '到任意服务器' },
+        'в папке с игрой': { en: 'in the game folder', fr: 'dans le dossier du jeu', es: 'en la carpeta del juego', zh: '在游戏文件夹中' },
+        'Подключаемся к': { en: 'Connect to', fr: 'Connectons-nous à', es: 'Conectar a', zh: '连接到' },
+
+        // GOG-specific vocabulary
+        'магазин': { en: 'store', fr: 'magasin', es: 'tienda', zh: '商店' },
+        'обязательно': { en: 'necessary', fr: 'nécessaire', es: 'necesario', zh: '必须' },
+        'именно купить': { en: 'specifically purchase', fr: 'spécifiquement acheter', es: 'específicamente comprar', zh: '特别购买' },
+        'отметить купленной': { en: 'marked as purchased', fr: 'marqué comme acheté', es: 'marcar como comprado', zh: '标记为已购买' },
+        'примечание': { en: 'note', fr: 'note', es: 'nota', zh: '注意' },
+        'нужно': { en: 'necessary', fr: 'nécessaire', es: 'necesario', zh: '需要' },
+        'устанавливать': { en: 'installing', fr: 'installer', es: 'instalar', zh: '安装' },
+        'не нужно': { en: 'not necessary', fr: 'pas nécessaire', es: 'no es necesario', zh: '不需要' },
+        'отметить': { en: 'mark', fr: 'marquer', es: 'marcar', zh: '标记' },
+        'купленной': { en: 'purchased', fr: 'acheté', es: 'comprado', zh: '已购买' },
+        'Важное': { en: 'Important', fr: 'Important', es: 'Importante', zh: '重要' },
+
+        // Verbs
+        'Запускаем': { en: 'Launch', fr: 'Lançons', es: 'Iniciar', zh: '启动' },
+        'Запустите': { en: 'Launch', fr: 'Lancez', es: 'Iniciar', zh: '启动' },
+        'Запустить': { en: 'Launch', fr: 'Lancer', es: 'Iniciar', zh: '启动' },
+        'Установите': { en: 'Install', fr: 'Installez', es: 'Instalar', zh: '安装' },
+        'Устанавливаем': { en: 'Install', fr: 'Installons', es: 'Instalar', zh: '安装' },
+        'Войдите': { en: 'Log in to', fr: 'Connectez-vous à', es: 'Iniciar sesión en', zh: '登录到' },
+        'Заходим': { en: 'Go to', fr: 'Allons à', es: 'Ir a', zh: '前往' },
+        'заходим': { en: 'go to', fr: 'allons à', es: 'ir a', zh: '前往' },
+        'Принимаем': { en: 'Accept', fr: 'Acceptons', es: 'Aceptar', zh: '接受' },
+        'Создание': { en: 'Creating', fr: 'Création', es: 'Creando', zh: '创建中' },
+        'Создать': { en: 'Create', fr: 'Créer', es: 'Crear', zh: '创建' },
+        'Приглашаем': { en: 'Invite', fr: 'Invitons', es: 'Invitar', zh: '邀请' },
+        'Пригласить': { en: 'Invite', fr: 'Inviter', es: 'Invitar', zh: '邀请' },
+        'ожидаем': { en: 'wait for', fr: 'attendons', es: 'esperar', zh: '等待' },
+        'Скачиваем': { en: 'Download', fr: 'Téléchargeons', es: 'Descargar', zh: '下载' },
+        'Скачать': { en: 'Download', fr: 'Télécharger', es: 'Descargar', zh: '下载' },
+        'Покупаем': { en: 'Purchase', fr: 'Achetons', es: 'Comprar', zh: '购买' },
+        'распаковываем': { en: 'extract', fr: 'extrayons', es: 'extraer', zh: '解压' },
+        'Подключаемся': { en: 'Connect', fr: 'Connectons-nous', es: 'Conectar', zh: '连接' },
+        'Активируем': { en: 'Activate', fr: 'Activons', es: 'Activar', zh: '激活' },
+        'Читаем': { en: 'Read', fr: 'Lisons', es: 'Leer', zh: '阅读' },
+        'Включаем': { en: 'Enable', fr: 'Activons', es: 'Habilitar', zh: '启用' },
+        'Выключаем': { en: 'Disable', fr: 'Désactivons', es: 'Deshabilitar', zh: '禁用' },
+        'Нажимаем': { en: 'Press', fr: 'Appuyons', es: 'Presionar', zh: '按' },
+        'Проходим': { en: 'Complete', fr: 'Complétons', es: 'Completar', zh: '完成' },
+        'предоставляем': { en: 'grant', fr: 'accordons', es: 'otorgar', zh: '授予' },
+        'расположен': { en: 'located', fr: 'situé', es: 'ubicado', zh: '位于' },
+        'находится': { en: 'is located', fr: 'se trouve', es: 'está ubicado', zh: '位于' },
+        'открывшемся': { en: 'opened', fr: 'ouvert', es: 'abierto', zh: '打开的' },
+        'выполняется': { en: 'is done', fr: 'est fait', es: 'se realiza', zh: '完成' },
+        'выполняем': { en: 'perform', fr: 'effectuons', es: 'realizar', zh: '执行' },
+        'потребуется': { en: 'needed', fr: 'nécessaire', es: 'necesario', zh: '需要' },
+        'Загружаем': { en: 'Load', fr: 'Chargeons', es: 'Cargar', zh: '加载' },
+
+        // Nouns
+        'Внимание!': { en: 'Attention!', fr: 'Attention !', es: '¡Atención!', zh: '注意！' },
+        'Внимание': { en: 'Attention', fr: 'Attention', es: 'Atención', zh: '注意' },
+        'зарегистрируйтесь': { en: 'register', fr: 'inscrivez-vous', es: 'registrarse', zh: '注册' },
+        'просмотра': { en: 'viewing', fr: 'visualisation', es: 'visualización', zh: '查看' },
+        'скрытого': { en: 'hidden', fr: 'caché', es: 'oculto', zh: '隐藏的' },
+        'текста': { en: 'text', fr: 'texte', es: 'texto', zh: '文本' },
+        'права': { en: 'permission', fr: 'permission', es: 'permiso', zh: '权限' },
+        'прав': { en: 'permission', fr: 'permission', es: 'permiso', zh: '权限' },
+        'вас': { en: 'you', fr: 'vous', es: 'usted', zh: '您' },
+        'нет': { en: 'no', fr: 'non', es: 'no', zh: '没有' },
+        'бесплатно': { en: 'free', fr: 'gratuit', es: 'gratis', zh: '免费' },
+        'игру': { en: 'the game', fr: 'le jeu', es: 'el juego', zh: '游戏' },
+        'игры': { en: 'game', fr: 'jeu', es: 'juego', zh: '游戏' },
+        'игрой': { en: 'game', fr: 'jeu', es: 'juego', zh: '游戏' },
+        'game': { en: 'game', fr: 'jeu', es: 'juego', zh: '游戏' },
+        'via': { en: 'via', fr: 'via', es: 'vía', zh: '通过' },
+        'через': { en: 'through', fr: 'via', es: 'a través de', zh: '通过' },
+        'за': { en: 'for', fr: 'pour', es: 'por', zh: '为了' },
+        'профиль': { en: 'profile', fr: 'profil', es: 'perfil', zh: '个人资料' },
+        'аккаунт': { en: 'account', fr: 'compte', es: 'cuenta', zh: '账户' },
+        'приглашение': { en: 'invitation', fr: 'invitation', es: 'invitación', zh: '邀请' },
+        'друга': { en: 'friend', fr: 'ami', es: 'amigo', zh: '朋友' },
+        'друзей': { en: 'friends', fr: 'amis', es: 'amigos', zh: '朋友们' },
+        'другие': { en: 'other', fr: 'autres', es: 'otros', zh: '其他' },
+        'сервера': { en: 'server', fr: 'serveur', es: 'servidor', zh: '服务器' },
+        'серверу': { en: 'server', fr: 'serveur', es: 'servidor', zh: '服务器' },
+        'подключения': { en: 'connection', fr: 'connexion', es: 'conexión', zh: '连接' },
+        'папку': { en: 'folder', fr: 'dossier', es: 'carpeta', zh: '文件夹' },
+        'папке': { en: 'folder', fr: 'dossier', es: 'carpeta', zh: '文件夹' },
+        'файлы': { en: 'files', fr: 'fichiers', es: 'archivos', zh: '文件' },
+        'фикс': { en: 'fix', fr: 'fix', es: 'fix', zh: '修复' },
+        'ссылкам': { en: 'links', fr: 'liens', es: 'enlaces', zh: '链接' },
+        'ниже': { en: 'below', fr: 'ci-dessous', es: 'a continuación', zh: '下面' },
+        'его': { en: 'it', fr: 'le', es: 'lo', zh: '它' },
+        'её': { en: 'it', fr: 'la', es: 'la', zh: '它' },
+        'их': { en: 'their', fr: 'leur', es: 'su', zh: '他们的' },
+        'его': { en: 'his/its', fr: 'son', es: 'su', zh: '他的/它的' },
+        'браузера': { en: 'browser', fr: 'navigateur', es: 'navegador', zh: '浏览器' },
+        'окне': { en: 'window', fr: 'fenêtre', es: 'ventana', zh: '窗口' },
+        'кнопку': { en: 'button', fr: 'bouton', es: 'botón', zh: '按钮' },
+        'доступ': { en: 'access', fr: 'accès', es: 'acceso', zh: '访问' },
+        'который': { en: 'which', fr: 'qui', es: 'que', zh: '哪个' },
+        'игроков': { en: 'players', fr: 'joueurs', es: 'jugadores', zh: '玩家' },
+        'обучение': { en: 'tutorial', fr: 'tutoriel', es: 'tutorial', zh: '教程' },
+        'сохранение': { en: 'save', fr: 'sauvegarde', es: 'guardar', zh: '保存' },
+        'требования': { en: 'requirements', fr: 'exigences', es: 'requisitos', zh: '要求' },
+        'системе': { en: 'system', fr: 'système', es: 'sistema', zh: '系统' },
+        'версии': { en: 'version', fr: 'version', es: 'versión', zh: '版本' },
+        'сервисами': { en: 'services', fr: 'services', es: 'servicios', zh: '服务' },
+        'режима': { en: 'mode', fr: 'mode', es: 'modo', zh: '模式' },
+        'режим': { en: 'mode', fr: 'mode', es: 'modo', zh: '模式' },
+        'разработчика': { en: 'developer', fr: 'développeur', es: 'desarrollador', zh: '开发者' },
+        'перезагрузку': { en: 'restart', fr: 'redémarrage', es: 'reiniciar', zh: '重启' },
+        'меню': { en: 'menu', fr: 'menu', es: 'menú', zh: '菜单' },
+        'пуск': { en: 'start menu', fr: 'menu démarrer', es: 'menú inicio', zh: '开始菜单' },
+        'нижнюю': { en: 'bottom', fr: 'bas', es: 'inferior', zh: '底部' },
+        'правую': { en: 'right', fr: 'droite', es: 'derecha', zh: '右侧' },
+        'пользовательскую': { en: 'custom', fr: 'personnalisé', es: 'personalizado', zh: '自定义' },
+        'единожды': { en: 'once', fr: 'une fois', es: 'una vez', zh: '一次' },
+        'библиотеку': { en: 'library', fr: 'bibliothèque', es: 'biblioteca', zh: '库' },
+        'моё': { en: 'my', fr: 'mon', es: 'mi', zh: '我的' },
+        'своё': { en: 'your', fr: 'votre', es: 'tu', zh: '你的' },
+        'свой': { en: 'your', fr: 'votre', es: 'tu', zh: '你的' },
+        'свою': { en: 'your', fr: 'votre', es: 'tu', zh: '你的' },
+
+        // Prepositions & conjunctions
+        'через': { en: 'via', fr: 'via', es: 'vía', zh: '通过' },
+        'от': { en: 'from', fr: 'de', es: 'de', zh: '从' },
+        'и': { en: 'and', fr: 'et', es: 'y', zh: '和' },
+        'или': { en: 'or', fr: 'ou', es: 'o', zh: '或' },
+        'для': { en: 'for', fr: 'pour', es: 'para', zh: '为了' },
+        'на': { en: 'on', fr: 'sur', es: 'en', zh: '在' },
+        'в': { en: 'in', fr: 'dans', es: 'en', zh: '在' },
+        'а': { en: 'and', fr: 'et', es: 'y', zh: '和' },
+        'ее': { en: 'it', fr: 'le', es: 'lo', zh: '它' },
+        'ее': { en: 'it', fr: 'le', es: 'lo', zh: '它' },
+        'к': { en: 'to', fr: 'à', es: 'a', zh: '到' },
+        'с': { en: 'with', fr: 'avec', es: 'con', zh: '与' },
+        'по': { en: 'via/by', fr: 'par', es: 'por', zh: '通过' },
+        'из': { en: 'from', fr: 'de', es: 'de', zh: '从' },
+        'не': { en: 'not', fr: 'ne pas', es: 'no', zh: '不' },
+        'если': { en: 'if', fr: 'si', es: 'si', zh: '如果' },
+        'это': { en: 'this', fr: 'ceci', es: 'esto', zh: '这个' },
+        'что': { en: 'that/what', fr: 'que/quoi', es: 'que/qué', zh: '那/什么' },
+        'менее': { en: 'less', fr: 'moins', es: 'menos', zh: '少于' },
+        'более': { en: 'more', fr: 'plus', es: 'más', zh: '更多' },
+        'минимум': { en: 'minimum', fr: 'minimum', es: 'mínimo', zh: '最小' },
+        'нему': { en: 'it', fr: 'lui', es: 'ello', zh: '它' },
+        'тем': { en: 'that', fr: 'cela', es: 'eso', zh: '那' },
+        'такое': { en: 'such', fr: 'tel', es: 'tal', zh: '这样的' },
+        'интернете': { en: 'internet', fr: 'internet', es: 'internet', zh: '互联网' },
+
+        // Common words
+        'свой': { en: 'your', fr: 'votre', es: 'tu', zh: '你的' },
+        'их': { en: 'their', fr: 'leur', es: 'su', zh: '他们的' },
+        'любую': { en: 'any', fr: 'n\'importe quel', es: 'cualquier', zh: '任意' },
+        'ознакомьтесь': { en: 'familiarize yourself', fr: 'familiarisez-vous', es: 'familiarícese', zh: '熟悉' },
+        'установленными': { en: 'installed', fr: 'installés', es: 'instalados', zh: '已安装的' },
+
+        // Section headers (important - must be before individual words)
+        'Как запускать:': { en: 'How to run:', fr: 'Comment exécuter :', es: 'Cómo ejecutar:', zh: '如何运行：' },
+        'Как запустить:': { en: 'How to launch:', fr: 'Comment lancer :', es: 'Cómo iniciar:', zh: '如何启动：' },
+        'Требования к системе:': { en: 'System requirements:', fr: 'Configuration requise :', es: 'Requisitos del sistema:', zh: '系统要求：' },
+        'Активация Epic Store Fix: (выполняется единожды)': { en: 'Epic Store Fix Activation: (done once)', fr: 'Activation du Fix Epic Store : (fait une fois)', es: 'Activación del Fix Epic Store: (se hace una vez)', zh: 'Epic Store修复激活：（仅一次）' },
+        'Активация GOG Fix (выполняется единожды)': { en: 'GOG Fix Activation (is done once)', fr: 'Activation du Fix GOG (fait une fois)', es: 'Activación del Fix GOG (se hace una vez)', zh: 'GOG修复激活（仅一次）' },
+        'Активация GOG Fix': { en: 'GOG Fix Activation', fr: 'Activation du Fix GOG', es: 'Activación del Fix GOG', zh: 'GOG修复激活' },
+        'Открываем GOG Galaxy': { en: 'Open GOG Galaxy', fr: 'Ouvrez GOG Galaxy', es: 'Abrir GOG Galaxy', zh: '打开 GOG Galaxy' },
+        'fromкрываем GOG Galaxy': { en: 'Open GOG Galaxy', fr: 'Ouvrez GOG Galaxy', es: 'Abrir GOG Galaxy', zh: '打开 GOG Galaxy' },
+        'Идем в магазин': { en: 'Go to the store', fr: 'Allons au magasin', es: 'Ir a la tienda', zh: '前往商店' },
+        'установливать не обязательно': { en: 'installing is not necessary', fr: 'l\'installation n\'est pas nécessaire', es: 'instalar no es necesario', zh: '无需安装' },
+        'игру нужно именно купить, а not via/отметить купленной': { en: 'the game needs to be specifically purchased, not via/marked as purchased', fr: 'le jeu doit être spécifiquement acheté, non via/marqué comme acheté', es: 'el juego debe comprarse específicamente, no vía/marcar como comprado', zh: '游戏需要特别购买，而不是通过/标记为已购买' },
+        'Важное примечание, игру нужно именно купить, а not via/отметить купленной': { en: 'Important note: the game needs to be specifically purchased, not via/marked as purchased', fr: 'Note importante : le jeu doit être spécifiquement acheté, non via/marqué comme acheté', es: 'Nota importante: el juego debe comprarse específicamente, no vía/marcar como comprado', zh: '重要提示：游戏需要特别购买，而不是通过/标记为已购买' },
+        'распаковываем её в любую папку': { en: 'extract it to any folder', fr: 'extrayez-le dans n\'importe quel dossier', es: 'extráelo a cualquier carpeta', zh: '解压到任意文件夹' },
+        'устанавливать не нужно': { en: 'installing is not necessary', fr: 'l\'installation n\'est pas nécessaire', es: 'no es necesario instalar', zh: '无需安装' },
+        'в магазин': { en: 'to the store', fr: 'au magasin', es: 'a la tienda', zh: '到商店' },
+        'Активация Epic Store Fix:': { en: 'Epic Store Fix Activation:', fr: 'Activation du Fix Epic Store :', es: 'Activación del Fix Epic Store:', zh: 'Epic Store修复激活：' },
+        'Онлайн и Схватка': { en: 'Online and Skirmish', fr: 'En ligne et Escarmouche', es: 'En línea y Escaramuza', zh: '在线和遭遇战' },
+
+        // Game-specific
+        'В игре:': { en: 'In-game:', fr: 'Dans le jeu :', es: 'En el juego:', zh: '游戏中：' },
+        'В игре': { en: 'In-game', fr: 'Dans le jeu', es: 'En el juego', zh: '游戏中' },
+        'Подключение:': { en: 'Connection:', fr: 'Connexion :', es: 'Conexión:', zh: '连接：' },
+        'Подключение': { en: 'Connection', fr: 'Connexion', es: 'Conexión', zh: '连接' },
+        'Создание сервера:': { en: 'Creating server:', fr: 'Création de serveur :', es: 'Creando servidor:', zh: '创建服务器：' },
+        'Создание сервера': { en: 'Creating server', fr: 'Création de serveur', es: 'Creando servidor', zh: '创建服务器' },
+        'Проходим обучение': { en: 'Complete tutorial', fr: 'Complétez le tutoriel', es: 'Completar tutorial', zh: '完成教程' },
+        'Мультиплеер': { en: 'Multiplayer', fr: 'Multijoueur', es: 'Multijugador', zh: '多人游戏' },
+        'Схватка': { en: 'Skirmish', fr: 'Escarmouche', es: 'Escaramuza', zh: '遭遇战' }
+    };
+
+    let translated = text;
+
+    // Sort by length (longest first) to avoid partial replacements
+    const sortedEntries = Object.entries(translations).sort((a, b) => b[0].length - a[0].length);
+
+    let replacements = 0;
+    for (const [rus, trans] of sortedEntries) {
+        // Skip single-letter translations to avoid garbling
+        if (rus.length === 1) {
+            continue;
+        }
+
+        // Escape special regex characters
+        const escapedRus = rus.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+        const regex = new RegExp(escapedRus, 'gi');
+
+        const before = translated;
+        translated = translated.replace(regex, trans[toLang] || trans.en || rus);
+
+        if (before !== translated) {
+            replacements++;
+            console.log(`  ✓ Replaced "${rus}" with "${trans[toLang]}"`);
+        }
+    }
+
+    console.log(`✅ Translation complete: ${replacements} replacements made`);
+    console.log('   Result:', translated.substring(0, 80) + '...');
+    return translated;
+};
@@ -0,0 +1,87 @@
+// The user profile (favorites, ratings, history, preferences) lives in the main process' settings.json.
+// Older versions kept it in localStorage under these keys; they are handed over once, then removed.
+const LEGACY_KEYS = {
+    favorites: 'onlineFixStore_favorites',
+    downloadHistory: 'onlineFixStore_downloads',
+    ratings: 'onlineFixStore_ratings',
+    theme: 'onlineFixStore_theme',
+    language: 'onlineFixStore_language',
+    windowMode: 'onlineFixStore_windowMode',
+    showWallpaper: 'onlineFixStore_showWallpaper',
+    backgroundMusic: 'onlineFixStore_backgroundMusic',
+    // Game counts that are no longer used; only removed
+    lastKnownGameCount: 'onlineFixStore_lastKnownGameCount',
+    lastGameCount: 'onlineFixStore_lastGameCount'
+};
+
+const readLegacy = (key, parse = JSON.parse) => {
+    try {
+        const saved = localStorage.getItem(LEGACY_KEYS[key]);
+        return saved === null ? undefined : parse(saved);
+    } catch { return undefined; }
+};
+
+// Only the keys that were actually saved, so the store keeps its defaults for the others
+const compact = (values) => Object.fromEntries(Object.entries(values).filter(([, value]) => value !== undefined));
+
+const readLegacyProfile = () => {
+    const asText = (value) => value;
+
+    return compact({
+        favorites: readLegacy('favorites'),
+        downloadHistory: readLegacy('downloadHistory'),
+        ratings: readLegacy('ratings'),
+        preferences: compact({
+            theme: readLegacy('theme', asText),
+            language: readLegacy('language', asText),
+            windowMode: readLegacy('windowMode', asText),
+            showWallpaper: readLegacy('showWallpaper'),
+            backgroundMusic: readLegacy('backgroundMusic')
+        })
+    });
+};
+
+// Used when the main process can't be reached, so the UI still starts
+const DEFAULT_PROFILE = {
+    preferences: { theme: 'dark', language: 'en', windowMode: 'window', showWallpaper: true, backgroundMusic: false, developerMode: false },
+    favorites: [],
+    downloadHistory: [],
+    ratings: {},
+    savedSearches: [],
+    coopCorrections: {},
+    legacyImported: true
+};
+
+// Load the profile, importing the localStorage keys of older versions the first time
+export const loadProfile = async () => {
+    try {
+        let profile = await window.electronAPI.getProfile();
+
+        if (!profile.legacyImported) {
+            const result = await window.electronAPI.importLegacyProfile(readLegacyProfile());
+            if (result.success) {
+                profile = result.profile;
+                Object.values(LEGACY_KEYS).forEach(key => localStorage.removeItem(key));
+            } else {
+                console.error('Error importing profile from localStorage:', result.error);
+            }
+        }
+
+        return profile;
+    } catch (error) {
+        console.error('Error loading profile, using defaults:', error);
+        return DEFAULT_PROFILE;
+    }
+};
+
+// Save some sections of the profile, e.g. { favorites } or { preferences: { theme } }
+export const saveProfile = async (values) => {
+    try {
+        const result = await window.electronAPI.updateProfile(values);
+        if (!result.success) {
+            console.error('Error saving profile:', result.error);
+        }
+    } catch (error) {
+        console.error('Error saving profile:', error);
+    }
+};
@@ -0,0 +1,59 @@
+// Data sources: the main process downloads each kind of data from the mirrors set in the settings,
+// moving on to the next mirror when one fails
+import { BROWSER_FIX_MIRRORS } from './config';
+
+export const SOURCE_TYPES = ['catalog', 'steamAppList', 'fixes', 'bypasses', 'plugin'];
+
+// Text of a file of a source, e.g. ('catalog', 'appIDs.txt'). In a browser the store is served next to the catalog's files.
+export const fetchSourceText = async (type, file, { timeout = 30000 } = {}) => {
+    if (window.electronAPI) {
+        return window.electronAPI.fetchSourceFile(type, file, { timeout });
+    }
+    const controller = new AbortController();
+    const timeoutId = setTimeout(() => controller.abort(), timeout);
+    try {
+        const response = await fetch(`/${file}`, { signal: controller.signal });
+        if (!response.ok) throw new Error(`Could not load ${file} (status ${response.status})`);
+        return await response.text();
+    } finally {
+        clearTimeout(timeoutId);
+    }
+};
+
+export const fetchSourceJson = async (type, file, options) => JSON.parse(await fetchSourceText(type, file, options));
+
+// Download URL of a game's fix on the first fixes mirror that has it; null when none does
+export const findFixUrl = async (appID) => {
+    if (window.electronAPI) {
+        const result = await window.electronAPI.findFixUrl(appID);
+        if (!result.success) throw new Error(result.error);
+        return result.url;
+    }
+    for (const mirror of BROWSER_FIX_MIRRORS) {
+        const url = `${mirror}/${appID}.zip`;
+        const response = await fetch(url, { method: 'HEAD' });
+        // GitHub releases return 302 redirect to CDN, so check for both 200 and 302
+        if (response.ok || response.status === 302) return url;
+    }
+    return null;
+};
+
+// { fixes: { <appID>: { url, size, updatedAt } }, complete, indexedAt } of the games with a fix on the fixes mirrors;
+// complete is false while a mirror couldn't be listed, so a game missing from it may still have a fix. null in a browser.
+export const getFixIndex = async (options) => {
+    if (!window.electronAPI) return null;
+    try {
+        const result = await window.electronAPI.getFixIndex(options);
+        if (!result.success) throw new Error(result.error);
+        return result;
+    } catch (error) {
+        console.error('Fix index lookup failed:', error);
+        return null;
+    }
+};
+
+// The results below are { sources, defaults?, health, success?, error? } as returned by the main process;
+// health lists each type's mirrors as [{ url, ok, error, checkedAt, latency }]
+export const getSources = () => window.electronAPI.getSources();
+export const setSources = (sources) => window.electronAPI.setSources(sources);
+export const checkSources = () => window.electronAPI.checkSources();
@@ -0,0 +1,27 @@
+// Steam app names, looked up in the main process' index of every Steam app
+
+// appID -> name for the given appIDs; unknown appIDs are left out, and nothing is found while the index is unavailable
+export const getSteamAppNames = async (appIDs) => {
+    if (appIDs.length === 0) return {};
+    try {
+        const result = await window.electronAPI.getSteamAppNames(appIDs.map(String));
+        if (!result.success) {
+            console.error('Steam app name lookup failed:', result.error);
+        }
+        return result.names;
+    } catch (error) {
+        console.error('Steam app name lookup failed:', error);
+        return {};
+    }
+};
+
+// Apps whose name matches the query, best matches first: [{ appID, name }]
+export const searchSteamApps = async (query, options) => {
+    try {
+        const result = await window.electronAPI.searchSteamApps(query, options);
+        return result.results;
+    } catch (error) {
+        console.error('Steam app search failed:', error);
+        return [];
+    }
+};
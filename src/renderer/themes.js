@@ -0,0 +1,77 @@
+// Theme system: themes come from the main process's registry (the shipped ones and the user's own)
+// and are applied as CSS variables on the page, see styles.css
+
+export const DEFAULT_THEME = 'dark';
+// Theme colors and the CSS variables they set
+export const THEME_COLORS = {
+    bgPrimary: '--bg-primary',
+    bgSecondary: '--bg-secondary',
+    bgTertiary: '--bg-tertiary',
+    bgCard: '--bg-card',
+    textPrimary: '--text-primary',
+    textSecondary: '--text-secondary',
+    textTertiary: '--text-tertiary',
+    accentPrimary: '--accent-primary',
+    accentSecondary: '--accent-secondary',
+    border: '--border-color'
+};
+export const THEME_FONTS = {
+    system: null,
+    sans: '"Segoe UI", Roboto, "Helvetica Neue", Arial, sans-serif',
+    serif: 'Georgia, Cambria, "Times New Roman", serif',
+    mono: '"Cascadia Code", Consolas, "Courier New", monospace',
+    rounded: '"Nunito", "Segoe UI Rounded", "Arial Rounded MT Bold", sans-serif'
+};
+export const CARD_STYLES = ['shadow', 'flat', 'outline', 'glass'];
+// Wallpapers become part of the theme file, so keep them reasonably small
+export const MAX_WALLPAPER_BYTES = 6 * 1024 * 1024;
+
+// Shipped themes served next to the page when the store runs in a browser
+const BROWSER_THEMES = ['dark', 'ocean', 'forest', 'sunset', 'purple', 'cyberpunk', 'retro', 'midnight', 'light', 'contrast', 'nord'];
+
+// [{ id, builtIn, name, icon, light, font, cardStyle, wallpaper, colors }]
+export const loadThemes = async () => {
+    try {
+        if (window.electronAPI) {
+            return (await window.electronAPI.getThemes()).themes;
+        }
+        const themes = await Promise.all(BROWSER_THEMES.map(async (id) => {
+            const response = await fetch(`themes/${id}.json`);
+            return response.ok ? { id, builtIn: true, ...(await response.json()) } : null;
+        }));
+        return themes.filter(Boolean);
+    } catch (error) {
+        console.error('Error loading themes:', error);
+        return [];
+    }
+};
+
+export const applyTheme = (theme) => {
+    const body = document.body;
+    for (const [key, variable] of Object.entries(THEME_COLORS)) {
+        body.style.setProperty(variable, theme.colors[key]);
+    }
+    body.style.fontFamily = THEME_FONTS[theme.font] || '';
+    body.className = `card-${theme.cardStyle}`;
+};
+
+// The results below are { success, theme?, error?, cancelled? } as returned by the main process
+export const saveTheme = (id, theme) => window.electronAPI.saveTheme(id, theme);
+export const deleteTheme = (id) => window.electronAPI.deleteTheme(id);
+export const importTheme = () => window.electronAPI.importTheme();
+export const exportTheme = (id) => window.electronAPI.exportTheme(id);
+
+// The theme data of a registry entry, without its id, to edit or save as a new theme
+export const toThemeData = ({ id, builtIn, ...theme }) => theme;
+
+// An image file as a data URL for a theme's wallpaper
+export const readWallpaper = (file) => new Promise((resolve, reject) => {
+    if (!/^image\/(png|jpeg|webp|gif)$/.test(file.type) || file.size > MAX_WALLPAPER_BYTES) {
+        reject(new Error('Wallpapers must be PNG, JPEG, WebP or GIF images of at most 6 MB'));
+        return;
+    }
+    const reader = new FileReader();
+    reader.onload = () => resolve(reader.result);
+    reader.onerror = () => reject(reader.error);
+    reader.readAsDataURL(file);
+});
@@ -0,0 +1,54 @@
+// Function to get Steam rating description based on review percentage
+export const getSteamRatingDescription = (recommendations, reviewScoreDesc = null) => {
+    if (!recommendations || !recommendations.total || recommendations.total === 0) {
+        console.log('❌ No recommendations data or total is 0:', recommendations);
+        return null;
+    }
+
+    console.log('📊 Steam recommendations:', recommendations);
+
+    // PRIORITY 1: Use review_score_desc from Steam API if available
+    if (reviewScoreDesc) {
+        console.log('✅ Using Steam review_score_desc:', reviewScoreDesc);
+
+        // Map Steam's review_score_desc to colors
+        const ratingMap = {
+            'Overwhelmingly Positive': { text: 'Overwhelmingly Positive', color: 'bg-blue-600' },
+            'Very Positive': { text: 'Very Positive', color: 'bg-blue-500' },
+            'Positive': { text: 'Positive', color: 'bg-green-600' },
+            'Mostly Positive': { text: 'Mostly Positive', color: 'bg-green-500' },
+            'Mixed': { text: 'Mixed', color: 'bg-yellow-600' },
+            'Mostly Negative': { text: 'Mostly Negative', color: 'bg-orange-500' },
+            'Negative': { text: 'Negative', color: 'bg-orange-600' },
+            'Very Negative': { text: 'Very Negative', color: 'bg-red-500' },
+            'Overwhelmingly Negative': { text: 'Overwhelmingly Negative', color: 'bg-red-600' }
+        };
+
+        return ratingMap[reviewScoreDesc] || { text: reviewScoreDesc, color: 'bg-gray-600' };
+    }
+
+    // FALLBACK: Calculate from positive/negative ratio if available
+    const positiveCount = recommendations.positive ?? recommendations.up ?? 0;
+
+    // If positive count is 0 or undefined, we can't calculate
+    if (positiveCount === 0 || positiveCount === undefined) {
+        console.log('⚠️ Steam API does not provide positive/negative breakdown and no review_score_desc. Hiding rating description.');
+        return null;
+    }
+
+    // Ensure we have valid numbers
+    if (typeof positiveCount !== 'number' || typeof recommendations.total !== 'number') {
+        console.log('❌ Invalid number types');
+        return null;
+    }
+
+    const percentage = (positiveCount / recommendations.total) * 100;
+    console.log('📈 Calculated percentage:', percentage.toFixed(2) + '%');
+
+    if (percentage >= 95) return { text: 'Overwhelmingly Positive', color: 'bg-blue-600' };
+    if (percentage >= 80) return { text: 'Very Positive', color: 'bg-blue-500' };
+    if (percentage >= 70) return { text: 'Positive', color: 'bg-green-600' };
+    if (percentage >= 40) return { text: 'Mixed', color: 'bg-yellow-600' };
+    if (percentage >= 20) return { text: 'Negative', color: 'bg-orange-600' };
+    return { text: 'Overwhelmingly Negative', color: 'bg-red-600' };
+};
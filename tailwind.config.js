@@ -0,0 +1,8 @@
+// Tailwind builds only the classes used by the renderer sources
+module.exports = {
+  content: ['./src/renderer/**/*.{js,jsx}'],
+  theme: {
+    extend: {}
+  },
+  plugins: []
+};
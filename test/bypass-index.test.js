@@ -0,0 +1,37 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { createBypassIndex, groupBypassAssets } = require('../lib/bypass-index');
+
+test('the files of a split bypass are grouped by appID or by name without the part number', () => {
+  const bypasses = groupBypassAssets(new Map([
+    ['812140_part1.zip', { size: 2 }],
+    ['812140 1 2.zip', { size: 1 }],
+    ['Far.Cry.5.part2.rar', { size: 3 }],
+    ['Far.Cry.5.part1.rar', { size: 4 }],
+    ['SHA256SUMS', { size: 1 }]
+  ]));
+
+  assert.deepStrictEqual(bypasses.map(bypass => [bypass.id, bypass.appID, bypass.size]), [['812140', '812140', 3], ['Far.Cry.5', null, 7]]);
+  assert.deepStrictEqual(bypasses[1].parts.map(part => part.filename), ['Far.Cry.5.part1.rar', 'Far.Cry.5.part2.rar']);
+});
+
+test('the index lists the configured mirrors that are GitHub releases, the first mirror winning', async () => {
+  const mirrors = [
+    'http://localhost:8080/bypasses',
+    'https://github.com/a/Bypasses/releases/download/v1.0',
+    'https://github.com/b/Bypasses/releases/download/v2.0'
+  ];
+  const releases = {
+    'a/Bypasses/v1.0': new Map([['812140.zip', { size: 1 }]]),
+    'b/Bypasses/v2.0': new Map([['812140.zip', { size: 2 }], ['271590.zip', { size: 3 }]])
+  };
+  const index = createBypassIndex({
+    sources: { list: () => mirrors },
+    releaseAssets: { listRelease: async (owner, repo, tag) => releases[`${owner}/${repo}/${tag}`] }
+  });
+
+  const { bypasses, repositories, complete } = await index.get();
+  assert.deepStrictEqual(bypasses.map(bypass => [bypass.id, bypass.size]), [['812140', 1], ['271590', 3]]);
+  assert.deepStrictEqual(repositories.map(repository => repository.listed), [false, true, true]);
+  assert.strictEqual(complete, false);
+});
@@ -0,0 +1,125 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const archiver = require('archiver');
+const checksums = require('../lib/checksums');
+const { createFixInstaller } = require('../lib/fix-installer');
+
+function writeZip(zipPath, files) {
+  return new Promise((resolve, reject) => {
+    const output = fs.createWriteStream(zipPath);
+    const archive = archiver('zip');
+    output.on('close', resolve);
+    archive.on('error', reject);
+    archive.pipe(output);
+    for (const [name, content] of Object.entries(files)) {
+      archive.append(content, { name });
+    }
+    archive.finalize();
+  });
+}
+
+test('two installs of the same fix prepared at once download to their own files', async (t) => {
+  const downloadsDir = fs.mkdtempSync(path.join(os.tmpdir(), 'fix-installer-test-'));
+  t.after(() => fs.rmSync(downloadsDir, { recursive: true, force: true }));
+  t.mock.method(checksums, 'fetchExpectedChecksum', async () => {
+    throw Object.assign(new Error('No checksum'), { code: 'CHECKSUM_MISSING' });
+  });
+
+  // Both downloads are started before either finishes, then each writes its own archive
+  const started = [];
+  let bothStarted;
+  const bothStartedPromise = new Promise(resolve => { bothStarted = resolve; });
+  const downloadManager = {
+    async enqueue({ destPath }) {
+      started.push(destPath);
+      if (started.length === 2) {
+        bothStarted();
+      }
+      await bothStartedPromise;
+      await writeZip(destPath, { '812140/fix.dll': `download ${started.indexOf(destPath)}` });
+      return { path: destPath };
+    }
+  };
+  const installer = createFixInstaller({
+    downloadsDir,
+    downloadManager,
+    manifests: { planInstall: (appID, sourceFolder) => ({ appID, sourceFolder, added: ['fix.dll'], overwritten: [] }) },
+    releaseAssets: { getAsset: async () => null }
+  });
+
+  const prepare = () => installer.prepare({
+    url: 'https://github.com/a/Fixes/releases/download/v1.0/812140.zip',
+    targetFolder: path.join(downloadsDir, 'game'),
+    appID: '812140',
+    fileName: '812140.zip',
+    allowUnverified: true
+  });
+  const [first, second] = await Promise.all([prepare(), prepare()]);
+
+  assert.notStrictEqual(started[0], started[1]);
+  assert.notStrictEqual(first.installId, second.installId);
+  const contents = [first, second].map(prepared => fs.readFileSync(path.join(prepared.plan.sourceFolder, 'fix.dll'), 'utf8'));
+  assert.deepStrictEqual(contents.sort(), ['download 0', 'download 1']);
+
+  // The archives are gone once extracted, the extracted files once cancelled
+  assert.deepStrictEqual(fs.readdirSync(downloadsDir), []);
+  installer.cancel(first.installId);
+  installer.cancel(second.installId);
+  assert.strictEqual(fs.existsSync(first.plan.sourceFolder), false);
+  assert.strictEqual(fs.existsSync(second.plan.sourceFolder), false);
+});
+
+test('an install not confirmed in time is dropped with its extracted files', async (t) => {
+  const tempRoot = fs.mkdtempSync(path.join(os.tmpdir(), 'fix-installer-test-'));
+  t.after(() => fs.rmSync(tempRoot, { recursive: true, force: true }));
+  t.mock.method(os, 'tmpdir', () => tempRoot);
+  t.mock.method(checksums, 'fetchExpectedChecksum', async () => {
+    throw Object.assign(new Error('No checksum'), { code: 'CHECKSUM_MISSING' });
+  });
+
+  const installer = createFixInstaller({
+    downloadsDir: path.join(tempRoot, 'downloads'),
+    downloadManager: { enqueue: ({ destPath }) => writeZip(destPath, { 'fix.dll': 'fix' }) },
+    manifests: { planInstall: (appID, sourceFolder) => ({ appID, sourceFolder, added: ['fix.dll'], overwritten: [] }) },
+    releaseAssets: { getAsset: async () => null },
+    pendingTtl: 50
+  });
+  const { installId, plan } = await installer.prepare({
+    url: 'https://github.com/a/Fixes/releases/download/v1.0/812140.zip',
+    targetFolder: path.join(tempRoot, 'game'),
+    appID: '812140',
+    fileName: '812140.zip',
+    allowUnverified: true
+  });
+  assert.strictEqual(fs.existsSync(plan.sourceFolder), true);
+
+  await new Promise(resolve => setTimeout(resolve, 100));
+  assert.strictEqual(fs.existsSync(plan.sourceFolder), false);
+  await assert.rejects(installer.confirm(installId), { code: 'INSTALL_NOT_PENDING' });
+});
+
+test('files left behind by an earlier run are removed once they are old enough', (t) => {
+  const tempRoot = fs.mkdtempSync(path.join(os.tmpdir(), 'fix-installer-test-'));
+  t.after(() => fs.rmSync(tempRoot, { recursive: true, force: true }));
+  t.mock.method(os, 'tmpdir', () => tempRoot);
+  const downloadsDir = path.join(tempRoot, 'downloads');
+  const old = new Date(Date.now() - 2 * 60 * 60 * 1000);
+  const makeFolder = (folder, age) => {
+    fs.mkdirSync(folder, { recursive: true });
+    fs.writeFileSync(path.join(folder, 'file'), 'x');
+    fs.utimesSync(path.join(folder, 'file'), age, age);
+    fs.utimesSync(folder, age, age);
+  };
+  makeFolder(path.join(downloadsDir, '812140-1'), old);
+  makeFolder(path.join(downloadsDir, '812140-2'), new Date());
+  makeFolder(path.join(tempRoot, 'online-fix-812140-1'), old);
+  makeFolder(path.join(tempRoot, 'something-else'), old);
+
+  createFixInstaller({ downloadsDir }).cleanupLeftovers();
+
+  assert.deepStrictEqual(fs.readdirSync(downloadsDir), ['812140-2']);
+  assert.deepStrictEqual(fs.readdirSync(tempRoot).sort(), ['downloads', 'something-else']);
+});
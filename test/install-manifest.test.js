@@ -0,0 +1,82 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { createManifestStore } = require('../lib/install-manifest');
+
+// A game folder with one original file, a fix that replaces it and adds bin/b.dll, and a manifest store
+function setup(t) {
+  const root = fs.mkdtempSync(path.join(os.tmpdir(), 'install-manifest-'));
+  t.after(() => fs.rmSync(root, { recursive: true, force: true }));
+  const game = path.join(root, 'game');
+  const fix = path.join(root, 'fix');
+  fs.mkdirSync(game);
+  fs.mkdirSync(path.join(fix, 'bin'), { recursive: true });
+  fs.writeFileSync(path.join(game, 'a.dll'), 'original');
+  fs.writeFileSync(path.join(fix, 'a.dll'), 'fix 1');
+  fs.writeFileSync(path.join(fix, 'bin', 'b.dll'), 'fix 1');
+  return { game, fix, store: createManifestStore(path.join(root, 'installs')) };
+}
+
+const read = (folder, rel) => (fs.existsSync(path.join(folder, rel)) ? fs.readFileSync(path.join(folder, rel), 'utf8') : null);
+
+// Make copies into the game folder of the given file fail, like a DLL locked by the running game
+function failCopiesTo(t, game, rel) {
+  const copyFileSync = fs.copyFileSync;
+  t.mock.method(fs, 'copyFileSync', (src, dest) => {
+    if (dest === path.join(game, rel)) {
+      throw new Error(`EBUSY: resource busy or locked, copyfile '${dest}'`);
+    }
+    return copyFileSync(src, dest);
+  });
+}
+
+test('a failed install leaves the game folder as it was and records nothing', (t) => {
+  const { game, fix, store } = setup(t);
+  const plan = store.planInstall('10', fix, game);
+  failCopiesTo(t, game, path.join('bin', 'b.dll'));
+
+  assert.throws(() => store.applyInstall(plan, fix), /EBUSY/);
+  t.mock.restoreAll();
+
+  assert.strictEqual(read(game, 'a.dll'), 'original');
+  assert.deepStrictEqual(fs.readdirSync(game), ['a.dll']);
+  assert.strictEqual(store.getManifest('10'), null);
+});
+
+test('a failed reinstall keeps the previous install in place and in the manifest', (t) => {
+  const { game, fix, store } = setup(t);
+  store.applyInstall(store.planInstall('10', fix, game), fix);
+  const installed = store.getManifest('10');
+
+  fs.writeFileSync(path.join(fix, 'a.dll'), 'fix 2');
+  fs.writeFileSync(path.join(fix, 'bin', 'b.dll'), 'fix 2');
+  const plan = store.planInstall('10', fix, game);
+  failCopiesTo(t, game, path.join('bin', 'b.dll'));
+
+  assert.throws(() => store.applyInstall(plan, fix), /EBUSY/);
+  t.mock.restoreAll();
+
+  assert.strictEqual(read(game, 'a.dll'), 'fix 1');
+  assert.strictEqual(read(game, path.join('bin', 'b.dll')), 'fix 1');
+  assert.deepStrictEqual(store.getManifest('10'), installed);
+
+  store.rollback('10');
+  assert.strictEqual(read(game, 'a.dll'), 'original');
+  assert.deepStrictEqual(fs.readdirSync(game), ['a.dll']);
+});
+
+test('a reinstall replaces the files and rollback restores the originals', (t) => {
+  const { game, fix, store } = setup(t);
+  store.applyInstall(store.planInstall('10', fix, game), fix);
+  fs.writeFileSync(path.join(fix, 'a.dll'), 'fix 2');
+  store.applyInstall(store.planInstall('10', fix, game), fix);
+
+  assert.strictEqual(read(game, 'a.dll'), 'fix 2');
+  assert.strictEqual(store.getManifest('10').files.overwritten[0].originalSha256.length, 64);
+
+  store.rollback('10');
+  assert.strictEqual(read(game, 'a.dll'), 'original');
+  assert.deepStrictEqual(fs.readdirSync(game), ['a.dll']);
+});
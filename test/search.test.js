@@ -0,0 +1,32 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { parseQuery, setFilterValues } = require('../lib/search/query');
+const { createSearchIndex, searchGames } = require('../lib/search/engine');
+
+const context = { ratings: {}, favorites: [], downloadedAppIDs: new Set(), newAppIDs: new Set() };
+
+const games = [
+  { appID: '292030', name: 'The Witcher 3: Wild Hunt', tags: [{ name: 'RPG' }, { name: 'Open World' }] },
+  { appID: '548430', name: 'Deep Rock Galactic', tags: [{ name: 'Co-op' }], coopData: { onlineCoop: true, maxPlayers: '4' } },
+  { appID: '1086940', name: "Baldur's Gate 3", tags: [{ name: 'RPG' }, { name: 'Dungeons & Dragons' }] }
+];
+
+const search = (text) => searchGames(createSearchIndex(games), parseQuery(text), context).map(game => game.appID);
+
+test('words are matched with typos and punctuation-only words are ignored', () => {
+  assert.deepStrictEqual(search('witchr'), ['292030']);
+  assert.deepStrictEqual(search('baldurs & gate'), ['1086940']);
+  assert.deepStrictEqual(search('&'), ['292030', '548430', '1086940']);
+});
+
+test('filters narrow the results and can be excluded', () => {
+  assert.deepStrictEqual(search('tag:rpg -tag:"open world"'), ['1086940']);
+  assert.deepStrictEqual(search('online:yes players:>=4'), ['548430']);
+  assert.deepStrictEqual(search('appid:292030'), ['292030']);
+});
+
+test('filters written by the pickers are parsed back', () => {
+  const text = setFilterValues('gate', 'tag', ['Dungeons & Dragons']);
+  assert.strictEqual(text, 'gate tag:"Dungeons & Dragons"');
+  assert.deepStrictEqual(search(text), ['1086940']);
+});